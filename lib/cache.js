@@ -0,0 +1,196 @@
+/**
+ * On-disk cache of AI responses
+ *
+ * Re-running the same instruction on the same data with the same model and
+ * parameters reuses the earlier answer instead of calling the model again.
+ * Entries are keyed by a SHA-256 hash of that content and stored under
+ * uploads/cache/<key>.json. They expire after a TTL, and the least recently
+ * used ones are removed when the cache grows past its size limit.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const CACHE_ROOT = path.join('uploads', 'cache');
+const KEY_PATTERN = /^[a-f0-9]{64}$/;
+
+const settings = {
+    enabled: true,
+    ttlMs: 7 * 24 * 60 * 60 * 1000,
+    maxBytes: 200 * 1024 * 1024
+};
+
+// Change enabled, ttlMs or maxBytes
+function configureCache(options) {
+    Object.assign(settings, options);
+}
+
+function isCacheKey(key) {
+    return typeof key === 'string' && KEY_PATTERN.test(key);
+}
+
+function entryPath(key) {
+    return path.join(CACHE_ROOT, `${key}.json`);
+}
+
+// JSON with object keys in sorted order, so equal content hashes equally
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(item => (item === undefined ? 'null' : stableStringify(item))).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const fields = Object.keys(value)
+            .filter(name => value[name] !== undefined)
+            .sort()
+            .map(name => `${JSON.stringify(name)}:${stableStringify(value[name])}`);
+        return `{${fields.join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+function hashContent(value) {
+    return crypto.createHash('sha256')
+        .update(typeof value === 'string' ? value : stableStringify(value))
+        .digest('hex');
+}
+
+// The key for one request: `parts` holds everything the answer depends on
+// (a hash of the data, the prompt, the model and its parameters)
+function cacheKey(kind, parts) {
+    return hashContent({ kind, ...parts });
+}
+
+function isExpired(entry) {
+    return Date.now() - Date.parse(entry.createdAt) > settings.ttlMs;
+}
+
+function readEntry(key) {
+    try {
+        return JSON.parse(fs.readFileSync(entryPath(key), 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+// The cached entry for a key, or null. A hit counts as a use for eviction.
+function getCached(key) {
+    if (!settings.enabled || !isCacheKey(key)) return null;
+    const entry = readEntry(key);
+    if (!entry) return null;
+    if (isExpired(entry)) {
+        deleteCached(key);
+        return null;
+    }
+    const now = new Date();
+    fs.utimesSync(entryPath(key), now, now);
+    return entry;
+}
+
+// Store a value. `info` (provider, model, prompt, ...) is shown when the
+// cache is inspected. Returns the entry, or null when the cache is off or
+// the value alone is larger than the cache may grow.
+function setCached(key, kind, value, info = {}) {
+    if (!settings.enabled || !isCacheKey(key)) return null;
+    const entry = { key, kind, createdAt: new Date().toISOString(), info, value };
+    const text = JSON.stringify(entry);
+    if (Buffer.byteLength(text) > settings.maxBytes) return null;
+
+    fs.mkdirSync(CACHE_ROOT, { recursive: true });
+    fs.writeFileSync(entryPath(key), text);
+    evictToSize(cacheFiles());
+    return entry;
+}
+
+function deleteCached(key) {
+    if (!isCacheKey(key)) return false;
+    try {
+        fs.unlinkSync(entryPath(key));
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Files in the cache with their size and last use, oldest first
+function cacheFiles() {
+    if (!fs.existsSync(CACHE_ROOT)) return [];
+    return fs.readdirSync(CACHE_ROOT)
+        .filter(name => name.endsWith('.json') && isCacheKey(name.slice(0, -5)))
+        .map(name => {
+            const stat = fs.statSync(path.join(CACHE_ROOT, name));
+            return { key: name.slice(0, -5), bytes: stat.size, lastUsedAt: stat.mtime };
+        })
+        .sort((a, b) => a.lastUsedAt - b.lastUsedAt);
+}
+
+// Remove the least recently used files until the cache fits its size
+// limit. Returns the number removed.
+function evictToSize(files) {
+    let removed = 0;
+    let total = files.reduce((sum, file) => sum + file.bytes, 0);
+    for (const file of files) {
+        if (total <= settings.maxBytes) break;
+        if (deleteCached(file.key)) removed++;
+        total -= file.bytes;
+    }
+    return removed;
+}
+
+// Remove expired entries, then evict down to the size limit. Returns the
+// number removed.
+function pruneCache() {
+    let removed = 0;
+    const kept = cacheFiles().filter(file => {
+        const entry = readEntry(file.key);
+        if (entry && !isExpired(entry)) return true;
+        if (deleteCached(file.key)) removed++;
+        return false;
+    });
+    return removed + evictToSize(kept);
+}
+
+// Settings, totals and one summary per entry (without the cached values)
+function describeCache() {
+    const entries = cacheFiles().reverse().map(file => {
+        const entry = readEntry(file.key) || {};
+        return {
+            key: file.key,
+            kind: entry.kind || null,
+            createdAt: entry.createdAt || null,
+            lastUsedAt: file.lastUsedAt.toISOString(),
+            bytes: file.bytes,
+            info: entry.info || {}
+        };
+    });
+    return {
+        enabled: settings.enabled,
+        ttlHours: settings.ttlMs / (60 * 60 * 1000),
+        maxBytes: settings.maxBytes,
+        bytes: entries.reduce((sum, entry) => sum + entry.bytes, 0),
+        count: entries.length,
+        entries
+    };
+}
+
+// Remove every entry, or those of one kind. Returns the number removed.
+function clearCache(kind = null) {
+    let removed = 0;
+    for (const file of cacheFiles()) {
+        if (kind && (readEntry(file.key) || {}).kind !== kind) continue;
+        if (deleteCached(file.key)) removed++;
+    }
+    return removed;
+}
+
+module.exports = {
+    configureCache,
+    hashContent,
+    cacheKey,
+    getCached,
+    setCached,
+    deleteCached,
+    pruneCache,
+    describeCache,
+    clearCache
+};
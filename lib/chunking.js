@@ -0,0 +1,218 @@
+/**
+ * Chunked AI processing
+ *
+ * Large datasets are split into batches that fit a token budget and sent to
+ * the model a few at a time. Every row is tagged with its position so the
+ * results can be checked against the input and put back in order: each
+ * chunk must return every one of its rows exactly once, unless the
+ * instruction removes or splits rows. A chunk whose answer is unusable is
+ * retried on its own; if it keeps failing its rows are kept unchanged and
+ * the failure is reported. Failed model calls are not retried here: the
+ * client has already retried them.
+ */
+
+const { extractJSON } = require('./llm');
+
+const ROW_KEY = '__row';
+
+// Rough token estimate: about four characters per token for JSON text
+function estimateTokens(text) {
+    return Math.ceil(text.length / 4);
+}
+
+// Split rows into chunks whose JSON stays under maxTokens (and maxRows).
+// Returns [{ index, start, rows }] where start is the first row's position.
+function createChunks(rows, { maxTokens = 8000, maxRows = 500 } = {}) {
+    const chunks = [];
+    let current = [];
+    let tokens = 0;
+    let start = 0;
+
+    rows.forEach((row, position) => {
+        const rowTokens = estimateTokens(JSON.stringify(row)) + 1;
+        if (current.length > 0 && (tokens + rowTokens > maxTokens || current.length >= maxRows)) {
+            chunks.push({ index: chunks.length, start, rows: current });
+            current = [];
+            tokens = 0;
+            start = position;
+        }
+        current.push(row);
+        tokens += rowTokens;
+    });
+
+    if (current.length > 0) {
+        chunks.push({ index: chunks.length, start, rows: current });
+    }
+    return chunks;
+}
+
+// Run worker over items with at most `limit` running at once.
+// Resolves to the results in item order.
+async function runWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    });
+
+    await Promise.all(runners);
+    return results;
+}
+
+function buildChunkPrompt(instruction, chunk, total, rowChanges) {
+    const rows = chunk.rows.map((row, offset) => ({ [ROW_KEY]: chunk.start + offset, ...row }));
+
+    return `You are a data preprocessing assistant. You will receive part of a dataset and a user instruction.
+Transform the rows according to the instruction.
+
+IMPORTANT RULES:
+1. Return ONLY a valid JSON array of objects - no explanations, no markdown, no code blocks
+2. This is chunk ${chunk.index + 1} of ${total}; other rows are processed separately, so work row by row
+3. Every output row MUST keep the "${ROW_KEY}" field of the input row it came from, unchanged
+4. ${rowChanges.dropped || rowChanges.repeated
+        ? `Leave out rows the instruction removes; never invent rows with new "${ROW_KEY}" values`
+        : `Return every input row exactly once; never leave rows out, repeat them or invent new "${ROW_KEY}" values`}
+5. Preserve the structure unless the user asks to change it
+
+USER'S INSTRUCTION: ${instruction}
+
+ROWS TO PROCESS:
+${JSON.stringify(rows)}
+
+RESPOND WITH ONLY THE JSON ARRAY:`;
+}
+
+function parseRows(responseText) {
+    const { data, truncated } = extractJSON(responseText, 'array');
+    if (truncated) throw new Error('Response was truncated');
+    return data;
+}
+
+// Check a chunk's output against its input. Every input row must come
+// back exactly once, except that rowChanges.dropped lets rows be left out
+// (the instruction removes rows) and rowChanges.repeated lets one input row
+// give several (it splits rows). Returns { data, rowsDropped } with the
+// output rows in input order and the row key removed unless keepRowKey is
+// set, or throws if they do not match.
+function checkChunkRows(chunk, output, { keepRowKey = false, rowChanges = {} } = {}) {
+    if (!Array.isArray(output)) {
+        throw new Error('Response is not a JSON array');
+    }
+
+    const first = chunk.start;
+    const last = chunk.start + chunk.rows.length - 1;
+    const seen = new Set();
+    const repeated = new Set();
+    for (const row of output) {
+        const position = row && typeof row === 'object' ? row[ROW_KEY] : undefined;
+        if (!Number.isInteger(position) || position < first || position > last) {
+            throw new Error(`Row with missing or unknown ${ROW_KEY} (${JSON.stringify(position)})`);
+        }
+        if (seen.has(position)) repeated.add(position);
+        seen.add(position);
+    }
+
+    const rowsDropped = chunk.rows.length - seen.size;
+    if (repeated.size > 0 && !rowChanges.repeated) {
+        throw new Error(`Rows returned more than once: ${ROW_KEY} ${Array.from(repeated).slice(0, 5).join(', ')}`);
+    }
+    if (rowsDropped > 0 && !rowChanges.dropped) {
+        throw new Error(`Expected ${chunk.rows.length} rows but got ${output.length}; ${rowsDropped} row(s) missing`);
+    }
+
+    // Stable sort keeps rows split from one input row together, in order
+    const data = output
+        .map((row, order) => ({ row, order }))
+        .sort((a, b) => a.row[ROW_KEY] - b.row[ROW_KEY] || a.order - b.order)
+        .map(({ row }) => {
+            if (keepRowKey) return row;
+            const { [ROW_KEY]: position, ...rest } = row;
+            return rest;
+        });
+    return { data, rowsDropped };
+}
+
+// Process rows with the model in chunks.
+// Options: generate(promptText) resolving to the model's reply, maxTokens,
+// maxRows, concurrency, retries (for replies that cannot be used, not for
+// failed calls), retryDelayMs, onProgress({ done, total,
+// failed }) called as chunks finish, an AbortSignal that stops the run,
+// keepRowKey to leave each row's position in the output (under ROW_KEY) so
+// the caller can match rows up itself, and rowChanges ({ dropped,
+// repeated }) when the instruction may remove or split rows.
+// Returns { data, chunks } where chunks reports each chunk's outcome.
+async function processInChunks(rows, instruction, options) {
+    const {
+        generate,
+        concurrency = 3,
+        retries = 2,
+        retryDelayMs = 1000,
+        onProgress = null,
+        signal = null,
+        keepRowKey = false,
+        rowChanges = {}
+    } = options;
+    const chunks = createChunks(rows, options);
+    const progress = { done: 0, total: chunks.length, failed: 0 };
+    if (onProgress) onProgress({ ...progress });
+
+    const reports = await runWithConcurrency(chunks, concurrency, async chunk => {
+        const report = { index: chunk.index, start: chunk.start, rowsIn: chunk.rows.length, attempts: 0 };
+        const prompt = buildChunkPrompt(instruction, chunk, chunks.length, rowChanges);
+        let lastError;
+
+        const finish = result => {
+            progress.done++;
+            if (result.status === 'failed') progress.failed++;
+            if (onProgress) onProgress({ ...progress });
+            return result;
+        };
+
+        while (report.attempts <= retries) {
+            // A cancelled run stops here rather than keeping the chunk
+            if (signal && signal.aborted) throw new Error('Processing cancelled');
+            report.attempts++;
+            try {
+                const { data, rowsDropped } = checkChunkRows(chunk, parseRows(await generate(prompt)), { keepRowKey, rowChanges });
+                return finish({ ...report, status: 'ok', rowsOut: data.length, rowsDropped, data });
+            } catch (error) {
+                lastError = error;
+                // Timeouts, rate limits and cancellations come from the client
+                if (error.retryable || error.cancelled) break;
+                if (report.attempts <= retries) {
+                    await new Promise(resolve => setTimeout(resolve, retryDelayMs * report.attempts));
+                }
+            }
+        }
+
+        if (signal && signal.aborted) throw new Error('Processing cancelled');
+        // Keep the input rows rather than failing the whole job
+        const data = keepRowKey
+            ? chunk.rows.map((row, offset) => ({ [ROW_KEY]: chunk.start + offset, ...row }))
+            : chunk.rows;
+        return finish({ ...report, status: 'failed', error: lastError.message, rowsOut: chunk.rows.length, data });
+    });
+
+    // Nothing got through, e.g. a bad API key: report it as an error
+    if (reports.length > 0 && reports.every(report => report.status === 'failed')) {
+        throw new Error(`All ${reports.length} chunk(s) failed: ${reports[0].error}`);
+    }
+
+    return {
+        data: reports.flatMap(report => report.data),
+        chunks: reports.map(({ data, ...report }) => report)
+    };
+}
+
+module.exports = {
+    ROW_KEY,
+    estimateTokens,
+    createChunks,
+    runWithConcurrency,
+    checkChunkRows,
+    processInChunks
+};
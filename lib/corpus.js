@@ -0,0 +1,362 @@
+/**
+ * Text corpus preparation
+ *
+ * Turns an uploaded text into a table of passages for NLP datasets. The
+ * text is cleaned (Unicode normalization, optional HTML and boilerplate
+ * removal, tidier whitespace), split into documents, then into paragraphs
+ * or sentences, and optionally packed into chunks of a number of characters
+ * or approximate tokens with overlap. Each row carries a chunk ID, its
+ * document, and start and end offsets into that document's cleaned text,
+ * so row.text === cleanedDocument.slice(row.start, row.end). Rows outside
+ * the length limits are dropped.
+ */
+
+const { estimateTokens } = require('./chunking');
+
+const SPLITS = ['documents', 'paragraphs', 'sentences'];
+const SEPARATORS = ['rule', 'blank_lines', 'line', 'none'];
+const CHUNK_UNITS = ['none', 'characters', 'tokens'];
+const NORMALIZATIONS = ['NFKC', 'NFC', 'none'];
+const DEFAULT_CHUNK_SIZE = { characters: 1000, tokens: 256 };
+const LIMITS = ['minChars', 'maxChars', 'minTokens', 'maxTokens'];
+
+const CORPUS_DEFAULTS = {
+    split: 'paragraphs',
+    documentSeparator: 'rule',
+    language: 'en',
+    chunkBy: 'none',
+    chunkOverlap: 0,
+    normalize: 'NFKC',
+    stripHTML: false,
+    stripBoilerplate: false
+};
+
+// Lines in this many documents (or this many times in a single document)
+// count as boilerplate
+const BOILERPLATE_REPEATS = 3;
+const BOILERPLATE_MAX_LENGTH = 200;
+const BOILERPLATE_PATTERNS = [
+    /^(page\s+)?\d+(\s+(of|\/)\s+\d+)?$/i,
+    /(©|\(c\)|copyright\b|all rights reserved)/i,
+    /^(home|menu|search|log ?in|sign (in|up)|subscribe|share( this)?|print|next|previous|back to top|skip to (main )?content|read more)$/i,
+    /\bcookies?\b.*\b(accept|consent|policy|use)\b/i,
+    /^https?:\/\/\S+$/i
+];
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ' };
+
+function isPositiveInteger(value) {
+    return Number.isInteger(value) && value > 0;
+}
+
+// Check corpus options. Returns an error message or null.
+function validateCorpusOptions(options) {
+    if (!options || typeof options !== 'object' || Array.isArray(options)) return 'corpus options must be an object';
+    const choices = [
+        ['split', SPLITS],
+        ['documentSeparator', SEPARATORS],
+        ['chunkBy', CHUNK_UNITS],
+        ['normalize', NORMALIZATIONS]
+    ];
+    for (const [name, allowed] of choices) {
+        if (options[name] !== undefined && !allowed.includes(options[name])) {
+            return `${name} must be one of: ${allowed.join(', ')}`;
+        }
+    }
+    for (const name of ['stripHTML', 'stripBoilerplate']) {
+        if (options[name] !== undefined && typeof options[name] !== 'boolean') return `${name} must be true or false`;
+    }
+    if (options.language !== undefined) {
+        try {
+            Intl.getCanonicalLocales(options.language);
+        } catch (error) {
+            return `Unknown language: ${options.language}`;
+        }
+    }
+
+    if (options.chunkSize !== undefined && !isPositiveInteger(options.chunkSize)) {
+        return 'chunkSize must be a positive whole number';
+    }
+    if (options.chunkOverlap !== undefined && (!Number.isInteger(options.chunkOverlap) || options.chunkOverlap < 0)) {
+        return 'chunkOverlap must be a whole number, 0 or more';
+    }
+    const { chunkBy, chunkSize, chunkOverlap } = withDefaults(options);
+    if (chunkBy !== 'none' && chunkOverlap >= chunkSize) return 'chunkOverlap must be smaller than chunkSize';
+
+    for (const name of LIMITS) {
+        if (options[name] !== undefined && options[name] !== null && !isPositiveInteger(options[name])) {
+            return `${name} must be a positive whole number`;
+        }
+    }
+    if (options.minChars && options.maxChars && options.minChars > options.maxChars) return 'minChars is above maxChars';
+    if (options.minTokens && options.maxTokens && options.minTokens > options.maxTokens) return 'minTokens is above maxTokens';
+    return null;
+}
+
+function withDefaults(options) {
+    const merged = { ...CORPUS_DEFAULTS, ...options };
+    if (merged.chunkSize === undefined) merged.chunkSize = DEFAULT_CHUNK_SIZE[merged.chunkBy] || null;
+    return merged;
+}
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+        }
+        const decoded = HTML_ENTITIES[entity.toLowerCase()];
+        return decoded === undefined ? match : decoded;
+    });
+}
+
+// Markup to plain text: scripts, styles and comments go, block elements
+// become line breaks, other tags are dropped and entities decoded
+function stripHTML(text) {
+    return decodeEntities(text
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<(script|style|noscript|template)\b[^>]*>[\s\S]*?<\/\1\s*>/gi, '')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/?(p|div|section|article|header|footer|nav|aside|main|h[1-6]|li|ul|ol|tr|table|blockquote|pre|hr)\b[^>]*>/gi, '\n\n')
+        .replace(/<[^>]+>/g, ''));
+}
+
+// Consistent characters and whitespace: Unicode normalization, \n line
+// ends, no control or zero-width characters, single spaces, trimmed lines
+// and at most two blank lines in a row (enough to separate documents)
+function cleanText(text, normalize) {
+    let cleaned = text.replace(/\r\n?/g, '\n');
+    if (normalize !== 'none') cleaned = cleaned.normalize(normalize);
+    return cleaned
+        .replace(/[\u200b-\u200d\u2060\ufeff]/g, '')
+        .replace(/[^\S\n]+/g, ' ')
+        .replace(/[\u0000-\u0008\u000b\u000e-\u001f\u007f]/g, '')
+        .split('\n')
+        .map(line => line.trim())
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n\n');
+}
+
+function tidyDocument(text) {
+    return text.replace(/\n{3,}/g, '\n\n').trim();
+}
+
+function splitDocuments(text, separator) {
+    let parts;
+    if (separator === 'none') parts = [text];
+    else if (separator === 'line') parts = text.split('\n');
+    else if (separator === 'blank_lines') parts = text.split(/\n{3,}/);
+    else parts = text.split(/^[-=*_#~]{3,}$/m);
+    return parts.map(tidyDocument).filter(part => part !== '');
+}
+
+function isBoilerplate(line) {
+    return line.length <= BOILERPLATE_MAX_LENGTH && BOILERPLATE_PATTERNS.some(pattern => pattern.test(line));
+}
+
+// Drop boilerplate lines: ones matching common patterns (page numbers,
+// copyright, navigation, cookie notices, bare links) and short lines that
+// repeat across documents, like headers and footers. Returns
+// { documents, removedLines }.
+function stripBoilerplate(documents) {
+    const counts = new Map();
+    documents.forEach(doc => {
+        const lines = doc.split('\n').filter(line => line && line.length <= BOILERPLATE_MAX_LENGTH);
+        // Across several documents count documents, in one count lines
+        const seen = documents.length > 1 ? new Set(lines) : lines;
+        seen.forEach(line => counts.set(line, (counts.get(line) || 0) + 1));
+    });
+
+    let removedLines = 0;
+    const cleaned = documents.map(doc => tidyDocument(doc.split('\n').filter(line => {
+        if (!line) return true;
+        if (isBoilerplate(line) || (counts.get(line) || 0) >= BOILERPLATE_REPEATS) {
+            removedLines++;
+            return false;
+        }
+        return true;
+    }).join('\n'))).filter(doc => doc !== '');
+    return { documents: cleaned, removedLines };
+}
+
+// Trimmed spans of text between matches of a pattern: [{ start, end }]
+function spansBetween(text, pattern) {
+    const spans = [];
+    let last = 0;
+    const push = (start, end) => {
+        const piece = text.slice(start, end);
+        const lead = piece.length - piece.trimStart().length;
+        const trimmed = piece.trim();
+        if (trimmed) spans.push({ start: start + lead, end: start + lead + trimmed.length });
+    };
+    for (const match of text.matchAll(pattern)) {
+        push(last, match.index);
+        last = match.index + match[0].length;
+    }
+    push(last, text.length);
+    return spans;
+}
+
+function sentenceSpans(text, language) {
+    const spans = [];
+    // Sentences never run across paragraphs
+    spansBetween(text, /\n\s*\n/g).forEach(paragraph => {
+        const body = text.slice(paragraph.start, paragraph.end);
+        let parts;
+        if (typeof Intl.Segmenter === 'function') {
+            const segmenter = new Intl.Segmenter(language, { granularity: 'sentence' });
+            parts = Array.from(segmenter.segment(body), s => ({ start: s.index, end: s.index + s.segment.length }));
+        } else {
+            parts = Array.from(body.matchAll(/[^.!?]+(?:[.!?]+|$)/g), m => ({ start: m.index, end: m.index + m[0].length }));
+        }
+        parts.forEach(part => {
+            const piece = body.slice(part.start, part.end);
+            const lead = piece.length - piece.trimStart().length;
+            const trimmed = piece.trim();
+            if (trimmed) {
+                const start = paragraph.start + part.start + lead;
+                spans.push({ start, end: start + trimmed.length });
+            }
+        });
+    });
+    return spans;
+}
+
+function segmentDocument(text, split, language) {
+    if (split === 'documents') return [{ start: 0, end: text.length }];
+    if (split === 'paragraphs') return spansBetween(text, /\n\s*\n/g);
+    return sentenceSpans(text, language);
+}
+
+// Length of a span in the chunking unit
+function measure(start, end, unit) {
+    const characters = end - start;
+    return unit === 'tokens' ? Math.ceil(characters / 4) : characters;
+}
+
+// Break a span that does not fit in a chunk into words, and words that do
+// not fit into pieces of the chunk size
+function splitSpan(span, text, size, unit) {
+    if (measure(span.start, span.end, unit) <= size) return [span];
+    const maxCharacters = unit === 'tokens' ? size * 4 : size;
+    const pieces = [];
+    for (const match of text.slice(span.start, span.end).matchAll(/\S+/g)) {
+        const start = span.start + match.index;
+        const end = start + match[0].length;
+        for (let at = start; at < end; at += maxCharacters) {
+            pieces.push({ start: at, end: Math.min(at + maxCharacters, end) });
+        }
+    }
+    return pieces;
+}
+
+// Pack consecutive spans into chunks of at most `size`. Each chunk after
+// the first repeats the trailing spans of the previous one, up to
+// `overlap`; chunks always move forward by at least one span.
+function packChunks(spans, text, { size, overlap, unit }) {
+    const pieces = spans.flatMap(span => splitSpan(span, text, size, unit));
+    const chunks = [];
+    let first = 0;
+    while (first < pieces.length) {
+        let last = first;
+        while (last + 1 < pieces.length && measure(pieces[first].start, pieces[last + 1].end, unit) <= size) last++;
+        chunks.push({ start: pieces[first].start, end: pieces[last].end });
+        if (last + 1 >= pieces.length) break;
+
+        let next = last + 1;
+        while (next - 1 > first && measure(pieces[next - 1].start, pieces[last].end, unit) <= overlap) next--;
+        first = next;
+    }
+    return chunks;
+}
+
+function withinLimits(characters, tokens, options) {
+    if (options.minChars && characters < options.minChars) return 'tooShort';
+    if (options.minTokens && tokens < options.minTokens) return 'tooShort';
+    if (options.maxChars && characters > options.maxChars) return 'tooLong';
+    if (options.maxTokens && tokens > options.maxTokens) return 'tooLong';
+    return null;
+}
+
+// Prepare a text corpus with validated options. Returns { rows, summary }
+// where each row is { chunk_id, document, chunk, start, end, characters,
+// tokens, text } and document and chunk count from 1.
+function prepareCorpus(text, options = {}) {
+    const settings = withDefaults(options);
+    // Form feeds (page breaks) end a document when rules do
+    let cleaned = text.replace(/\f/g, settings.documentSeparator === 'rule' ? '\n---\n' : '\n\n');
+    if (settings.stripHTML) cleaned = stripHTML(cleaned);
+    cleaned = cleanText(cleaned, settings.normalize);
+
+    let documents = splitDocuments(cleaned, settings.documentSeparator);
+    let removedLines = 0;
+    if (settings.stripBoilerplate) {
+        ({ documents, removedLines } = stripBoilerplate(documents));
+    }
+
+    const rows = [];
+    const dropped = { tooShort: 0, tooLong: 0 };
+    let segments = 0;
+    let chunks = 0;
+    documents.forEach((doc, docIndex) => {
+        const spans = segmentDocument(doc, settings.split, settings.language);
+        segments += spans.length;
+        const pieces = settings.chunkBy === 'none'
+            ? spans
+            : packChunks(spans, doc, { size: settings.chunkSize, overlap: settings.chunkOverlap, unit: settings.chunkBy });
+        chunks += pieces.length;
+
+        pieces.forEach((piece, chunkIndex) => {
+            const passage = doc.slice(piece.start, piece.end);
+            const tokens = estimateTokens(passage);
+            const outside = withinLimits(passage.length, tokens, settings);
+            if (outside) {
+                dropped[outside]++;
+                return;
+            }
+            rows.push({
+                chunk_id: `d${docIndex + 1}-c${chunkIndex + 1}`,
+                document: docIndex + 1,
+                chunk: chunkIndex + 1,
+                start: piece.start,
+                end: piece.end,
+                characters: passage.length,
+                tokens,
+                text: passage
+            });
+        });
+    });
+
+    return {
+        rows,
+        summary: {
+            inputCharacters: text.length,
+            documents: documents.length,
+            segments,
+            chunks,
+            rows: rows.length,
+            dropped,
+            boilerplateLines: removedLines,
+            split: settings.split,
+            chunkBy: settings.chunkBy,
+            chunkSize: settings.chunkBy === 'none' ? null : settings.chunkSize,
+            chunkOverlap: settings.chunkBy === 'none' ? null : settings.chunkOverlap
+        }
+    };
+}
+
+// One line describing the preparation, for the version history
+function describeCorpus(summary) {
+    const chunking = summary.chunkBy === 'none'
+        ? ''
+        : `, ${summary.chunkSize}-${summary.chunkBy === 'tokens' ? 'token' : 'character'} chunks` +
+            (summary.chunkOverlap ? ` (overlap ${summary.chunkOverlap})` : '');
+    return `Split text into ${summary.split}${chunking}: ${summary.rows} rows from ${summary.documents} document(s)`;
+}
+
+module.exports = {
+    CORPUS_DEFAULTS,
+    validateCorpusOptions,
+    prepareCorpus,
+    describeCorpus
+};
@@ -0,0 +1,385 @@
+/**
+ * CSV parsing (RFC 4180)
+ *
+ * A character-level state machine, so quoted fields may contain delimiters,
+ * escaped quotes ("") and line breaks. Handles CRLF / LF / CR line endings
+ * and a leading UTF-8 BOM. The dialect (delimiter, quote character, header
+ * row) can be sniffed from a sample of the file and is used again on export.
+ */
+
+const CANDIDATE_DELIMITERS = [',', '\t', ';', '|'];
+const SNIFF_SAMPLE_SIZE = 64 * 1024;
+const SNIFF_MAX_RECORDS = 50;
+
+const FIELD_START = 0;
+const UNQUOTED = 1;
+const QUOTED = 2;
+const QUOTE_IN_QUOTED = 3;
+
+// Create an incremental tokenizer. Text can be written in chunks of any
+// size (e.g. from a file stream); onRecord is called with
+// { line, fields, issues } for each record, where line is the source line
+// the record started on so problems can be reported against the file.
+function createTokenizer(options, onRecord) {
+    const delimiter = options.delimiter || ',';
+    const quote = options.quote || '"';
+
+    let fields = [];
+    let field = '';
+    let state = FIELD_START;
+    let line = 1;
+    let recordLine = 1;
+    let issues = [];
+    let started = false;
+    let skipLineFeed = false;
+
+    const endField = () => {
+        fields.push(field);
+        field = '';
+        state = FIELD_START;
+    };
+
+    const endRecord = () => {
+        endField();
+        onRecord({ line: recordLine, fields, issues });
+        fields = [];
+        issues = [];
+    };
+
+    const write = chunk => {
+        let i = 0;
+        if (!started && chunk.length > 0) {
+            started = true;
+            if (chunk.charCodeAt(0) === 0xFEFF) i = 1;
+        }
+
+        for (; i < chunk.length; i++) {
+            const char = chunk[i];
+
+            // Treat CRLF as a single line break, even across chunks
+            if (skipLineFeed) {
+                skipLineFeed = false;
+                if (char === '\n') continue;
+            }
+            const isNewline = char === '\n' || char === '\r';
+            if (char === '\r') skipLineFeed = true;
+
+            if (state === QUOTED) {
+                if (char === quote) {
+                    state = QUOTE_IN_QUOTED;
+                } else {
+                    field += isNewline ? '\n' : char;
+                    if (isNewline) line++;
+                }
+                continue;
+            }
+
+            if (state === QUOTE_IN_QUOTED) {
+                if (char === quote) {
+                    // Escaped quote ("")
+                    field += quote;
+                    state = QUOTED;
+                    continue;
+                }
+                if (char !== delimiter && !isNewline) {
+                    issues.push(`Unexpected character '${char}' after closing quote in field ${fields.length + 1}`);
+                    field += char;
+                    state = UNQUOTED;
+                    continue;
+                }
+            }
+
+            if (char === delimiter) {
+                endField();
+            } else if (isNewline) {
+                // Blank lines between records are skipped
+                if (fields.length === 0 && field === '' && state === FIELD_START) {
+                    line++;
+                    recordLine = line;
+                    continue;
+                }
+                endRecord();
+                line++;
+                recordLine = line;
+            } else if (char === quote && state === FIELD_START) {
+                state = QUOTED;
+            } else {
+                field += char;
+                state = UNQUOTED;
+            }
+        }
+    };
+
+    const end = () => {
+        if (state === QUOTED) {
+            issues.push(`Unterminated quoted field ${fields.length + 1}`);
+            endRecord();
+        } else if (fields.length > 0 || field !== '' || state !== FIELD_START) {
+            endRecord();
+        }
+    };
+
+    return { write, end };
+}
+
+// Split CSV text into records
+function tokenizeCSV(content, options = {}) {
+    const records = [];
+    const tokenizer = createTokenizer(options, record => records.push(record));
+    tokenizer.write(content);
+    tokenizer.end();
+    return records;
+}
+
+// Make header names usable as object keys: blank names get a positional
+// name and duplicates get a numeric suffix.
+function normalizeHeaders(rawHeaders) {
+    const seen = new Map();
+    return rawHeaders.map((header, index) => {
+        let name = String(header).trim() || `column_${index + 1}`;
+        if (seen.has(name)) {
+            let suffix = seen.get(name) + 1;
+            while (seen.has(`${name}_${suffix}`)) suffix++;
+            seen.set(name, suffix);
+            name = `${name}_${suffix}`;
+        }
+        seen.set(name, 1);
+        return name;
+    });
+}
+
+// Create a builder that turns tokenized records into row objects.
+// onRow receives each row; onError receives { line, reason, skipped } for
+// rows that were skipped or repaired.
+function createRowBuilder(options, onRow, onError) {
+    const hasHeader = options.header !== false;
+    let headers = null;
+    let width = 0;
+
+    const addRecord = record => {
+        if (headers === null) {
+            width = record.fields.length;
+            headers = hasHeader
+                ? normalizeHeaders(record.fields)
+                : record.fields.map((_, index) => `column_${index + 1}`);
+
+            if (hasHeader) {
+                if (record.issues.length > 0) {
+                    onError({ line: record.line, reason: record.issues.join('; '), skipped: false });
+                }
+                return;
+            }
+        }
+
+        if (record.issues.length > 0) {
+            onError({ line: record.line, reason: record.issues.join('; '), skipped: true });
+            return;
+        }
+
+        const values = record.fields;
+        if (values.length > width) {
+            onError({
+                line: record.line,
+                reason: `Expected ${width} fields but found ${values.length}`,
+                skipped: true
+            });
+            return;
+        }
+        if (values.length < width) {
+            onError({
+                line: record.line,
+                reason: `Expected ${width} fields but found ${values.length}; missing values left empty`,
+                skipped: false
+            });
+        }
+
+        const row = {};
+        headers.forEach((header, index) => {
+            row[header] = values[index] !== undefined ? values[index] : '';
+        });
+        onRow(row);
+    };
+
+    return {
+        addRecord,
+        getHeaders: () => headers || []
+    };
+}
+
+// Create a streaming CSV parser: write() text chunks, then end().
+function createCSVParser(options, onRow, onError) {
+    const builder = createRowBuilder(options, onRow, onError);
+    const tokenizer = createTokenizer(options, builder.addRecord);
+    return {
+        write: tokenizer.write,
+        end: tokenizer.end,
+        getHeaders: builder.getHeaders
+    };
+}
+
+// Parse CSV text into an array of row objects.
+// Returns { headers, data, errors } where errors lists rows that were
+// skipped or repaired, with the source line number and the reason.
+function parseCSV(content, options = {}) {
+    const data = [];
+    const errors = [];
+    const parser = createCSVParser(options, row => data.push(row), error => errors.push(error));
+    parser.write(content);
+    parser.end();
+    return { headers: parser.getHeaders(), data, errors };
+}
+
+// Take a sample from the start of the file, cut back to the last complete line
+function sampleLines(content) {
+    let sample = content.charCodeAt(0) === 0xFEFF ? content.slice(1) : content;
+    if (sample.length > SNIFF_SAMPLE_SIZE) {
+        sample = sample.slice(0, SNIFF_SAMPLE_SIZE);
+        const lastBreak = Math.max(sample.lastIndexOf('\n'), sample.lastIndexOf('\r'));
+        if (lastBreak > 0) sample = sample.slice(0, lastBreak);
+    }
+    return sample;
+}
+
+// Guess the quote character: single quotes are only used when they wrap
+// fields and double quotes never appear.
+function detectQuote(sample, delimiter) {
+    if (sample.includes('"')) return '"';
+
+    const escaped = delimiter.replace(/[|\\]/g, '\\$&');
+    const singleQuoted = new RegExp(`(^|${escaped}|\\n)'[^']*'(?=${escaped}|\\r|\\n|$)`);
+    return singleQuoted.test(sample) ? "'" : '"';
+}
+
+// Score a delimiter by how consistently it splits the sample into the same
+// number of (more than one) fields.
+function scoreDelimiter(sample, delimiter, quote) {
+    const records = tokenizeCSV(sample, { delimiter, quote }).slice(0, SNIFF_MAX_RECORDS);
+    if (records.length === 0) return { score: 0, fields: 0 };
+
+    const counts = new Map();
+    records.forEach(r => counts.set(r.fields.length, (counts.get(r.fields.length) || 0) + 1));
+
+    let modeFields = 0;
+    let modeCount = 0;
+    counts.forEach((count, fields) => {
+        if (count > modeCount || (count === modeCount && fields > modeFields)) {
+            modeFields = fields;
+            modeCount = count;
+        }
+    });
+
+    if (modeFields < 2) return { score: 0, fields: modeFields };
+    return { score: modeCount / records.length, fields: modeFields };
+}
+
+function isNumeric(value) {
+    const trimmed = String(value).trim();
+    return trimmed !== '' && !isNaN(Number(trimmed));
+}
+
+// Decide whether the first record is a header row, in the spirit of
+// Python's csv.Sniffer.has_header: compare each header cell with the
+// values below it and let the columns vote.
+function detectHeader(records) {
+    if (records.length < 2) return true;
+
+    const first = records[0].fields;
+    const body = records.slice(1, SNIFF_MAX_RECORDS).map(r => r.fields);
+
+    let votes = 0;
+    first.forEach((cell, index) => {
+        const column = body.map(fields => fields[index]).filter(v => v !== undefined && v !== '');
+        if (column.length === 0 || cell.trim() === '') return;
+
+        if (column.every(isNumeric)) {
+            votes += isNumeric(cell) ? -1 : 1;
+            return;
+        }
+
+        const lengths = new Set(column.map(v => v.length));
+        if (lengths.size === 1) {
+            votes += lengths.has(cell.length) ? -1 : 1;
+        }
+    });
+
+    return votes >= 0;
+}
+
+// Sniff the dialect of a delimited file.
+// Returns { delimiter, quote, header }.
+function detectDialect(content) {
+    const sample = sampleLines(content);
+
+    let best = { delimiter: ',', score: 0, fields: 0 };
+    for (const delimiter of CANDIDATE_DELIMITERS) {
+        const quote = detectQuote(sample, delimiter);
+        const { score, fields } = scoreDelimiter(sample, delimiter, quote);
+        if (score > best.score || (score === best.score && fields > best.fields)) {
+            best = { delimiter, score, fields };
+        }
+    }
+
+    const quote = detectQuote(sample, best.delimiter);
+    const records = tokenizeCSV(sample, { delimiter: best.delimiter, quote }).slice(0, SNIFF_MAX_RECORDS);
+
+    return {
+        delimiter: best.delimiter,
+        quote,
+        header: detectHeader(records)
+    };
+}
+
+// Format one record of values as a CSV line (without the line terminator)
+function formatCSVLine(values, dialect = {}) {
+    const delimiter = dialect.delimiter || ',';
+    const quote = dialect.quote || '"';
+    const formatValue = value => {
+        if (value === null || value === undefined) return '';
+        const str = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        // Quote values containing the delimiter, quotes, line breaks or edge whitespace
+        if (str.includes(delimiter) || str.includes(quote) || /[\r\n]/.test(str) || str !== str.trim()) {
+            return quote + str.split(quote).join(quote + quote) + quote;
+        }
+        return str;
+    };
+    return values.map(formatValue).join(delimiter);
+}
+
+// Convert an array of row objects back to delimited text using the given
+// dialect. Columns are the union of keys across all rows.
+function stringifyCSV(data, dialect = {}) {
+    if (!Array.isArray(data) || data.length === 0) return '';
+
+    const lineTerminator = dialect.lineTerminator || '\n';
+
+    const headers = [];
+    const seen = new Set();
+    for (const row of data) {
+        for (const key of Object.keys(row || {})) {
+            if (!seen.has(key)) {
+                seen.add(key);
+                headers.push(key);
+            }
+        }
+    }
+
+    const lines = [];
+    if (dialect.header !== false) {
+        lines.push(formatCSVLine(headers, dialect));
+    }
+    for (const row of data) {
+        lines.push(formatCSVLine(headers.map(h => (row ? row[h] : '')), dialect));
+    }
+
+    return lines.join(lineTerminator);
+}
+
+module.exports = {
+    tokenizeCSV,
+    normalizeHeaders,
+    createCSVParser,
+    parseCSV,
+    detectDialect,
+    formatCSVLine,
+    stringifyCSV
+};
@@ -0,0 +1,271 @@
+/**
+ * On-disk dataset store
+ *
+ * Uploaded and processed datasets live under uploads/datasets/<id>/ as
+ * rows.jsonl (one row per line) plus meta.json. Clients refer to a dataset
+ * by ID and read it a page at a time, so large files never have to travel
+ * through the browser. Non-tabular content (text, JSON documents) is kept
+ * in document.json instead of rows.jsonl.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const { once } = require('events');
+const { coerceRows } = require('./schema');
+
+const DATASET_ROOT = path.join('uploads', 'datasets');
+// Rows between entries in the byte-offset index used for paging
+const INDEX_INTERVAL = 1000;
+const ID_PATTERN = /^ds_\d+_[a-f0-9]{8}$/;
+// Uploads whose values arrive as text and are converted to the schema's
+// types when read; JSON sources and processed versions keep their own types
+const UNTYPED_TYPES = new Set(['csv', 'xlsx']);
+
+function createDatasetId() {
+    return `ds_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+}
+
+function isDatasetId(id) {
+    return typeof id === 'string' && ID_PATTERN.test(id);
+}
+
+function datasetDir(id) {
+    return path.join(DATASET_ROOT, id);
+}
+
+function writeMeta(meta) {
+    fs.writeFileSync(path.join(datasetDir(meta.id), 'meta.json'), JSON.stringify(meta, null, 2));
+}
+
+// Create a writer for a new tabular dataset. Rows are appended with
+// write(row) (await it to respect back-pressure) and the dataset becomes
+// visible once finish(meta) has written its metadata.
+function createDatasetWriter(baseMeta = {}) {
+    const id = createDatasetId();
+    const dir = datasetDir(id);
+    fs.mkdirSync(dir, { recursive: true });
+
+    const stream = fs.createWriteStream(path.join(dir, 'rows.jsonl'));
+    const index = [];
+    let rowCount = 0;
+    let bytes = 0;
+
+    const write = async row => {
+        if (rowCount % INDEX_INTERVAL === 0) index.push(bytes);
+        const line = JSON.stringify(row) + '\n';
+        bytes += Buffer.byteLength(line);
+        rowCount++;
+        if (!stream.write(line)) {
+            await once(stream, 'drain');
+        }
+    };
+
+    const finish = async (extraMeta = {}) => {
+        stream.end();
+        await once(stream, 'finish');
+
+        const meta = {
+            ...baseMeta,
+            ...extraMeta,
+            id,
+            tabular: true,
+            rowCount,
+            bytes,
+            index,
+            createdAt: new Date().toISOString()
+        };
+        writeMeta(meta);
+        return meta;
+    };
+
+    const abort = () => {
+        stream.destroy();
+        fs.rmSync(dir, { recursive: true, force: true });
+    };
+
+    return { id, write, finish, abort };
+}
+
+// Save an in-memory value as a dataset: arrays of rows are stored as rows,
+// anything else (text, JSON documents) as a single document.
+async function saveDataset(data, meta = {}) {
+    if (Array.isArray(data)) {
+        const writer = createDatasetWriter(meta);
+        try {
+            for (const row of data) {
+                await writer.write(row);
+            }
+            return await writer.finish();
+        } catch (error) {
+            writer.abort();
+            throw error;
+        }
+    }
+
+    const id = createDatasetId();
+    fs.mkdirSync(datasetDir(id), { recursive: true });
+    const content = JSON.stringify(data);
+    fs.writeFileSync(path.join(datasetDir(id), 'document.json'), content);
+
+    const full = {
+        ...meta,
+        id,
+        tabular: false,
+        rowCount: 0,
+        bytes: Buffer.byteLength(content),
+        createdAt: new Date().toISOString()
+    };
+    writeMeta(full);
+    return full;
+}
+
+// Mark a dataset as used now; pruning goes by the directory's mtime
+function touchDataset(id) {
+    const now = new Date();
+    try {
+        fs.utimesSync(datasetDir(id), now, now);
+    } catch (error) {
+        // Removed in the meantime
+    }
+}
+
+// Read a dataset's metadata, or null if it does not exist
+function getMeta(id) {
+    if (!isDatasetId(id)) return null;
+    try {
+        return JSON.parse(fs.readFileSync(path.join(datasetDir(id), 'meta.json'), 'utf-8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+// Read rows in batches of up to batchSize, so a whole dataset can be
+// streamed without holding it in memory. Rows of untyped uploads are
+// coerced to the dataset schema.
+async function* iterateRows(id, { offset = 0, limit = Infinity, batchSize = INDEX_INTERVAL } = {}) {
+    const meta = getMeta(id);
+    if (!meta || !meta.tabular) return;
+    touchDataset(id);
+    if (limit <= 0 || offset >= meta.rowCount) return;
+
+    // Jump to the nearest indexed position before the requested offset
+    const slot = Math.min(Math.floor(offset / INDEX_INTERVAL), meta.index.length - 1);
+    const start = meta.index[slot];
+    let position = slot * INDEX_INTERVAL;
+    let remaining = limit;
+    const typed = rows => (UNTYPED_TYPES.has(meta.type) ? coerceRows(rows, meta.schema) : rows);
+
+    const stream = fs.createReadStream(path.join(datasetDir(id), 'rows.jsonl'), { start, encoding: 'utf-8' });
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+
+    try {
+        let batch = [];
+        for await (const line of lines) {
+            if (position >= offset) {
+                batch.push(JSON.parse(line));
+                remaining--;
+                if (batch.length >= batchSize || remaining <= 0) {
+                    yield typed(batch);
+                    batch = [];
+                }
+                if (remaining <= 0) break;
+            }
+            position++;
+        }
+        if (batch.length > 0) yield typed(batch);
+    } finally {
+        lines.close();
+        stream.destroy();
+    }
+}
+
+// Read a page of rows
+async function readRows(id, { offset = 0, limit = Infinity } = {}) {
+    const rows = [];
+    for await (const batch of iterateRows(id, { offset, limit })) {
+        rows.push(...batch);
+    }
+    return rows;
+}
+
+// Load a whole dataset into memory: rows for tabular data, otherwise the
+// stored document. Returns { meta, data } or null if it does not exist.
+async function loadDataset(id) {
+    const meta = getMeta(id);
+    if (!meta) return null;
+
+    if (meta.tabular) {
+        return { meta, data: await readRows(id) };
+    }
+
+    touchDataset(id);
+    const content = fs.readFileSync(path.join(datasetDir(id), 'document.json'), 'utf-8');
+    return { meta, data: JSON.parse(content) };
+}
+
+// Every version derived from the same upload as `id`: the upload itself and
+// the datasets processed from it (linked by parentId), oldest first.
+// Returns { rootId, versions } with each version's metadata, or null.
+function listVersions(id) {
+    const meta = getMeta(id);
+    if (!meta) return null;
+
+    const rootId = meta.rootId || meta.id;
+    const versions = fs.readdirSync(DATASET_ROOT)
+        .map(getMeta)
+        .filter(other => other && (other.id === rootId || other.rootId === rootId))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a.id.localeCompare(b.id));
+    return { rootId, versions };
+}
+
+function deleteDataset(id) {
+    if (!getMeta(id)) return false;
+    fs.rmSync(datasetDir(id), { recursive: true, force: true });
+    return true;
+}
+
+// Remove datasets that have not been used for maxAgeMs. An upload and the
+// versions made from it go together, once none of them has been read or
+// created within that time, so a history is never left without its root.
+// Returns the number removed.
+function pruneDatasets(maxAgeMs) {
+    if (!fs.existsSync(DATASET_ROOT)) return 0;
+
+    // Most recent use of each version family
+    const families = new Map();
+    for (const id of fs.readdirSync(DATASET_ROOT)) {
+        const meta = getMeta(id);
+        const family = meta ? meta.rootId || meta.id : id;
+        const usedAt = fs.statSync(datasetDir(id)).mtimeMs;
+        const entry = families.get(family) || { ids: [], usedAt: 0 };
+        entry.ids.push(id);
+        entry.usedAt = Math.max(entry.usedAt, usedAt);
+        families.set(family, entry);
+    }
+
+    let removed = 0;
+    const cutoff = Date.now() - maxAgeMs;
+    for (const { ids, usedAt } of families.values()) {
+        if (usedAt >= cutoff) continue;
+        for (const id of ids) {
+            fs.rmSync(datasetDir(id), { recursive: true, force: true });
+            removed++;
+        }
+    }
+    return removed;
+}
+
+module.exports = {
+    isDatasetId,
+    createDatasetWriter,
+    saveDataset,
+    getMeta,
+    iterateRows,
+    readRows,
+    loadDataset,
+    listVersions,
+    deleteDataset,
+    pruneDatasets
+};
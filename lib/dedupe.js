@@ -0,0 +1,323 @@
+/**
+ * Near-duplicate detection
+ *
+ * Finds rows that are copies of each other up to small differences. Text
+ * columns are compared by the Jaccard similarity of their character
+ * shingles, estimated with MinHash signatures; locality-sensitive hashing
+ * (LSH) splits the signatures into bands so that only rows sharing a band
+ * are compared. Key columns are compared after normalization (case,
+ * accents, punctuation and spacing are ignored, and numbers compare by
+ * value). When both are given, rows must have the same key and similar
+ * text. Matching rows are joined into clusters, and one row of each
+ * cluster is proposed as the one to keep.
+ */
+
+const DEFAULT_THRESHOLD = 0.8;
+// Characters per shingle
+const SHINGLE_SIZE = 5;
+const NUM_HASHES = 128;
+const KEEPER_RULES = ['most_complete', 'first', 'longest'];
+
+function isEmpty(value) {
+    return value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+}
+
+// Lowercase text without accents, punctuation or repeated spaces
+function normalizeText(value) {
+    if (isEmpty(value)) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return text
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+function normalizeKeyValue(value) {
+    if (typeof value === 'number') return String(value);
+    if (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) {
+        return String(Number(value));
+    }
+    return normalizeText(value);
+}
+
+function checkColumnList(name, value, columns) {
+    if (!Array.isArray(value) || value.some(column => typeof column !== 'string' || column === '')) {
+        return `${name} must be a list of column names`;
+    }
+    const unknown = value.filter(column => !columns.includes(column));
+    return unknown.length > 0 ? `Unknown column(s): ${unknown.join(', ')}` : null;
+}
+
+// Check detection options against the dataset's columns. Returns an error
+// message or null.
+function validateDedupeOptions(options, columns) {
+    if (!options || typeof options !== 'object' || Array.isArray(options)) return 'Options must be an object';
+    const textColumns = options.textColumns || [];
+    const keyColumns = options.keyColumns || [];
+    const problem = checkColumnList('textColumns', textColumns, columns) ||
+        checkColumnList('keyColumns', keyColumns, columns);
+    if (problem) return problem;
+    if (textColumns.length === 0 && keyColumns.length === 0) {
+        return 'Choose text columns, key columns or both';
+    }
+    if (options.threshold !== undefined &&
+        (typeof options.threshold !== 'number' || !(options.threshold > 0 && options.threshold <= 1))) {
+        return 'threshold must be a number above 0 and at most 1';
+    }
+    if (options.keeper !== undefined && !KEEPER_RULES.includes(options.keeper)) {
+        return `keeper must be one of: ${KEEPER_RULES.join(', ')}`;
+    }
+    return null;
+}
+
+// 32-bit FNV-1a hash of a string
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Murmur3 finalizer: spreads the bits of a 32-bit value
+function mix(value) {
+    let h = value;
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return h >>> 0;
+}
+
+// Fixed seeds so that the same data always gives the same clusters
+const SEEDS = Array.from({ length: NUM_HASHES }, (_, i) => mix(0x9e3779b9 + i * 0x632be5ab));
+
+function shingles(text) {
+    const set = new Set();
+    if (text.length <= SHINGLE_SIZE) {
+        set.add(hashString(text));
+        return set;
+    }
+    for (let i = 0; i + SHINGLE_SIZE <= text.length; i++) {
+        set.add(hashString(text.slice(i, i + SHINGLE_SIZE)));
+    }
+    return set;
+}
+
+function minhash(shingleSet) {
+    const signature = new Uint32Array(NUM_HASHES).fill(0xffffffff);
+    shingleSet.forEach(shingle => {
+        for (let i = 0; i < NUM_HASHES; i++) {
+            const value = mix(shingle ^ SEEDS[i]);
+            if (value < signature[i]) signature[i] = value;
+        }
+    });
+    return signature;
+}
+
+// Share of equal signature positions: an estimate of the Jaccard similarity
+function similarity(a, b) {
+    let same = 0;
+    for (let i = 0; i < NUM_HASHES; i++) {
+        if (a[i] === b[i]) same++;
+    }
+    return same / NUM_HASHES;
+}
+
+// Rows per band: the most that still lets pairs somewhat below the
+// threshold become candidates. A pair of similarity s shares a band with
+// probability 1 - (1 - s^rows)^bands.
+function bandRows(threshold) {
+    let rows = 1;
+    for (let r = 2; r <= NUM_HASHES; r *= 2) {
+        if (Math.pow(r / NUM_HASHES, 1 / r) <= threshold * 0.9) rows = r;
+    }
+    return rows;
+}
+
+function filledCells(row) {
+    return Object.values(row).filter(value => !isEmpty(value)).length;
+}
+
+function textLength(row, columns) {
+    return columns.reduce((sum, name) => sum + (isEmpty(row[name]) ? 0 : String(row[name]).length), 0);
+}
+
+// The row of a cluster proposed for keeping
+function chooseKeeper(rows, members, rule, textColumns) {
+    if (rule === 'first') return members[0];
+    const allColumns = textColumns.length > 0 ? textColumns : Object.keys(rows[members[0]]);
+    const score = index => (rule === 'longest'
+        ? [textLength(rows[index], allColumns), filledCells(rows[index])]
+        : [filledCells(rows[index]), textLength(rows[index], allColumns)]);
+    return members.reduce((best, index) => {
+        const [a1, a2] = score(index);
+        const [b1, b2] = score(best);
+        return a1 > b1 || (a1 === b1 && a2 > b2) ? index : best;
+    });
+}
+
+// Find clusters of near-duplicate rows. Returns { clusters, summary } where
+// each cluster is { id, keep, rows: [{ index, similarity }] } and similarity
+// is the row's estimated similarity to the kept row.
+//
+// Rows are taken in order and each joins the most similar earlier cluster
+// leader at or above the threshold, or leads a new cluster. Comparing with
+// leaders rather than with any member keeps chains of small differences
+// (A like B, B like C, ...) from growing into one huge cluster.
+function findDuplicates(rows, options) {
+    const textColumns = options.textColumns || [];
+    const keyColumns = options.keyColumns || [];
+    const threshold = options.threshold || DEFAULT_THRESHOLD;
+    const rule = options.keeper || 'most_complete';
+
+    // Rows without a key (or without text) cannot match anything
+    const keys = rows.map(row => {
+        if (keyColumns.length === 0) return '';
+        const values = keyColumns.map(name => normalizeKeyValue(row[name]));
+        return values.every(value => value === '') ? null : JSON.stringify(values);
+    });
+    const signatures = rows.map((row, index) => {
+        if (textColumns.length === 0 || keys[index] === null) return null;
+        const text = normalizeText(textColumns.map(name => normalizeText(row[name])).join(' '));
+        return text ? minhash(shingles(text)) : null;
+    });
+
+    const perBand = bandRows(threshold);
+    const bands = NUM_HASHES / perBand;
+    // Bucket key → leaders; with text, one bucket per band of the signature
+    const buckets = new Map();
+    const members = new Map();
+    let comparisons = 0;
+
+    rows.forEach((row, index) => {
+        if (keys[index] === null) return;
+        let leader = null;
+
+        if (textColumns.length === 0) {
+            // Key matching alone: rows with equal keys share one bucket
+            leader = buckets.has(keys[index]) ? buckets.get(keys[index]) : null;
+            if (leader === null) buckets.set(keys[index], index);
+        } else {
+            const signature = signatures[index];
+            if (!signature) return;
+            const bucketKeys = [];
+            const candidates = new Set();
+            for (let band = 0; band < bands; band++) {
+                const part = Array.from(signature.subarray(band * perBand, (band + 1) * perBand)).join(',');
+                const bucketKey = `${keys[index]}|${band}|${part}`;
+                bucketKeys.push(bucketKey);
+                (buckets.get(bucketKey) || []).forEach(other => candidates.add(other));
+            }
+            let best = threshold;
+            candidates.forEach(other => {
+                comparisons++;
+                const score = similarity(signature, signatures[other]);
+                if (score >= best) {
+                    // Ties go to the earlier leader
+                    if (score > best || leader === null || other < leader) leader = other;
+                    best = score;
+                }
+            });
+            if (leader === null) {
+                bucketKeys.forEach(bucketKey => {
+                    if (!buckets.has(bucketKey)) buckets.set(bucketKey, []);
+                    buckets.get(bucketKey).push(index);
+                });
+            }
+        }
+
+        if (leader === null) members.set(index, [index]);
+        else members.get(leader).push(index);
+    });
+
+    const clusters = [];
+    members.forEach(indices => {
+        if (indices.length < 2) return;
+        const keep = chooseKeeper(rows, indices, rule, textColumns);
+        clusters.push({
+            id: clusters.length,
+            keep,
+            rows: indices.map(index => ({
+                index,
+                similarity: signatures[index] && signatures[keep]
+                    ? Number(similarity(signatures[index], signatures[keep]).toFixed(3))
+                    : 1
+            }))
+        });
+    });
+
+    const duplicateRows = clusters.reduce((sum, cluster) => sum + cluster.rows.length - 1, 0);
+    return {
+        clusters,
+        summary: {
+            rows: rows.length,
+            clusters: clusters.length,
+            rowsInClusters: duplicateRows + clusters.length,
+            duplicateRows,
+            threshold,
+            textColumns,
+            keyColumns,
+            keeper: rule,
+            bands: textColumns.length > 0 ? bands : 0,
+            rowsPerBand: textColumns.length > 0 ? perBand : 0,
+            comparisons
+        }
+    };
+}
+
+// Check the rows chosen for keeping: { clusterId: [row index, ...] }, each
+// a non-empty subset of that cluster, or 'all' for a cluster that is not
+// made of duplicates. Returns an error message or null.
+function validateKeep(keep, clusters) {
+    if (keep === undefined || keep === null) return null;
+    if (typeof keep !== 'object' || Array.isArray(keep)) return 'keep must map cluster IDs to the rows to keep';
+    for (const [id, indices] of Object.entries(keep)) {
+        const cluster = clusters[Number(id)];
+        if (!cluster || String(cluster.id) !== id) return `Unknown cluster: ${id}`;
+        if (indices === 'all') continue;
+        if (!Array.isArray(indices) || indices.length === 0) return `Cluster ${id} must keep at least one row`;
+        const members = new Set(cluster.rows.map(row => row.index));
+        const outside = indices.filter(index => !members.has(index));
+        if (outside.length > 0) return `Row(s) ${outside.join(', ')} are not in cluster ${id}`;
+    }
+    return null;
+}
+
+// Drop every clustered row that is not kept. Clusters without a choice
+// keep their proposed row. Returns { data, summary }.
+function removeDuplicates(rows, clusters, keep = {}) {
+    const removed = new Set();
+    let keptWhole = 0;
+    clusters.forEach(cluster => {
+        const choice = keep[cluster.id] || [cluster.keep];
+        const chosen = new Set(choice === 'all' ? cluster.rows.map(row => row.index) : choice);
+        if (chosen.size === cluster.rows.length) keptWhole++;
+        cluster.rows.forEach(row => {
+            if (!chosen.has(row.index)) removed.add(row.index);
+        });
+    });
+    return {
+        data: rows.filter((row, index) => !removed.has(index)),
+        summary: {
+            rowsBefore: rows.length,
+            rowsAfter: rows.length - removed.size,
+            removed: removed.size,
+            clusters: clusters.length,
+            clustersKeptWhole: keptWhole
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_THRESHOLD,
+    KEEPER_RULES,
+    validateDedupeOptions,
+    findDuplicates,
+    validateKeep,
+    removeDuplicates
+};
@@ -0,0 +1,254 @@
+/**
+ * Row and cell level differences between two versions of a dataset
+ *
+ * Rows are aligned either by a key column or by position. Aligned rows
+ * whose values differ are "modified" (with the changed cells listed),
+ * target rows without a partner are "added" and base rows without one
+ * "removed". Columns are compared by name. A review can reject any of
+ * these changes and mergeDiff() builds the accepted result.
+ */
+
+function columnsOf(rows) {
+    const names = [];
+    const seen = new Set();
+    for (const row of rows) {
+        for (const name of Object.keys(row || {})) {
+            if (!seen.has(name)) {
+                seen.add(name);
+                names.push(name);
+            }
+        }
+    }
+    return names;
+}
+
+function isMissing(value) {
+    return value === null || value === undefined || value === '';
+}
+
+// Values are the same if both are missing or they print the same, so a
+// number re-inferred from "42" does not count as a change
+function sameValue(a, b) {
+    if (isMissing(a) || isMissing(b)) return isMissing(a) && isMissing(b);
+    if (typeof a === 'object' || typeof b === 'object') return JSON.stringify(a) === JSON.stringify(b);
+    return String(a) === String(b);
+}
+
+function keyOf(row, key) {
+    const value = row ? row[key] : undefined;
+    return isMissing(value) ? null : String(value);
+}
+
+// Pair base and target rows by key. Returns [{ base, target }] (indexes or
+// null) in target order, with removed base rows placed after the base row
+// they followed.
+function alignByKey(base, target, key) {
+    const queues = new Map();
+    base.forEach((row, index) => {
+        const value = keyOf(row, key);
+        if (value === null) return;
+        if (!queues.has(value)) queues.set(value, []);
+        queues.get(value).push(index);
+    });
+
+    // Repeated keys are matched in order of appearance
+    const partner = new Array(target.length).fill(null);
+    const matched = new Set();
+    target.forEach((row, index) => {
+        const queue = queues.get(keyOf(row, key));
+        if (queue && queue.length > 0) {
+            partner[index] = queue.shift();
+            matched.add(partner[index]);
+        }
+    });
+
+    const removedAfter = new Map();
+    let previous = -1;
+    base.forEach((row, index) => {
+        if (matched.has(index)) {
+            previous = index;
+            return;
+        }
+        if (!removedAfter.has(previous)) removedAfter.set(previous, []);
+        removedAfter.get(previous).push({ base: index, target: null });
+    });
+
+    const pairs = [...(removedAfter.get(-1) || [])];
+    target.forEach((row, index) => {
+        pairs.push({ base: partner[index], target: index });
+        if (partner[index] !== null) pairs.push(...(removedAfter.get(partner[index]) || []));
+    });
+    return pairs;
+}
+
+function alignByPosition(base, target) {
+    const pairs = [];
+    for (let index = 0; index < Math.max(base.length, target.length); index++) {
+        pairs.push({
+            base: index < base.length ? index : null,
+            target: index < target.length ? index : null
+        });
+    }
+    return pairs;
+}
+
+// Compare two lists of rows. `key` names the column to align rows by;
+// without it rows are aligned by position. Returns { key, columns, summary,
+// changes, pairs } where changes lists every row that is not unchanged, each
+// with an `id` that reviews use to reject it, and pairs is the alignment
+// mergeDiff() needs.
+function diffRows(base, target, { key = null } = {}) {
+    const baseColumns = columnsOf(base);
+    const targetColumns = columnsOf(target);
+    if (key && (!baseColumns.includes(key) || !targetColumns.includes(key))) {
+        throw new Error(`Key column "${key}" must exist in both versions`);
+    }
+
+    const columns = {
+        added: targetColumns.filter(name => !baseColumns.includes(name)),
+        removed: baseColumns.filter(name => !targetColumns.includes(name)),
+        common: targetColumns.filter(name => baseColumns.includes(name))
+    };
+
+    const pairs = key ? alignByKey(base, target, key) : alignByPosition(base, target);
+    const summary = {
+        rowsAdded: 0,
+        rowsRemoved: 0,
+        rowsModified: 0,
+        rowsUnchanged: 0,
+        cellsModified: 0,
+        columnsAdded: columns.added.length,
+        columnsRemoved: columns.removed.length
+    };
+    const changes = [];
+
+    pairs.forEach((pair, id) => {
+        const before = pair.base === null ? null : base[pair.base];
+        const after = pair.target === null ? null : target[pair.target];
+        const change = {
+            id,
+            baseIndex: pair.base,
+            targetIndex: pair.target,
+            key: key ? keyOf(after || before, key) : null
+        };
+
+        if (!before) {
+            summary.rowsAdded++;
+            changes.push({ ...change, type: 'added', after });
+        } else if (!after) {
+            summary.rowsRemoved++;
+            changes.push({ ...change, type: 'removed', before });
+        } else {
+            const cells = columns.common.filter(name => !sameValue(before[name], after[name]));
+            if (cells.length === 0) {
+                summary.rowsUnchanged++;
+                return;
+            }
+            summary.rowsModified++;
+            summary.cellsModified += cells.length;
+            changes.push({
+                ...change,
+                type: 'modified',
+                cells: cells.map(column => ({ column, before: before[column], after: after[column] })),
+                before,
+                after
+            });
+        }
+    });
+
+    return { key, columns, summary, changes, pairs };
+}
+
+// Build the reviewed dataset: the target with rejected changes undone.
+// `reject` holds row change ids (`rows`), cell changes as
+// { row, column } (`cells`) and column names (`columns`). Rejecting an
+// added row leaves it out, a removed row brings it back and a modified row
+// gets all its changed cells back from the base.
+function mergeDiff(base, target, diff, reject = {}) {
+    const rejectedRows = new Set(reject.rows || []);
+    const rejectedCells = new Set((reject.cells || []).map(cell => `${cell.row}\u0000${cell.column}`));
+    const rejectedColumns = new Set(reject.columns || []);
+
+    const keptAdded = diff.columns.added.filter(name => !rejectedColumns.has(name));
+    const droppedAdded = diff.columns.added.filter(name => rejectedColumns.has(name));
+    const restored = diff.columns.removed.filter(name => rejectedColumns.has(name));
+    const order = [...columnsOf(target).filter(name => !droppedAdded.includes(name)), ...restored];
+    const shape = values => {
+        const row = {};
+        order.forEach(name => {
+            row[name] = values[name] === undefined ? null : values[name];
+        });
+        return row;
+    };
+
+    const rows = [];
+    diff.pairs.forEach((pair, id) => {
+        const before = pair.base === null ? null : base[pair.base];
+        const after = pair.target === null ? null : target[pair.target];
+
+        if (!before) {
+            if (!rejectedRows.has(id)) rows.push(shape(after));
+        } else if (!after) {
+            // Rejecting a removal brings the row back
+            if (rejectedRows.has(id)) {
+                const values = { ...before };
+                keptAdded.forEach(name => {
+                    values[name] = null;
+                });
+                rows.push(shape(values));
+            }
+        } else {
+            const values = { ...after };
+            const wholeRow = rejectedRows.has(id);
+            diff.columns.common.forEach(name => {
+                if (wholeRow || rejectedCells.has(`${id}\u0000${name}`)) values[name] = before[name];
+            });
+            restored.forEach(name => {
+                values[name] = before[name];
+            });
+            rows.push(shape(values));
+        }
+    });
+    return rows;
+}
+
+// How many of a review's rejections match a change in the diff, so ids
+// and cells that changed nothing are not reported as undone
+function countRejected(diff, reject = {}) {
+    const byId = new Map(diff.changes.map(change => [change.id, change]));
+    const rows = (reject.rows || []).filter(id => byId.has(id)).length;
+    const cells = (reject.cells || []).filter(cell => {
+        const change = byId.get(cell.row);
+        return change && change.type === 'modified' && change.cells.some(c => c.column === cell.column);
+    }).length;
+    const changedColumns = [...diff.columns.added, ...diff.columns.removed];
+    const columns = (reject.columns || []).filter(name => changedColumns.includes(name)).length;
+    return rows + cells + columns;
+}
+
+// Check a review's rejections. Returns an error message or null.
+function validateReject(reject) {
+    if (reject === undefined) return null;
+    if (!reject || typeof reject !== 'object' || Array.isArray(reject)) return 'reject must be an object';
+    if (reject.rows !== undefined && (!Array.isArray(reject.rows) || !reject.rows.every(Number.isInteger))) {
+        return 'reject.rows must be a list of change ids';
+    }
+    if (reject.cells !== undefined && (!Array.isArray(reject.cells) ||
+        !reject.cells.every(cell => cell && Number.isInteger(cell.row) && typeof cell.column === 'string'))) {
+        return 'reject.cells must be a list of { row, column }';
+    }
+    if (reject.columns !== undefined && (!Array.isArray(reject.columns) ||
+        !reject.columns.every(name => typeof name === 'string'))) {
+        return 'reject.columns must be a list of column names';
+    }
+    return null;
+}
+
+module.exports = {
+    columnsOf,
+    sameValue,
+    diffRows,
+    mergeDiff,
+    countRejected,
+    validateReject
+};
@@ -0,0 +1,116 @@
+/**
+ * Character encoding detection and conversion
+ *
+ * Uploads are sniffed for a byte order mark, then checked with heuristics:
+ * zero-byte patterns for BOM-less UTF-16, strict UTF-8 validation, and a
+ * single-byte fallback for Latin-1 / Windows-1252 exports from Excel.
+ */
+
+const fs = require('fs');
+const iconv = require('iconv-lite');
+
+// Bytes examined when guessing the encoding
+const DETECT_BYTES = 4 * 1024 * 1024;
+
+// Encodings offered in the UI; anything iconv-lite knows is accepted
+const COMMON_ENCODINGS = ['utf-8', 'utf-16le', 'utf-16be', 'windows-1252', 'iso-8859-1'];
+
+function normalizeEncoding(name) {
+    return String(name).trim().toLowerCase().replace(/^utf8$/, 'utf-8').replace(/^latin-?1$/, 'iso-8859-1');
+}
+
+function isSupportedEncoding(name) {
+    return typeof name === 'string' && name.trim() !== '' && iconv.encodingExists(normalizeEncoding(name));
+}
+
+// Guess UTF-16 without a BOM from where the zero bytes fall: ASCII text in
+// UTF-16LE has a zero in every odd byte, UTF-16BE in every even byte.
+function detectUTF16(buffer) {
+    const pairs = Math.floor(Math.min(buffer.length, 4096) / 2);
+    if (pairs < 2) return null;
+
+    let evenZeros = 0;
+    let oddZeros = 0;
+    for (let i = 0; i < pairs * 2; i += 2) {
+        if (buffer[i] === 0) evenZeros++;
+        if (buffer[i + 1] === 0) oddZeros++;
+    }
+
+    if (oddZeros / pairs > 0.3 && evenZeros / pairs < 0.05) return 'utf-16le';
+    if (evenZeros / pairs > 0.3 && oddZeros / pairs < 0.05) return 'utf-16be';
+    return null;
+}
+
+// True if the bytes decode as UTF-8. A multi-byte sequence cut off at the
+// end of the sample is not counted as an error.
+function isValidUTF8(buffer, truncated) {
+    const decoder = new TextDecoder('utf-8', { fatal: true });
+    try {
+        decoder.decode(buffer, { stream: truncated });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Detect the encoding of a buffer.
+// Returns { encoding, confidence, bom }.
+function detectEncoding(buffer, truncated = false) {
+    if (buffer.length >= 3 && buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+        return { encoding: 'utf-8', confidence: 1, bom: true };
+    }
+    if (buffer.length >= 2 && buffer[0] === 0xFF && buffer[1] === 0xFE) {
+        return { encoding: 'utf-16le', confidence: 1, bom: true };
+    }
+    if (buffer.length >= 2 && buffer[0] === 0xFE && buffer[1] === 0xFF) {
+        return { encoding: 'utf-16be', confidence: 1, bom: true };
+    }
+
+    const utf16 = detectUTF16(buffer);
+    if (utf16) {
+        return { encoding: utf16, confidence: 0.8, bom: false };
+    }
+
+    if (isValidUTF8(buffer, truncated)) {
+        // Pure ASCII is valid in every candidate, so it is a safe but weak guess
+        const ascii = !buffer.some(byte => byte > 0x7F);
+        return { encoding: 'utf-8', confidence: ascii ? 0.9 : 0.99, bom: false };
+    }
+
+    // Bytes 0x80-0x9F are printable in Windows-1252 but control codes in Latin-1
+    const hasC1 = buffer.some(byte => byte >= 0x80 && byte <= 0x9F);
+    return { encoding: hasC1 ? 'windows-1252' : 'iso-8859-1', confidence: 0.6, bom: false };
+}
+
+// Detect the encoding of a file on disk from its first bytes
+function detectFileEncoding(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(DETECT_BYTES);
+        const read = fs.readSync(fd, buffer, 0, DETECT_BYTES, 0);
+        const size = fs.fstatSync(fd).size;
+        return detectEncoding(buffer.subarray(0, read), read < size);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+// Decode a buffer to a string, dropping any BOM
+function decodeBuffer(buffer, encoding) {
+    return iconv.decode(buffer, normalizeEncoding(encoding));
+}
+
+// Create a readable stream of UTF-8 text from a file in any encoding
+function createDecodedStream(filePath, encoding, options = {}) {
+    return fs.createReadStream(filePath, options).pipe(iconv.decodeStream(normalizeEncoding(encoding)));
+}
+
+module.exports = {
+    COMMON_ENCODINGS,
+    normalizeEncoding,
+    isSupportedEncoding,
+    detectEncoding,
+    detectFileEncoding,
+    decodeBuffer,
+    createDecodedStream
+};
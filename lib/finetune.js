@@ -0,0 +1,278 @@
+/**
+ * Fine-tuning exports
+ *
+ * Turns table rows into training examples for instruction and chat models:
+ * Alpaca ({ instruction, input, output } as a JSON array), OpenAI-style
+ * chat ({ messages: [{ role, content }] } per JSONL line) and prompt /
+ * completion JSONL. Fields are filled from templates such as
+ * "Summarize: {{text}}", where {{name}} is replaced by that column's
+ * value. Chat exports can group rows into multi-turn conversations by a
+ * conversation column, either one exchange per row (user and assistant
+ * templates) or one message per row (a role column and a content column).
+ * Examples longer than a token limit are dropped, and token-length
+ * statistics of the export are reported.
+ */
+
+const { estimateTokens } = require('./chunking');
+
+const FORMATS = {
+    alpaca: {
+        label: 'Alpaca (instruction / input / output)',
+        fields: ['instruction', 'input', 'output'],
+        required: ['instruction', 'output'],
+        filename: 'alpaca.json',
+        contentType: 'application/json'
+    },
+    openai_chat: {
+        label: 'OpenAI chat messages (JSONL)',
+        fields: ['user', 'assistant'],
+        required: [],
+        filename: 'chat.jsonl',
+        contentType: 'application/x-ndjson'
+    },
+    prompt_completion: {
+        label: 'Prompt / completion (JSONL)',
+        fields: ['prompt', 'completion'],
+        required: ['prompt', 'completion'],
+        filename: 'prompt_completion.jsonl',
+        contentType: 'application/x-ndjson'
+    }
+};
+
+const ROLES = ['system', 'user', 'assistant'];
+const PLACEHOLDER = /\{\{\s*([^{}]+?)\s*\}\}/g;
+// Extra tokens per chat message for the role and separators
+const MESSAGE_OVERHEAD = 4;
+
+function isFinetuneFormat(format) {
+    return Object.prototype.hasOwnProperty.call(FORMATS, format);
+}
+
+function templateColumns(template) {
+    return Array.from(String(template).matchAll(PLACEHOLDER), match => match[1]);
+}
+
+function text(value) {
+    if (value === null || value === undefined) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+// Fill a template from a row; missing values become empty text. A
+// template whose columns are all empty gives '', so "Q: {{question}}"
+// does not turn a row without a question into an example.
+function fillTemplate(template, row) {
+    const columns = templateColumns(template);
+    if (columns.length > 0 && columns.every(name => text(row[name]).trim() === '')) return '';
+    return String(template).replace(PLACEHOLDER, (match, name) => text(row[name])).trim();
+}
+
+function isTemplate(value) {
+    return value === undefined || typeof value === 'string';
+}
+
+// Check export options against the dataset's columns. Returns an error
+// message or null.
+function validateFinetuneOptions(format, options, columns) {
+    const spec = FORMATS[format];
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+        return 'finetune options must be an object';
+    }
+
+    const templates = [...spec.fields, 'system'];
+    for (const name of templates) {
+        if (!isTemplate(options[name])) return `finetune.${name} must be a template string`;
+    }
+    for (const name of spec.required) {
+        if (!options[name] || !options[name].trim()) return `finetune.${name} is required for ${format}`;
+    }
+
+    const referenced = templates.flatMap(name => (options[name] ? templateColumns(options[name]) : []));
+    for (const name of ['conversationColumn', 'roleColumn', 'contentColumn']) {
+        if (options[name] === undefined || options[name] === null || options[name] === '') continue;
+        if (typeof options[name] !== 'string') return `finetune.${name} must be a column name`;
+        referenced.push(options[name]);
+    }
+    const unknown = referenced.filter(name => !columns.includes(name));
+    if (unknown.length > 0) return `Unknown column(s): ${Array.from(new Set(unknown)).join(', ')}`;
+
+    if (format === 'openai_chat') {
+        const turns = Boolean(options.roleColumn || options.contentColumn);
+        if (turns) {
+            if (!options.roleColumn || !options.contentColumn) {
+                return 'Message rows need both finetune.roleColumn and finetune.contentColumn';
+            }
+            if (!options.conversationColumn) return 'Message rows need finetune.conversationColumn to group them';
+        } else if (!options.user || !options.assistant) {
+            return 'Chat exports need user and assistant templates, or a role column and a content column';
+        }
+        if (options.roleMap !== undefined) {
+            if (!options.roleMap || typeof options.roleMap !== 'object' || Array.isArray(options.roleMap)) {
+                return 'finetune.roleMap must map column values to roles';
+            }
+            const bad = Object.values(options.roleMap).filter(role => !ROLES.includes(role));
+            if (bad.length > 0) return `Unknown role(s) in roleMap: ${bad.join(', ')}; use ${ROLES.join(', ')}`;
+        }
+    } else if (options.conversationColumn) {
+        return 'Grouping by conversation is only available for the chat format';
+    }
+
+    if (options.maxTokens !== undefined && options.maxTokens !== null &&
+        (!Number.isInteger(options.maxTokens) || options.maxTokens < 1)) {
+        return 'finetune.maxTokens must be a positive whole number';
+    }
+    return null;
+}
+
+// Rows grouped by a column's value, in order of first appearance
+function groupBy(rows, column) {
+    const groups = new Map();
+    rows.forEach(row => {
+        const value = row[column];
+        const key = text(value);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(row);
+    });
+    return Array.from(groups.values());
+}
+
+function roleOf(value, roleMap) {
+    const name = text(value);
+    if (roleMap && roleMap[name]) return roleMap[name];
+    const lower = name.trim().toLowerCase();
+    return ROLES.includes(lower) ? lower : null;
+}
+
+// One conversation from its rows. Returns { messages, unknownRoles }.
+function buildConversation(rows, options) {
+    const messages = [];
+    const unknownRoles = [];
+    const system = options.system ? fillTemplate(options.system, rows[0]) : '';
+
+    if (options.roleColumn) {
+        rows.forEach(row => {
+            const role = roleOf(row[options.roleColumn], options.roleMap);
+            if (!role) {
+                unknownRoles.push(text(row[options.roleColumn]));
+                return;
+            }
+            const content = text(row[options.contentColumn]).trim();
+            if (content) messages.push({ role, content });
+        });
+    } else {
+        rows.forEach(row => {
+            const user = fillTemplate(options.user, row);
+            const assistant = fillTemplate(options.assistant, row);
+            if (user) messages.push({ role: 'user', content: user });
+            if (assistant) messages.push({ role: 'assistant', content: assistant });
+        });
+    }
+
+    // The configured system prompt is used unless the data has its own
+    if (system && !messages.some(message => message.role === 'system')) {
+        messages.unshift({ role: 'system', content: system });
+    }
+    return { messages, unknownRoles };
+}
+
+// Build one format's examples. Returns [{ example, tokens }] where example
+// is null for rows that give nothing to train on.
+function buildExamples(format, rows, options) {
+    if (format === 'openai_chat') {
+        const groups = options.conversationColumn ? groupBy(rows, options.conversationColumn) : rows.map(row => [row]);
+        return groups.map(group => {
+            const { messages, unknownRoles } = buildConversation(group, options);
+            const usable = messages.some(m => m.role === 'user') && messages.some(m => m.role === 'assistant');
+            return {
+                example: usable ? { messages } : null,
+                unknownRoles,
+                tokens: messages.reduce((sum, m) => sum + estimateTokens(m.content) + MESSAGE_OVERHEAD, 0)
+            };
+        });
+    }
+
+    return rows.map(row => {
+        const fields = {};
+        FORMATS[format].fields.forEach(name => {
+            fields[name] = options[name] ? fillTemplate(options[name], row) : '';
+        });
+        const system = options.system ? fillTemplate(options.system, row) : '';
+        const usable = FORMATS[format].required.every(name => fields[name]);
+
+        let example;
+        if (format === 'alpaca') {
+            example = system ? { ...fields, system } : fields;
+        } else {
+            // Prompt / completion has no system role, so it leads the prompt
+            example = { prompt: system ? `${system}\n\n${fields.prompt}` : fields.prompt, completion: fields.completion };
+        }
+        const tokens = Object.values(example).reduce((sum, text) => sum + estimateTokens(text), 0);
+        return { example: usable ? example : null, unknownRoles: [], tokens };
+    });
+}
+
+function tokenStats(lengths) {
+    if (lengths.length === 0) {
+        return { min: 0, max: 0, mean: 0, median: 0, p95: 0, total: 0 };
+    }
+    const sorted = [...lengths].sort((a, b) => a - b);
+    const total = sorted.reduce((sum, length) => sum + length, 0);
+    const at = q => sorted[Math.min(sorted.length - 1, Math.ceil(q * sorted.length) - 1)];
+    return {
+        min: sorted[0],
+        max: sorted[sorted.length - 1],
+        mean: Number((total / sorted.length).toFixed(1)),
+        median: at(0.5),
+        p95: at(0.95),
+        total
+    };
+}
+
+// Build a fine-tuning export from validated options.
+// Returns { content, contentType, filename, stats }.
+function buildFinetuneExport(format, rows, options) {
+    const spec = FORMATS[format];
+    const built = buildExamples(format, rows, options);
+    const maxTokens = options.maxTokens || null;
+
+    const kept = [];
+    const dropped = { empty: 0, tooLong: 0 };
+    const unknownRoles = new Set();
+    built.forEach(item => {
+        item.unknownRoles.forEach(role => unknownRoles.add(role));
+        if (!item.example) {
+            dropped.empty++;
+        } else if (maxTokens && item.tokens > maxTokens) {
+            dropped.tooLong++;
+        } else {
+            kept.push(item);
+        }
+    });
+
+    const examples = kept.map(item => item.example);
+    const content = format === 'alpaca'
+        ? JSON.stringify(examples, null, 2)
+        : examples.map(example => JSON.stringify(example)).join('\n') + (examples.length > 0 ? '\n' : '');
+
+    return {
+        content,
+        contentType: spec.contentType,
+        filename: spec.filename,
+        stats: {
+            format,
+            rows: rows.length,
+            candidates: built.length,
+            examples: examples.length,
+            dropped,
+            maxTokens,
+            unknownRoles: Array.from(unknownRoles),
+            tokens: tokenStats(kept.map(item => item.tokens)),
+            tokensBeforeFilter: tokenStats(built.filter(item => item.example).map(item => item.tokens))
+        }
+    };
+}
+
+module.exports = {
+    isFinetuneFormat,
+    validateFinetuneOptions,
+    buildFinetuneExport
+};
@@ -0,0 +1,260 @@
+/**
+ * Nested JSON flattening (json_normalize style) and the reverse
+ *
+ * Nested objects become dotted column paths (address.city). Arrays are either
+ * stored as JSON strings or exploded into one row per element. The returned
+ * metadata lets unflattenRecords rebuild the original nesting on export.
+ */
+
+const RECORD_KEY = '__record';
+const MAX_EXPLODED_ROWS = 1000000;
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// True if any record holds an object or array value
+function hasNestedValues(records) {
+    if (!Array.isArray(records)) return false;
+    return records.some(record => isPlainObject(record) &&
+        Object.values(record).some(value => value !== null && typeof value === 'object'));
+}
+
+// Find the first path holding an array of objects, used as the default
+// explode target when none is given
+function findArrayPath(records, separator) {
+    const search = (value, prefix) => {
+        for (const [key, child] of Object.entries(value)) {
+            const path = prefix ? `${prefix}${separator}${key}` : key;
+            if (Array.isArray(child) && child.some(isPlainObject)) return path;
+            if (isPlainObject(child)) {
+                const found = search(child, path);
+                if (found) return found;
+            }
+        }
+        return null;
+    };
+
+    for (const record of records) {
+        if (!isPlainObject(record)) continue;
+        const found = search(record, '');
+        if (found) return found;
+    }
+    return null;
+}
+
+// Flatten one object into `out`. Arrays (and empty objects) are stored as
+// JSON strings, except the explode path which is handed back separately.
+function flattenInto(value, prefix, context, out) {
+    let exploded;
+
+    for (const [key, child] of Object.entries(value)) {
+        const path = prefix ? `${prefix}${context.separator}${key}` : key;
+
+        if (path === context.explodePath && Array.isArray(child)) {
+            exploded = child;
+        } else if (isPlainObject(child) && Object.keys(child).length > 0) {
+            const nested = flattenInto(child, path, context, out);
+            if (nested !== undefined) exploded = nested;
+        } else if (child !== null && typeof child === 'object') {
+            out[path] = JSON.stringify(child);
+            context.jsonColumns.add(path);
+        } else {
+            out[path] = child;
+        }
+    }
+
+    return exploded;
+}
+
+// Flatten an array of (possibly nested) records into flat rows.
+// Options: separator (default '.'), arrays ('stringify' | 'explode'),
+// explodePath (defaults to the first array of objects found, unless
+// findExplodePath is false), indexOffset (added to record numbers when
+// flattening a file in batches).
+// Returns { data, flattening } where flattening describes how to undo it.
+function flattenRecords(records, options = {}) {
+    const separator = options.separator || '.';
+    const arrays = options.arrays === 'explode' ? 'explode' : 'stringify';
+    const explodePath = arrays === 'explode'
+        ? (options.explodePath || (options.findExplodePath === false ? null : findArrayPath(records, separator)))
+        : null;
+
+    const indexOffset = options.indexOffset || 0;
+    const context = { separator, explodePath, jsonColumns: new Set() };
+    const data = [];
+
+    records.forEach((record, index) => {
+        if (!isPlainObject(record)) {
+            data.push({ value: record });
+            return;
+        }
+
+        const base = explodePath ? { [RECORD_KEY]: indexOffset + index } : {};
+        const exploded = flattenInto(record, '', context, base);
+
+        if (!explodePath || !exploded || exploded.length === 0) {
+            data.push(base);
+            return;
+        }
+
+        for (const element of exploded) {
+            const row = { ...base };
+            if (isPlainObject(element)) {
+                flattenInto(element, explodePath, { ...context, explodePath: null }, row);
+            } else if (element !== null && typeof element === 'object') {
+                row[explodePath] = JSON.stringify(element);
+                context.jsonColumns.add(explodePath);
+            } else {
+                row[explodePath] = element;
+            }
+            data.push(row);
+        }
+
+        if (data.length > MAX_EXPLODED_ROWS) {
+            throw new Error(`Exploding "${explodePath}" produced more than ${MAX_EXPLODED_ROWS} rows`);
+        }
+    });
+
+    return {
+        data,
+        flattening: {
+            separator,
+            arrays,
+            explodePath,
+            recordKey: explodePath ? RECORD_KEY : null,
+            jsonColumns: Array.from(context.jsonColumns)
+        }
+    };
+}
+
+// Set a value at a dotted path, creating objects along the way
+function setPath(target, parts, value) {
+    let node = target;
+    for (let i = 0; i < parts.length - 1; i++) {
+        if (!isPlainObject(node[parts[i]])) {
+            node[parts[i]] = {};
+        }
+        node = node[parts[i]];
+    }
+    node[parts[parts.length - 1]] = value;
+}
+
+function restoreValue(key, value, jsonColumns) {
+    if (jsonColumns.has(key) && typeof value === 'string') {
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return value;
+        }
+    }
+    return value;
+}
+
+// Turn one flat row into a nested object, skipping keys rejected by `include`
+function nestRow(row, flattening, jsonColumns, include = () => true, stripPrefix = '') {
+    const nested = {};
+    for (const [key, value] of Object.entries(row)) {
+        if (key === flattening.recordKey || !include(key)) continue;
+        const path = stripPrefix ? key.slice(stripPrefix.length) : key;
+        setPath(nested, path.split(flattening.separator), restoreValue(key, value, jsonColumns));
+    }
+    return nested;
+}
+
+// Rebuild one record from the exploded rows that came from it
+function nestGroup(group, meta, jsonColumns) {
+    const { explodePath, separator } = meta;
+    const elementPrefix = `${explodePath}${separator}`;
+    const inElement = key => key === explodePath || key.startsWith(elementPrefix);
+
+    const record = nestRow(group[0], meta, jsonColumns, key => !inElement(key));
+
+    const elements = group.map(row => {
+        if (explodePath in row) {
+            return restoreValue(explodePath, row[explodePath], jsonColumns);
+        }
+        return nestRow(row, meta, jsonColumns, key => key.startsWith(elementPrefix), elementPrefix);
+    });
+
+    // A lone row without element values came from an empty array
+    const empty = group.length === 1 && Object.keys(group[0]).every(key => !inElement(key));
+    setPath(record, explodePath.split(separator), empty ? [] : elements);
+    return record;
+}
+
+// Rebuild nested records from rows produced by flattenRecords. Exploded
+// rows are grouped back together by their record key.
+function unflattenRecords(rows, flattening) {
+    if (!Array.isArray(rows) || !flattening) return rows;
+
+    const separator = flattening.separator || '.';
+    const meta = { ...flattening, separator };
+    const jsonColumns = new Set(flattening.jsonColumns || []);
+
+    if (!flattening.explodePath) {
+        return rows.map(row => (isPlainObject(row) ? nestRow(row, meta, jsonColumns) : row));
+    }
+
+    // Group rows by source record, keeping first-seen order
+    const groups = [];
+    const byRecord = new Map();
+    rows.forEach(row => {
+        const id = isPlainObject(row) ? row[flattening.recordKey] : undefined;
+        if (id === undefined || id === null) {
+            groups.push([row]);
+        } else if (byRecord.has(id)) {
+            byRecord.get(id).push(row);
+        } else {
+            const group = [row];
+            byRecord.set(id, group);
+            groups.push(group);
+        }
+    });
+
+    return groups.map(group => nestGroup(group, meta, jsonColumns));
+}
+
+// Unflatten rows that arrive in batches, for streaming exports. push(rows)
+// returns the records completed so far and end() the rest. Exploded rows
+// are grouped while their record key stays the same, as flattenRecords
+// writes them; a record whose rows are not together comes out in parts.
+function createUnflattener(flattening) {
+    const separator = flattening.separator || '.';
+    const meta = { ...flattening, separator };
+    const jsonColumns = new Set(flattening.jsonColumns || []);
+    let group = [];
+    let groupId;
+
+    const push = rows => {
+        if (!flattening.explodePath) {
+            return rows.map(row => (isPlainObject(row) ? nestRow(row, meta, jsonColumns) : row));
+        }
+        const records = [];
+        rows.forEach(row => {
+            const id = isPlainObject(row) ? row[flattening.recordKey] : undefined;
+            if (group.length > 0 && (id === undefined || id === null || id !== groupId)) {
+                records.push(nestGroup(group, meta, jsonColumns));
+                group = [];
+            }
+            group.push(row);
+            groupId = id;
+        });
+        return records;
+    };
+
+    const end = () => {
+        const records = group.length > 0 ? [nestGroup(group, meta, jsonColumns)] : [];
+        group = [];
+        return records;
+    };
+
+    return { push, end };
+}
+
+module.exports = {
+    hasNestedValues,
+    flattenRecords,
+    unflattenRecords,
+    createUnflattener
+};
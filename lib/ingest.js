@@ -0,0 +1,234 @@
+/**
+ * Streaming file ingestion
+ *
+ * Reads an uploaded file from disk chunk by chunk, parses it according to
+ * its type and writes the rows into the dataset store. Only a bounded sample
+ * of rows is kept in memory, which is used to infer the column schema.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createCSVParser, detectDialect } = require('./csv');
+const { createJSONLParser, createJSONArrayParser, looksLikeJSONL } = require('./jsonl');
+const { hasNestedValues, flattenRecords } = require('./flatten');
+const { inferSchema } = require('./schema');
+const { createDatasetWriter, saveDataset } = require('./datasetStore');
+const { readWorkbook, parseWorkbook } = require('./xlsx');
+const { detectFileEncoding, normalizeEncoding, decodeBuffer, createDecodedStream } = require('./encoding');
+
+// Extensions parsed as delimited text (CSV and friends)
+const DELIMITED_EXTENSIONS = ['.csv', '.tsv'];
+
+// Excel workbooks
+const WORKBOOK_EXTENSIONS = ['.xlsx'];
+
+// Extensions parsed as one JSON value per line
+const JSONL_EXTENSIONS = ['.jsonl', '.ndjson'];
+
+const SNIFF_BYTES = 64 * 1024;
+const SCHEMA_SAMPLE_ROWS = 10000;
+const MAX_REPORTED_ERRORS = 1000;
+const BATCH_SIZE = 500;
+
+function detectFileType(filename) {
+    const ext = path.extname(filename).toLowerCase();
+    if (ext === '.json') return 'json';
+    if (JSONL_EXTENSIONS.includes(ext)) return 'jsonl';
+    if (DELIMITED_EXTENSIONS.includes(ext)) return 'csv';
+    if (WORKBOOK_EXTENSIONS.includes(ext)) return 'xlsx';
+    return 'text';
+}
+
+// Read the first bytes of a file as text, for sniffing
+function readHead(filePath, encoding, bytes = SNIFF_BYTES) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(bytes);
+        const read = fs.readSync(fd, buffer, 0, bytes, 0);
+        return decodeBuffer(buffer.subarray(0, read), encoding);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+function readText(filePath, encoding) {
+    return decodeBuffer(fs.readFileSync(filePath), encoding);
+}
+
+// Work out which encoding to read the file with. A forced encoding wins
+// over detection, but what was detected is still reported.
+function resolveEncoding(filePath, forced) {
+    const detected = detectFileEncoding(filePath);
+    if (!forced) {
+        return { ...detected, detected: detected.encoding, forced: false };
+    }
+    return { ...detected, encoding: normalizeEncoding(forced), detected: detected.encoding, forced: true };
+}
+
+// Collects parsed records, flattens nested ones in batches and writes them
+// to the dataset store, keeping a sample for schema inference.
+function createRowSink(writer, options) {
+    const pending = [];
+    const sample = [];
+    const errors = [];
+    let errorCount = 0;
+    let recordCount = 0;
+    let flattening = null;
+
+    const addRow = row => pending.push(row);
+
+    const addError = error => {
+        errorCount++;
+        if (errors.length < MAX_REPORTED_ERRORS) errors.push(error);
+    };
+
+    const flush = async () => {
+        if (pending.length === 0) return;
+        let batch = pending.splice(0, pending.length);
+
+        // Once nesting is seen, every later batch is flattened the same way:
+        // the explode path chosen for the first nested batch (or none) holds
+        // for the rest of the file
+        if (flattening || hasNestedValues(batch)) {
+            const flat = flattenRecords(batch, {
+                arrays: options.arrays,
+                separator: options.separator,
+                explodePath: flattening ? flattening.explodePath : options.explodePath,
+                findExplodePath: !flattening,
+                indexOffset: recordCount
+            });
+            if (flattening) {
+                flat.flattening.jsonColumns = Array.from(new Set([
+                    ...flattening.jsonColumns,
+                    ...flat.flattening.jsonColumns
+                ]));
+            }
+            flattening = flat.flattening;
+            recordCount += batch.length;
+            batch = flat.data;
+        } else {
+            recordCount += batch.length;
+        }
+
+        for (const row of batch) {
+            if (sample.length < SCHEMA_SAMPLE_ROWS) sample.push(row);
+            await writer.write(row);
+        }
+    };
+
+    const maybeFlush = async () => {
+        if (pending.length >= BATCH_SIZE) await flush();
+    };
+
+    const result = () => {
+        const schema = inferSchema(sample);
+        if (schema) schema.sampled = sample.length;
+        return { schema, errors, errorCount, flattening };
+    };
+
+    return { addRow, addError, flush, maybeFlush, result };
+}
+
+// Feed a file through a streaming parser, flushing rows as they arrive
+async function pipeFile(filePath, encoding, parser, sink) {
+    const stream = createDecodedStream(filePath, encoding);
+    for await (const chunk of stream) {
+        parser.write(chunk);
+        await sink.maybeFlush();
+    }
+}
+
+async function ingestRows(filePath, type, options, baseMeta) {
+    const encoding = baseMeta.encoding.encoding;
+    const writer = createDatasetWriter(baseMeta);
+    const sink = createRowSink(writer, options);
+    const extra = {};
+
+    try {
+        if (type === 'csv') {
+            const dialect = { ...detectDialect(readHead(filePath, encoding)), ...options.dialect };
+            const parser = createCSVParser(dialect, sink.addRow, sink.addError);
+            await pipeFile(filePath, encoding, parser, sink);
+            parser.end();
+            extra.dialect = dialect;
+        } else if (type === 'jsonl') {
+            const parser = createJSONLParser(sink.addRow, sink.addError);
+            await pipeFile(filePath, encoding, parser, sink);
+            parser.end();
+        } else {
+            const parser = createJSONArrayParser(sink.addRow, sink.addError);
+            await pipeFile(filePath, encoding, parser, sink);
+            const parsed = parser.end();
+            if (!parsed.isArray) {
+                writer.abort();
+                return saveDataset(parsed.value, { ...baseMeta, type: 'json' });
+            }
+        }
+
+        await sink.flush();
+        return await writer.finish({ ...extra, ...sink.result() });
+    } catch (error) {
+        writer.abort();
+        throw error;
+    }
+}
+
+// Workbooks are binary and read whole, then stored like any other rows
+async function ingestWorkbook(filePath, options, baseMeta) {
+    const workbook = await readWorkbook(filePath);
+    const parsed = parseWorkbook(workbook, { sheet: options.sheet, headerRow: options.headerRow });
+
+    const writer = createDatasetWriter(baseMeta);
+    const sink = createRowSink(writer, options);
+    try {
+        for (const row of parsed.data) {
+            sink.addRow(row);
+            await sink.maybeFlush();
+        }
+        await sink.flush();
+        return await writer.finish({ xlsx: parsed.xlsx, ...sink.result() });
+    } catch (error) {
+        writer.abort();
+        throw error;
+    }
+}
+
+// Ingest an uploaded file into the dataset store.
+// Options: encoding to override detection, dialect overrides for delimited
+// files, arrays / explodePath / separator for flattening nested JSON, and
+// sheet / headerRow for workbooks. Resolves to the dataset metadata.
+async function ingestFile(filePath, filename, options = {}) {
+    const type = detectFileType(filename);
+    if (type === 'xlsx') {
+        return ingestWorkbook(filePath, options, { filename, type });
+    }
+
+    const encoding = resolveEncoding(filePath, options.encoding);
+    const baseMeta = { filename, type, encoding };
+
+    if (type === 'text') {
+        const content = readText(filePath, encoding.encoding);
+        return saveDataset(content, baseMeta);
+    }
+
+    try {
+        return await ingestRows(filePath, type, options, baseMeta);
+    } catch (error) {
+        // Files saved as .json are often JSON Lines in practice. Only the
+        // head is sniffed, up to its last complete line.
+        const head = readHead(filePath, encoding.encoding);
+        const lastLine = head.lastIndexOf('\n');
+        if (type === 'json' && looksLikeJSONL(lastLine > 0 ? head.slice(0, lastLine) : head)) {
+            return ingestRows(filePath, 'jsonl', options, { ...baseMeta, type: 'jsonl' });
+        }
+
+        const failure = new Error(`Could not read the file as ${type.toUpperCase()}: ${error.message}`);
+        failure.status = 400;
+        throw failure;
+    }
+}
+
+module.exports = {
+    detectFileType,
+    ingestFile
+};
@@ -0,0 +1,206 @@
+/**
+ * Background jobs
+ *
+ * Long-running work (AI processing, training) runs as a job so the request
+ * that started it can return at once. Jobs wait in a FIFO queue with a
+ * limit on how many run together, report progress to subscribers (the
+ * server streams it as server-sent events) and can be cancelled through an
+ * AbortSignal. Jobs live in memory and are pruned some time after they end.
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const ID_PATTERN = /^job_\d+_[a-f0-9]{8}$/;
+const FINISHED = new Set(['completed', 'failed', 'cancelled']);
+
+const jobs = new Map();
+const queue = [];
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+let concurrency = 2;
+let running = 0;
+
+function setConcurrency(limit) {
+    concurrency = Math.max(1, limit);
+}
+
+function isFinished(job) {
+    return FINISHED.has(job.status);
+}
+
+// The public view of a job, without its result
+function describeJob(job) {
+    return {
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        info: job.info,
+        progress: job.progress,
+        error: job.error,
+        errorStatus: job.errorStatus,
+        errorDetails: job.errorDetails,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt
+    };
+}
+
+function notify(job) {
+    events.emit(job.id, job);
+}
+
+function cancelledError() {
+    const error = new Error('Job cancelled');
+    error.cancelled = true;
+    return error;
+}
+
+async function runJob(job) {
+    running++;
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    notify(job);
+
+    try {
+        const result = await job.work({
+            signal: job.controller.signal,
+            // Report progress as done out of total, with an optional message
+            progress: (done, total, message = null) => {
+                if (isFinished(job)) return;
+                job.progress = { done, total, message };
+                notify(job);
+            },
+            throwIfCancelled: () => {
+                if (job.controller.signal.aborted) throw cancelledError();
+            }
+        });
+        if (job.controller.signal.aborted) throw cancelledError();
+        job.status = 'completed';
+        job.result = result;
+    } catch (error) {
+        if (job.controller.signal.aborted) {
+            job.status = 'cancelled';
+        } else {
+            job.status = 'failed';
+            job.error = error.message;
+            job.errorStatus = error.status || 500;
+            job.errorDetails = error.details || null;
+        }
+    } finally {
+        running--;
+        job.finishedAt = new Date().toISOString();
+        job.work = null;
+        notify(job);
+        startNext();
+    }
+}
+
+function startNext() {
+    while (running < concurrency && queue.length > 0) {
+        runJob(queue.shift());
+    }
+}
+
+// Queue a job. `work({ signal, progress, throwIfCancelled })` does the job
+// and resolves to its result; errors may carry `status` (HTTP) and
+// `details` for the client. `info` is shown in job listings.
+function createJob(type, work, info = {}) {
+    const job = {
+        id: `job_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+        type,
+        info,
+        status: 'queued',
+        progress: { done: 0, total: null, message: null },
+        result: null,
+        error: null,
+        errorStatus: null,
+        errorDetails: null,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        controller: new AbortController(),
+        work
+    };
+    jobs.set(job.id, job);
+    queue.push(job);
+    startNext();
+    return job;
+}
+
+function getJob(id) {
+    if (typeof id !== 'string' || !ID_PATTERN.test(id)) return null;
+    return jobs.get(id) || null;
+}
+
+// All jobs, newest first
+function listJobs() {
+    return Array.from(jobs.values())
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.id.localeCompare(a.id))
+        .map(describeJob);
+}
+
+// Cancel a queued or running job. Returns the job, or null if unknown.
+function cancelJob(id) {
+    const job = getJob(id);
+    if (!job || isFinished(job)) return job;
+
+    job.controller.abort();
+    const position = queue.indexOf(job);
+    if (position !== -1) {
+        // Never started, so it can end right away
+        queue.splice(position, 1);
+        job.status = 'cancelled';
+        job.finishedAt = new Date().toISOString();
+        job.work = null;
+        notify(job);
+    }
+    return job;
+}
+
+// Call listener(job) on every change to a job. Returns an unsubscribe function.
+function subscribe(id, listener) {
+    events.on(id, listener);
+    return () => events.off(id, listener);
+}
+
+// Resolve to the job once it has finished
+function waitForJob(id) {
+    const job = getJob(id);
+    if (!job || isFinished(job)) return Promise.resolve(job);
+    return new Promise(resolve => {
+        const unsubscribe = subscribe(id, current => {
+            if (isFinished(current)) {
+                unsubscribe();
+                resolve(current);
+            }
+        });
+    });
+}
+
+// Forget jobs that finished more than maxAgeMs ago. Returns the number removed.
+function pruneJobs(maxAgeMs) {
+    const cutoff = Date.now() - maxAgeMs;
+    let removed = 0;
+    for (const job of jobs.values()) {
+        if (isFinished(job) && Date.parse(job.finishedAt) < cutoff) {
+            jobs.delete(job.id);
+            removed++;
+        }
+    }
+    return removed;
+}
+
+module.exports = {
+    setConcurrency,
+    isFinished,
+    describeJob,
+    createJob,
+    getJob,
+    listJobs,
+    cancelJob,
+    subscribe,
+    waitForJob,
+    pruneJobs
+};
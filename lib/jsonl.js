@@ -0,0 +1,203 @@
+/**
+ * JSON Lines / NDJSON parsing and writing
+ *
+ * One JSON value per line. Bad lines are reported with their line number
+ * instead of failing the whole file. Also includes a streaming reader for
+ * large top-level JSON arrays, so both can be ingested chunk by chunk.
+ */
+
+// JSON Lines rows are objects; scalars and arrays become single-column rows
+function toRow(value) {
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+        return value;
+    }
+    return { value };
+}
+
+function parseLine(text, lineNumber, onRow, onError) {
+    const trimmed = text.trim();
+    if (trimmed === '') return;
+
+    try {
+        onRow(toRow(JSON.parse(trimmed)));
+    } catch (error) {
+        onError({ line: lineNumber, reason: `Invalid JSON: ${error.message}`, skipped: true });
+    }
+}
+
+// Create a streaming JSON Lines parser: write() text chunks, then end()
+function createJSONLParser(onRow, onError) {
+    let buffer = '';
+    let lineNumber = 0;
+    let started = false;
+
+    const write = chunk => {
+        if (!started && chunk.length > 0) {
+            started = true;
+            if (chunk.charCodeAt(0) === 0xFEFF) chunk = chunk.slice(1);
+        }
+
+        // Hold back the last (possibly partial) line, including a trailing
+        // CR that may be the first half of a CRLF
+        let text = buffer + chunk;
+        let carry = '';
+        if (text.endsWith('\r')) {
+            carry = '\r';
+            text = text.slice(0, -1);
+        }
+        const lines = text.split(/\r\n|\n|\r/);
+        buffer = lines.pop() + carry;
+        for (const line of lines) {
+            lineNumber++;
+            parseLine(line, lineNumber, onRow, onError);
+        }
+    };
+
+    const end = () => {
+        if (buffer !== '') {
+            lineNumber++;
+            parseLine(buffer, lineNumber, onRow, onError);
+            buffer = '';
+        }
+    };
+
+    return { write, end };
+}
+
+// Create a streaming parser for a document whose top level is an array.
+// Each element is parsed on its own and passed to onValue. If the document
+// turns out not to be an array it is buffered and end() returns the parsed
+// value instead ({ isArray: false, value }).
+function createJSONArrayParser(onValue, onError) {
+    let mode = 'start';
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    let element = '';
+    let elementStarted = false;
+    let elementLine = 1;
+    let line = 1;
+    let whole = '';
+
+    const finishElement = () => {
+        const text = element.trim();
+        element = '';
+        elementStarted = false;
+        if (text === '') return;
+        try {
+            onValue(JSON.parse(text));
+        } catch (error) {
+            onError({ line: elementLine, reason: `Invalid JSON: ${error.message}`, skipped: true });
+        }
+    };
+
+    const write = chunk => {
+        if (mode === 'document') {
+            whole += chunk;
+            return;
+        }
+
+        for (let i = 0; i < chunk.length; i++) {
+            const char = chunk[i];
+            if (char === '\n') line++;
+
+            if (mode === 'start') {
+                if (char === '\uFEFF' || /\s/.test(char)) continue;
+                if (char !== '[') {
+                    mode = 'document';
+                    whole = chunk.slice(i);
+                    return;
+                }
+                mode = 'array';
+                continue;
+            }
+            if (mode === 'done') continue;
+
+            if (inString) {
+                element += char;
+                if (escaped) {
+                    escaped = false;
+                } else if (char === '\\') {
+                    escaped = true;
+                } else if (char === '"') {
+                    inString = false;
+                }
+                continue;
+            }
+
+            if (depth === 0 && (char === ',' || char === ']')) {
+                finishElement();
+                if (char === ']') mode = 'done';
+                continue;
+            }
+
+            if (!elementStarted && !/\s/.test(char)) {
+                elementStarted = true;
+                elementLine = line;
+            }
+            element += char;
+
+            if (char === '"') {
+                inString = true;
+            } else if (char === '{' || char === '[') {
+                depth++;
+            } else if (char === '}' || char === ']') {
+                depth--;
+            }
+        }
+    };
+
+    const end = () => {
+        if (mode === 'document') {
+            return { isArray: false, value: JSON.parse(whole) };
+        }
+        if (mode === 'array') {
+            throw new Error('Unexpected end of JSON array');
+        }
+        return { isArray: true };
+    };
+
+    return { write, end };
+}
+
+// Parse JSON Lines text into rows.
+// Returns { data, errors } where errors is [{ line, reason, skipped }].
+function parseJSONL(content) {
+    const data = [];
+    const errors = [];
+    const parser = createJSONLParser(row => data.push(row), error => errors.push(error));
+    parser.write(content);
+    parser.end();
+    return { data, errors };
+}
+
+// Heuristic used when a .json file is not a single JSON document:
+// treat it as JSON Lines if most non-blank lines parse on their own.
+function looksLikeJSONL(content) {
+    const lines = content.split(/\r\n|\n|\r/).filter(line => line.trim() !== '').slice(0, 20);
+    if (lines.length < 2) return false;
+
+    const valid = lines.filter(line => {
+        try {
+            JSON.parse(line);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    });
+    return valid.length / lines.length >= 0.8;
+}
+
+// Write rows as JSON Lines
+function stringifyJSONL(data) {
+    const rows = Array.isArray(data) ? data : [data];
+    return rows.map(row => JSON.stringify(row)).join('\n') + (rows.length > 0 ? '\n' : '');
+}
+
+module.exports = {
+    createJSONLParser,
+    createJSONArrayParser,
+    parseJSONL,
+    looksLikeJSONL,
+    stringifyJSONL
+};
@@ -0,0 +1,365 @@
+/**
+ * Language model providers
+ *
+ * One interface over the models the app can use: Google Gemini, any
+ * OpenAI-compatible HTTP endpoint, local Ollama and llama.cpp servers, and a
+ * deterministic mock for offline development and tests. The provider, model,
+ * temperature, timeout and retry policy come from .env and can be overridden
+ * per request. Replies are read with the shared JSON helpers at the bottom,
+ * whichever provider wrote them.
+ */
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { mockGenerate } = require('./mockProvider');
+
+const PLACEHOLDER_KEYS = new Set(['', 'your_gemini_api_key_here', 'your_openai_api_key_here']);
+
+function hasKey(key) {
+    return typeof key === 'string' && !PLACEHOLDER_KEYS.has(key.trim());
+}
+
+// An error the client may retry: rate limits, overloaded or unreachable
+// servers and timeouts
+function retryableError(message) {
+    const error = new Error(message);
+    error.retryable = true;
+    return error;
+}
+
+// POST JSON and return the parsed reply, turning HTTP failures into errors
+async function postJSON(url, body, { headers = {}, signal } = {}) {
+    let response;
+    try {
+        response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify(body),
+            signal
+        });
+    } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        throw retryableError(`Could not reach ${url}: ${error.message}`);
+    }
+
+    const text = await response.text();
+    if (!response.ok) {
+        const message = `${response.status} ${response.statusText}: ${text.slice(0, 300)}`;
+        if (response.status === 401 || response.status === 403) throw new Error(`Invalid API key (${message})`);
+        if (response.status === 429) throw retryableError(`Rate limit or quota exceeded (${message})`);
+        if (response.status >= 500) throw retryableError(message);
+        throw new Error(message);
+    }
+    return JSON.parse(text);
+}
+
+const PROVIDERS = {
+    gemini: {
+        label: 'Google Gemini',
+        defaultModel: 'gemini-2.5-flash',
+        configError: config => (hasKey(config.apiKey) ? null : 'Please configure your Gemini API key in .env file'),
+        generate: async (prompt, config, signal) => {
+            const model = new GoogleGenerativeAI(config.apiKey).getGenerativeModel(
+                {
+                    model: config.model,
+                    generationConfig: config.temperature === null ? undefined : { temperature: config.temperature }
+                },
+                { timeout: config.timeoutMs }
+            );
+            try {
+                const result = await model.generateContent(prompt, { signal });
+                const response = await result.response;
+                return response.text();
+            } catch (error) {
+                if (/quota|429|503|overloaded|fetch failed|ECONNRESET/i.test(error.message)) {
+                    throw retryableError(error.message);
+                }
+                throw error;
+            }
+        }
+    },
+
+    openai: {
+        label: 'OpenAI-compatible API',
+        defaultModel: 'gpt-4o-mini',
+        defaultBaseUrl: 'https://api.openai.com/v1',
+        configError: config => (hasKey(config.apiKey) || config.baseUrl !== PROVIDERS.openai.defaultBaseUrl
+            ? null
+            : 'Please configure OPENAI_API_KEY (or OPENAI_BASE_URL for a self-hosted endpoint) in .env file'),
+        generate: (prompt, config, signal) => chatCompletion(prompt, config, signal)
+    },
+
+    ollama: {
+        label: 'Ollama',
+        defaultModel: 'llama3.1',
+        defaultBaseUrl: 'http://localhost:11434',
+        configError: () => null,
+        generate: async (prompt, config, signal) => {
+            const reply = await postJSON(`${config.baseUrl}/api/chat`, {
+                model: config.model,
+                messages: [{ role: 'user', content: prompt }],
+                stream: false,
+                options: config.temperature === null ? {} : { temperature: config.temperature }
+            }, { signal });
+            return reply.message ? reply.message.content : '';
+        }
+    },
+
+    // llama.cpp's server speaks the OpenAI chat completions API
+    llamacpp: {
+        label: 'llama.cpp server',
+        defaultModel: 'local',
+        defaultBaseUrl: 'http://localhost:8080/v1',
+        configError: () => null,
+        generate: (prompt, config, signal) => chatCompletion(prompt, config, signal)
+    },
+
+    mock: {
+        label: 'Mock (offline, deterministic)',
+        defaultModel: 'mock',
+        configError: () => null,
+        generate: async prompt => mockGenerate(prompt)
+    }
+};
+
+async function chatCompletion(prompt, config, signal) {
+    const body = {
+        model: config.model,
+        messages: [{ role: 'user', content: prompt }]
+    };
+    if (config.temperature !== null) body.temperature = config.temperature;
+
+    const reply = await postJSON(`${config.baseUrl}/chat/completions`, body, {
+        headers: hasKey(config.apiKey) ? { Authorization: `Bearer ${config.apiKey}` } : {},
+        signal
+    });
+    const choice = reply.choices && reply.choices[0];
+    return choice && choice.message ? choice.message.content || '' : '';
+}
+
+function numberSetting(value, fallback) {
+    if (value === undefined || value === null || value === '') return fallback;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : fallback;
+}
+
+// Provider settings from .env
+function defaultConfig(env = process.env) {
+    const provider = (env.LLM_PROVIDER || 'gemini').toLowerCase();
+    return {
+        provider,
+        model: env.LLM_MODEL || null,
+        temperature: numberSetting(env.LLM_TEMPERATURE, null),
+        timeoutMs: numberSetting(env.LLM_TIMEOUT_MS, 120000),
+        retries: numberSetting(env.LLM_RETRIES, 3),
+        retryDelayMs: numberSetting(env.LLM_RETRY_DELAY_MS, 2000),
+        backoff: numberSetting(env.LLM_BACKOFF, 2)
+    };
+}
+
+// The API key and base URL only come from .env, never from a request
+function providerSecrets(provider, env = process.env) {
+    const spec = PROVIDERS[provider];
+    const keys = {
+        gemini: env.GEMINI_API_KEY,
+        openai: env.OPENAI_API_KEY
+    };
+    const baseUrls = {
+        openai: env.OPENAI_BASE_URL,
+        ollama: env.OLLAMA_BASE_URL,
+        llamacpp: env.LLAMACPP_BASE_URL
+    };
+    const baseUrl = baseUrls[provider] || spec.defaultBaseUrl;
+    return {
+        apiKey: keys[provider] || null,
+        baseUrl: baseUrl ? baseUrl.replace(/\/+$/, '') : null
+    };
+}
+
+// Check per-request overrides. Returns an error message or null.
+function validateOptions(options) {
+    if (options === undefined || options === null) return null;
+    if (typeof options !== 'object' || Array.isArray(options)) return 'llm must be an object';
+
+    if (options.provider !== undefined && !PROVIDERS[options.provider]) {
+        return `Unknown provider "${options.provider}". Available: ${Object.keys(PROVIDERS).join(', ')}`;
+    }
+    if (options.model !== undefined && (typeof options.model !== 'string' || options.model.trim() === '')) {
+        return 'llm.model must be a model name';
+    }
+    const ranges = {
+        temperature: [0, 2],
+        timeoutMs: [1000, 600000],
+        retries: [0, 10],
+        retryDelayMs: [0, 60000],
+        backoff: [1, 10]
+    };
+    for (const [name, [min, max]] of Object.entries(ranges)) {
+        const value = options[name];
+        if (value !== undefined && (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max)) {
+            return `llm.${name} must be a number from ${min} to ${max}`;
+        }
+    }
+    return null;
+}
+
+// Settings for one request: .env defaults with the request's overrides.
+// Switching provider without naming a model uses that provider's default.
+function resolveConfig(options = {}, env = process.env) {
+    const base = defaultConfig(env);
+    const config = { ...base };
+    ['provider', 'model', 'temperature', 'timeoutMs', 'retries', 'retryDelayMs', 'backoff'].forEach(name => {
+        if (options && options[name] !== undefined) config[name] = options[name];
+    });
+    if (options && options.provider && options.provider !== base.provider && options.model === undefined) {
+        config.model = null;
+    }
+
+    const spec = PROVIDERS[config.provider];
+    if (!spec) return { config, error: `Unknown provider "${config.provider}" in LLM_PROVIDER` };
+    config.model = config.model || spec.defaultModel;
+    const full = { ...config, ...providerSecrets(config.provider, env) };
+    return { config: full, error: spec.configError(full) };
+}
+
+// Run one call with a timeout; fetch-based providers are aborted. An
+// outside AbortSignal (a cancelled job) ends the call the same way.
+async function withTimeout(call, timeoutMs, cancel = null) {
+    const controller = new AbortController();
+    let timer;
+    let onCancel;
+    const stop = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            controller.abort();
+            const error = retryableError(`The model did not answer within ${timeoutMs} ms`);
+            error.timeout = true;
+            reject(error);
+        }, timeoutMs);
+        if (cancel) {
+            onCancel = () => {
+                controller.abort();
+                reject(cancelledError());
+            };
+            if (cancel.aborted) onCancel();
+            else cancel.addEventListener('abort', onCancel);
+        }
+    });
+    try {
+        return await Promise.race([call(controller.signal), stop]);
+    } finally {
+        clearTimeout(timer);
+        if (cancel) cancel.removeEventListener('abort', onCancel);
+    }
+}
+
+function cancelledError() {
+    const error = new Error('The model call was cancelled');
+    error.cancelled = true;
+    return error;
+}
+
+// Create a client for one request. `options` are the request's overrides
+// (provider, model, temperature, timeoutMs, retries, retryDelayMs, backoff);
+// onRetry({ provider, error, delay, retriesLeft }) is told about each retry.
+// Returns { client, error }; client.generate(prompt, signal) resolves to the
+// reply text, retrying retryable failures with exponential backoff until
+// the optional AbortSignal fires.
+function createClient(options, { onRetry = null } = {}) {
+    const optionsError = validateOptions(options);
+    if (optionsError) return { client: null, error: optionsError };
+
+    const { config, error } = resolveConfig(options || {});
+    if (error) return { client: null, error };
+
+    const spec = PROVIDERS[config.provider];
+    const generate = async (prompt, signal = null) => {
+        let attempt = 0;
+        while (true) {
+            try {
+                const text = await withTimeout(callSignal => spec.generate(prompt, config, callSignal), config.timeoutMs, signal);
+                return String(text).trim();
+            } catch (error) {
+                attempt++;
+                if (!error.retryable || attempt > config.retries || (signal && signal.aborted)) throw error;
+                const delay = config.retryDelayMs * Math.pow(config.backoff, attempt - 1);
+                if (onRetry) onRetry({ provider: spec.label, error, delay, retriesLeft: config.retries - attempt + 1 });
+                await new Promise(resolve => setTimeout(resolve, delay));
+                if (signal && signal.aborted) throw cancelledError();
+            }
+        }
+    };
+
+    return {
+        client: {
+            provider: config.provider,
+            model: config.model,
+            temperature: config.temperature,
+            generate
+        },
+        error: null
+    };
+}
+
+// Providers and whether each is ready to use, for the settings endpoint
+function describeProviders() {
+    const defaults = defaultConfig();
+    return {
+        defaults: { ...defaults, model: defaults.model || (PROVIDERS[defaults.provider] || {}).defaultModel || null },
+        providers: Object.entries(PROVIDERS).map(([name, spec]) => {
+            const { error } = resolveConfig({ provider: name });
+            return {
+                name,
+                label: spec.label,
+                defaultModel: spec.defaultModel,
+                configured: !error
+            };
+        })
+    };
+}
+
+// Strip markdown code fences and surrounding whitespace from a reply
+function cleanResponse(text) {
+    return String(text).replace(/```json\s*/gi, '').replace(/```\s*/g, '').trim();
+}
+
+const JSON_PATTERNS = {
+    array: /\[[\s\S]*\]/,
+    object: /\{[\s\S]*\}/,
+    any: /\[[\s\S]*\]|\{[\s\S]*\}/
+};
+
+// Read the JSON in a model reply. `expect` is 'array', 'object' or 'any'.
+// Returns { data, recovered, truncated } where recovered means the JSON had
+// to be cut out of surrounding text and truncated that the reply stopped
+// mid-JSON. Throws if no JSON can be read; the error's `truncated` says why.
+function extractJSON(text, expect = 'any') {
+    const cleaned = cleanResponse(text);
+    try {
+        return { data: JSON.parse(cleaned), recovered: false, truncated: false };
+    } catch (error) {
+        // Fall through to the recovery below
+    }
+
+    const truncated = /^[[{]/.test(cleaned) && !/[\]}]$/.test(cleaned);
+    const match = cleaned.match(JSON_PATTERNS[expect]);
+    if (match) {
+        try {
+            return { data: JSON.parse(match[0]), recovered: true, truncated };
+        } catch (error) {
+            // Not JSON after all
+        }
+    }
+
+    const noun = expect === 'any' ? 'JSON' : `a JSON ${expect}`;
+    const error = new Error(`The reply is not ${noun}${truncated ? ' (possibly truncated)' : ''}`);
+    error.truncated = truncated;
+    throw error;
+}
+
+module.exports = {
+    PROVIDERS,
+    createClient,
+    describeProviders,
+    validateOptions,
+    cleanResponse,
+    extractJSON
+};
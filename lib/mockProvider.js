@@ -0,0 +1,132 @@
+/**
+ * Deterministic mock model
+ *
+ * Answers the app's own prompts without a network connection, so the whole
+ * pipeline can be run offline and in tests. The same prompt always gets the
+ * same reply: rows come back unchanged, plans trim whitespace, questions
+ * count the rows, training reports fixed metrics and unknown prompts get
+ * an empty object.
+ */
+
+// The text between a marker line and the next blank line
+function section(prompt, marker) {
+    const start = prompt.indexOf(marker);
+    if (start === -1) return null;
+    const rest = prompt.slice(start + marker.length).replace(/^\s*\n/, '');
+    const end = rest.search(/\n\s*\n/);
+    return (end === -1 ? rest : rest.slice(0, end)).trim();
+}
+
+// A line of the form "- Label: value"
+function field(prompt, label) {
+    const match = prompt.match(new RegExp(`- ${label}: (.*)`));
+    return match ? match[1].trim() : null;
+}
+
+// Chunk rewrites: the rows as given, keeping their position field
+function mockRows(prompt) {
+    return section(prompt, 'ROWS TO PROCESS:');
+}
+
+// Whole-dataset rewrites: the data as given; text comes back wrapped
+function mockDataset(prompt) {
+    const start = prompt.indexOf('DATASET TO PROCESS:\n');
+    const end = prompt.lastIndexOf('\n\nRESPOND WITH ONLY');
+    const data = prompt.slice(start + 'DATASET TO PROCESS:\n'.length, end === -1 ? undefined : end);
+    try {
+        return JSON.stringify(JSON.parse(data));
+    } catch (error) {
+        return JSON.stringify({ data });
+    }
+}
+
+function mockPlan() {
+    return JSON.stringify({
+        explanation: 'Mock plan: trim surrounding whitespace in every text column.',
+        steps: [{ op: 'trim_whitespace', params: {} }]
+    });
+}
+
+function mockQuery() {
+    return JSON.stringify({
+        explanation: 'Mock query: count the rows.',
+        query: { aggregates: [{ function: 'count', as: 'rows' }] }
+    });
+}
+
+function mockTraining(prompt) {
+    const features = (field(prompt, 'Feature columns') || '').split(',').map(name => name.trim()).filter(Boolean);
+    const target = field(prompt, 'Target column');
+    const types = field(prompt, 'Column types') || '';
+    const regression = target !== null && new RegExp(`(^|, )${target.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')} \\((integer|float)\\)`).test(types);
+    const rows = parseInt(field(prompt, 'Total rows'), 10) || 0;
+    const split = (parseFloat(field(prompt, 'Test split')) || 20) / 100;
+    const modelType = field(prompt, 'Model type') || 'unknown';
+
+    const importance = {};
+    features.forEach(name => {
+        importance[name] = Number((1 / features.length).toFixed(3));
+    });
+
+    const classification = {
+        accuracy: 0.85, precision: 0.84, recall: 0.83, f1Score: 0.835, specificity: 0.86,
+        sensitivity: 0.83, auc_roc: 0.9, logLoss: 0.3, mse: null, rmse: null, mae: null,
+        mape: null, r2Score: null, adjustedR2: null
+    };
+    const regressionMetrics = {
+        accuracy: null, precision: null, recall: null, f1Score: null, specificity: null,
+        sensitivity: null, auc_roc: null, logLoss: null, mse: 1, rmse: 1, mae: 0.8,
+        mape: 10, r2Score: 0.8, adjustedR2: 0.78
+    };
+
+    return JSON.stringify({
+        success: true,
+        modelType,
+        modelDisplayName: `Mock ${modelType}`,
+        taskType: regression ? 'regression' : 'classification',
+        metrics: {
+            ...(regression ? regressionMetrics : classification),
+            crossValScore: 0.8,
+            crossValStd: 0.02,
+            trainingTime: '0.01s',
+            predictionTime: '0.1ms'
+        },
+        trainSize: Math.floor(rows * (1 - split)),
+        testSize: Math.floor(rows * split),
+        featureImportance: importance,
+        modelParameters: {},
+        dataAnalysis: {
+            totalFeatures: features.length,
+            totalSamples: rows,
+            missingValues: 0,
+            categoricalFeatures: 0,
+            numericalFeatures: features.length,
+            targetDistribution: regression ? 'continuous' : 'balanced'
+        },
+        modelSummary: 'Mock training result from the offline provider.',
+        recommendations: 'Use a real provider for meaningful results.'
+    });
+}
+
+function mockPrediction() {
+    return JSON.stringify({
+        prediction: 'mock',
+        confidence: 0.5,
+        explanation: 'Mock prediction from the offline provider.'
+    });
+}
+
+// Reply to a prompt the way the app's real prompts expect
+function mockGenerate(prompt) {
+    if (prompt.includes('ROWS TO PROCESS:')) return mockRows(prompt);
+    if (prompt.includes('DATASET TO PROCESS:')) return mockDataset(prompt);
+    if (prompt.includes('write a plan')) return mockPlan();
+    if (prompt.includes('translate it into a query')) return mockQuery();
+    if (prompt.includes('simulate training')) return mockTraining(prompt);
+    if (prompt.includes('machine learning prediction system')) return mockPrediction();
+    return '{}';
+}
+
+module.exports = {
+    mockGenerate
+};
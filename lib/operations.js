@@ -0,0 +1,842 @@
+/**
+ * Deterministic data operations
+ *
+ * The quick-action chips map to these operations, which run locally and
+ * always give the same result for the same input. Each step is
+ * { op, params } and is checked with validateOperations before it runs.
+ */
+
+const { inferSchema, parseDate, parseDateTime } = require('./schema');
+
+const NUMERIC_TYPES = ['integer', 'float'];
+
+const FILTER_OPERATORS = [
+    'eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'contains', 'not_contains',
+    'starts_with', 'ends_with', 'in', 'not_in', 'is_missing', 'not_missing', 'matches'
+];
+
+// Patterns come from users and the model and run over every row, so they
+// are kept short and may not repeat a group that itself repeats, like
+// (a+)+ or (\w*)*, the usual cause of catastrophic backtracking
+const MAX_PATTERN_LENGTH = 200;
+const NESTED_QUANTIFIER = /\((?:[^()\\]|\\.)*(?:[+*]|\{\d+,\d*\})(?:[^()\\]|\\.)*\)(?:[+*]|\{\d+,\d*\})/;
+
+const MAP_FUNCTIONS = [
+    'lower', 'upper', 'trim', 'title', 'replace', 'round', 'add', 'multiply',
+    'prefix', 'suffix', 'map_values', 'concat'
+];
+
+// Parameter types: columns (list of column names), column (one name),
+// number, boolean, string, any (a JSON scalar), select (one of `options`),
+// mapping (an object) and conditions (filter conditions). Operations that
+// add, remove or rename columns describe it in columnsAfter, so later steps
+// can be checked against the columns they will actually see.
+const OPERATIONS = {
+    remove_duplicates: {
+        label: 'Remove duplicates',
+        params: [
+            { name: 'columns', type: 'columns', default: [], description: 'Columns that identify a duplicate (all when empty)' },
+            { name: 'keep', type: 'select', options: ['first', 'last'], default: 'first' }
+        ]
+    },
+    drop_missing: {
+        label: 'Remove empty rows',
+        params: [
+            { name: 'columns', type: 'columns', default: [], description: 'Columns to check (all when empty)' },
+            { name: 'how', type: 'select', options: ['any', 'all'], default: 'any', description: 'Drop rows missing any or all of the columns' }
+        ]
+    },
+    trim_whitespace: {
+        label: 'Trim whitespace',
+        params: [
+            { name: 'columns', type: 'columns', default: [] },
+            { name: 'collapse', type: 'boolean', default: false, description: 'Also collapse inner runs of whitespace' }
+        ]
+    },
+    sort: {
+        label: 'Sort data',
+        params: [
+            { name: 'columns', type: 'columns', default: [], description: 'Sort keys in order (first column when empty)' },
+            { name: 'descending', type: 'boolean', default: false }
+        ]
+    },
+    lowercase: {
+        label: 'Lowercase all',
+        params: [
+            { name: 'columns', type: 'columns', default: [] }
+        ]
+    },
+    drop_sparse_columns: {
+        label: 'Remove sparse columns',
+        params: [
+            { name: 'threshold', type: 'number', default: 0.5, min: 0, max: 1, description: 'Drop columns with more than this share of missing values' }
+        ]
+    },
+    fill_missing: {
+        label: 'Fill missing values',
+        params: [
+            { name: 'columns', type: 'columns', default: [], description: 'Columns to fill (numeric columns for mean and median when empty)' },
+            { name: 'strategy', type: 'select', options: ['mean', 'median', 'mode', 'constant', 'ffill', 'bfill'], default: 'mean' },
+            { name: 'value', type: 'any', default: '', description: 'Fill value for the constant strategy' }
+        ]
+    },
+    normalize: {
+        label: 'Normalize data',
+        params: [
+            { name: 'columns', type: 'columns', default: [], description: 'Numeric columns (all numeric when empty)' },
+            { name: 'method', type: 'select', options: ['minmax', 'zscore'], default: 'minmax' }
+        ]
+    },
+    remove_outliers: {
+        label: 'Remove outliers (IQR)',
+        params: [
+            { name: 'columns', type: 'columns', default: [], description: 'Numeric columns (all numeric when empty)' },
+            { name: 'multiplier', type: 'number', default: 1.5, min: 0 }
+        ]
+    },
+    parse_dates: {
+        label: 'Parse dates',
+        params: [
+            { name: 'columns', type: 'columns', default: [], description: 'Date columns (detected when empty)' },
+            { name: 'dayFirst', type: 'boolean', default: false, description: 'Read 01/02/2024 as 1 February' }
+        ]
+    },
+    filter: {
+        label: 'Filter rows',
+        params: [
+            { name: 'conditions', type: 'conditions', required: true, description: `List of { column, operator, value }; operators: ${FILTER_OPERATORS.join(', ')}` },
+            { name: 'match', type: 'select', options: ['all', 'any'], default: 'all', description: 'Whether every condition or any one must hold' },
+            { name: 'keep', type: 'boolean', default: true, description: 'Keep matching rows (false removes them)' }
+        ]
+    },
+    map_column: {
+        label: 'Map column',
+        params: [
+            { name: 'column', type: 'column', required: true },
+            { name: 'function', type: 'select', options: MAP_FUNCTIONS, required: true },
+            { name: 'target', type: 'string', default: '', description: 'Column to write to (the same column when empty)' },
+            { name: 'value', type: 'any', default: null, description: 'Argument for round (digits), add, multiply, prefix and suffix' },
+            { name: 'pattern', type: 'string', default: '', description: 'Text or regular expression to find, for replace' },
+            { name: 'replacement', type: 'string', default: '' },
+            { name: 'regex', type: 'boolean', default: false },
+            { name: 'mapping', type: 'mapping', default: {}, description: 'Old value to new value, for map_values' },
+            { name: 'columns', type: 'columns', default: [], description: 'Columns appended by concat' },
+            { name: 'separator', type: 'string', default: ' ' }
+        ],
+        columnsAfter: (params, columns) => (params.target && !columns.includes(params.target)
+            ? [...columns, params.target]
+            : columns)
+    },
+    cast: {
+        label: 'Cast columns',
+        params: [
+            { name: 'columns', type: 'columns', required: true },
+            { name: 'type', type: 'select', options: ['integer', 'float', 'string', 'boolean', 'date', 'datetime'], required: true }
+        ]
+    },
+    drop_columns: {
+        label: 'Drop columns',
+        params: [
+            { name: 'columns', type: 'columns', required: true }
+        ],
+        columnsAfter: (params, columns) => columns.filter(c => !params.columns.includes(c))
+    },
+    rename_columns: {
+        label: 'Rename columns',
+        params: [
+            { name: 'mapping', type: 'mapping', keys: 'columns', required: true, description: 'Old column name to new name' }
+        ],
+        columnsAfter: (params, columns) => columns.map(c => (params.mapping[c] !== undefined ? String(params.mapping[c]) : c))
+    }
+};
+
+// Only null and blank strings count as missing here: placeholders such as
+// "N/A" are already null in typed columns, and may be real text elsewhere
+function isEmpty(value) {
+    return value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+}
+
+function toNumber(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) {
+        return Number(value);
+    }
+    return null;
+}
+
+function columnNames(rows) {
+    const names = [];
+    const seen = new Set();
+    for (const row of rows) {
+        for (const key of Object.keys(row || {})) {
+            if (!seen.has(key)) {
+                seen.add(key);
+                names.push(key);
+            }
+        }
+    }
+    return names;
+}
+
+function numericColumns(schema) {
+    return schema.columns.filter(c => NUMERIC_TYPES.includes(c.type)).map(c => c.name);
+}
+
+// Columns named in params, or the given default set when none are
+function pickColumns(params, fallback) {
+    return params.columns && params.columns.length > 0 ? params.columns : fallback;
+}
+
+function numericValues(rows, column) {
+    return rows.map(row => toNumber(row[column])).filter(value => value !== null);
+}
+
+function mean(values) {
+    return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+// Quantile with linear interpolation, as in pandas
+function quantile(sorted, q) {
+    const position = (sorted.length - 1) * q;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+function median(values) {
+    return quantile([...values].sort((a, b) => a - b), 0.5);
+}
+
+// Most frequent value, first seen wins ties
+function mode(values) {
+    const counts = new Map();
+    let best;
+    let bestCount = 0;
+    for (const value of values) {
+        const key = JSON.stringify(value);
+        const count = (counts.get(key) || 0) + 1;
+        counts.set(key, count);
+        if (count > bestCount) {
+            best = value;
+            bestCount = count;
+        }
+    }
+    return best;
+}
+
+// Order values: numbers numerically, then strings, with missing values last
+function compareValues(a, b) {
+    const aMissing = isEmpty(a);
+    const bMissing = isEmpty(b);
+    if (aMissing || bMissing) return aMissing === bMissing ? 0 : (aMissing ? 1 : -1);
+
+    const aNumber = toNumber(a);
+    const bNumber = toNumber(b);
+    if (aNumber !== null && bNumber !== null) return aNumber - bNumber;
+    if (aNumber !== null) return -1;
+    if (bNumber !== null) return 1;
+    return String(a).localeCompare(String(b));
+}
+
+function mapStrings(rows, columns, transform) {
+    const targets = new Set(columns);
+    let changed = 0;
+    const data = rows.map(row => {
+        const out = { ...row };
+        for (const column of targets) {
+            if (typeof out[column] === 'string') {
+                const next = transform(out[column]);
+                if (next !== out[column]) changed++;
+                out[column] = next;
+            }
+        }
+        return out;
+    });
+    return { data, details: { cellsChanged: changed } };
+}
+
+const handlers = {
+    remove_duplicates(rows, params, context) {
+        const columns = pickColumns(params, context.columns);
+        const keyOf = row => JSON.stringify(columns.map(c => (row[c] === undefined ? null : row[c])));
+        const seen = new Set();
+        const ordered = params.keep === 'last' ? [...rows].reverse() : rows;
+        const kept = ordered.filter(row => {
+            const key = keyOf(row);
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+        return { data: params.keep === 'last' ? kept.reverse() : kept };
+    },
+
+    drop_missing(rows, params, context) {
+        const columns = pickColumns(params, context.columns);
+        const data = rows.filter(row => {
+            const missing = columns.filter(c => isEmpty(row[c])).length;
+            return params.how === 'all' ? missing < columns.length : missing === 0;
+        });
+        return { data };
+    },
+
+    trim_whitespace(rows, params, context) {
+        const columns = pickColumns(params, context.columns);
+        return mapStrings(rows, columns, value => {
+            const trimmed = value.trim();
+            return params.collapse ? trimmed.replace(/\s+/g, ' ') : trimmed;
+        });
+    },
+
+    sort(rows, params, context) {
+        const columns = pickColumns(params, context.columns.slice(0, 1));
+        const direction = params.descending ? -1 : 1;
+        // Array.prototype.sort is stable, so equal keys keep their order
+        const data = [...rows].sort((a, b) => {
+            for (const column of columns) {
+                const result = compareValues(a[column], b[column]);
+                if (result !== 0) {
+                    // Missing values stay last in either direction
+                    return isEmpty(a[column]) || isEmpty(b[column]) ? result : result * direction;
+                }
+            }
+            return 0;
+        });
+        return { data };
+    },
+
+    lowercase(rows, params, context) {
+        return mapStrings(rows, pickColumns(params, context.columns), value => value.toLowerCase());
+    },
+
+    drop_sparse_columns(rows, params, context) {
+        const threshold = params.threshold;
+        const dropped = context.columns.filter(column => {
+            const missing = rows.filter(row => isEmpty(row[column])).length;
+            return rows.length > 0 && missing / rows.length > threshold;
+        });
+        const data = rows.map(row => {
+            const out = { ...row };
+            dropped.forEach(column => delete out[column]);
+            return out;
+        });
+        return { data, details: { droppedColumns: dropped } };
+    },
+
+    fill_missing(rows, params, context) {
+        const strategy = params.strategy;
+        const statistical = strategy === 'mean' || strategy === 'median';
+        const columns = pickColumns(params, statistical ? numericColumns(context.schema) : context.columns);
+        const fills = {};
+        let filled = 0;
+
+        const data = rows.map(row => ({ ...row }));
+
+        for (const column of columns) {
+            if (strategy === 'ffill' || strategy === 'bfill') {
+                const order = strategy === 'ffill' ? data : [...data].reverse();
+                let last;
+                for (const row of order) {
+                    if (isEmpty(row[column])) {
+                        if (last !== undefined) {
+                            row[column] = last;
+                            filled++;
+                        }
+                    } else {
+                        last = row[column];
+                    }
+                }
+                continue;
+            }
+
+            let fill;
+            if (strategy === 'constant') {
+                fill = toNumber(params.value) !== null && numericColumns(context.schema).includes(column)
+                    ? toNumber(params.value)
+                    : params.value;
+            } else if (statistical) {
+                const values = numericValues(data, column);
+                if (values.length === 0) continue;
+                fill = strategy === 'mean' ? mean(values) : median(values);
+            } else {
+                const present = data.map(row => row[column]).filter(value => !isEmpty(value));
+                if (present.length === 0) continue;
+                fill = mode(present);
+            }
+
+            fills[column] = fill;
+            for (const row of data) {
+                if (isEmpty(row[column])) {
+                    row[column] = fill;
+                    filled++;
+                }
+            }
+        }
+
+        return { data, details: { cellsFilled: filled, fillValues: fills } };
+    },
+
+    normalize(rows, params, context) {
+        const columns = pickColumns(params, numericColumns(context.schema));
+        const stats = {};
+
+        for (const column of columns) {
+            const values = numericValues(rows, column);
+            if (values.length === 0) continue;
+            if (params.method === 'zscore') {
+                const avg = mean(values);
+                const std = Math.sqrt(mean(values.map(v => (v - avg) ** 2)));
+                stats[column] = { mean: avg, std };
+            } else {
+                stats[column] = {
+                    min: values.reduce((a, b) => Math.min(a, b)),
+                    max: values.reduce((a, b) => Math.max(a, b))
+                };
+            }
+        }
+
+        const data = rows.map(row => {
+            const out = { ...row };
+            for (const [column, stat] of Object.entries(stats)) {
+                const value = toNumber(row[column]);
+                if (value === null) continue;
+                if (params.method === 'zscore') {
+                    out[column] = stat.std === 0 ? 0 : (value - stat.mean) / stat.std;
+                } else {
+                    const range = stat.max - stat.min;
+                    out[column] = range === 0 ? 0 : (value - stat.min) / range;
+                }
+            }
+            return out;
+        });
+
+        return { data, details: { stats } };
+    },
+
+    remove_outliers(rows, params, context) {
+        const columns = pickColumns(params, numericColumns(context.schema));
+        const bounds = {};
+
+        for (const column of columns) {
+            const values = numericValues(rows, column).sort((a, b) => a - b);
+            if (values.length < 4) continue;
+            const q1 = quantile(values, 0.25);
+            const q3 = quantile(values, 0.75);
+            const iqr = q3 - q1;
+            bounds[column] = { q1, q3, lower: q1 - params.multiplier * iqr, upper: q3 + params.multiplier * iqr };
+        }
+
+        // Missing and non-numeric values are not outliers
+        const data = rows.filter(row => Object.entries(bounds).every(([column, bound]) => {
+            const value = toNumber(row[column]);
+            return value === null || (value >= bound.lower && value <= bound.upper);
+        }));
+
+        return { data, details: { bounds } };
+    },
+
+    parse_dates(rows, params, context) {
+        const detected = context.schema.columns
+            .filter(c => c.type === 'date' || c.type === 'datetime')
+            .map(c => c.name);
+        const columns = pickColumns(params, detected);
+        let changed = 0;
+
+        const data = rows.map(row => {
+            const out = { ...row };
+            for (const column of columns) {
+                const value = out[column];
+                if (isEmpty(value) || typeof value !== 'string') continue;
+                const parsed = parseDateTime(value) || parseDate(value, params.dayFirst);
+                if (parsed && parsed !== value) {
+                    out[column] = parsed;
+                    changed++;
+                }
+            }
+            return out;
+        });
+
+        return { data, details: { columns, cellsChanged: changed } };
+    },
+
+    filter(rows, params) {
+        const tests = params.conditions.map(compileCondition);
+        const data = rows.filter(row => {
+            const matched = params.match === 'any'
+                ? tests.some(test => test(row))
+                : tests.every(test => test(row));
+            return params.keep ? matched : !matched;
+        });
+        return { data };
+    },
+
+    map_column(rows, params) {
+        const apply = compileMapFunction(params);
+        const target = params.target || params.column;
+        const data = rows.map(row => ({ ...row, [target]: apply(row[params.column], row) }));
+        return { data, details: { target } };
+    },
+
+    cast(rows, params) {
+        let failed = 0;
+        const data = rows.map(row => {
+            const out = { ...row };
+            for (const column of params.columns) {
+                if (isEmpty(out[column])) {
+                    out[column] = null;
+                    continue;
+                }
+                const value = castValue(out[column], params.type);
+                if (value === null) failed++;
+                out[column] = value;
+            }
+            return out;
+        });
+        return { data, details: { failed } };
+    },
+
+    drop_columns(rows, params) {
+        const data = rows.map(row => {
+            const out = { ...row };
+            params.columns.forEach(column => delete out[column]);
+            return out;
+        });
+        return { data };
+    },
+
+    rename_columns(rows, params) {
+        const data = rows.map(row => {
+            const out = {};
+            for (const [key, value] of Object.entries(row)) {
+                out[params.mapping[key] !== undefined ? String(params.mapping[key]) : key] = value;
+            }
+            return out;
+        });
+        return { data };
+    }
+};
+
+// Check a regular expression before it runs. Returns an error message or null.
+function checkPattern(pattern) {
+    if (typeof pattern !== 'string' || pattern === '') return 'Pattern must be non-empty text';
+    if (pattern.length > MAX_PATTERN_LENGTH) return `Pattern is longer than ${MAX_PATTERN_LENGTH} characters`;
+    if (NESTED_QUANTIFIER.test(pattern)) return 'Pattern repeats a group that itself repeats, which can take too long to run';
+    try {
+        new RegExp(pattern);
+    } catch (error) {
+        return `Invalid pattern: ${error.message}`;
+    }
+    return null;
+}
+
+// Compile a pattern, refusing one that checkPattern rejects
+function compilePattern(pattern, flags) {
+    const problem = checkPattern(pattern);
+    if (problem) throw new Error(problem);
+    return new RegExp(pattern, flags);
+}
+
+function compileCondition(condition) {
+    const { column, operator, value } = condition;
+    const text = v => (isEmpty(v) ? '' : String(v).toLowerCase());
+    const pattern = operator === 'matches' ? compilePattern(value) : null;
+
+    return row => {
+        const cell = row[column];
+        switch (operator) {
+            case 'is_missing': return isEmpty(cell);
+            case 'not_missing': return !isEmpty(cell);
+            case 'eq': return !isEmpty(cell) && compareValues(cell, value) === 0;
+            case 'ne': return isEmpty(cell) || compareValues(cell, value) !== 0;
+            case 'gt': return !isEmpty(cell) && compareValues(cell, value) > 0;
+            case 'gte': return !isEmpty(cell) && compareValues(cell, value) >= 0;
+            case 'lt': return !isEmpty(cell) && compareValues(cell, value) < 0;
+            case 'lte': return !isEmpty(cell) && compareValues(cell, value) <= 0;
+            case 'contains': return text(cell).includes(text(value));
+            case 'not_contains': return !text(cell).includes(text(value));
+            case 'starts_with': return text(cell).startsWith(text(value));
+            case 'ends_with': return text(cell).endsWith(text(value));
+            case 'in': return value.some(option => !isEmpty(cell) && compareValues(cell, option) === 0);
+            case 'not_in': return !value.some(option => !isEmpty(cell) && compareValues(cell, option) === 0);
+            case 'matches': return !isEmpty(cell) && pattern.test(String(cell));
+            default: return false;
+        }
+    };
+}
+
+function titleCase(str) {
+    return str.toLowerCase().replace(/(^|\s)\S/g, char => char.toUpperCase());
+}
+
+function escapeRegExp(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function compileMapFunction(params) {
+    const onString = transform => value => (typeof value === 'string' ? transform(value) : value);
+    const onNumber = transform => value => {
+        const number = toNumber(value);
+        return number === null ? value : transform(number);
+    };
+
+    switch (params.function) {
+        case 'lower': return onString(v => v.toLowerCase());
+        case 'upper': return onString(v => v.toUpperCase());
+        case 'trim': return onString(v => v.trim());
+        case 'title': return onString(titleCase);
+        case 'replace': {
+            const pattern = params.regex ? compilePattern(params.pattern, 'g') : new RegExp(escapeRegExp(params.pattern), 'g');
+            return onString(v => v.replace(pattern, params.replacement));
+        }
+        case 'round': {
+            const factor = 10 ** (params.value || 0);
+            return onNumber(v => Math.round(v * factor) / factor);
+        }
+        case 'add': return onNumber(v => v + params.value);
+        case 'multiply': return onNumber(v => v * params.value);
+        case 'prefix': return value => (isEmpty(value) ? value : `${params.value}${value}`);
+        case 'suffix': return value => (isEmpty(value) ? value : `${value}${params.value}`);
+        case 'map_values': return value => {
+            const key = isEmpty(value) ? '' : String(value);
+            return Object.prototype.hasOwnProperty.call(params.mapping, key) ? params.mapping[key] : value;
+        };
+        case 'concat': return (value, row) => [value, ...params.columns.map(c => row[c])]
+            .filter(v => !isEmpty(v))
+            .join(params.separator);
+        default: return value => value;
+    }
+}
+
+// Convert a value to a type, or null when it does not convert
+function castValue(value, type) {
+    switch (type) {
+        case 'integer': {
+            const number = toNumber(value);
+            return number === null ? null : Math.trunc(number);
+        }
+        case 'float':
+            return toNumber(value);
+        case 'string':
+            return typeof value === 'object' ? JSON.stringify(value) : String(value);
+        case 'boolean': {
+            if (typeof value === 'boolean') return value;
+            const lower = String(value).trim().toLowerCase();
+            if (['true', 'yes', 'y', 't', '1'].includes(lower)) return true;
+            if (['false', 'no', 'n', 'f', '0'].includes(lower)) return false;
+            return null;
+        }
+        case 'date':
+            return parseDate(String(value)) || (parseDateTime(String(value)) || '').slice(0, 10) || null;
+        case 'datetime':
+            return parseDateTime(String(value)) || (parseDate(String(value)) ? `${parseDate(String(value))}T00:00:00.000Z` : null);
+        default:
+            return value;
+    }
+}
+
+// Describe the available operations for clients
+function listOperations() {
+    return Object.entries(OPERATIONS).map(([op, spec]) => ({ op, ...spec }));
+}
+
+function checkParam(spec, value, columns) {
+    switch (spec.type) {
+        case 'columns': {
+            if (!Array.isArray(value) || value.some(c => typeof c !== 'string')) {
+                return `"${spec.name}" must be a list of column names`;
+            }
+            const unknown = columns ? value.filter(c => !columns.includes(c)) : [];
+            return unknown.length > 0 ? `Unknown column(s): ${unknown.join(', ')}` : null;
+        }
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return `"${spec.name}" must be a number`;
+            if (spec.min !== undefined && value < spec.min) return `"${spec.name}" must be at least ${spec.min}`;
+            if (spec.max !== undefined && value > spec.max) return `"${spec.name}" must be at most ${spec.max}`;
+            return null;
+        case 'boolean':
+            return typeof value === 'boolean' ? null : `"${spec.name}" must be true or false`;
+        case 'select':
+            return spec.options.includes(value) ? null : `"${spec.name}" must be one of: ${spec.options.join(', ')}`;
+        case 'column':
+            if (typeof value !== 'string') return `"${spec.name}" must be a column name`;
+            return columns && !columns.includes(value) ? `Unknown column: ${value}` : null;
+        case 'any':
+            return value === null || ['string', 'number', 'boolean'].includes(typeof value)
+                ? null
+                : `"${spec.name}" must be a string, number, boolean or null`;
+        case 'mapping': {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                return `"${spec.name}" must be an object`;
+            }
+            const unknown = spec.keys === 'columns' && columns
+                ? Object.keys(value).filter(c => !columns.includes(c))
+                : [];
+            return unknown.length > 0 ? `Unknown column(s): ${unknown.join(', ')}` : null;
+        }
+        case 'conditions':
+            return checkConditions(spec, value, columns);
+        default:
+            return typeof value === 'string' || typeof value === 'number' ? null : `"${spec.name}" must be a string`;
+    }
+}
+
+function checkConditions(spec, value, columns) {
+    if (!Array.isArray(value) || value.length === 0) {
+        return `"${spec.name}" must be a non-empty list`;
+    }
+    for (const condition of value) {
+        if (!condition || typeof condition.column !== 'string') {
+            return 'Each condition needs a column';
+        }
+        if (columns && !columns.includes(condition.column)) {
+            return `Unknown column: ${condition.column}`;
+        }
+        if (!FILTER_OPERATORS.includes(condition.operator)) {
+            return `Unknown operator "${condition.operator}"`;
+        }
+        if ((condition.operator === 'in' || condition.operator === 'not_in') && !Array.isArray(condition.value)) {
+            return `"${condition.operator}" needs a list value`;
+        }
+        if (condition.operator === 'matches') {
+            const problem = checkPattern(condition.value);
+            if (problem) return problem;
+        }
+    }
+    return null;
+}
+
+// Check filter conditions outside an operation step (e.g. in a query)
+function validateConditions(conditions, columns = null) {
+    return checkConditions({ name: 'filter' }, conditions, columns);
+}
+
+// New names must be distinct, and must not take the name of a column that
+// keeps its own (which would be overwritten)
+function checkRenames(mapping, columns) {
+    const targets = Object.values(mapping);
+    if (targets.some(name => typeof name !== 'string' || name === '')) {
+        return 'New column names must be non-empty text';
+    }
+    const repeated = targets.filter((name, index) => targets.indexOf(name) !== index);
+    if (repeated.length > 0) {
+        return `Several columns would be renamed to "${repeated[0]}"`;
+    }
+    const kept = columns ? columns.filter(name => mapping[name] === undefined) : [];
+    const taken = targets.filter(name => kept.includes(name));
+    return taken.length > 0 ? `Column "${taken[0]}" already exists` : null;
+}
+
+// Checks that depend on more than one parameter, or on the columns
+function checkStep(step, params, columns) {
+    if (step.op === 'map_column') {
+        const fn = params.function;
+        if (['round', 'add', 'multiply'].includes(fn) && typeof params.value !== 'number') {
+            return `"${fn}" needs a numeric value`;
+        }
+        if ((fn === 'prefix' || fn === 'suffix') && params.value === null) {
+            return `"${fn}" needs a value`;
+        }
+        if (fn === 'replace') {
+            if (!params.pattern) return '"replace" needs a pattern';
+            if (params.regex) {
+                const problem = checkPattern(params.pattern);
+                if (problem) return problem;
+            }
+        }
+    }
+    if ((step.op === 'cast' || step.op === 'drop_columns') && params.columns.length === 0) {
+        return '"columns" must not be empty';
+    }
+    if (step.op === 'rename_columns') {
+        return checkRenames(params.mapping, columns);
+    }
+    return null;
+}
+
+// Check a list of steps. Pass the dataset's column names to also check
+// column references. Returns an error message, or null if the steps are valid.
+function validateOperations(steps, columns = null) {
+    if (!Array.isArray(steps) || steps.length === 0) {
+        return 'Operations must be a non-empty array';
+    }
+
+    let available = columns ? [...columns] : null;
+    for (const [index, step] of steps.entries()) {
+        const prefix = `Step ${index + 1}`;
+        if (!step || typeof step !== 'object' || !OPERATIONS[step.op]) {
+            return `${prefix}: unknown operation "${step && step.op}"`;
+        }
+        const params = step.params || {};
+        if (typeof params !== 'object' || Array.isArray(params)) {
+            return `${prefix}: params must be an object`;
+        }
+        const specs = OPERATIONS[step.op].params;
+        const unknown = Object.keys(params).filter(name => !specs.some(spec => spec.name === name));
+        if (unknown.length > 0) {
+            return `${prefix} (${step.op}): unknown parameter(s) ${unknown.join(', ')}`;
+        }
+        for (const spec of specs) {
+            if (params[spec.name] === undefined) {
+                if (spec.required) return `${prefix} (${step.op}): "${spec.name}" is required`;
+                continue;
+            }
+            const problem = checkParam(spec, params[spec.name], available);
+            if (problem) return `${prefix} (${step.op}): ${problem}`;
+        }
+
+        const full = withDefaults(step);
+        const problem = checkStep(step, full, available);
+        if (problem) return `${prefix} (${step.op}): ${problem}`;
+
+        if (available && OPERATIONS[step.op].columnsAfter) {
+            available = OPERATIONS[step.op].columnsAfter(full, available);
+        }
+    }
+    return null;
+}
+
+function withDefaults(step) {
+    const params = {};
+    for (const spec of OPERATIONS[step.op].params) {
+        params[spec.name] = step.params && step.params[spec.name] !== undefined
+            ? step.params[spec.name]
+            : (spec.default === undefined ? null : spec.default);
+    }
+    return params;
+}
+
+// Run validated steps over an array of rows.
+// Returns { data, log } with one log entry per step.
+function runOperations(rows, steps) {
+    let data = rows.filter(row => row && typeof row === 'object');
+    const log = [];
+
+    for (const step of steps) {
+        const params = withDefaults(step);
+        const columns = columnNames(data);
+        const context = { columns, schema: inferSchema(data) };
+        const result = handlers[step.op](data, params, context);
+
+        log.push({
+            op: step.op,
+            params,
+            rowsBefore: data.length,
+            rowsAfter: result.data.length,
+            columnsBefore: columns.length,
+            columnsAfter: columnNames(result.data).length,
+            ...(result.details ? { details: result.details } : {})
+        });
+        data = result.data;
+    }
+
+    return { data, log };
+}
+
+module.exports = {
+    FILTER_OPERATORS,
+    listOperations,
+    validateOperations,
+    validateConditions,
+    compileCondition,
+    compareValues,
+    runOperations
+};
@@ -0,0 +1,416 @@
+/**
+ * Personal data detection and redaction
+ *
+ * Finds emails, phone numbers, credit card numbers, IBANs, IP addresses,
+ * national ID numbers (US SSN, UK National Insurance) and person-name
+ * columns, and applies a policy per column before data leaves the machine:
+ * mask, hash, pseudonymize with reversible tokens, or drop. Pseudonyms are
+ * kept in a vault so they can be put back once the model has answered.
+ */
+
+const crypto = require('crypto');
+
+const POLICIES = ['none', 'mask', 'hash', 'pseudonymize', 'drop'];
+
+// Rows looked at by a scan shown to the user; redaction scans every row
+const SCAN_ROWS = 1000;
+
+// Value detectors, in the order they claim text: a card number is not also
+// reported as a phone number
+const DETECTORS = [
+    {
+        type: 'email',
+        label: 'Email address',
+        pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g
+    },
+    {
+        type: 'iban',
+        label: 'IBAN',
+        pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/g,
+        check: validIBAN
+    },
+    {
+        type: 'credit_card',
+        label: 'Credit card number',
+        pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+        check: match => luhn(match.replace(/\D/g, ''))
+    },
+    {
+        type: 'national_id',
+        label: 'National ID number',
+        // US Social Security and UK National Insurance numbers
+        pattern: /\b(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}\b|\b[A-CEGHJ-PR-TW-Z][A-CEGHJ-NPR-TW-Z] ?\d{2} ?\d{2} ?\d{2} ?[A-D]\b/g
+    },
+    {
+        type: 'ip_address',
+        label: 'IP address',
+        pattern: /\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b|\b(?:[0-9a-fA-F]{1,4}:){7}[0-9a-fA-F]{1,4}\b|\b(?:[0-9a-fA-F]{1,4}:){1,6}:(?:[0-9a-fA-F]{1,4}(?::[0-9a-fA-F]{1,4}){0,5})?\b/g
+    },
+    {
+        type: 'phone',
+        label: 'Phone number',
+        pattern: /(?:\+\d{1,3}[ .-]?)?(?:\(\d{1,4}\)[ .-]?)?\d{2,4}(?:[ .-]?\d{2,4}){1,4}/g,
+        check: validPhone
+    }
+];
+
+const PERSON_NAME = { type: 'person_name', label: 'Person name' };
+
+// Column names that suggest people's names; their values must also look
+// like names before the column is reported
+const NAME_COLUMN_PATTERN = /^(full[_ -]?|first[_ -]?|last[_ -]?|given[_ -]?|family[_ -]?|middle[_ -]?|maiden[_ -]?|sur|fore|nick)?name$|^(customer|client|contact|employee|patient|person|user|owner|author|manager|applicant|student)([_ -]?name)?$/i;
+const NAME_VALUE_PATTERN = /^[A-Z][a-z'’-]+\.?(?:[ -][A-Z][a-z'’.-]*){0,3}$/;
+
+// Luhn checksum used by card numbers
+function luhn(digits) {
+    if (digits.length < 13 || digits.length > 19) return false;
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+// ISO 13616 mod-97 check
+function validIBAN(match) {
+    const iban = match.replace(/ /g, '');
+    if (iban.length < 15 || iban.length > 34) return false;
+    const digits = (iban.slice(4) + iban.slice(0, 4))
+        .split('')
+        .map(char => (/\d/.test(char) ? char : String(char.charCodeAt(0) - 55)))
+        .join('');
+    let remainder = 0;
+    for (const digit of digits) {
+        remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+    return remainder === 1;
+}
+
+// Phone numbers have 7 to 15 digits and are written with a country code or
+// separators (or are long enough to be one); dates, plain counts and
+// decimals such as coordinates are not
+function validPhone(match) {
+    const digits = match.replace(/\D/g, '');
+    if (digits.length < 7 || digits.length > 15) return false;
+    if (/^-?\d+\.\d+$/.test(match)) return false;
+    if (/^\d{4}[-/.]\d{1,2}[-/.]\d{1,2}\b|^\d{1,2}[-/.]\d{1,2}[-/.]\d{2,4}\b/.test(match)) return false;
+    return /^\+|[ .()-]/.test(match) || digits.length >= 10;
+}
+
+function isMissing(value) {
+    return value === null || value === undefined || value === '';
+}
+
+function isTable(data) {
+    return Array.isArray(data) && data.every(row => row && typeof row === 'object' && !Array.isArray(row));
+}
+
+// Every detected value in a piece of text, as [{ type, start, end, value }]
+function findPII(text) {
+    const found = [];
+    const overlaps = (start, end) => found.some(match => start < match.end && end > match.start);
+    for (const detector of DETECTORS) {
+        for (const match of text.matchAll(detector.pattern)) {
+            const value = match[0].trim();
+            const start = match.index;
+            const end = start + match[0].length;
+            if (overlaps(start, end) || (detector.check && !detector.check(value))) continue;
+            found.push({ type: detector.type, start, end, value: match[0] });
+        }
+    }
+    return found.sort((a, b) => a.start - b.start);
+}
+
+function looksLikeNameColumn(name, values) {
+    if (!NAME_COLUMN_PATTERN.test(name.trim())) return false;
+    const texts = values.filter(value => typeof value === 'string');
+    if (texts.length === 0) return false;
+    return texts.filter(value => NAME_VALUE_PATTERN.test(value.trim())).length / texts.length >= 0.5;
+}
+
+function labelOf(type) {
+    if (type === PERSON_NAME.type) return PERSON_NAME.label;
+    const detector = DETECTORS.find(d => d.type === type);
+    return detector ? detector.label : type;
+}
+
+// Card numbers, IBANs and ID numbers are masked by default; everything else
+// is pseudonymized so the model still sees distinct values
+function suggestPolicy(types) {
+    return types.some(type => ['credit_card', 'iban', 'national_id'].includes(type)) ? 'mask' : 'pseudonymize';
+}
+
+// Scan one column. Returns { name, types, rate, whole } or null when nothing
+// was found; whole means the values are the personal data themselves
+// rather than containing it. Numbers are measurements, not personal data.
+function scanColumn(name, values) {
+    const present = values.filter(value => !isMissing(value) && typeof value !== 'object' && typeof value !== 'number');
+    if (present.length === 0) return null;
+
+    if (looksLikeNameColumn(name, present)) {
+        return {
+            name,
+            types: [{ type: PERSON_NAME.type, label: PERSON_NAME.label, count: present.length, rate: 1 }],
+            rate: 1,
+            whole: true
+        };
+    }
+
+    const counts = new Map();
+    let containing = 0;
+    let whole = 0;
+    present.forEach(value => {
+        const text = String(value);
+        const found = findPII(text);
+        if (found.length === 0) return;
+        containing++;
+        if (found.length === 1 && found[0].value.trim() === text.trim()) whole++;
+        new Set(found.map(match => match.type)).forEach(type => counts.set(type, (counts.get(type) || 0) + 1));
+    });
+    if (containing === 0) return null;
+
+    return {
+        name,
+        types: Array.from(counts, ([type, count]) => ({ type, label: labelOf(type), count, rate: round(count / present.length) }))
+            .sort((a, b) => b.count - a.count),
+        rate: round(containing / present.length),
+        whole: whole / containing >= 0.9
+    };
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+// Scan a dataset for personal data. Tables are scanned column by column
+// (the first `limit` rows, SCAN_ROWS by default); text is scanned as a
+// whole. Returns { rowsScanned, columns: [{ name, types, rate, whole,
+// suggestedPolicy }], text } where text lists the types found in text data.
+function scanData(data, { limit = SCAN_ROWS } = {}) {
+    if (typeof data === 'string') {
+        const counts = new Map();
+        findPII(data).forEach(match => counts.set(match.type, (counts.get(match.type) || 0) + 1));
+        return {
+            rowsScanned: 0,
+            columns: [],
+            text: Array.from(counts, ([type, count]) => ({ type, label: labelOf(type), count }))
+        };
+    }
+
+    const rows = isTable(data) ? data.slice(0, limit) : [];
+    const names = [];
+    rows.forEach(row => Object.keys(row).forEach(name => {
+        if (!names.includes(name)) names.push(name);
+    }));
+
+    const columns = names
+        .map(name => scanColumn(name, rows.map(row => row[name])))
+        .filter(Boolean)
+        .map(column => ({ ...column, suggestedPolicy: suggestPolicy(column.types.map(t => t.type)) }));
+    return { rowsScanned: rows.length, columns, text: [] };
+}
+
+// Check redaction settings: { policies: { column: policy } }, where the
+// column "*" sets the policy for every column with personal data (and for
+// text). Returns an error message or null.
+function validatePIIOptions(options) {
+    if (options === undefined || options === null) return null;
+    if (typeof options !== 'object' || Array.isArray(options)) return 'pii must be an object';
+    const policies = options.policies;
+    if (!policies || typeof policies !== 'object' || Array.isArray(policies)) {
+        return 'pii.policies must map column names to a policy';
+    }
+    for (const [column, policy] of Object.entries(policies)) {
+        if (!POLICIES.includes(policy)) {
+            return `Unknown PII policy "${policy}" for "${column}". Use one of: ${POLICIES.join(', ')}`;
+        }
+    }
+    return null;
+}
+
+// Tokens look like [[EMAIL_3]]; models tend to copy them through untouched
+const TOKEN_PATTERN = /\[\[([A-Z_]+_\d+)\]\]/g;
+
+// A vault of pseudonyms. The same value always gets the same token.
+function createVault() {
+    return { tokens: new Map(), values: new Map(), counters: new Map() };
+}
+
+function pseudonym(vault, type, value) {
+    const key = `${type}\u0000${value}`;
+    if (!vault.tokens.has(key)) {
+        const prefix = type.toUpperCase();
+        const next = (vault.counters.get(prefix) || 0) + 1;
+        vault.counters.set(prefix, next);
+        const token = `[[${prefix}_${next}]]`;
+        vault.tokens.set(key, token);
+        vault.values.set(token, value);
+    }
+    return vault.tokens.get(key);
+}
+
+// Keep the first letter (and an email's domain); star out the rest but the
+// last four characters of long numbers
+function maskValue(type, text) {
+    if (type === 'email') {
+        const at = text.lastIndexOf('@');
+        return `${text[0]}***${text.slice(at)}`;
+    }
+    if (type === 'person_name') {
+        return text.split(/\s+/).map(word => `${word[0]}***`).join(' ');
+    }
+    if (['credit_card', 'iban', 'phone', 'national_id'].includes(type)) {
+        let keep = 4;
+        return text.split('').reverse().map(char => {
+            if (!/[A-Za-z0-9]/.test(char)) return char;
+            return keep-- > 0 ? char : '*';
+        }).reverse().join('');
+    }
+    return '***';
+}
+
+function hashValue(secret, text) {
+    return crypto.createHmac('sha256', secret).update(text).digest('hex').slice(0, 16);
+}
+
+function replaceValue(policy, type, text, context) {
+    if (policy === 'mask') return maskValue(type, text);
+    if (policy === 'hash') return hashValue(context.secret, text);
+    context.stats.pseudonymized++;
+    return pseudonym(context.vault, type, text);
+}
+
+// Redact one value: the personal data inside it when a detector finds any,
+// otherwise the whole value when the column itself is personal data
+function redactValue(value, policy, wholeType, context) {
+    if (isMissing(value) || typeof value === 'object') return value;
+    const text = String(value);
+
+    if (wholeType) {
+        context.stats.values++;
+        return replaceValue(policy, wholeType, text, context);
+    }
+
+    if (typeof value === 'number') return value;
+    const found = findPII(text);
+    if (found.length === 0) return value;
+    context.stats.values += found.length;
+    let result = '';
+    let last = 0;
+    found.forEach(match => {
+        result += text.slice(last, match.start) + replaceValue(policy, match.type, match.value, context);
+        last = match.end;
+    });
+    return result + text.slice(last);
+}
+
+// Apply redaction policies to a dataset. `options.policies` maps columns
+// to a policy ("*" for every column the scan flags); `secret` keys the
+// hashes and `vault` collects pseudonyms for restorePII(). Returns
+// { data, columns, stats } where columns lists the policy applied to each
+// column and stats counts redacted values.
+function redactData(data, options, { secret, vault = createVault() } = {}) {
+    const policies = options.policies || {};
+    const context = { secret, vault, stats: { values: 0, pseudonymized: 0, droppedColumns: 0 } };
+    const fallback = policies['*'] || 'none';
+
+    if (typeof data === 'string') {
+        const policy = fallback === 'drop' ? 'mask' : fallback;
+        const text = policy === 'none' ? data : redactValue(data, policy, null, context);
+        return { data: text, columns: [], stats: context.stats, vault };
+    }
+    if (!isTable(data)) {
+        return { data, columns: [], stats: context.stats, vault };
+    }
+
+    // Columns named in the policies are redacted whatever the scan says;
+    // "*" covers the ones it flags. Every row is scanned so that personal
+    // data first appearing late in a column is not missed.
+    const scan = scanData(data, { limit: Infinity });
+    const flagged = new Map(scan.columns.map(column => [column.name, column]));
+    const names = new Set([...Object.keys(policies).filter(name => name !== '*'), ...flagged.keys()]);
+    const applied = [];
+    names.forEach(name => {
+        const policy = policies[name] || (flagged.has(name) ? fallback : 'none');
+        if (policy === 'none') return;
+        const column = flagged.get(name);
+        // Name columns, and columns picked by hand with nothing detected,
+        // are replaced cell by cell; elsewhere only what was found
+        let wholeType = null;
+        if (!column) wholeType = 'value';
+        else if (column.types[0].type === PERSON_NAME.type) wholeType = PERSON_NAME.type;
+        applied.push({ name, policy, wholeType, types: column ? column.types.map(t => t.type) : [] });
+    });
+
+    const dropped = new Set(applied.filter(column => column.policy === 'drop').map(column => column.name));
+    context.stats.droppedColumns = dropped.size;
+    const redacted = data.map(row => {
+        const result = {};
+        Object.keys(row).forEach(name => {
+            if (dropped.has(name)) return;
+            const column = applied.find(c => c.name === name);
+            result[name] = column
+                ? redactValue(row[name], column.policy, column.wholeType, context)
+                : row[name];
+        });
+        return result;
+    });
+
+    return {
+        data: redacted,
+        columns: applied.map(({ name, policy, types }) => ({ name, policy, types })),
+        stats: context.stats,
+        vault
+    };
+}
+
+// Put pseudonymized values back into the model's output. A value that is
+// exactly one token gets the original value back; tokens inside text are
+// replaced in place. Returns { data, restored, unknown } counting tokens.
+function restorePII(data, vault) {
+    const counts = { restored: 0, unknown: 0 };
+    const restoreString = text => {
+        const exact = text.match(/^\[\[[A-Z_]+_\d+\]\]$/);
+        if (exact && vault.values.has(text)) {
+            counts.restored++;
+            return vault.values.get(text);
+        }
+        return text.replace(TOKEN_PATTERN, token => {
+            if (!vault.values.has(token)) {
+                counts.unknown++;
+                return token;
+            }
+            counts.restored++;
+            return vault.values.get(token);
+        });
+    };
+    const walk = value => {
+        if (typeof value === 'string') return restoreString(value);
+        if (Array.isArray(value)) return value.map(walk);
+        if (value && typeof value === 'object') {
+            const result = {};
+            Object.keys(value).forEach(name => {
+                result[name] = walk(value[name]);
+            });
+            return result;
+        }
+        return value;
+    };
+    if (vault.values.size === 0) return { data, restored: 0, unknown: 0 };
+    const restored = walk(data);
+    return { data: restored, ...counts };
+}
+
+module.exports = {
+    POLICIES,
+    scanData,
+    validatePIIOptions,
+    createVault,
+    redactData,
+    restorePII
+};
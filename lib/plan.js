@@ -0,0 +1,98 @@
+/**
+ * AI-generated transformation plans
+ *
+ * Instead of rewriting every row, the model sees the schema and a few sample
+ * rows and answers with a list of steps in the operations DSL. The plan is
+ * validated here and run locally over the full dataset once the user has
+ * reviewed it.
+ */
+
+const { listOperations, validateOperations } = require('./operations');
+const { extractJSON } = require('./llm');
+
+// Rows of the dataset shown to the model
+const PLAN_SAMPLE_ROWS = 20;
+
+// One line per operation and parameter, used in the prompt
+function describeOperations() {
+    return listOperations().map(operation => {
+        const params = operation.params.map(param => {
+            let type = param.type;
+            if (param.type === 'select') type = param.options.map(o => `"${o}"`).join(' | ');
+            const required = param.required ? ', required' : '';
+            const description = param.description ? ` - ${param.description}` : '';
+            return `    ${param.name} (${type}${required})${description}`;
+        });
+        return `- ${operation.op}: ${operation.label}\n${params.join('\n')}`;
+    }).join('\n');
+}
+
+function describeSchema(schema) {
+    return schema.columns.map(column => {
+        const examples = column.examples.slice(0, 3).map(e => JSON.stringify(e)).join(', ');
+        return `- ${column.name} (${column.type}, ${column.missing} missing, ${column.distinct} distinct; e.g. ${examples})`;
+    }).join('\n');
+}
+
+// Build the prompt asking the model for a plan
+function buildPlanPrompt({ prompt, schema, sample, rowCount }) {
+    return `You are a data preprocessing assistant. Do NOT transform the data yourself.
+Instead, write a plan: a list of steps that a program will run over the full dataset.
+
+AVAILABLE OPERATIONS (op and params):
+${describeOperations()}
+
+Filter conditions are objects { "column": ..., "operator": ..., "value": ... }.
+Only use the operations and parameters listed above. Only refer to columns that exist
+at that point of the plan (steps can add, drop or rename columns).
+
+DATASET: ${rowCount} rows
+COLUMNS:
+${describeSchema(schema)}
+
+SAMPLE ROWS:
+${JSON.stringify(sample.slice(0, PLAN_SAMPLE_ROWS), null, 2)}
+
+USER'S INSTRUCTION: ${prompt}
+
+Respond with ONLY this JSON, no markdown:
+{ "explanation": "one or two sentences on what the plan does", "steps": [ { "op": "...", "params": { ... } } ] }`;
+}
+
+// Pull the JSON plan out of the model's reply.
+// Returns { explanation, steps }, or { error } when there is no plan.
+function extractPlan(responseText) {
+    let parsed;
+    try {
+        parsed = extractJSON(responseText).data;
+    } catch (error) {
+        return { error: 'The model did not return a plan' };
+    }
+    if (!parsed || typeof parsed !== 'object') return { error: 'The model did not return a plan' };
+
+    // Accept a bare list of steps too
+    if (Array.isArray(parsed)) return { explanation: '', steps: parsed };
+    return {
+        explanation: typeof parsed.explanation === 'string' ? parsed.explanation : '',
+        steps: parsed.steps
+    };
+}
+
+// Parse and validate a plan against the dataset's columns.
+// Returns { plan, error } where error is null for a valid plan.
+function parsePlan(responseText, columns) {
+    const plan = extractPlan(responseText);
+    if (plan.error) return { plan: null, error: plan.error };
+    const steps = Array.isArray(plan.steps)
+        ? plan.steps.map(step => ({ op: step && step.op, params: (step && step.params) || {} }))
+        : plan.steps;
+    const error = validateOperations(steps, columns);
+    return { plan: { explanation: plan.explanation, steps }, error };
+}
+
+module.exports = {
+    PLAN_SAMPLE_ROWS,
+    describeSchema,
+    buildPlanPrompt,
+    parsePlan
+};
@@ -0,0 +1,385 @@
+/**
+ * Data quality profile
+ *
+ * Summarizes a table without calling the model: per column the missing
+ * rate, distinct count, most frequent values, numeric statistics, string
+ * lengths and value patterns (letters, digits and symbols collapsed into
+ * classes such as "Aa 9"), and for the whole table duplicate rows and
+ * IQR / z-score outliers. Findings worth acting on are listed as issues,
+ * each pointing at the quick action that fixes it. The profile can be
+ * rendered as a standalone HTML report.
+ */
+
+const { isMissing, inferSchema } = require('./schema');
+
+const NUMERIC_TYPES = ['integer', 'float'];
+const TOP_VALUES = 5;
+const TOP_PATTERNS = 5;
+const IQR_MULTIPLIER = 1.5;
+const Z_THRESHOLD = 3;
+const SPARSE_RATE = 0.5;
+const DUPLICATE_EXAMPLES = 5;
+// Upper bounds of the string length buckets; the last one is open
+const LENGTH_BUCKETS = [0, 5, 10, 20, 50, 100, 255];
+
+function round(value, digits = 4) {
+    return value === null || !Number.isFinite(value) ? null : Number(value.toFixed(digits));
+}
+
+function rate(count, total) {
+    return total === 0 ? 0 : round(count / total);
+}
+
+function toNumber(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) {
+        return Number(value);
+    }
+    return null;
+}
+
+function text(value) {
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+// Quantile with linear interpolation, as in pandas
+function quantile(sorted, q) {
+    const position = (sorted.length - 1) * q;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+// Character classes of a value with runs collapsed: "AB-1234" -> "A-9"
+function patternOf(value) {
+    let pattern = '';
+    for (const char of text(value)) {
+        let cls;
+        if (/\p{Lu}/u.test(char)) cls = 'A';
+        else if (/\p{L}/u.test(char)) cls = 'a';
+        else if (/\d/.test(char)) cls = '9';
+        else if (/\s/.test(char)) cls = ' ';
+        else cls = char;
+        if (pattern[pattern.length - 1] !== cls) pattern += cls;
+    }
+    return pattern;
+}
+
+// The most frequent entries of a count map as [{ value, count, rate }]
+function topEntries(counts, total, limit, label = 'value') {
+    return Array.from(counts.entries())
+        .sort((a, b) => b[1].count - a[1].count)
+        .slice(0, limit)
+        .map(([, entry]) => ({ [label]: entry.value, count: entry.count, rate: rate(entry.count, total), ...entry.extra }));
+}
+
+function lengthBucket(length) {
+    const index = LENGTH_BUCKETS.findIndex(bound => length <= bound);
+    if (index === 0) return '0';
+    if (index === -1) return `${LENGTH_BUCKETS[LENGTH_BUCKETS.length - 1] + 1}+`;
+    return `${LENGTH_BUCKETS[index - 1] + 1}-${LENGTH_BUCKETS[index]}`;
+}
+
+function lengthStats(values) {
+    const lengths = values.map(value => text(value).length);
+    const histogram = new Map();
+    lengths.forEach(length => {
+        const bucket = lengthBucket(length);
+        histogram.set(bucket, (histogram.get(bucket) || 0) + 1);
+    });
+    return {
+        min: lengths.reduce((min, length) => Math.min(min, length), Infinity),
+        max: lengths.reduce((max, length) => Math.max(max, length), 0),
+        mean: round(lengths.reduce((sum, length) => sum + length, 0) / lengths.length, 2),
+        histogram: Array.from(histogram.entries())
+            .map(([bucket, count]) => ({ bucket, count }))
+            .sort((a, b) => parseInt(a.bucket, 10) - parseInt(b.bucket, 10))
+    };
+}
+
+// Statistics of a numeric column, with the positions of outlying rows
+function numericStats(values, positions) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const variance = values.length > 1
+        ? values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1)
+        : 0;
+    const std = Math.sqrt(variance);
+    const q1 = quantile(sorted, 0.25);
+    const q3 = quantile(sorted, 0.75);
+    const lower = q1 - IQR_MULTIPLIER * (q3 - q1);
+    const upper = q3 + IQR_MULTIPLIER * (q3 - q1);
+
+    // Too few values make quartiles meaningless, as in remove_outliers
+    const iqrRows = values.length < 4 ? [] : positions.filter((position, index) => values[index] < lower || values[index] > upper);
+    const zRows = std === 0 ? [] : positions.filter((position, index) => Math.abs(values[index] - mean) / std > Z_THRESHOLD);
+
+    return {
+        stats: {
+            min: sorted[0],
+            max: sorted[sorted.length - 1],
+            mean: round(mean),
+            median: round(quantile(sorted, 0.5)),
+            std: round(std),
+            q1: round(q1),
+            q3: round(q3)
+        },
+        outliers: {
+            iqr: { count: iqrRows.length, lower: round(lower), upper: round(upper) },
+            zscore: { count: zRows.length, threshold: Z_THRESHOLD }
+        },
+        iqrRows,
+        zRows
+    };
+}
+
+function profileColumn(rows, schemaColumn) {
+    const name = schemaColumn.name;
+    const present = [];
+    const positions = [];
+    rows.forEach((row, position) => {
+        const value = row ? row[name] : undefined;
+        if (!isMissing(value)) {
+            present.push(value);
+            positions.push(position);
+        }
+    });
+
+    const valueCounts = new Map();
+    const patternCounts = new Map();
+    let padded = 0;
+    present.forEach(value => {
+        const key = text(value);
+        const entry = valueCounts.get(key) || { value, count: 0 };
+        entry.count++;
+        valueCounts.set(key, entry);
+
+        const pattern = patternOf(value);
+        const patternEntry = patternCounts.get(pattern) || { value: pattern, count: 0, extra: { example: key } };
+        patternEntry.count++;
+        patternCounts.set(pattern, patternEntry);
+
+        if (typeof value === 'string' && value !== value.trim()) padded++;
+    });
+
+    const missing = rows.length - present.length;
+    const column = {
+        name,
+        type: schemaColumn.type,
+        missing,
+        missingRate: rate(missing, rows.length),
+        distinct: valueCounts.size,
+        distinctRate: rate(valueCounts.size, present.length),
+        topValues: topEntries(valueCounts, present.length, TOP_VALUES),
+        patterns: topEntries(patternCounts, present.length, TOP_PATTERNS, 'pattern'),
+        patternCount: patternCounts.size,
+        whitespace: padded,
+        numeric: null,
+        outliers: null,
+        lengths: null
+    };
+    if (present.length === 0) return { column, iqrRows: [], zRows: [] };
+
+    if (NUMERIC_TYPES.includes(schemaColumn.type)) {
+        const numbers = [];
+        const numberPositions = [];
+        present.forEach((value, index) => {
+            const number = toNumber(value);
+            if (number !== null) {
+                numbers.push(number);
+                numberPositions.push(positions[index]);
+            }
+        });
+        if (numbers.length > 0) {
+            const result = numericStats(numbers, numberPositions);
+            column.numeric = result.stats;
+            column.outliers = result.outliers;
+            return { column, iqrRows: result.iqrRows, zRows: result.zRows };
+        }
+    } else if (schemaColumn.type !== 'boolean') {
+        column.lengths = lengthStats(present);
+    }
+    return { column, iqrRows: [], zRows: [] };
+}
+
+// Rows that repeat an earlier row exactly
+function findDuplicates(rows, names) {
+    const first = new Map();
+    const groups = new Map();
+    let count = 0;
+    rows.forEach((row, position) => {
+        const key = JSON.stringify(names.map(name => (row[name] === undefined ? null : row[name])));
+        if (!first.has(key)) {
+            first.set(key, position);
+            return;
+        }
+        count++;
+        const group = groups.get(key) || { first: first.get(key), duplicates: [] };
+        group.duplicates.push(position);
+        groups.set(key, group);
+    });
+    return {
+        count,
+        rate: rate(count, rows.length),
+        groups: groups.size,
+        examples: Array.from(groups.values()).slice(0, DUPLICATE_EXAMPLES).map(group => ({
+            row: group.first,
+            repeatedAt: group.duplicates.slice(0, DUPLICATE_EXAMPLES),
+            values: rows[group.first]
+        }))
+    };
+}
+
+// Findings worth fixing, each with the quick action that addresses it
+function findIssues(profile) {
+    const issues = [];
+    if (profile.duplicates.count > 0) {
+        issues.push({ code: 'duplicates', operation: 'remove_duplicates', message: `${profile.duplicates.count} duplicate row(s)` });
+    }
+    profile.columns.forEach(column => {
+        if (column.missing === profile.rowCount) {
+            issues.push({ code: 'empty_column', column: column.name, operation: 'drop_sparse_columns', message: `${column.name} is empty` });
+        } else if (column.missingRate >= SPARSE_RATE) {
+            issues.push({ code: 'sparse_column', column: column.name, operation: 'drop_sparse_columns', message: `${column.name} is ${Math.round(column.missingRate * 100)}% missing` });
+        } else if (column.missing > 0) {
+            issues.push({ code: 'missing_values', column: column.name, operation: 'fill_missing', message: `${column.name} has ${column.missing} missing value(s)` });
+        }
+        if (column.distinct === 1 && profile.rowCount > 1) {
+            issues.push({ code: 'constant_column', column: column.name, operation: null, message: `${column.name} has a single value` });
+        }
+        if (column.whitespace > 0) {
+            issues.push({ code: 'whitespace', column: column.name, operation: 'trim_whitespace', message: `${column.name} has ${column.whitespace} value(s) with surrounding spaces` });
+        }
+        if (column.outliers && column.outliers.iqr.count > 0) {
+            issues.push({ code: 'outliers', column: column.name, operation: 'remove_outliers', message: `${column.name} has ${column.outliers.iqr.count} IQR outlier(s)` });
+        }
+    });
+    return issues;
+}
+
+// Profile an array of row objects. `schema` is the inferred schema when
+// the caller already has one.
+function profileData(rows, schema = null) {
+    const columnSchema = (schema || inferSchema(rows)).columns;
+    const iqrRows = new Set();
+    const zRows = new Set();
+
+    const columns = columnSchema.map(schemaColumn => {
+        const result = profileColumn(rows, schemaColumn);
+        result.iqrRows.forEach(position => iqrRows.add(position));
+        result.zRows.forEach(position => zRows.add(position));
+        return result.column;
+    });
+
+    const cells = rows.length * columns.length;
+    const missingCells = columns.reduce((sum, column) => sum + column.missing, 0);
+    const profile = {
+        generatedAt: new Date().toISOString(),
+        rowCount: rows.length,
+        columnCount: columns.length,
+        missingCells,
+        missingRate: rate(missingCells, cells),
+        duplicates: findDuplicates(rows, columnSchema.map(column => column.name)),
+        outliers: {
+            iqr: { rows: iqrRows.size, multiplier: IQR_MULTIPLIER },
+            zscore: { rows: zRows.size, threshold: Z_THRESHOLD }
+        },
+        columns
+    };
+    profile.issues = findIssues(profile);
+    return profile;
+}
+
+function escapeHTML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function percent(value) {
+    return `${(value * 100).toFixed(1)}%`;
+}
+
+function renderColumnHTML(column) {
+    const top = column.topValues.map(entry => `
+        <tr><td>${escapeHTML(text(entry.value))}</td><td>${entry.count}</td><td>${percent(entry.rate)}</td></tr>`).join('');
+    const patterns = column.patterns.map(entry => `
+        <tr><td><code>${escapeHTML(entry.pattern)}</code></td><td>${entry.count}</td><td>${escapeHTML(entry.example)}</td></tr>`).join('');
+
+    let details = '';
+    if (column.numeric) {
+        const n = column.numeric;
+        details += `
+        <p>min ${n.min} · max ${n.max} · mean ${n.mean} · median ${n.median} · std ${n.std} · Q1 ${n.q1} · Q3 ${n.q3}</p>
+        <p>Outliers: ${column.outliers.iqr.count} outside [${column.outliers.iqr.lower}, ${column.outliers.iqr.upper}] (IQR), ${column.outliers.zscore.count} with |z| &gt; ${column.outliers.zscore.threshold}</p>`;
+    }
+    if (column.lengths) {
+        const l = column.lengths;
+        details += `
+        <p>Length: min ${l.min} · max ${l.max} · mean ${l.mean}</p>
+        <p>${l.histogram.map(bucket => `${escapeHTML(bucket.bucket)}: ${bucket.count}`).join(' · ')}</p>`;
+    }
+
+    return `
+    <section>
+        <h3>${escapeHTML(column.name)} <small>${escapeHTML(column.type)}</small></h3>
+        <p>Missing ${column.missing} (${percent(column.missingRate)}) · ${column.distinct} distinct · ${column.patternCount} pattern(s)</p>
+        ${details}
+        <div class="pair">
+            <table><thead><tr><th>Top value</th><th>Count</th><th>Share</th></tr></thead><tbody>${top}</tbody></table>
+            <table><thead><tr><th>Pattern</th><th>Count</th><th>Example</th></tr></thead><tbody>${patterns}</tbody></table>
+        </div>
+    </section>`;
+}
+
+// A standalone HTML page showing the profile
+function renderProfileHTML(profile, title = 'Data profile') {
+    const issues = profile.issues.length === 0
+        ? '<p>No issues found.</p>'
+        : `<ul>${profile.issues.map(issue => `<li>${escapeHTML(issue.message)}${issue.operation ? ` <small>(${escapeHTML(issue.operation)})</small>` : ''}</li>`).join('')}</ul>`;
+    const overview = profile.columns.map(column => `
+        <tr>
+            <td>${escapeHTML(column.name)}</td><td>${escapeHTML(column.type)}</td>
+            <td>${percent(column.missingRate)}</td><td>${column.distinct}</td>
+            <td>${column.numeric ? column.numeric.mean : ''}</td>
+            <td>${column.outliers ? column.outliers.iqr.count : ''}</td>
+        </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHTML(title)}</title>
+<style>
+    body { font-family: system-ui, sans-serif; margin: 2rem auto; max-width: 960px; color: #1f2933; }
+    table { border-collapse: collapse; margin: 0.5rem 0; font-size: 0.9rem; }
+    th, td { text-align: left; padding: 0.25rem 0.75rem; border-bottom: 1px solid #e4e7eb; }
+    th { color: #616e7c; font-weight: normal; }
+    section { border-top: 1px solid #cbd2d9; padding-top: 0.5rem; }
+    small { color: #7b8794; font-weight: normal; }
+    .pair { display: flex; gap: 2rem; flex-wrap: wrap; }
+</style>
+</head>
+<body>
+<h1>${escapeHTML(title)}</h1>
+<p>${profile.rowCount} rows · ${profile.columnCount} columns · ${percent(profile.missingRate)} of cells missing · generated ${escapeHTML(profile.generatedAt)}</p>
+<p>Duplicate rows: ${profile.duplicates.count} (${percent(profile.duplicates.rate)}) · rows with IQR outliers: ${profile.outliers.iqr.rows} · rows with |z| &gt; ${profile.outliers.zscore.threshold}: ${profile.outliers.zscore.rows}</p>
+<h2>Issues</h2>
+${issues}
+<h2>Columns</h2>
+<table>
+    <thead><tr><th>Column</th><th>Type</th><th>Missing</th><th>Distinct</th><th>Mean</th><th>IQR outliers</th></tr></thead>
+    <tbody>${overview}</tbody>
+</table>
+${profile.columns.map(renderColumnHTML).join('')}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    profileData,
+    renderProfileHTML
+};
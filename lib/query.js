@@ -0,0 +1,299 @@
+/**
+ * Questions answered by local queries
+ *
+ * The model turns a question about the data ("average salary by city") into
+ * a small structured query, which is validated here and run locally over
+ * the full dataset, so the numbers are computed rather than guessed. A
+ * query is { filter, groupBy, aggregates, select, sort, limit }, all
+ * optional: rows are filtered, then either grouped and aggregated or cut
+ * down to the selected columns, then sorted and limited.
+ */
+
+const { FILTER_OPERATORS, validateConditions, compileCondition, compareValues } = require('./operations');
+const { describeSchema } = require('./plan');
+const { extractJSON } = require('./llm');
+
+// Rows of the dataset shown to the model
+const QUERY_SAMPLE_ROWS = 10;
+const QUERY_KEYS = ['filter', 'groupBy', 'aggregates', 'select', 'sort', 'limit'];
+const AGGREGATES = ['count', 'count_distinct', 'sum', 'mean', 'median', 'min', 'max'];
+const DIRECTIONS = ['asc', 'desc'];
+
+function isEmpty(value) {
+    return value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+}
+
+function toNumber(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) {
+        return Number(value);
+    }
+    return null;
+}
+
+function isColumnList(value) {
+    return Array.isArray(value) && value.every(name => typeof name === 'string');
+}
+
+// The column an aggregate is written to: its alias, or e.g. "mean_salary"
+function aggregateName(aggregate) {
+    if (aggregate.as) return aggregate.as;
+    return aggregate.column ? `${aggregate.function}_${aggregate.column}` : aggregate.function;
+}
+
+function isGrouped(query) {
+    return (query.groupBy && query.groupBy.length > 0) || (query.aggregates && query.aggregates.length > 0);
+}
+
+// A grouping without aggregates counts the rows in each group
+function aggregatesOf(query) {
+    return query.aggregates && query.aggregates.length > 0 ? query.aggregates : [{ function: 'count' }];
+}
+
+// Columns of the query's result
+function resultColumns(query, columns) {
+    if (isGrouped(query)) return [...(query.groupBy || []), ...aggregatesOf(query).map(aggregateName)];
+    return query.select && query.select.length > 0 ? query.select : columns;
+}
+
+function checkUnknown(names, columns) {
+    const unknown = names.filter(name => !columns.includes(name));
+    return unknown.length > 0 ? `Unknown column(s): ${unknown.join(', ')}` : null;
+}
+
+function checkAggregates(aggregates, columns) {
+    if (!Array.isArray(aggregates)) return 'aggregates must be a list';
+    for (const aggregate of aggregates) {
+        if (!aggregate || typeof aggregate !== 'object') return 'Each aggregate must be an object';
+        if (!AGGREGATES.includes(aggregate.function)) {
+            return `Unknown aggregate "${aggregate.function}"; use one of: ${AGGREGATES.join(', ')}`;
+        }
+        if (aggregate.column === undefined || aggregate.column === null) {
+            if (aggregate.function !== 'count') return `"${aggregate.function}" needs a column`;
+        } else if (typeof aggregate.column !== 'string' || !columns.includes(aggregate.column)) {
+            return `Unknown column: ${aggregate.column}`;
+        }
+        if (aggregate.as !== undefined && (typeof aggregate.as !== 'string' || aggregate.as === '')) {
+            return 'An aggregate alias ("as") must be a non-empty string';
+        }
+    }
+    return null;
+}
+
+// Check a query against the dataset's columns. Returns an error message,
+// or null if the query can run.
+function validateQuery(query, columns) {
+    if (!query || typeof query !== 'object' || Array.isArray(query)) return 'The query must be an object';
+    const unknownKeys = Object.keys(query).filter(key => !QUERY_KEYS.includes(key));
+    if (unknownKeys.length > 0) return `Unknown query field(s): ${unknownKeys.join(', ')}`;
+
+    if (query.filter !== undefined) {
+        if (!Array.isArray(query.filter)) return 'filter must be a list of conditions';
+        const problem = query.filter.length > 0 ? validateConditions(query.filter, columns) : null;
+        if (problem) return `filter: ${problem}`;
+    }
+    if (query.groupBy !== undefined) {
+        if (!isColumnList(query.groupBy)) return 'groupBy must be a list of column names';
+        const problem = checkUnknown(query.groupBy, columns);
+        if (problem) return `groupBy: ${problem}`;
+    }
+    if (query.aggregates !== undefined) {
+        const problem = checkAggregates(query.aggregates, columns);
+        if (problem) return `aggregates: ${problem}`;
+    }
+    if (query.select !== undefined) {
+        if (!isColumnList(query.select)) return 'select must be a list of column names';
+        if (query.select.length > 0 && isGrouped(query)) return 'select cannot be combined with groupBy or aggregates';
+        const problem = checkUnknown(query.select, columns);
+        if (problem) return `select: ${problem}`;
+    }
+
+    const output = resultColumns(query, columns);
+    if (new Set(output).size !== output.length) return 'The result would have duplicate column names; give aggregates an alias ("as")';
+
+    if (query.sort !== undefined) {
+        if (!Array.isArray(query.sort)) return 'sort must be a list of { column, direction }';
+        for (const key of query.sort) {
+            if (!key || typeof key.column !== 'string') return 'Each sort key needs a column';
+            if (!output.includes(key.column)) return `sort: ${key.column} is not a column of the result`;
+            if (key.direction !== undefined && !DIRECTIONS.includes(key.direction)) {
+                return `sort: direction must be one of: ${DIRECTIONS.join(', ')}`;
+            }
+        }
+    }
+    if (query.limit !== undefined && query.limit !== null && (!Number.isInteger(query.limit) || query.limit < 1)) {
+        return 'limit must be a positive whole number';
+    }
+    return null;
+}
+
+function roundNumber(value) {
+    return Number.isFinite(value) ? Number(value.toFixed(6)) : null;
+}
+
+function aggregate(rows, { function: fn, column }) {
+    if (fn === 'count') {
+        return column ? rows.filter(row => !isEmpty(row[column])).length : rows.length;
+    }
+    const values = rows.map(row => row[column]).filter(value => !isEmpty(value));
+    if (fn === 'count_distinct') {
+        return new Set(values.map(value => (typeof value === 'object' ? JSON.stringify(value) : String(value)))).size;
+    }
+    if (fn === 'min' || fn === 'max') {
+        if (values.length === 0) return null;
+        return values.reduce((best, value) => {
+            const order = compareValues(value, best);
+            return (fn === 'min' ? order < 0 : order > 0) ? value : best;
+        });
+    }
+
+    const numbers = values.map(toNumber).filter(value => value !== null);
+    if (numbers.length === 0) return null;
+    const sum = numbers.reduce((total, value) => total + value, 0);
+    if (fn === 'sum') return roundNumber(sum);
+    if (fn === 'mean') return roundNumber(sum / numbers.length);
+
+    const sorted = numbers.sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return roundNumber(sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+function groupRows(rows, query) {
+    const columns = query.groupBy || [];
+    const groups = new Map();
+    rows.forEach(row => {
+        const values = columns.map(name => (row[name] === undefined ? null : row[name]));
+        const key = JSON.stringify(values);
+        if (!groups.has(key)) groups.set(key, { values, rows: [] });
+        groups.get(key).rows.push(row);
+    });
+    // Aggregating everything gives one row, even when nothing matched
+    if (columns.length === 0 && groups.size === 0) groups.set('[]', { values: [], rows: [] });
+
+    const aggregates = aggregatesOf(query);
+    return Array.from(groups.values()).map(group => {
+        const out = {};
+        columns.forEach((name, index) => {
+            out[name] = group.values[index];
+        });
+        aggregates.forEach(spec => {
+            out[aggregateName(spec)] = aggregate(group.rows, spec);
+        });
+        return out;
+    });
+}
+
+// Stable sort on several keys; missing values go last either way
+function sortRows(rows, keys) {
+    return rows
+        .map((row, order) => ({ row, order }))
+        .sort((a, b) => {
+            for (const { column, direction } of keys) {
+                const aMissing = isEmpty(a.row[column]);
+                const bMissing = isEmpty(b.row[column]);
+                if (aMissing || bMissing) {
+                    if (aMissing !== bMissing) return aMissing ? 1 : -1;
+                    continue;
+                }
+                const order = compareValues(a.row[column], b.row[column]);
+                if (order !== 0) return direction === 'desc' ? -order : order;
+            }
+            return a.order - b.order;
+        })
+        .map(({ row }) => row);
+}
+
+// Run a validated query. Returns { columns, rows, matchedRows, resultRows }
+// where matchedRows passed the filter and resultRows counts the result
+// before the limit.
+function runQuery(rows, query, columns) {
+    const conditions = (query.filter || []).map(compileCondition);
+    const matched = rows.filter(row => conditions.every(test => test(row)));
+
+    let result;
+    if (isGrouped(query)) {
+        result = groupRows(matched, query);
+    } else if (query.select && query.select.length > 0) {
+        result = matched.map(row => {
+            const out = {};
+            query.select.forEach(name => {
+                out[name] = row[name] === undefined ? null : row[name];
+            });
+            return out;
+        });
+    } else {
+        result = matched;
+    }
+
+    if (query.sort && query.sort.length > 0) result = sortRows(result, query.sort);
+    const resultRows = result.length;
+    if (query.limit) result = result.slice(0, query.limit);
+
+    return { columns: resultColumns(query, columns), rows: result, matchedRows: matched.length, resultRows };
+}
+
+// Build the prompt asking the model to turn a question into a query
+function buildQueryPrompt({ question, schema, sample, rowCount }) {
+    return `You are a data analysis assistant. Do NOT answer the question yourself.
+Instead, translate it into a query that a program will run over the full dataset.
+
+QUERY FORMAT (every field is optional):
+{
+  "filter": [ { "column": ..., "operator": ..., "value": ... } ],
+  "groupBy": [ "column", ... ],
+  "aggregates": [ { "function": ..., "column": ..., "as": "result column name" } ],
+  "select": [ "column", ... ],
+  "sort": [ { "column": ..., "direction": "asc" | "desc" } ],
+  "limit": number
+}
+- filter operators: ${FILTER_OPERATORS.join(', ')} ("in"/"not_in" take a list; is_missing/not_missing take no value)
+- aggregate functions: ${AGGREGATES.join(', ')} ("count" without a column counts rows)
+- Rows are filtered first, then grouped and aggregated. Without groupBy, aggregates summarize all filtered rows.
+- "select" lists the columns to return when there are no aggregates; leave it out to return every column.
+- "sort" may use group columns and aggregate names ("as").
+
+Examples:
+- "average salary by city": { "groupBy": ["city"], "aggregates": [{ "function": "mean", "column": "salary", "as": "average_salary" }], "sort": [{ "column": "average_salary", "direction": "desc" }] }
+- "how many rows have no email": { "filter": [{ "column": "email", "operator": "is_missing" }], "aggregates": [{ "function": "count", "as": "rows" }] }
+
+DATASET: ${rowCount} rows
+COLUMNS:
+${describeSchema(schema)}
+
+SAMPLE ROWS:
+${JSON.stringify(sample.slice(0, QUERY_SAMPLE_ROWS), null, 2)}
+
+USER'S QUESTION: ${question}
+
+Respond with ONLY this JSON, no markdown:
+{ "explanation": "one sentence on how the query answers the question", "query": { ... } }`;
+}
+
+// Parse and validate the model's query against the dataset's columns.
+// Returns { query, explanation, error } where error is null for a valid query.
+function parseQuery(responseText, columns) {
+    let parsed;
+    try {
+        parsed = extractJSON(responseText, 'object').data;
+    } catch (error) {
+        return { query: null, explanation: '', error: 'The model did not return a query' };
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        return { query: null, explanation: '', error: 'The model did not return a query' };
+    }
+
+    // Accept a bare query too
+    const query = parsed.query !== undefined
+        ? parsed.query
+        : Object.fromEntries(Object.entries(parsed).filter(([key]) => key !== 'explanation'));
+    const explanation = typeof parsed.explanation === 'string' ? parsed.explanation : '';
+    return { query, explanation, error: validateQuery(query, columns) };
+}
+
+module.exports = {
+    QUERY_SAMPLE_ROWS,
+    validateQuery,
+    runQuery,
+    buildQueryPrompt,
+    parseQuery
+};
@@ -0,0 +1,254 @@
+/**
+ * Preprocessing recipes
+ *
+ * A recipe is a named, ordered list of steps that can be replayed on a new
+ * upload. Steps are either local operations ({ kind: 'operation', op,
+ * params }) or free-form instructions for the AI ({ kind: 'prompt', prompt,
+ * mode, columns }), where mode 'rewrite' lets the AI rewrite the rows (only
+ * the listed columns, if any) and 'plan' has it plan operations that run
+ * locally. Recipes are stored as JSON files under uploads/recipes/.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { validateOperations, runOperations } = require('./operations');
+
+const RECIPE_ROOT = path.join('uploads', 'recipes');
+const ID_PATTERN = /^rc_\d+_[a-f0-9]{8}$/;
+const RECIPE_FORMAT = 'ai-dataset-preprocessor/recipe';
+const RECIPE_VERSION = 1;
+const PROMPT_MODES = ['rewrite', 'plan'];
+
+function isRecipeId(id) {
+    return typeof id === 'string' && ID_PATTERN.test(id);
+}
+
+function recipePath(id) {
+    return path.join(RECIPE_ROOT, `${id}.json`);
+}
+
+// Check a recipe's name and steps. Returns an error message or null.
+function validateRecipe(recipe) {
+    if (!recipe || typeof recipe !== 'object') return 'Recipe must be an object';
+    if (typeof recipe.name !== 'string' || recipe.name.trim() === '') return 'Recipe name is required';
+    if (recipe.description !== undefined && typeof recipe.description !== 'string') {
+        return 'Recipe description must be a string';
+    }
+    if (!Array.isArray(recipe.steps) || recipe.steps.length === 0) return 'Recipe needs at least one step';
+
+    for (const [index, step] of recipe.steps.entries()) {
+        const prefix = `Step ${index + 1}`;
+        if (!step || typeof step !== 'object') return `${prefix}: must be an object`;
+
+        if (step.kind === 'operation') {
+            const problem = validateOperations([{ op: step.op, params: step.params }]);
+            if (problem) return `${prefix}${problem.slice('Step 1'.length)}`;
+        } else if (step.kind === 'prompt') {
+            if (typeof step.prompt !== 'string' || step.prompt.trim() === '') return `${prefix}: prompt is required`;
+            if (step.mode !== undefined && !PROMPT_MODES.includes(step.mode)) {
+                return `${prefix}: mode must be one of: ${PROMPT_MODES.join(', ')}`;
+            }
+            if (step.columns !== undefined) {
+                if (!Array.isArray(step.columns) || step.columns.some(name => typeof name !== 'string' || name === '')) {
+                    return `${prefix}: columns must be a list of column names`;
+                }
+                if (step.columns.length > 0 && step.mode === 'plan') {
+                    return `${prefix}: columns can only be set on rewrite steps`;
+                }
+            }
+        } else {
+            return `${prefix}: kind must be "operation" or "prompt"`;
+        }
+    }
+    return null;
+}
+
+// Keep only the known fields of each step
+function normalizeSteps(steps) {
+    return steps.map(step => (step.kind === 'operation'
+        ? { kind: 'operation', op: step.op, params: step.params || {} }
+        : {
+            kind: 'prompt',
+            prompt: step.prompt.trim(),
+            mode: step.mode || 'rewrite',
+            ...(step.columns && step.columns.length > 0 ? { columns: step.columns } : {})
+        }));
+}
+
+function writeRecipe(recipe) {
+    fs.mkdirSync(RECIPE_ROOT, { recursive: true });
+    fs.writeFileSync(recipePath(recipe.id), JSON.stringify(recipe, null, 2));
+    return recipe;
+}
+
+function getRecipe(id) {
+    if (!isRecipeId(id)) return null;
+    try {
+        return JSON.parse(fs.readFileSync(recipePath(id), 'utf-8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+// Summaries of all saved recipes, most recently updated first
+function listRecipes() {
+    if (!fs.existsSync(RECIPE_ROOT)) return [];
+    return fs.readdirSync(RECIPE_ROOT)
+        .filter(file => file.endsWith('.json'))
+        .map(file => getRecipe(path.basename(file, '.json')))
+        .filter(Boolean)
+        .map(recipe => ({
+            id: recipe.id,
+            name: recipe.name,
+            description: recipe.description,
+            stepCount: recipe.steps.length,
+            createdAt: recipe.createdAt,
+            updatedAt: recipe.updatedAt
+        }))
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+// Save a new recipe (already validated)
+function createRecipe({ name, description = '', steps }) {
+    const now = new Date().toISOString();
+    return writeRecipe({
+        id: `rc_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+        name: name.trim(),
+        description,
+        steps: normalizeSteps(steps),
+        createdAt: now,
+        updatedAt: now
+    });
+}
+
+// Replace a recipe's name, description and steps. Returns null if missing.
+function updateRecipe(id, { name, description = '', steps }) {
+    const existing = getRecipe(id);
+    if (!existing) return null;
+    return writeRecipe({
+        ...existing,
+        name: name.trim(),
+        description,
+        steps: normalizeSteps(steps),
+        updatedAt: new Date().toISOString()
+    });
+}
+
+function deleteRecipe(id) {
+    if (!getRecipe(id)) return false;
+    fs.rmSync(recipePath(id), { force: true });
+    return true;
+}
+
+// The portable form of a recipe, without local IDs and timestamps
+function exportRecipe(recipe) {
+    return {
+        format: RECIPE_FORMAT,
+        version: RECIPE_VERSION,
+        name: recipe.name,
+        description: recipe.description,
+        steps: recipe.steps
+    };
+}
+
+// Read an exported recipe. Returns { recipe, error }.
+function importRecipe(document) {
+    if (!document || typeof document !== 'object') {
+        return { recipe: null, error: 'Recipe file must contain a JSON object' };
+    }
+    if (document.format !== undefined && document.format !== RECIPE_FORMAT) {
+        return { recipe: null, error: 'Not a recipe file' };
+    }
+    if (document.version !== undefined && document.version > RECIPE_VERSION) {
+        return { recipe: null, error: `Unsupported recipe version ${document.version}` };
+    }
+    const error = validateRecipe(document);
+    return error ? { recipe: null, error } : { recipe: createRecipe(document), error: null };
+}
+
+function describeStep(step) {
+    if (step.kind === 'operation') return step.op;
+    const columns = step.columns ? ` (${step.columns.join(', ')})` : '';
+    return `${step.mode || 'rewrite'}${columns}: ${step.prompt}`;
+}
+
+function columnSet(rows) {
+    const names = new Set();
+    rows.forEach(row => Object.keys(row || {}).forEach(name => names.add(name)));
+    return names;
+}
+
+function countColumns(rows) {
+    return columnSet(rows).size;
+}
+
+// Replay a recipe over rows. `ai` provides rewrite(rows, prompt, columns)
+// and plan(rows, prompt), both resolving to { data, details }. Stops at the
+// first failing step. onStep(index, total, description) is called before
+// each step runs; an error it throws (a cancelled job) ends the replay.
+// Returns { data, log, completed }.
+async function runRecipe(recipe, rows, ai, { onStep = null } = {}) {
+    let data = rows;
+    const log = [];
+    let failed = false;
+
+    for (const [index, step] of recipe.steps.entries()) {
+        const entry = { step: index + 1, kind: step.kind, description: describeStep(step) };
+
+        if (failed) {
+            log.push({ ...entry, status: 'skipped' });
+            continue;
+        }
+
+        if (onStep) onStep(index, recipe.steps.length, entry.description);
+        const started = Date.now();
+        const before = { rowsBefore: data.length, columnsBefore: countColumns(data) };
+        try {
+            let result;
+            if (step.kind === 'operation') {
+                // A new file may lack columns the recipe was written for
+                const operation = { op: step.op, params: step.params };
+                const problem = validateOperations([operation], Array.from(columnSet(data)));
+                if (problem) throw new Error(problem.slice('Step 1'.length).replace(/^[^:]*:\s*/, ''));
+                const run = runOperations(data, [operation]);
+                result = { data: run.data, details: run.log[0].details };
+            } else if (step.mode === 'plan') {
+                result = await ai.plan(data, step.prompt);
+            } else {
+                const available = columnSet(data);
+                const missing = (step.columns || []).filter(name => !available.has(name));
+                if (missing.length > 0) throw new Error(`Unknown column(s): ${missing.join(', ')}`);
+                result = await ai.rewrite(data, step.prompt, step.columns || null);
+            }
+
+            data = result.data;
+            log.push({
+                ...entry,
+                status: 'ok',
+                ...before,
+                rowsAfter: data.length,
+                columnsAfter: countColumns(data),
+                durationMs: Date.now() - started,
+                ...(result.details ? { details: result.details } : {})
+            });
+        } catch (error) {
+            failed = true;
+            log.push({ ...entry, status: 'failed', ...before, durationMs: Date.now() - started, error: error.message });
+        }
+    }
+
+    return { data, log, completed: !failed };
+}
+
+module.exports = {
+    validateRecipe,
+    listRecipes,
+    getRecipe,
+    createRecipe,
+    updateRecipe,
+    deleteRecipe,
+    exportRecipe,
+    importRecipe,
+    runRecipe
+};
@@ -0,0 +1,273 @@
+/**
+ * Column schema inference and value coercion
+ *
+ * Classifies every column as integer, float, boolean, date, datetime,
+ * categorical or text, and converts values to match so that downstream
+ * code sees numbers and booleans instead of strings.
+ */
+
+// Share of non-missing values that must match a type for it to be chosen
+const TYPE_THRESHOLD = 0.95;
+const MAX_CATEGORIES = 50;
+const MAX_EXAMPLES = 5;
+
+const MISSING_VALUES = new Set(['', 'null', 'na', 'n/a', 'nan', 'none', 'nil', '-', '?']);
+const TRUE_VALUES = new Set(['true', 'yes', 'y', 't']);
+const FALSE_VALUES = new Set(['false', 'no', 'n', 'f']);
+
+const INTEGER_PATTERN = /^[+-]?(0|[1-9]\d*)$/;
+const FLOAT_PATTERN = /^[+-]?(\d+\.\d*|\.\d+|\d+)([eE][+-]?\d+)?$/;
+const LEADING_ZERO_PATTERN = /^[+-]?0\d/;
+// Digits a double holds without rounding
+const MAX_SIGNIFICANT_DIGITS = 15;
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const SLASH_DATE_PATTERN = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/;
+const DATETIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(:(\d{2})(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+
+function isMissing(value) {
+    if (value === null || value === undefined) return true;
+    if (typeof value === 'number') return Number.isNaN(value);
+    return typeof value === 'string' && MISSING_VALUES.has(value.trim().toLowerCase());
+}
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+function isValidDate(year, month, day) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+// Parse a date string into an ISO date (YYYY-MM-DD), or null.
+// dayFirst decides how ambiguous dd/mm/yyyy vs mm/dd/yyyy values are read.
+function parseDate(value, dayFirst = false) {
+    const str = String(value).trim();
+
+    let match = str.match(ISO_DATE_PATTERN);
+    if (match) {
+        const [year, month, day] = [Number(match[1]), Number(match[2]), Number(match[3])];
+        return isValidDate(year, month, day) ? `${match[1]}-${match[2]}-${match[3]}` : null;
+    }
+
+    match = str.match(SLASH_DATE_PATTERN);
+    if (match) {
+        const first = Number(match[1]);
+        const second = Number(match[2]);
+        const year = Number(match[3]);
+        const [day, month] = dayFirst ? [first, second] : [second, first];
+        return isValidDate(year, month, day) ? `${year}-${pad(month)}-${pad(day)}` : null;
+    }
+
+    return null;
+}
+
+// Parse a datetime string into an ISO 8601 string, or null. Values with a
+// zone are converted to UTC; values without one stay zone-less (e.g.
+// 2024-01-01T10:00:00) rather than being read in the server's time zone.
+function parseDateTime(value) {
+    const str = String(value).trim();
+    const match = str.match(DATETIME_PATTERN);
+    if (!match) return null;
+
+    if (match[9]) {
+        const date = new Date(str.replace(' ', 'T'));
+        return Number.isNaN(date.getTime()) ? null : date.toISOString();
+    }
+
+    const [year, month, day, hour, minute] = [1, 2, 3, 4, 5].map(i => Number(match[i]));
+    const second = Number(match[7] || 0);
+    if (!isValidDate(year, month, day) || hour > 23 || minute > 59 || second > 59) return null;
+    return `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[7] || '00'}${match[8] || ''}`;
+}
+
+// The number a numeric string stands for, or null when converting would
+// lose something: leading zeros (zip codes, IDs), integers beyond
+// Number.MAX_SAFE_INTEGER or more digits than a double keeps
+function toNumber(str) {
+    if (!FLOAT_PATTERN.test(str) || LEADING_ZERO_PATTERN.test(str)) return null;
+    const number = Number(str);
+    if (!Number.isFinite(number)) return null;
+    if (INTEGER_PATTERN.test(str)) return Number.isSafeInteger(number) ? number : null;
+    const digits = str.replace(/[eE].*$/, '').replace(/\D/g, '').replace(/^0+/, '').replace(/0+$/, '');
+    return digits.length <= MAX_SIGNIFICANT_DIGITS ? number : null;
+}
+
+// Which types a single non-missing value is compatible with
+function matchTypes(value, dayFirst) {
+    if (typeof value === 'boolean') return ['boolean'];
+    if (typeof value === 'number') {
+        return Number.isInteger(value) ? ['integer', 'float'] : ['float'];
+    }
+    if (typeof value === 'object') return [];
+
+    const str = String(value).trim();
+    const lower = str.toLowerCase();
+    const types = [];
+
+    if (TRUE_VALUES.has(lower) || FALSE_VALUES.has(lower)) types.push('boolean');
+    const number = toNumber(str);
+    if (number !== null && INTEGER_PATTERN.test(str)) types.push('integer');
+    if (number !== null) types.push('float');
+    if (parseDateTime(str)) types.push('datetime');
+    if (parseDate(str, dayFirst)) types.push('date');
+
+    return types;
+}
+
+// Dates like 25/12/2024 can only be day-first; use that to read the rest
+function detectDayFirst(values) {
+    return values.some(value => {
+        const match = String(value).trim().match(SLASH_DATE_PATTERN);
+        return match && Number(match[1]) > 12;
+    });
+}
+
+// Infer the type of one column from its values
+function inferColumn(name, values) {
+    const present = values.filter(v => !isMissing(v));
+    const missing = values.length - present.length;
+    const distinct = new Set(present.map(v => (typeof v === 'object' ? JSON.stringify(v) : String(v))));
+    const examples = Array.from(distinct).slice(0, MAX_EXAMPLES);
+    const dayFirst = detectDayFirst(present);
+
+    const column = {
+        name,
+        type: 'text',
+        confidence: 0,
+        nullable: missing > 0,
+        missing,
+        distinct: distinct.size,
+        examples
+    };
+
+    if (present.length === 0) return column;
+
+    const counts = { boolean: 0, integer: 0, float: 0, datetime: 0, date: 0 };
+    for (const value of present) {
+        for (const type of matchTypes(value, dayFirst)) {
+            counts[type]++;
+        }
+    }
+
+    // Most specific type first
+    for (const type of ['boolean', 'integer', 'float', 'datetime', 'date']) {
+        const share = counts[type] / present.length;
+        if (share >= TYPE_THRESHOLD) {
+            column.type = type;
+            column.confidence = Number(share.toFixed(3));
+            if (type === 'date') column.dayFirst = dayFirst;
+            return column;
+        }
+    }
+
+    const distinctRatio = distinct.size / present.length;
+    if (distinct.size <= MAX_CATEGORIES && distinctRatio <= 0.5) {
+        column.type = 'categorical';
+        column.confidence = Number((1 - distinctRatio).toFixed(3));
+    } else {
+        column.type = 'text';
+        column.confidence = Number(Math.max(distinctRatio, 0.5).toFixed(3));
+    }
+
+    return column;
+}
+
+// Collect column names across all rows, in first-seen order
+function collectColumns(rows) {
+    const columns = [];
+    const seen = new Set();
+    for (const row of rows) {
+        if (!row || typeof row !== 'object') continue;
+        for (const key of Object.keys(row)) {
+            if (!seen.has(key)) {
+                seen.add(key);
+                columns.push(key);
+            }
+        }
+    }
+    return columns;
+}
+
+// Infer a schema for an array of row objects.
+// Returns { rowCount, columns: [{ name, type, confidence, examples, ... }] }
+function inferSchema(rows) {
+    if (!Array.isArray(rows)) return null;
+
+    const names = collectColumns(rows);
+    const columns = names.map(name => inferColumn(name, rows.map(row => (row ? row[name] : undefined))));
+
+    return { rowCount: rows.length, columns };
+}
+
+// Convert one value to the given column type. Values that do not fit, or
+// would not survive the conversion intact, are returned unchanged so no
+// information is lost.
+function coerceValue(value, column) {
+    if (value === null || value === undefined) return null;
+    if (!column) return value;
+
+    // Blanks and placeholders like "N/A" only count as missing in typed
+    // columns; text keeps them as they are
+    const typed = column.type !== 'text' && column.type !== 'categorical';
+    if (typed && isMissing(value)) return null;
+
+    const str = typeof value === 'string' ? value.trim() : value;
+
+    switch (column.type) {
+        case 'integer':
+        case 'float': {
+            if (typeof value === 'number') return value;
+            const number = typeof str === 'string' ? toNumber(str) : null;
+            return number === null ? value : number;
+        }
+        case 'boolean': {
+            if (typeof value === 'boolean') return value;
+            const lower = String(str).toLowerCase();
+            if (TRUE_VALUES.has(lower)) return true;
+            if (FALSE_VALUES.has(lower)) return false;
+            return value;
+        }
+        case 'date':
+            return parseDate(str, column.dayFirst) || value;
+        case 'datetime':
+            return parseDateTime(str) || value;
+        default:
+            return value;
+    }
+}
+
+// Coerce every row to the schema's column types
+function coerceRows(rows, schema) {
+    if (!Array.isArray(rows) || !schema) return rows;
+
+    const byName = new Map(schema.columns.map(c => [c.name, c]));
+    return rows.map(row => {
+        if (!row || typeof row !== 'object') return row;
+        const typed = {};
+        for (const [key, value] of Object.entries(row)) {
+            typed[key] = coerceValue(value, byName.get(key));
+        }
+        return typed;
+    });
+}
+
+// Infer a schema and return the rows coerced to it
+function applySchema(rows) {
+    if (!Array.isArray(rows) || rows.length === 0 || typeof rows[0] !== 'object') {
+        return { data: rows, schema: null };
+    }
+    const schema = inferSchema(rows);
+    return { data: coerceRows(rows, schema), schema };
+}
+
+module.exports = {
+    isMissing,
+    parseDate,
+    parseDateTime,
+    toNumber,
+    inferSchema,
+    coerceValue,
+    coerceRows,
+    applySchema
+};
@@ -0,0 +1,122 @@
+/**
+ * Column-scoped AI processing
+ *
+ * An instruction can be limited to some columns of a table. Only those
+ * columns (with each row's position as its key) are sent to the model, and
+ * its answer is merged back onto the full rows by position. Columns that
+ * were not selected are always copied from the input, so the model cannot
+ * change them; rows it leaves out or adds are reported and ignored, and
+ * new columns it returns are added as long as they do not reuse the name
+ * of an existing column.
+ */
+
+const { ROW_KEY } = require('./chunking');
+const { columnsOf, sameValue } = require('./diff');
+
+// Check a column selection against the data. Returns an error message or
+// null when the selection can be used.
+function validateColumns(columns, data) {
+    if (columns === undefined || columns === null) return null;
+    if (!Array.isArray(columns) || columns.some(name => typeof name !== 'string' || name === '')) {
+        return 'columns must be a list of column names';
+    }
+    if (columns.length === 0) return null;
+    if (!Array.isArray(data) || !data.every(row => row && typeof row === 'object' && !Array.isArray(row))) {
+        return 'Selecting columns needs tabular data';
+    }
+    const available = columnsOf(data);
+    const unknown = columns.filter(name => !available.includes(name));
+    if (unknown.length > 0) {
+        return `Unknown column(s): ${unknown.join(', ')}`;
+    }
+    return null;
+}
+
+// The selected columns of each row, in selection order
+function projectColumns(rows, columns) {
+    return rows.map(row => {
+        const projected = {};
+        columns.forEach(name => {
+            projected[name] = row[name] === undefined ? null : row[name];
+        });
+        return projected;
+    });
+}
+
+// Put the model's rows (each carrying its position under ROW_KEY) back onto
+// the full input rows. Only selected columns and new columns are taken from
+// the output. Returns { data, report }.
+function mergeColumns(base, output, columns) {
+    const existing = columnsOf(base);
+    const selected = new Set(columns);
+    const byPosition = new Map();
+    let extraRows = 0;
+
+    output.forEach(row => {
+        const position = row ? row[ROW_KEY] : undefined;
+        if (!Number.isInteger(position) || position < 0 || position >= base.length || byPosition.has(position)) {
+            extraRows++;
+            return;
+        }
+        byPosition.set(position, row);
+    });
+
+    const added = [];
+    const ignored = new Set();
+    let cellsChanged = 0;
+    let rowsChanged = 0;
+
+    const merged = base.map((row, position) => {
+        const result = { ...row };
+        const answer = byPosition.get(position);
+        if (!answer) return result;
+
+        let changed = false;
+        Object.keys(answer).forEach(name => {
+            if (name === ROW_KEY) return;
+            if (selected.has(name)) {
+                if (!sameValue(row[name], answer[name])) {
+                    result[name] = answer[name];
+                    cellsChanged++;
+                    changed = true;
+                }
+            } else if (existing.includes(name)) {
+                // Never let the model touch a column that was not selected
+                ignored.add(name);
+            } else {
+                if (!added.includes(name)) added.push(name);
+                result[name] = answer[name];
+                changed = true;
+            }
+        });
+        if (changed) rowsChanged++;
+        return result;
+    });
+
+    // New columns appear on every row, empty where the model gave no value
+    const data = added.length === 0 ? merged : merged.map(row => {
+        added.forEach(name => {
+            if (!(name in row)) row[name] = null;
+        });
+        return row;
+    });
+
+    return {
+        data,
+        report: {
+            columns,
+            rowsChanged,
+            cellsChanged,
+            rowsMissing: base.length - byPosition.size,
+            extraRows,
+            addedColumns: added,
+            ignoredColumns: Array.from(ignored)
+        }
+    };
+}
+
+module.exports = {
+    validateColumns,
+    projectColumns,
+    mergeColumns
+};
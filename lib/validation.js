@@ -0,0 +1,165 @@
+/**
+ * Checks on AI output before it is accepted
+ *
+ * Compares the model's result with the data it was given: columns that
+ * disappeared, a row count that changed when the instruction did not ask
+ * for it, columns whose type changed, key values that were not in the
+ * input, and answers that were cut off or could not be parsed. Each finding
+ * is a warning with a code, a severity and a message; in strict mode any
+ * finding rejects the result.
+ */
+
+const { isMissing, inferSchema } = require('./schema');
+
+// Words in an instruction that make these changes expected
+const ROW_CHANGE_WORDS = /\b(remove|delete|drop|filter|exclude|dedup\w*|duplicates?|keep only|only keep|where|split|explode|expand|aggregate|group|summari[sz]e|sample|top|first|last|limit|merge|combine|add rows?|generate|augment)\b/i;
+const ROW_SPLIT_WORDS = /\b(split|explode|expand|add rows?|generate|augment)\b/i;
+const COLUMN_CHANGE_WORDS = /\b(remove|delete|drop|exclude|keep only|only keep|select|rename|merge|combine|split|replace|restructure|reshape|pivot)\b/i;
+const TYPE_CHANGE_WORDS = /\b(convert|cast|format|parse|types?|normali[sz]e|standardi[sz]e|scale|encode|map|categor\w*|bin|bucket|round|extract)\b/i;
+
+// Columns that identify rows; the model must not invent values for them
+const KEY_NAME_PATTERN = /^(id|key|uuid|guid|.*[_\s-]id|.*Id|.*ID)$/;
+
+// Inferred types that count as the same kind of value
+const TYPE_FAMILIES = {
+    integer: 'number',
+    float: 'number',
+    categorical: 'text',
+    text: 'text',
+    date: 'date',
+    datetime: 'date',
+    boolean: 'boolean'
+};
+
+function warning(code, severity, message, extra = {}) {
+    return { code, severity, message, ...extra };
+}
+
+function mentionsColumn(prompt, name) {
+    return prompt.toLowerCase().includes(name.toLowerCase());
+}
+
+function isTable(data) {
+    return Array.isArray(data) && data.every(row => row && typeof row === 'object' && !Array.isArray(row));
+}
+
+// Key columns of the input: id-like names whose values are unique
+function keyColumns(rows, columns) {
+    return columns.filter(name => {
+        if (!KEY_NAME_PATTERN.test(name)) return false;
+        const values = rows.map(row => row[name]).filter(value => !isMissing(value));
+        return values.length > 0 && new Set(values.map(String)).size === values.length;
+    });
+}
+
+function checkColumns(prompt, inputColumns, outputColumns) {
+    const lost = inputColumns.filter(name => !outputColumns.includes(name));
+    const unexpected = lost.filter(name =>
+        !(COLUMN_CHANGE_WORDS.test(prompt) && (/\b(columns?|fields?)\b/i.test(prompt) || mentionsColumn(prompt, name))));
+    if (unexpected.length === 0) return [];
+    return [warning('column_loss', 'warning',
+        `${unexpected.length} column(s) missing from the output: ${unexpected.join(', ')}`,
+        { columns: unexpected })];
+}
+
+// Whether an instruction asks for rows to be added, removed or split
+function expectsRowChanges(prompt) {
+    return ROW_CHANGE_WORDS.test(prompt || '');
+}
+
+// Whether an instruction asks for one row to become several
+function expectsRowSplits(prompt) {
+    return ROW_SPLIT_WORDS.test(prompt || '');
+}
+
+function checkRowCount(prompt, inputCount, outputCount) {
+    if (inputCount === outputCount || expectsRowChanges(prompt)) return [];
+    return [warning('row_count', 'warning',
+        `Row count changed from ${inputCount} to ${outputCount} although the instruction does not ask for it`,
+        { rowsBefore: inputCount, rowsAfter: outputCount })];
+}
+
+function checkTypes(prompt, inputSchema, outputSchema) {
+    const converting = TYPE_CHANGE_WORDS.test(prompt);
+    if (converting && /\b(all|every|columns|types?)\b/i.test(prompt)) return [];
+
+    const before = new Map(inputSchema.columns.map(column => [column.name, column.type]));
+    const changed = outputSchema.columns
+        .filter(column => before.has(column.name))
+        .filter(column => TYPE_FAMILIES[column.type] !== TYPE_FAMILIES[before.get(column.name)])
+        // Columns that became empty have no type worth comparing
+        .filter(column => column.missing < outputSchema.rowCount)
+        .filter(column => !(converting && mentionsColumn(prompt, column.name)));
+
+    return changed.map(column => warning('type_change', 'warning',
+        `Column "${column.name}" changed type from ${before.get(column.name)} to ${column.type}`,
+        { column: column.name, from: before.get(column.name), to: column.type }));
+}
+
+function checkKeys(input, output, inputColumns) {
+    return keyColumns(input, inputColumns).flatMap(name => {
+        const known = new Set(input.map(row => row[name]).filter(value => !isMissing(value)).map(String));
+        const invented = Array.from(new Set(output
+            .map(row => row[name])
+            .filter(value => !isMissing(value) && !known.has(String(value)))
+            .map(String)));
+        if (invented.length === 0) return [];
+        return [warning('invented_keys', 'error',
+            `${invented.length} value(s) in key column "${name}" do not occur in the input`,
+            { column: name, examples: invented.slice(0, 5) })];
+    });
+}
+
+// Validate a model's output against its input.
+// Options: prompt (the instruction), parse ({ recovered, truncated,
+// wrapped } from reading the reply), chunks (the per-chunk report) and
+// strict. Returns { passed, strict, warnings }.
+function validateOutput(input, output, options = {}) {
+    const prompt = options.prompt || '';
+    const parse = options.parse || {};
+    const warnings = [];
+
+    if (parse.wrapped) {
+        warnings.push(warning('unparsed_output', 'error',
+            'The model did not return JSON; its reply was kept as text'));
+    } else if (parse.truncated) {
+        warnings.push(warning('truncated_output', 'error',
+            'The model reply was cut off; only the part that could be recovered was kept'));
+    } else if (parse.recovered) {
+        warnings.push(warning('recovered_output', 'warning',
+            'The model reply had text around the JSON, which was ignored'));
+    }
+
+    const failed = (options.chunks || []).filter(chunk => chunk.status === 'failed');
+    if (failed.length > 0) {
+        warnings.push(warning('failed_chunks', 'warning',
+            `${failed.length} chunk(s) failed and their rows were left unchanged`,
+            { chunks: failed.map(chunk => chunk.index) }));
+    }
+
+    if (isTable(input) && input.length > 0) {
+        if (!isTable(output)) {
+            warnings.push(warning('shape_change', 'error', 'The input was a table but the output is not'));
+        } else {
+            const inputSchema = inferSchema(input);
+            const outputSchema = inferSchema(output);
+            const inputColumns = inputSchema.columns.map(column => column.name);
+            const outputColumns = outputSchema.columns.map(column => column.name);
+
+            warnings.push(
+                ...checkColumns(prompt, inputColumns, outputColumns),
+                ...checkRowCount(prompt, input.length, output.length),
+                ...checkTypes(prompt, inputSchema, outputSchema),
+                ...checkKeys(input, output, inputColumns)
+            );
+        }
+    }
+
+    return { passed: warnings.length === 0, strict: Boolean(options.strict), warnings };
+}
+
+module.exports = {
+    expectsRowChanges,
+    expectsRowSplits,
+    validateOutput
+};
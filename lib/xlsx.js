@@ -0,0 +1,322 @@
+/**
+ * Excel (.xlsx) workbook reading and writing
+ *
+ * Reads one sheet of a workbook into row objects. Title rows above the table
+ * are skipped, the header row is detected (including two-level headers built
+ * from merged group cells), and merged ranges in the data are filled with the
+ * value of their top-left cell. Writing produces typed cells from the
+ * inferred column schema.
+ */
+
+const ExcelJS = require('exceljs');
+const { normalizeHeaders } = require('./csv');
+const { toNumber } = require('./schema');
+
+// Rows examined when looking for the header
+const HEADER_SCAN_ROWS = 20;
+
+const DATE_FORMAT = 'yyyy-mm-dd';
+const DATETIME_FORMAT = 'yyyy-mm-dd hh:mm:ss';
+
+async function readWorkbook(filePath) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(filePath);
+    return workbook;
+}
+
+// Summaries of the worksheets in a workbook, for choosing a sheet
+function listSheets(workbook) {
+    return workbook.worksheets.map(sheet => ({
+        name: sheet.name,
+        rowCount: sheet.actualRowCount,
+        columnCount: sheet.columnCount,
+        hidden: sheet.state !== 'visible'
+    }));
+}
+
+// Find a sheet by name or 0-based position, defaulting to the first visible one
+function selectSheet(workbook, sheet) {
+    if (sheet !== undefined && sheet !== null && sheet !== '') {
+        // By name first; getWorksheet would take a number as a sheet id
+        const found = workbook.getWorksheet(String(sheet)) ||
+            (/^\d+$/.test(String(sheet)) ? workbook.worksheets[Number(sheet)] : undefined);
+        if (!found) throw new Error(`Sheet not found: ${sheet}`);
+        return found;
+    }
+    const sheets = workbook.worksheets;
+    const visible = sheets.find(s => s.state === 'visible') || sheets[0];
+    if (!visible) throw new Error('Workbook has no sheets');
+    return visible;
+}
+
+// Excel stores dates without a zone; ExcelJS reads them as UTC, and they
+// are kept zone-less like other datetimes without one
+function dateValue(date) {
+    if (Number.isNaN(date.getTime())) return null;
+    const iso = date.toISOString();
+    return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso.replace(/(\.000)?Z$/, '');
+}
+
+// Plain value of a cell: formulas give their cached result, rich text and
+// hyperlinks their text, and error values become null
+function cellValue(value) {
+    if (value === null || value === undefined) return null;
+    if (value instanceof Date) return dateValue(value);
+    if (typeof value !== 'object') return value;
+
+    if (value.richText) return value.richText.map(run => run.text).join('');
+    if (value.error !== undefined) return null;
+    if (value.formula !== undefined || value.sharedFormula !== undefined) {
+        return cellValue(value.result);
+    }
+    if (value.text !== undefined) return cellValue(value.text);
+    return JSON.stringify(value);
+}
+
+// Read a sheet into a grid of plain values. Merged cells already report the
+// value of their master cell, so merged ranges come out filled.
+function readGrid(sheet) {
+    const width = sheet.columnCount;
+    const rows = [];
+    sheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+        const values = [];
+        for (let col = 1; col <= width; col++) {
+            values.push(cellValue(row.getCell(col).value));
+        }
+        if (values.some(value => value !== null && value !== '')) {
+            rows.push({ rowNumber, values });
+        }
+    });
+    return rows;
+}
+
+// Merged ranges as { top, left, bottom, right } (1-based, inclusive)
+function readMerges(sheet) {
+    return (sheet.model.merges || []).map(range => {
+        const [start, end] = range.split(':');
+        const first = sheet.getCell(start);
+        const last = sheet.getCell(end || start);
+        return {
+            range,
+            top: first.row,
+            left: first.col,
+            bottom: last.row,
+            right: last.col
+        };
+    });
+}
+
+function filled(values) {
+    return values.filter(value => value !== null && value !== '');
+}
+
+function isLabel(value) {
+    return typeof value === 'string' && !/^[+-]?(\d+\.?\d*|\.\d+)$/.test(value.trim());
+}
+
+// A title row is a single value, or one value merged across the row
+function isTitleRow(values) {
+    const present = filled(values);
+    return present.length === 1 || (present.length > 1 && new Set(present).size === 1);
+}
+
+// Pick the header row. Returns { index, header } where index is the position
+// in `grid` where the table starts and header says whether that row holds
+// column names.
+function detectHeaderRow(grid) {
+    const sample = grid.slice(0, HEADER_SCAN_ROWS);
+    const widest = Math.max(0, ...sample.map(row => filled(row.values).length));
+
+    // Skip titles and notes above the table
+    let index = sample.findIndex(row =>
+        !isTitleRow(row.values) && filled(row.values).length >= widest / 2);
+    if (index === -1) index = 0;
+    if (!grid[index]) return { index: 0, header: false };
+
+    const header = filled(grid[index].values).every(isLabel);
+    return { index, header };
+}
+
+// True if a merge spans several columns of the given sheet row
+function hasGroupMerge(merges, rowNumber) {
+    return merges.some(merge => merge.top === rowNumber && merge.right > merge.left);
+}
+
+// Build column names, joining a group header row with the row below it
+// ("Q1 Jan") when the header uses merged group cells
+function buildHeaders(grid, index, merges) {
+    const top = grid[index].values;
+    const next = grid[index + 1];
+    const twoLevel = next &&
+        next.rowNumber === grid[index].rowNumber + 1 &&
+        hasGroupMerge(merges, grid[index].rowNumber) &&
+        filled(next.values).length > 0 &&
+        filled(next.values).every(isLabel);
+
+    if (!twoLevel) {
+        return { headers: normalizeHeaders(top.map(value => (value === null ? '' : value))), rows: 1 };
+    }
+
+    const names = top.map((value, col) => {
+        const parent = value === null ? '' : String(value).trim();
+        const child = next.values[col] === null ? '' : String(next.values[col]).trim();
+        if (!child || child === parent) return parent;
+        return parent ? `${parent} ${child}` : child;
+    });
+    return { headers: normalizeHeaders(names), rows: 2 };
+}
+
+// Parse one sheet of a workbook into rows.
+// Options: sheet (name or 0-based index), headerRow (1-based sheet row
+// number of the header, or 0 for no header; detected when omitted).
+// Returns { headers, data, xlsx } where xlsx describes what was read.
+function parseWorkbook(workbook, options = {}) {
+    const sheet = selectSheet(workbook, options.sheet);
+    const grid = readGrid(sheet);
+    const merges = readMerges(sheet);
+
+    let start;
+    let header;
+    const forced = options.headerRow !== undefined && options.headerRow !== null && options.headerRow !== '';
+    if (forced) {
+        const headerRow = Number(options.headerRow);
+        header = headerRow > 0;
+        start = header ? grid.findIndex(row => row.rowNumber >= headerRow) : 0;
+        if (start === -1) start = grid.length;
+    } else {
+        ({ index: start, header } = detectHeaderRow(grid));
+    }
+
+    let headers;
+    let bodyStart = start;
+    if (header && grid[start]) {
+        const built = buildHeaders(grid, start, merges);
+        headers = built.headers;
+        bodyStart = start + built.rows;
+    } else {
+        headers = normalizeHeaders(new Array(sheet.columnCount).fill(''));
+    }
+
+    const data = grid.slice(bodyStart).map(row => {
+        const record = {};
+        headers.forEach((name, col) => {
+            record[name] = row.values[col] === undefined ? null : row.values[col];
+        });
+        return record;
+    });
+
+    return {
+        headers,
+        data,
+        xlsx: {
+            sheet: sheet.name,
+            sheets: listSheets(workbook),
+            headerRow: header && grid[start] ? grid[start].rowNumber : 0,
+            headerDetected: !forced,
+            mergedCells: merges.map(merge => merge.range)
+        }
+    };
+}
+
+// Convert a value to what its cell should hold for the column type
+function typedCell(value, column) {
+    if (value === null || value === undefined) return { value: null };
+    if (typeof value === 'object') return { value: JSON.stringify(value) };
+
+    const type = column ? column.type : null;
+    if ((type === 'date' || type === 'datetime') && typeof value === 'string') {
+        // Zone-less datetimes are written as they read, like Excel's own dates
+        const zoned = /(Z|[+-]\d{2}:?\d{2})$/.test(value);
+        const date = new Date(type === 'date' ? `${value}T00:00:00Z` : zoned ? value : `${value.replace(' ', 'T')}Z`);
+        if (!Number.isNaN(date.getTime())) {
+            return { value: date, numFmt: type === 'date' ? DATE_FORMAT : DATETIME_FORMAT };
+        }
+    }
+    if ((type === 'integer' || type === 'float') && typeof value === 'string' && value.trim() !== '') {
+        const number = toNumber(value.trim());
+        if (number !== null) return { value: number };
+    }
+    return { value };
+}
+
+// Write rows to an .xlsx workbook, one sheet, with typed cells based on
+// the column schema. Resolves to a Buffer.
+async function writeWorkbook(rows, schema, options = {}) {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet(options.sheetName || 'Data', {
+        views: [{ state: 'frozen', ySplit: 1 }]
+    });
+
+    // Schema order first, then any columns only some rows have
+    const columns = schema ? schema.columns.map(c => c.name) : [];
+    const seen = new Set(columns);
+    for (const row of rows) {
+        for (const name of Object.keys(row || {})) {
+            if (!seen.has(name)) {
+                seen.add(name);
+                columns.push(name);
+            }
+        }
+    }
+    const byName = new Map((schema ? schema.columns : []).map(c => [c.name, c]));
+
+    sheet.columns = columns.map(name => ({
+        header: name,
+        key: name,
+        width: Math.min(Math.max(name.length + 2, 10), 50)
+    }));
+    sheet.getRow(1).font = { bold: true };
+
+    for (const row of rows) {
+        const excelRow = sheet.addRow([]);
+        columns.forEach((name, col) => {
+            const { value, numFmt } = typedCell(row ? row[name] : null, byName.get(name));
+            const cell = excelRow.getCell(col + 1);
+            cell.value = value;
+            if (numFmt) cell.numFmt = numFmt;
+        });
+    }
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// Stream a workbook to a writable stream from batches of rows (an async
+// iterable), committing each row as it is written. The columns must be
+// known up front.
+async function streamWorkbook(batches, columns, schema, stream, options = {}) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+    const sheet = workbook.addWorksheet(options.sheetName || 'Data', {
+        views: [{ state: 'frozen', ySplit: 1 }]
+    });
+    const byName = new Map((schema ? schema.columns : []).map(c => [c.name, c]));
+
+    sheet.columns = columns.map(name => ({
+        header: name,
+        key: name,
+        width: Math.min(Math.max(name.length + 2, 10), 50)
+    }));
+    sheet.getRow(1).font = { bold: true };
+
+    for await (const rows of batches) {
+        for (const row of rows) {
+            const excelRow = sheet.addRow([]);
+            columns.forEach((name, col) => {
+                const { value, numFmt } = typedCell(row ? row[name] : null, byName.get(name));
+                const cell = excelRow.getCell(col + 1);
+                cell.value = value;
+                if (numFmt) cell.numFmt = numFmt;
+            });
+            excelRow.commit();
+        }
+    }
+    sheet.commit();
+    await workbook.commit();
+}
+
+module.exports = {
+    readWorkbook,
+    listSheets,
+    parseWorkbook,
+    writeWorkbook,
+    streamWorkbook
+};
@@ -2,17 +2,64 @@
  * AI Dataset Preprocessor - Frontend Application
  */
 
+// Rows shown per table page
+const PAGE_SIZE = 100;
+// Duplicate clusters shown per page
+const CLUSTER_PAGE_SIZE = 20;
+
 // State management
 const state = {
+    // Datasets live on the server; data holds the full rows when small,
+    // otherwise just the preview page
+    datasetId: null,
+    processedDatasetId: null,
+    rowCount: 0,
+    processedRowCount: 0,
+    pageOffset: { original: 0, processed: 0 },
     originalData: null,
     processedData: null,
+    schema: null,
+    processedSchema: null,
     fileType: null,
     fileName: null,
+    file: null,
+    dialect: null,
+    encoding: null,
+    xlsx: null,
+    flattening: null,
+    parseErrors: [],
+    parseErrorCount: 0,
+    operations: [],
+    chipPrompt: '',
+    plan: null,
+    lastSteps: [],
+    recipes: [],
+    // Columns an AI rewrite is limited to; empty means all of them
+    scopeColumns: [],
+    // Personal data found by the last scan and the policy chosen per column
+    pii: null,
+    // Version history of the upload; processedDatasetId is the selected
+    // version, or null when the original is selected
+    versions: [],
+    redoChoice: {},
+    // Changes view: comparison settings, the current page of changes and
+    // the changes the user has rejected
+    diff: null,
+    // Data quality profile of the selected version
+    profile: null,
+    // Near-duplicate review: detection settings, the current page of
+    // clusters and the rows chosen to keep per cluster
+    duplicates: null,
+    // Last question answered: { question, query, datasetId }
+    query: null,
+    // Fine-tuning export fields typed so far, by field name
+    finetuneValues: {},
     currentView: 'original',
     // ML State
     selectedModel: null,
     trainedModelId: null,
     featureColumns: [],
+    featureSchema: [],
     targetColumn: null,
     lastTrainingResult: null
 };
@@ -24,14 +71,77 @@ const elements = {
     fileInfo: document.getElementById('file-info'),
     fileName: document.getElementById('file-name'),
     clearFile: document.getElementById('clear-file'),
+    encodingOptions: document.getElementById('encoding-options'),
+    fileEncoding: document.getElementById('file-encoding'),
+    encodingDetected: document.getElementById('encoding-detected'),
+    dialectOptions: document.getElementById('dialect-options'),
+    dialectDelimiter: document.getElementById('dialect-delimiter'),
+    dialectQuote: document.getElementById('dialect-quote'),
+    dialectHeader: document.getElementById('dialect-header'),
+    sheetOptions: document.getElementById('sheet-options'),
+    sheetSelect: document.getElementById('sheet-select'),
+    sheetHeaderRow: document.getElementById('sheet-header-row'),
+    nestingOptions: document.getElementById('nesting-options'),
+    nestingArrays: document.getElementById('nesting-arrays'),
     promptSection: document.getElementById('prompt-section'),
     promptInput: document.getElementById('prompt-input'),
+    operationSettings: document.getElementById('operation-settings'),
     processBtn: document.getElementById('process-btn'),
+    processMode: document.getElementById('process-mode'),
+    llmProvider: document.getElementById('llm-provider'),
+    strictValidation: document.getElementById('strict-validation'),
+    useCache: document.getElementById('use-cache'),
+    processProgress: document.getElementById('process-progress'),
+    validationReport: document.getElementById('validation-report'),
+    validationTitle: document.getElementById('validation-title'),
+    validationWarnings: document.getElementById('validation-warnings'),
+    planReview: document.getElementById('plan-review'),
+    planExplanation: document.getElementById('plan-explanation'),
+    planSteps: document.getElementById('plan-steps'),
+    applyPlanBtn: document.getElementById('apply-plan-btn'),
+    discardPlanBtn: document.getElementById('discard-plan-btn'),
+    columnScope: document.getElementById('column-scope'),
+    columnScopeLabel: document.getElementById('column-scope-label'),
+    columnScopeList: document.getElementById('column-scope-list'),
+    columnScopeClear: document.getElementById('column-scope-clear'),
+    queryInput: document.getElementById('query-input'),
+    queryBtn: document.getElementById('query-btn'),
+    queryResult: document.getElementById('query-result'),
+    queryExplanation: document.getElementById('query-explanation'),
+    queryJson: document.getElementById('query-json'),
+    queryTable: document.getElementById('query-table'),
+    querySaveBtn: document.getElementById('query-save-btn'),
+    piiScanBtn: document.getElementById('pii-scan-btn'),
+    piiSummary: document.getElementById('pii-summary'),
+    piiTable: document.getElementById('pii-table'),
+    exportAnonymize: document.getElementById('export-anonymize'),
+    recipeSelect: document.getElementById('recipe-select'),
+    recipeLog: document.getElementById('recipe-log'),
+    recipeProgress: document.getElementById('recipe-progress'),
+    recipeFile: document.getElementById('recipe-file'),
+    saveRecipeBtn: document.getElementById('save-recipe-btn'),
     dataSection: document.getElementById('data-section'),
     tableContainer: document.getElementById('table-container'),
     dataStats: document.getElementById('data-stats'),
+    versionHistory: document.getElementById('version-history'),
+    versionList: document.getElementById('version-list'),
+    undoBtn: document.getElementById('undo-btn'),
+    redoBtn: document.getElementById('redo-btn'),
+    parseErrors: document.getElementById('parse-errors'),
     exportSection: document.getElementById('export-section'),
+    exportBom: document.getElementById('export-bom'),
+    corpusPanel: document.getElementById('corpus-panel'),
+    finetuneFormat: document.getElementById('finetune-format'),
+    finetuneModeGroup: document.getElementById('finetune-mode-group'),
+    finetuneMode: document.getElementById('finetune-mode'),
+    finetuneMaxTokens: document.getElementById('finetune-max-tokens'),
+    finetuneFields: document.getElementById('finetune-fields'),
+    finetuneSystem: document.getElementById('finetune-system'),
+    finetuneStats: document.getElementById('finetune-stats'),
     processedTab: document.getElementById('processed-tab'),
+    diffTab: document.getElementById('diff-tab'),
+    profileTab: document.getElementById('profile-tab'),
+    duplicatesTab: document.getElementById('duplicates-tab'),
     toast: document.getElementById('toast'),
     toastMessage: document.getElementById('toast-message'),
     // ML Elements
@@ -39,6 +149,7 @@ const elements = {
     targetColumn: document.getElementById('target-column'),
     testSplit: document.getElementById('test-split'),
     trainBtn: document.getElementById('train-btn'),
+    trainProgress: document.getElementById('train-progress'),
     resultsSection: document.getElementById('results-section'),
     metricsGrid: document.getElementById('metrics-grid'),
     downloadModelBtn: document.getElementById('download-model-btn'),
@@ -54,6 +165,37 @@ document.addEventListener('DOMContentLoaded', init);
 
 function init() {
     setupEventListeners();
+    loadOperations();
+    loadRecipes();
+    loadProviders();
+}
+
+// Language model providers for the provider picker
+async function loadProviders() {
+    if (!elements.llmProvider) return;
+    try {
+        const response = await fetch('/api/llm');
+        const result = await response.json();
+        const defaults = result.defaults;
+        elements.llmProvider.innerHTML = `<option value="">Default (${escapeHTML(defaults.provider)}: ${escapeHTML(defaults.model)})</option>` +
+            result.providers
+                .filter(provider => provider.configured && provider.name !== defaults.provider)
+                .map(provider => `<option value="${provider.name}">${escapeHTML(provider.label)}</option>`)
+                .join('');
+    } catch (error) {
+        console.error('Failed to load providers:', error);
+    }
+}
+
+// `cache: false` when the user wants a fresh answer from the model
+function cacheOption() {
+    return elements.useCache && !elements.useCache.checked ? false : undefined;
+}
+
+// Per-request model settings, or undefined to use the server's defaults
+function llmOptions() {
+    const provider = elements.llmProvider ? elements.llmProvider.value : '';
+    return provider ? { provider } : undefined;
 }
 
 function setupEventListeners() {
@@ -67,14 +209,90 @@ function setupEventListeners() {
     elements.uploadZone.addEventListener('dragleave', handleDragLeave);
     elements.uploadZone.addEventListener('drop', handleDrop);
 
+    // Encoding, dialect, sheet and nesting overrides re-parse the current file
+    [elements.fileEncoding, elements.dialectDelimiter, elements.dialectQuote, elements.dialectHeader,
+        elements.sheetSelect, elements.sheetHeaderRow, elements.nestingArrays].forEach(select => {
+        if (select) select.addEventListener('change', reparseFile);
+    });
+
     // Process button
     elements.processBtn.addEventListener('click', processData);
 
+    // Plan review
+    if (elements.applyPlanBtn) elements.applyPlanBtn.addEventListener('click', applyPlan);
+    if (elements.discardPlanBtn) elements.discardPlanBtn.addEventListener('click', discardPlan);
+
+    // Version history
+    if (elements.versionHistory) {
+        elements.undoBtn.addEventListener('click', undoVersion);
+        elements.redoBtn.addEventListener('click', redoVersion);
+        elements.versionList.addEventListener('click', e => {
+            const item = e.target.closest('[data-version]');
+            if (item) selectVersion(item.dataset.version);
+        });
+    }
+
+    // Questions
+    if (elements.queryBtn) {
+        elements.queryBtn.addEventListener('click', askQuestion);
+        elements.queryInput.addEventListener('keydown', e => {
+            if (e.key === 'Enter') askQuestion();
+        });
+        elements.querySaveBtn.addEventListener('click', saveQueryResult);
+    }
+
+    // Column scope
+    if (elements.columnScope) {
+        elements.columnScopeList.addEventListener('change', () => {
+            const columns = currentColumns();
+            state.scopeColumns = Array.from(elements.columnScopeList.querySelectorAll('input:checked'))
+                .map(input => columns[Number(input.value)]);
+            updateColumnScopeLabel();
+        });
+        elements.columnScopeClear.addEventListener('click', () => {
+            state.scopeColumns = [];
+            renderColumnScope();
+        });
+    }
+
+    // Personal data
+    if (elements.piiScanBtn) {
+        elements.piiScanBtn.addEventListener('click', scanPII);
+        elements.piiTable.addEventListener('change', e => {
+            const select = e.target.closest('[data-pii-column]');
+            if (select) state.pii.policies[select.dataset.piiColumn] = select.value;
+        });
+    }
+
+    // Recipes
+    if (elements.recipeSelect) {
+        document.getElementById('run-recipe-btn').addEventListener('click', runRecipe);
+        document.getElementById('export-recipe-btn').addEventListener('click', exportRecipe);
+        document.getElementById('delete-recipe-btn').addEventListener('click', deleteRecipe);
+        document.getElementById('import-recipe-btn').addEventListener('click', () => elements.recipeFile.click());
+        elements.recipeFile.addEventListener('change', importRecipe);
+        elements.saveRecipeBtn.addEventListener('click', saveRecipe);
+    }
+
+    // Table paging
+    elements.tableContainer.addEventListener('click', e => {
+        const btn = e.target.closest('[data-page]');
+        if (btn) changePage(btn.dataset.page === 'next' ? 1 : -1);
+        if (state.currentView === 'diff') handleDiffClick(e);
+        if (state.currentView === 'profile') handleProfileClick(e);
+        if (state.currentView === 'duplicates') handleDuplicatesClick(e);
+    });
+    elements.tableContainer.addEventListener('change', e => {
+        if (state.currentView === 'diff') handleDiffChange(e);
+        if (state.currentView === 'duplicates') handleDuplicatesChange(e);
+    });
+
     // Quick prompts - Multi select
     document.querySelectorAll('.chip').forEach(chip => {
         chip.addEventListener('click', () => {
             chip.classList.toggle('selected');
             updatePromptFromChips();
+            renderOperationSettings();
         });
     });
 
@@ -86,6 +304,8 @@ function setupEventListeners() {
                 chip.classList.remove('selected');
             });
             elements.promptInput.value = '';
+            state.chipPrompt = '';
+            renderOperationSettings();
         });
     }
 
@@ -99,6 +319,23 @@ function setupEventListeners() {
         btn.addEventListener('click', () => exportData(btn.dataset.format));
     });
 
+    // Text corpus
+    if (elements.corpusPanel) {
+        document.getElementById('corpus-btn').addEventListener('click', prepareCorpus);
+    }
+
+    // Fine-tuning export
+    if (elements.finetuneFormat) {
+        elements.finetuneFormat.addEventListener('change', renderFinetuneFields);
+        elements.finetuneMode.addEventListener('change', renderFinetuneFields);
+        elements.finetuneFields.addEventListener('input', e => {
+            const field = e.target.closest('[data-finetune]');
+            if (field) state.finetuneValues[field.dataset.finetune] = field.value;
+        });
+        document.getElementById('finetune-check-btn').addEventListener('click', () => exportFinetune(false));
+        document.getElementById('finetune-download-btn').addEventListener('click', () => exportFinetune(true));
+    }
+
     // ML Model selection
     document.querySelectorAll('.model-card').forEach(card => {
         card.addEventListener('click', () => selectModel(card));
@@ -159,9 +396,12 @@ function handleFileSelect(e) {
     }
 }
 
-async function processFile(file) {
+async function processFile(file, overrides = null) {
     const formData = new FormData();
     formData.append('file', file);
+    if (overrides) {
+        Object.entries(overrides).forEach(([key, value]) => formData.append(key, value));
+    }
 
     try {
         showToast('Uploading file...', 'info');
@@ -178,10 +418,34 @@ async function processFile(file) {
         }
 
         // Update state
-        state.originalData = result.data;
+        deleteStoredDatasets();
+        state.datasetId = result.datasetId;
+        state.rowCount = result.rowCount;
+        state.pageOffset = { original: 0, processed: 0 };
+        state.originalData = result.data !== undefined ? result.data : result.preview;
         state.fileType = result.type;
         state.fileName = result.filename;
+        state.file = file;
+        state.dialect = result.dialect;
+        state.encoding = result.encoding;
+        state.xlsx = result.xlsx;
+        state.flattening = result.flattening;
         state.processedData = null;
+        state.processedDatasetId = null;
+        state.processedRowCount = 0;
+        state.schema = result.schema;
+        state.processedSchema = null;
+        state.versions = [];
+        state.redoChoice = {};
+        state.pii = null;
+        renderPII();
+        state.scopeColumns = [];
+        renderColumnScope();
+        renderCorpusPanel();
+        state.query = null;
+        renderQueryResult(null);
+        state.parseErrors = result.errors || [];
+        state.parseErrorCount = result.errorCount || state.parseErrors.length;
 
         // Update UI
         elements.fileName.textContent = result.filename;
@@ -190,116 +454,1786 @@ async function processFile(file) {
         elements.dataSection.style.display = 'block';
         elements.exportSection.style.display = 'none';
         elements.processedTab.disabled = true;
-
-        // Reset tabs
+        elements.diffTab.disabled = true;
+        elements.profileTab.disabled = !isTabular(state.originalData);
+        elements.duplicatesTab.disabled = !isTabular(state.originalData);
+        state.diff = null;
+        state.profile = null;
+        state.duplicates = null;
+        renderEncodingOptions(state.encoding);
+        renderDialectOptions(state.dialect);
+        renderSheetOptions(state.xlsx);
+        renderNestingOptions(state.flattening);
+        renderOperationSettings();
+        renderValidation(null);
+        discardPlan();
+        loadVersions();
+
+        // Reset tabs and render preview
         switchTab('original');
+        renderParseErrors(state.parseErrors, state.parseErrorCount);
+
+        if (state.parseErrorCount > 0) {
+            showToast(`File uploaded with ${state.parseErrorCount} malformed row(s)`, 'info');
+        } else {
+            showToast('File uploaded successfully!', 'success');
+        }
+
+    } catch (error) {
+        console.error('Upload error:', error);
+        showToast(error.message, 'error');
+    }
+}
+
+function renderEncodingOptions(encoding) {
+    if (!elements.encodingOptions) return;
+
+    if (!encoding) {
+        elements.encodingOptions.style.display = 'none';
+        return;
+    }
+
+    elements.fileEncoding.value = encoding.encoding;
+    elements.encodingDetected.textContent = encoding.forced
+        ? `(detected: ${encoding.detected})`
+        : `(detected${encoding.bom ? ' from BOM' : ''})`;
+    elements.encodingOptions.style.display = 'grid';
+}
+
+function renderDialectOptions(dialect) {
+    if (!elements.dialectOptions) return;
+
+    if (!dialect) {
+        elements.dialectOptions.style.display = 'none';
+        return;
+    }
+
+    elements.dialectDelimiter.value = dialect.delimiter === '\t' ? '\\t' : dialect.delimiter;
+    elements.dialectQuote.value = dialect.quote;
+    elements.dialectHeader.value = String(dialect.header);
+    elements.dialectOptions.style.display = 'grid';
+}
+
+function renderSheetOptions(xlsx) {
+    if (!elements.sheetOptions) return;
+
+    if (!xlsx) {
+        elements.sheetOptions.style.display = 'none';
+        return;
+    }
+
+    elements.sheetSelect.innerHTML = xlsx.sheets.map(sheet => `
+        <option value="${escapeHTML(sheet.name)}">${escapeHTML(sheet.name)} (${sheet.rowCount} rows)${sheet.hidden ? ' - hidden' : ''}</option>
+    `).join('');
+    elements.sheetSelect.value = xlsx.sheet;
+
+    const sheet = xlsx.sheets.find(s => s.name === xlsx.sheet);
+    const lastRow = Math.max(xlsx.headerRow, Math.min(sheet ? sheet.rowCount : 0, 20));
+    let rowOptions = '<option value="0">No header</option>';
+    for (let row = 1; row <= lastRow; row++) {
+        rowOptions += `<option value="${row}">Row ${row}</option>`;
+    }
+    elements.sheetHeaderRow.innerHTML = rowOptions;
+    elements.sheetHeaderRow.value = String(xlsx.headerRow);
+    elements.sheetOptions.style.display = 'grid';
+}
+
+function renderNestingOptions(flattening) {
+    if (!elements.nestingOptions) return;
+
+    if (!flattening) {
+        elements.nestingOptions.style.display = 'none';
+        return;
+    }
+
+    elements.nestingArrays.value = flattening.arrays;
+    elements.nestingOptions.style.display = 'grid';
+}
+
+function reparseFile() {
+    if (!state.file) return;
+
+    const overrides = {};
+    if (state.encoding && elements.fileEncoding.value !== state.encoding.detected) {
+        overrides.encoding = elements.fileEncoding.value;
+    }
+    if (state.dialect) {
+        overrides.delimiter = elements.dialectDelimiter.value;
+        overrides.quote = elements.dialectQuote.value;
+        overrides.header = elements.dialectHeader.value;
+    }
+    if (state.xlsx) {
+        overrides.sheet = elements.sheetSelect.value;
+        // A different sheet gets its own header detection
+        if (overrides.sheet === state.xlsx.sheet) {
+            overrides.headerRow = elements.sheetHeaderRow.value;
+        }
+    }
+    if (state.flattening) {
+        overrides.arrays = elements.nestingArrays.value;
+    }
+
+    processFile(state.file, overrides);
+}
+
+// Free server-side storage for the upload and all its versions
+function deleteStoredDatasets() {
+    if (state.datasetId) {
+        fetch(`/api/datasets/${state.datasetId}/versions`, { method: 'DELETE' }).catch(() => {});
+    }
+}
+
+function clearFile() {
+    deleteStoredDatasets();
+    state.datasetId = null;
+    state.processedDatasetId = null;
+    state.rowCount = 0;
+    state.processedRowCount = 0;
+    state.pageOffset = { original: 0, processed: 0 };
+    state.originalData = null;
+    state.processedData = null;
+    state.schema = null;
+    state.processedSchema = null;
+    state.versions = [];
+    state.redoChoice = {};
+    state.pii = null;
+    state.scopeColumns = [];
+    state.query = null;
+    renderQueryResult(null);
+    state.fileType = null;
+    state.fileName = null;
+    state.file = null;
+    state.dialect = null;
+    state.encoding = null;
+    state.xlsx = null;
+    state.flattening = null;
+    state.parseErrors = [];
+    state.parseErrorCount = 0;
+    state.selectedModel = null;
+    state.trainedModelId = null;
+    state.featureColumns = [];
+    state.targetColumn = null;
+
+    elements.fileInput.value = '';
+    elements.fileInfo.style.display = 'none';
+    elements.promptSection.style.display = 'none';
+    elements.dataSection.style.display = 'none';
+    elements.exportSection.style.display = 'none';
+    elements.promptInput.value = '';
+    elements.processedTab.disabled = true;
+    elements.diffTab.disabled = true;
+    elements.profileTab.disabled = true;
+    elements.duplicatesTab.disabled = true;
+    state.diff = null;
+    state.profile = null;
+    state.duplicates = null;
+    renderParseErrors([]);
+    renderEncodingOptions(null);
+    renderDialectOptions(null);
+    renderSheetOptions(null);
+    renderNestingOptions(null);
+    renderVersions();
+    renderValidation(null);
+    renderPII();
+    discardPlan();
+
+    // Hide ML sections
+    if (elements.mlSection) elements.mlSection.style.display = 'none';
+    if (elements.resultsSection) elements.resultsSection.style.display = 'none';
+    if (elements.predictionSection) elements.predictionSection.style.display = 'none';
+    
+    // Reset model selection
+    document.querySelectorAll('.model-card').forEach(c => c.classList.remove('selected'));
+}
+
+// Data processing
+async function processData() {
+    const prompt = elements.promptInput.value.trim();
+
+    if (!prompt) {
+        showToast('Please enter a preprocessing instruction', 'error');
+        return;
+    }
+
+    if (!state.datasetId) {
+        showToast('Please upload a file first', 'error');
+        return;
+    }
+
+    // Chip selections run locally; anything typed by hand goes to the AI,
+    // which either rewrites the rows or plans steps to run locally
+    const operations = getSelectedOperations();
+    const local = operations.length > 0 && prompt === state.chipPrompt;
+    const planning = !local && elements.processMode && elements.processMode.value === 'plan';
+    // Each step builds on the selected version
+    const datasetId = currentVersionId();
+
+    // Only AI rewrites can be limited to some columns
+    const columns = state.scopeColumns.length > 0 ? state.scopeColumns.slice() : undefined;
+
+    let url, body, message;
+    if (local) {
+        url = '/api/transform';
+        body = { datasetId: datasetId, operations: operations, prompt: prompt };
+        message = 'Applying operations...';
+    } else if (planning) {
+        url = '/api/plan';
+        body = { datasetId: datasetId, prompt: prompt, llm: llmOptions(), pii: piiOptions() };
+        message = 'Planning with AI...';
+    } else {
+        url = '/api/process';
+        body = {
+            datasetId: datasetId,
+            prompt: prompt,
+            type: state.fileType,
+            columns: columns,
+            strict: elements.strictValidation ? elements.strictValidation.checked : undefined,
+            llm: llmOptions(),
+            pii: piiOptions(),
+            cache: cacheOption()
+        };
+        message = 'Processing with AI...';
+    }
+
+    const btn = elements.processBtn;
+    const btnText = btn.querySelector('.btn-text');
+    const btnLoading = btn.querySelector('.btn-loading');
+
+    try {
+        // Show loading state
+        btn.disabled = true;
+        btnText.style.display = 'none';
+        btnLoading.style.display = 'inline';
+        btnLoading.innerHTML = '<span class="loading"></span> Processing...';
+
+        showToast(message, 'info');
+
+        // AI rewrites run as a background job with a progress bar
+        let result;
+        if (url === '/api/process') {
+            result = await runJob(url, body, elements.processProgress);
+        } else {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(body)
+            });
+            result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || 'Processing failed');
+            }
+        }
+        renderValidation(result.validation);
+
+        if (planning) {
+            state.plan = { ...result.plan, prompt: prompt, datasetId: datasetId };
+            renderPlanReview(state.plan);
+            showToast('Plan ready for review', 'success');
+            return;
+        }
+
+        showProcessedResult(result, local
+            ? operations.map(operation => ({ kind: 'operation', ...operation }))
+            : [{ kind: 'prompt', prompt: prompt, mode: 'rewrite', columns: columns }]);
+
+    } catch (error) {
+        if (error.cancelled) {
+            showToast('Processing cancelled', 'info');
+            return;
+        }
+        console.error('Processing error:', error);
+        renderValidation(error.details && error.details.validation, true);
+        showToast(error.message, 'error');
+    } finally {
+        // Reset button
+        btn.disabled = false;
+        btnText.style.display = 'inline';
+        btnLoading.style.display = 'none';
+    }
+}
+
+// Start a background job and show its progress in `container` until it
+// ends. Resolves to the job's result; a failed job rejects with its error
+// (details such as validation in error.details), a cancelled one with an
+// error marked `cancelled`.
+async function runJob(url, body, container) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body)
+    });
+    const started = await response.json();
+    if (!response.ok) {
+        throw Object.assign(new Error(started.error || 'Request failed'), { details: started });
+    }
+
+    const finished = await followJob(started.jobId, container);
+    if (finished.status === 'cancelled') {
+        throw Object.assign(new Error('Cancelled'), { cancelled: true });
+    }
+    if (finished.status === 'failed') {
+        throw Object.assign(new Error(finished.error), { details: finished.errorDetails || {} });
+    }
+
+    const job = await (await fetch(`/api/jobs/${finished.id}`)).json();
+    return job.result;
+}
+
+// Follow a job's progress events. Resolves to the job once it has ended.
+function followJob(jobId, container) {
+    const cancelBtn = container.querySelector('.job-cancel');
+    cancelBtn.disabled = false;
+    cancelBtn.onclick = () => {
+        cancelBtn.disabled = true;
+        fetch(`/api/jobs/${jobId}/cancel`, { method: 'POST' });
+    };
+    renderJobProgress(container, { status: 'queued', progress: { done: 0, total: null } });
+    container.style.display = 'flex';
+
+    return new Promise(resolve => {
+        const events = new EventSource(`/api/jobs/${jobId}/events`);
+        events.addEventListener('progress', e => renderJobProgress(container, JSON.parse(e.data)));
+        events.addEventListener('done', e => {
+            events.close();
+            container.style.display = 'none';
+            resolve(JSON.parse(e.data));
+        });
+        // The browser reconnects on its own; a closed stream means the job is gone
+        events.onerror = () => {
+            if (events.readyState !== EventSource.CLOSED) return;
+            container.style.display = 'none';
+            resolve({ id: jobId, status: 'failed', error: 'Lost track of the job' });
+        };
+    });
+}
+
+function renderJobProgress(container, job) {
+    const { done, total, message } = job.progress;
+    const known = job.status === 'running' && total > 0;
+    container.classList.toggle('indeterminate', !known);
+    container.querySelector('.job-progress-fill').style.width = known ? `${Math.round(done / total * 100)}%` : '';
+
+    let label = job.status === 'queued' ? 'Queued' : 'Working';
+    if (known && total > 1) label = `${done} of ${total} chunks`;
+    container.querySelector('.job-progress-label').textContent = message ? `${label} - ${message}` : label;
+}
+
+// Show a processed dataset returned by /api/process, /api/transform or a
+// recipe run. `steps` are the recipe steps that produced it.
+function showProcessedResult(result, steps = []) {
+    state.lastSteps = steps;
+    if (elements.saveRecipeBtn) elements.saveRecipeBtn.disabled = steps.length === 0;
+
+    // The result is a new version; earlier ones stay in the history
+    showVersion(result);
+    loadVersions();
+
+    if (result.log) {
+        const first = result.log[0];
+        const last = result.log[result.log.length - 1];
+        showToast(`Applied ${result.log.length} operation(s): ${first.rowsBefore} → ${last.rowsAfter} rows`, 'success');
+    } else if (result.validation && !result.validation.passed) {
+        showToast(`Processed with ${result.validation.warnings.length} warning(s) - review them before exporting`, 'info');
+    } else if (result.failedChunks > 0) {
+        showToast(`${result.failedChunks} of ${result.chunks.length} chunk(s) failed and were left unchanged`, 'error');
+    } else if (result.cached) {
+        showToast(`Reused the cached answer from ${new Date(result.cachedAt).toLocaleString()}`, 'success');
+    } else if (result.scope) {
+        showToast(`Changed ${result.scope.cellsChanged} cell(s) in ${result.scope.columns.join(', ')}; other columns were left as they were`, 'success');
+    } else {
+        showToast('Data processed successfully!', 'success');
+    }
+}
+
+// Show the checks run on an AI result; rejected results are shown too
+function renderValidation(validation, rejected = false) {
+    if (!elements.validationReport) return;
+
+    if (!validation || validation.passed) {
+        elements.validationReport.style.display = 'none';
+        elements.validationWarnings.innerHTML = '';
+        return;
+    }
+
+    elements.validationTitle.textContent = rejected
+        ? 'The AI result was rejected by strict validation'
+        : 'The AI result was accepted with warnings';
+    elements.validationReport.classList.toggle('rejected', rejected);
+    elements.validationWarnings.innerHTML = validation.warnings.map(w => `
+        <li class="severity-${w.severity}">${escapeHTML(w.message)}${w.examples ? ` (e.g. ${escapeHTML(w.examples.join(', '))})` : ''}</li>
+    `).join('');
+    elements.validationReport.style.display = 'block';
+}
+
+// Describe one plan step in words
+function describeStep(step) {
+    const spec = getOperationSpec(step.op);
+    const label = spec ? spec.label : step.op;
+    const params = step.params || {};
+    if (step.op === 'filter') {
+        const conditions = params.conditions.map(c => `${c.column} ${c.operator} ${c.value !== undefined ? JSON.stringify(c.value) : ''}`.trim());
+        return `${params.keep === false ? 'Remove' : 'Keep'} rows where ${conditions.join(params.match === 'any' ? ' or ' : ' and ')}`;
+    }
+    if (params.columns && params.columns.length > 0) {
+        return `${label}: ${params.columns.join(', ')}`;
+    }
+    if (params.column) {
+        return `${label}: ${params.column} (${params.function})`;
+    }
+    return label;
+}
+
+function renderPlanReview(plan) {
+    if (!elements.planReview) return;
+
+    if (!plan) {
+        elements.planReview.style.display = 'none';
+        elements.planSteps.innerHTML = '';
+        return;
+    }
+
+    elements.planExplanation.textContent = plan.explanation || '';
+    elements.planSteps.innerHTML = plan.steps.map((step, index) => `
+        <li>
+            <label>
+                <input type="checkbox" data-step="${index}" checked>
+                <span>
+                    ${escapeHTML(describeStep(step))}
+                    <code>${escapeHTML(JSON.stringify(step.params))}</code>
+                </span>
+            </label>
+        </li>
+    `).join('');
+    elements.planReview.style.display = 'block';
+}
+
+// Run the reviewed plan, skipping unticked steps
+async function applyPlan() {
+    if (!state.plan) return;
+
+    const steps = Array.from(elements.planSteps.querySelectorAll('[data-step]:checked'))
+        .map(input => state.plan.steps[Number(input.dataset.step)]);
+    if (steps.length === 0) {
+        showToast('Select at least one step', 'error');
+        return;
+    }
+
+    elements.applyPlanBtn.disabled = true;
+    try {
+        showToast('Applying plan...', 'info');
+        const response = await fetch('/api/transform', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                datasetId: state.plan.datasetId,
+                operations: steps,
+                prompt: state.plan.prompt
+            })
+        });
+
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || 'Applying the plan failed');
+        }
+
+        discardPlan();
+        // Reviewed plans are saved as their operations, so replays are exact
+        showProcessedResult(result, steps.map(step => ({ kind: 'operation', ...step })));
+    } catch (error) {
+        console.error('Plan error:', error);
+        showToast(error.message, 'error');
+    } finally {
+        elements.applyPlanBtn.disabled = false;
+    }
+}
+
+function discardPlan() {
+    state.plan = null;
+    renderPlanReview(null);
+}
+
+// ==========================================
+// Version history
+// ==========================================
+
+// The version new steps are applied to
+function currentVersionId() {
+    return state.processedDatasetId || state.datasetId;
+}
+
+// Show a processed version (a dataset payload) in the Processed tab
+function showVersion(result) {
+    state.processedDatasetId = result.datasetId;
+    state.processedRowCount = result.rowCount;
+    state.pageOffset.processed = 0;
+    state.processedData = result.data !== undefined ? result.data : result.preview;
+    state.processedSchema = result.schema;
+    rememberVersion(result.datasetId);
+    state.diff = null;
+
+    // Enable processed and changes tabs and switch to processed
+    elements.processedTab.disabled = false;
+    elements.diffTab.disabled = !isTabular(state.processedData);
+    elements.profileTab.disabled = !isTabular(state.processedData);
+    elements.duplicatesTab.disabled = !isTabular(state.processedData);
+    switchTab('processed');
+
+    // Show export section
+    elements.exportSection.style.display = 'block';
+    renderFinetuneFields();
+
+    // Show ML section if data is suitable
+    showMLSection();
+    renderColumnScope();
+    renderCorpusPanel();
+}
+
+// Go back to the original upload
+function showOriginalVersion() {
+    state.processedDatasetId = null;
+    state.processedRowCount = 0;
+    state.processedData = null;
+    state.processedSchema = null;
+
+    state.diff = null;
+
+    elements.processedTab.disabled = true;
+    elements.diffTab.disabled = true;
+    elements.profileTab.disabled = !isTabular(state.originalData);
+    elements.duplicatesTab.disabled = !isTabular(state.originalData);
+    elements.exportSection.style.display = 'none';
+    switchTab('original');
+    renderColumnScope();
+    renderCorpusPanel();
+}
+
+async function loadVersions() {
+    if (!elements.versionHistory || !state.datasetId) return;
+    try {
+        const response = await fetch(`/api/datasets/${state.datasetId}/versions`);
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Failed to load history');
+        state.versions = result.versions;
+        rememberVersion(currentVersionId());
+    } catch (error) {
+        console.error('History error:', error);
+        state.versions = [];
+    }
+    renderVersions();
+}
+
+// Redo follows the branch that was last visited from a version
+function rememberVersion(id) {
+    const version = state.versions.find(v => v.id === id);
+    if (version && version.parentId) state.redoChoice[version.parentId] = id;
+}
+
+function childVersions(id) {
+    return state.versions.filter(v => v.parentId === id);
+}
+
+function renderVersions() {
+    if (!elements.versionHistory) return;
+
+    // Only worth showing once there is more than the upload
+    if (state.versions.length < 2) {
+        elements.versionHistory.style.display = 'none';
+        elements.versionList.innerHTML = '';
+        elements.processedTab.textContent = 'Processed';
+        return;
+    }
+
+    const current = currentVersionId();
+    const numbers = new Map(state.versions.map((v, index) => [v.id, index]));
+    const items = [];
+
+    // Depth-first, so each branch is listed under the version it starts from
+    const visit = (version, depth) => {
+        const counts = version.tabular
+            ? `${version.rowCount} rows × ${version.columnCount} cols`
+            : 'document';
+        const time = new Date(version.createdAt).toLocaleTimeString();
+        const label = version.parentId ? version.prompt || version.step : 'Original upload';
+        items.push(`
+            <li class="version-item${version.id === current ? ' current' : ''}" data-version="${version.id}"
+                style="padding-left: ${depth * 16 + 8}px" title="${escapeHTML(label)}">
+                <span class="version-label">${depth > 0 ? '↳ ' : ''}v${numbers.get(version.id)}</span>
+                <span class="version-prompt">${escapeHTML(label)}</span>
+                <span class="version-meta">${counts} · ${time}</span>
+            </li>
+        `);
+        childVersions(version.id).forEach(child => visit(child, depth + 1));
+    };
+    // Versions whose parent has expired are shown at the top level
+    const ids = new Set(state.versions.map(v => v.id));
+    state.versions.filter(v => !ids.has(v.parentId)).forEach(root => visit(root, 0));
+
+    elements.versionList.innerHTML = items.join('');
+    elements.versionHistory.style.display = 'block';
+
+    const version = state.versions.find(v => v.id === current);
+    elements.undoBtn.disabled = !version || !version.parentId;
+    elements.redoBtn.disabled = childVersions(current).length === 0;
+    if (version) {
+        elements.processedTab.textContent = version.parentId ? `Processed (v${numbers.get(version.id)})` : 'Processed';
+    }
+}
+
+// Make a version the selected one
+async function selectVersion(id) {
+    if (id === currentVersionId()) return;
+
+    // The steps of the last run no longer describe what is shown
+    state.lastSteps = [];
+    if (elements.saveRecipeBtn) elements.saveRecipeBtn.disabled = true;
+    discardPlan();
+
+    if (id === state.datasetId) {
+        showOriginalVersion();
+        renderVersions();
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/datasets/${id}/preview`);
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Failed to load version');
+        showVersion(result);
+        renderVersions();
+    } catch (error) {
+        console.error('History error:', error);
+        showToast(error.message, 'error');
+    }
+}
+
+function undoVersion() {
+    const version = state.versions.find(v => v.id === currentVersionId());
+    if (version && version.parentId) selectVersion(version.parentId);
+}
+
+function redoVersion() {
+    const current = currentVersionId();
+    const children = childVersions(current);
+    if (children.length === 0) return;
+
+    const remembered = children.find(v => v.id === state.redoChoice[current]);
+    selectVersion((remembered || children[children.length - 1]).id);
+}
+
+// ==========================================
+// Changes view
+// ==========================================
+
+// Version the processed data is compared with: the upload, or the version
+// the processed data was made from
+function diffBaseId() {
+    if (state.diff.compareWith === 'parent') {
+        const version = state.versions.find(v => v.id === state.processedDatasetId);
+        if (version && version.parentId) return version.parentId;
+    }
+    return state.datasetId;
+}
+
+function newDiffState(compareWith = 'original', key = '') {
+    return {
+        compareWith,
+        key,
+        offset: 0,
+        result: null,
+        rejectedRows: new Set(),
+        rejectedCells: new Set(),
+        rejectedColumns: new Set()
+    };
+}
+
+function cellId(row, column) {
+    return `${row}\u0000${column}`;
+}
+
+async function renderDiffView() {
+    if (!state.diff) state.diff = newDiffState();
+    const diff = state.diff;
+
+    elements.tableContainer.innerHTML = '<p class="empty-state">Comparing versions...</p>';
+    try {
+        const response = await fetch('/api/diff', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                baseId: diffBaseId(),
+                targetId: state.processedDatasetId,
+                key: diff.key || null,
+                offset: diff.offset,
+                limit: PAGE_SIZE
+            })
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Comparison failed');
+
+        // Ignore answers for a view the user has already left
+        if (state.currentView !== 'diff' || state.diff !== diff) return;
+        diff.result = result;
+        renderDiffTable();
+    } catch (error) {
+        console.error('Diff error:', error);
+        showToast(error.message, 'error');
+        if (state.currentView === 'diff') {
+            elements.tableContainer.innerHTML = `<p class="empty-state">${escapeHTML(error.message)}</p>`;
+        }
+    }
+}
+
+function renderDiffTable() {
+    const diff = state.diff;
+    const result = diff.result;
+    const summary = result.summary;
+
+    elements.dataStats.innerHTML = `
+        <span class="diff-count diff-modified"><strong>${summary.rowsModified}</strong> rows modified (${summary.cellsModified} cells)</span>
+        <span class="diff-count diff-added"><strong>${summary.rowsAdded}</strong> rows added</span>
+        <span class="diff-count diff-removed"><strong>${summary.rowsRemoved}</strong> rows removed</span>
+        <span class="diff-count diff-added"><strong>${summary.columnsAdded}</strong> columns added</span>
+        <span class="diff-count diff-removed"><strong>${summary.columnsRemoved}</strong> columns removed</span>
+        <span><strong>${summary.rowsUnchanged}</strong> rows unchanged</span>
+    `;
+
+    const keyOptions = result.columns.common.map(name => `
+        <option value="${escapeHTML(name)}" ${name === diff.key ? 'selected' : ''}>${escapeHTML(name)}</option>
+    `).join('');
+    const rejectedCount = diff.rejectedRows.size + diff.rejectedCells.size + diff.rejectedColumns.size;
+
+    let html = `
+        <div class="diff-controls">
+            <label>Compare with
+                <select data-diff="compareWith">
+                    <option value="original" ${diff.compareWith === 'original' ? 'selected' : ''}>Original upload</option>
+                    <option value="parent" ${diff.compareWith === 'parent' ? 'selected' : ''}>Previous version</option>
+                </select>
+            </label>
+            <label>Align rows by
+                <select data-diff="key">
+                    <option value="">Position</option>
+                    ${keyOptions}
+                </select>
+            </label>
+            <span class="diff-hint">Click a changed cell or untick a row or column to reject it</span>
+            <button class="btn btn-secondary" data-diff-action="apply" ${rejectedCount === 0 ? 'disabled' : ''}>
+                Apply review (${rejectedCount} rejected)
+            </button>
+        </div>
+    `;
+
+    const { added, removed, common } = result.columns;
+    const columns = [...common, ...added, ...removed];
+    if (result.changes.length === 0 && added.length === 0 && removed.length === 0) {
+        elements.tableContainer.innerHTML = html + '<p class="empty-state">No differences</p>';
+        return;
+    }
+
+    html += '<table class="data-table diff-table"><thead><tr><th>Change</th>';
+    columns.forEach(name => {
+        const kind = added.includes(name) ? 'added' : removed.includes(name) ? 'removed' : null;
+        const toggle = kind
+            ? `<input type="checkbox" data-reject-column="${escapeHTML(name)}" ${diff.rejectedColumns.has(name) ? '' : 'checked'} title="Keep this change">`
+            : '';
+        html += `<th class="${kind ? `col-${kind}` : ''}">${toggle}${escapeHTML(name)}</th>`;
+    });
+    html += '</tr></thead><tbody>';
+
+    result.changes.forEach(change => {
+        const changed = new Map((change.cells || []).map(cell => [cell.column, cell]));
+        const allRejected = change.type === 'modified'
+            ? change.cells.every(cell => diff.rejectedCells.has(cellId(change.id, cell.column)))
+            : diff.rejectedRows.has(change.id);
+
+        html += `<tr class="row-${change.type}${allRejected ? ' rejected' : ''}">`;
+        html += `<td><label><input type="checkbox" data-reject-row="${change.id}" ${allRejected ? '' : 'checked'}> ${change.type}</label></td>`;
+
+        columns.forEach(name => {
+            const cell = changed.get(name);
+            if (cell) {
+                const rejected = diff.rejectedCells.has(cellId(change.id, name));
+                const before = formatCell(cell.before);
+                const after = formatCell(cell.after);
+                html += `<td class="cell-modified${rejected ? ' rejected' : ''}" data-reject-cell="${change.id}" data-column="${escapeHTML(name)}"
+                    title="${escapeHTML(before)} → ${escapeHTML(after)}"><del>${escapeHTML(before)}</del> <ins>${escapeHTML(after)}</ins></td>`;
+                return;
+            }
+            const row = change.after || change.before;
+            const value = formatCell(removed.includes(name) ? (change.before || {})[name] : row[name]);
+            html += `<td title="${escapeHTML(value)}">${escapeHTML(value)}</td>`;
+        });
+        html += '</tr>';
+    });
+    html += '</tbody></table>';
+
+    if (result.changeCount > PAGE_SIZE) {
+        const first = result.offset + 1;
+        const last = Math.min(result.offset + result.changes.length, result.changeCount);
+        html += `
+            <div class="pager">
+                <button class="btn-link" data-page="prev" ${result.offset === 0 ? 'disabled' : ''}>Previous</button>
+                <span>Changes ${first}–${last} of ${result.changeCount}</span>
+                <button class="btn-link" data-page="next" ${last >= result.changeCount ? 'disabled' : ''}>Next</button>
+            </div>
+        `;
+    }
+
+    elements.tableContainer.innerHTML = html;
+}
+
+// Profile of the selected version; computed once per version
+async function renderProfileView() {
+    const datasetId = currentVersionId();
+    if (state.profile && state.profile.datasetId === datasetId) {
+        renderProfile(state.profile.result);
+        return;
+    }
+
+    elements.dataStats.innerHTML = '';
+    elements.tableContainer.innerHTML = '<p class="empty-state">Profiling data...</p>';
+    try {
+        const response = await fetch('/api/profile', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ datasetId: datasetId })
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Profiling failed');
+
+        state.profile = { datasetId: datasetId, result: result.profile };
+        // Ignore answers for a view or version the user has already left
+        if (state.currentView !== 'profile' || currentVersionId() !== datasetId) return;
+        renderProfile(result.profile);
+    } catch (error) {
+        console.error('Profile error:', error);
+        showToast(error.message, 'error');
+        if (state.currentView === 'profile') {
+            elements.tableContainer.innerHTML = `<p class="empty-state">${escapeHTML(error.message)}</p>`;
+        }
+    }
+}
+
+function formatRate(rate) {
+    return `${(rate * 100).toFixed(1)}%`;
+}
+
+function renderProfile(profile) {
+    elements.dataStats.innerHTML = `
+        <span><strong>${profile.rowCount}</strong> rows</span>
+        <span><strong>${profile.columnCount}</strong> columns</span>
+        <span><strong>${formatRate(profile.missingRate)}</strong> cells missing</span>
+        <span><strong>${profile.duplicates.count}</strong> duplicate rows</span>
+        <span><strong>${profile.outliers.iqr.rows}</strong> rows with IQR outliers</span>
+        <span><strong>${profile.outliers.zscore.rows}</strong> rows with |z| &gt; ${profile.outliers.zscore.threshold}</span>
+    `;
+
+    const issues = profile.issues.length === 0
+        ? '<p class="empty-state">No issues found</p>'
+        : `<ul class="profile-issues">${profile.issues.map(issue => `
+            <li>${escapeHTML(issue.message)}
+                ${issue.operation && document.querySelector(`.chip[data-operation="${issue.operation}"]`)
+                    ? `<button class="btn-link" data-profile-operation="${issue.operation}">Select quick action</button>`
+                    : ''}
+            </li>`).join('')}</ul>`;
+
+    const rows = profile.columns.map(column => {
+        const top = column.topValues
+            .map(entry => `${escapeHTML(formatCell(entry.value))} <small>(${entry.count})</small>`)
+            .join(', ');
+        const patterns = column.patterns
+            .map(entry => `<code>${escapeHTML(entry.pattern)}</code> <small>${formatRate(entry.rate)}</small>`)
+            .join(' ');
+        let summary = '';
+        if (column.numeric) {
+            const n = column.numeric;
+            summary = `min ${n.min} · max ${n.max} · mean ${n.mean} · median ${n.median} · std ${n.std}` +
+                `<br><small>${column.outliers.iqr.count} IQR, ${column.outliers.zscore.count} z-score outlier(s)</small>`;
+        } else if (column.lengths) {
+            const l = column.lengths;
+            summary = `length ${l.min}–${l.max}, mean ${l.mean}<br><small>${l.histogram.map(b => `${b.bucket}: ${b.count}`).join(' · ')}</small>`;
+        }
+        return `
+            <tr>
+                <td><strong>${escapeHTML(column.name)}</strong><br><small>${escapeHTML(column.type)}</small></td>
+                <td>${formatRate(column.missingRate)}<br><small>${column.missing} missing</small></td>
+                <td>${column.distinct}</td>
+                <td>${top}</td>
+                <td>${summary}</td>
+                <td>${patterns}</td>
+            </tr>
+        `;
+    }).join('');
+
+    elements.tableContainer.innerHTML = `
+        <div class="diff-controls">
+            <span class="diff-hint">Computed locally for the selected version; nothing is sent to the model</span>
+            <button class="btn btn-secondary" data-profile-download="json">Download JSON</button>
+            <button class="btn btn-secondary" data-profile-download="html">Download HTML</button>
+        </div>
+        ${issues}
+        <table class="data-table profile-table">
+            <thead><tr><th>Column</th><th>Missing</th><th>Distinct</th><th>Top values</th><th>Statistics</th><th>Patterns</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+async function handleProfileClick(e) {
+    const operation = e.target.closest('[data-profile-operation]');
+    if (operation) {
+        const chip = document.querySelector(`.chip[data-operation="${operation.dataset.profileOperation}"]`);
+        if (chip && !chip.classList.contains('selected')) chip.click();
+        elements.promptSection.scrollIntoView({ behavior: 'smooth' });
+        return;
+    }
+
+    const download = e.target.closest('[data-profile-download]');
+    if (!download) return;
+    try {
+        const response = await fetch('/api/profile', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ datasetId: currentVersionId(), format: download.dataset.profileDownload })
+        });
+        if (!response.ok) {
+            const result = await response.json();
+            throw new Error(result.error || 'Download failed');
+        }
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const match = disposition.match(/filename="?([^";]+)"?/);
+        const filename = match ? match[1] : `profile.${download.dataset.profileDownload}`;
+        downloadBlob(await response.blob(), filename);
+        showToast(`Downloaded ${filename}`, 'success');
+    } catch (error) {
+        console.error('Profile download error:', error);
+        showToast(error.message, 'error');
+    }
+}
+
+// ==========================================
+// Near duplicates
+// ==========================================
+
+// Text columns are matched by similarity by default; key columns are opt-in
+function newDuplicatesState(datasetId) {
+    const schema = state.processedDatasetId ? state.processedSchema : state.schema;
+    const columns = currentColumns();
+    const textColumns = schema && schema.columns
+        ? schema.columns.filter(column => column.type === 'text').map(column => column.name)
+        : columns;
+    return {
+        datasetId,
+        columns,
+        textColumns,
+        keyColumns: [],
+        threshold: 0.8,
+        keeper: 'most_complete',
+        offset: 0,
+        result: null,
+        // Cluster ID → { all: true, size } or { all: false, rows: Set of kept row indices }
+        keep: new Map()
+    };
+}
+
+function renderDuplicatesView() {
+    const datasetId = currentVersionId();
+    if (!state.duplicates || state.duplicates.datasetId !== datasetId) {
+        state.duplicates = newDuplicatesState(datasetId);
+    }
+    renderDuplicates();
+}
+
+async function findDuplicates() {
+    const duplicates = state.duplicates;
+    elements.tableContainer.querySelector('[data-dup-action="find"]').disabled = true;
+    try {
+        const response = await fetch('/api/duplicates', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                ...duplicateOptions(duplicates),
+                offset: duplicates.offset,
+                limit: CLUSTER_PAGE_SIZE
+            })
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Duplicate detection failed');
+
+        // Ignore answers for a view or search the user has already left
+        if (state.currentView !== 'duplicates' || state.duplicates !== duplicates) return;
+        duplicates.result = result;
+        renderDuplicates();
+    } catch (error) {
+        console.error('Duplicates error:', error);
+        showToast(error.message, 'error');
+        if (state.currentView === 'duplicates') renderDuplicates();
+    }
+}
+
+function duplicateOptions(duplicates) {
+    return {
+        datasetId: duplicates.datasetId,
+        textColumns: duplicates.textColumns,
+        keyColumns: duplicates.keyColumns,
+        threshold: duplicates.threshold,
+        keeper: duplicates.keeper
+    };
+}
+
+// Rows a cluster keeps: the user's choice or the proposed row
+function keptRows(cluster) {
+    const choice = state.duplicates.keep.get(cluster.id);
+    if (!choice) return new Set([cluster.keep]);
+    return choice.all ? new Set(cluster.rows.map(member => member.index)) : choice.rows;
+}
+
+// Rows removed over all clusters, counting choices made on any page
+function removedCount(duplicates) {
+    let removed = duplicates.result.summary.duplicateRows;
+    duplicates.keep.forEach(choice => {
+        if (choice.all) removed -= choice.size - 1;
+    });
+    return removed;
+}
+
+function renderColumnChoices(kind, chosen, columns, open) {
+    const options = columns.map((name, index) => `
+        <label class="column-option">
+            <input type="checkbox" data-dup-column="${kind}" value="${index}" ${chosen.includes(name) ? 'checked' : ''}>
+            ${escapeHTML(name)}
+        </label>
+    `).join('');
+    const label = kind === 'textColumns' ? 'Similar text in' : 'Same value in';
+    return `
+        <details class="dup-columns" ${open ? 'open' : ''}>
+            <summary>${label} (${chosen.length === 0 ? 'none' : escapeHTML(chosen.join(', '))})</summary>
+            <div class="column-scope-list">${options}</div>
+        </details>
+    `;
+}
+
+function renderDuplicates() {
+    const duplicates = state.duplicates;
+    const result = duplicates.result;
+    const open = duplicates.open;
+    duplicates.open = null;
+
+    let html = `
+        <div class="diff-controls">
+            ${renderColumnChoices('textColumns', duplicates.textColumns, duplicates.columns, open === 'textColumns')}
+            ${renderColumnChoices('keyColumns', duplicates.keyColumns, duplicates.columns, open === 'keyColumns')}
+            <label>Similarity
+                <input type="number" class="dup-threshold" data-dup="threshold" min="0.05" max="1" step="0.05" value="${duplicates.threshold}">
+            </label>
+            <label>Propose keeping
+                <select data-dup="keeper">
+                    <option value="most_complete" ${duplicates.keeper === 'most_complete' ? 'selected' : ''}>Most complete row</option>
+                    <option value="longest" ${duplicates.keeper === 'longest' ? 'selected' : ''}>Longest text</option>
+                    <option value="first" ${duplicates.keeper === 'first' ? 'selected' : ''}>First row</option>
+                </select>
+            </label>
+            <button class="btn btn-secondary" data-dup-action="find">Find duplicates</button>
+        </div>
+    `;
+
+    if (!result) {
+        elements.dataStats.innerHTML = '';
+        elements.tableContainer.innerHTML = html + `<p class="empty-state">Rows with text at least this similar (by MinHash over 5-character shingles), or
+            the same normalized value in every key column, form a cluster. With both, rows need the same key and similar text.</p>`;
+        return;
+    }
+
+    const summary = result.summary;
+    const removed = removedCount(duplicates);
+    elements.dataStats.innerHTML = `
+        <span><strong>${summary.clusters}</strong> clusters</span>
+        <span><strong>${summary.rowsInClusters}</strong> rows in clusters</span>
+        <span class="diff-count diff-removed"><strong>${removed}</strong> rows to remove</span>
+        <span><strong>${summary.rows - removed}</strong> rows left</span>
+    `;
+
+    html += `
+        <div class="diff-controls">
+            <span class="diff-hint">Pick the row to keep in each cluster, or keep them all when they are not duplicates</span>
+            <button class="btn btn-primary" data-dup-action="apply" ${removed === 0 ? 'disabled' : ''}>Remove ${removed} row(s)</button>
+        </div>
+    `;
+    if (result.clusters.length === 0) {
+        elements.tableContainer.innerHTML = html + '<p class="empty-state">No near duplicates found</p>';
+        return;
+    }
+
+    const columns = duplicates.columns;
+    result.clusters.forEach(cluster => {
+        const kept = keptRows(cluster);
+        const choice = duplicates.keep.get(cluster.id);
+        const keepAll = Boolean(choice && choice.all);
+        html += `
+            <div class="dup-cluster">
+                <div class="dup-cluster-header">
+                    <strong>Cluster ${cluster.id + 1}</strong> · ${cluster.size} rows
+                    ${cluster.size > cluster.rows.length ? `(first ${cluster.rows.length} shown)` : ''}
+                    <label><input type="checkbox" data-dup-keep-all="${cluster.id}" ${keepAll ? 'checked' : ''}> Not duplicates, keep all</label>
+                </div>
+                <table class="data-table diff-table">
+                    <thead><tr><th>Keep</th><th>Row</th><th>Similarity</th>${columns.map(name => `<th>${escapeHTML(name)}</th>`).join('')}</tr></thead>
+                    <tbody>
+        `;
+        cluster.rows.forEach(member => {
+            const isKept = kept.has(member.index);
+            html += `<tr class="${isKept ? '' : 'row-removed'}">
+                <td><input type="radio" name="dup-keep-${cluster.id}" data-dup-keep="${cluster.id}" value="${member.index}"
+                    ${isKept && !keepAll ? 'checked' : ''} ${keepAll ? 'disabled' : ''}></td>
+                <td>${member.index + 1}</td>
+                <td>${formatRate(member.similarity)}</td>
+                ${columns.map(name => {
+                    const value = formatCell(member.row[name]);
+                    return `<td title="${escapeHTML(value)}">${escapeHTML(value)}</td>`;
+                }).join('')}
+            </tr>`;
+        });
+        html += '</tbody></table></div>';
+    });
+
+    if (result.clusterCount > CLUSTER_PAGE_SIZE) {
+        const first = result.offset + 1;
+        const last = Math.min(result.offset + result.clusters.length, result.clusterCount);
+        html += `
+            <div class="pager">
+                <button class="btn-link" data-page="prev" ${result.offset === 0 ? 'disabled' : ''}>Previous</button>
+                <span>Clusters ${first}–${last} of ${result.clusterCount}</span>
+                <button class="btn-link" data-page="next" ${last >= result.clusterCount ? 'disabled' : ''}>Next</button>
+            </div>
+        `;
+    }
+
+    elements.tableContainer.innerHTML = html;
+}
+
+function changeDuplicatesPage(direction) {
+    const duplicates = state.duplicates;
+    if (!duplicates || !duplicates.result) return;
+    const offset = duplicates.offset + direction * CLUSTER_PAGE_SIZE;
+    if (offset < 0 || offset >= duplicates.result.clusterCount) return;
+    duplicates.offset = offset;
+    findDuplicates();
+}
+
+function handleDuplicatesClick(e) {
+    const action = e.target.closest('[data-dup-action]');
+    if (!action) return;
+    if (action.dataset.dupAction === 'find') {
+        state.duplicates.offset = 0;
+        state.duplicates.keep = new Map();
+        findDuplicates();
+    } else if (action.dataset.dupAction === 'apply') {
+        applyDuplicates();
+    }
+}
+
+function handleDuplicatesChange(e) {
+    const duplicates = state.duplicates;
+    const target = e.target;
+
+    // New settings start a new search; the old clusters no longer apply
+    if (target.dataset.dupColumn) {
+        const kind = target.dataset.dupColumn;
+        const name = duplicates.columns[Number(target.value)];
+        duplicates[kind] = target.checked
+            ? duplicates.columns.filter(column => column === name || duplicates[kind].includes(column))
+            : duplicates[kind].filter(column => column !== name);
+        duplicates.result = null;
+        duplicates.keep = new Map();
+        // Keep the list open while columns are being ticked
+        duplicates.open = kind;
+        renderDuplicates();
+        return;
+    }
+    if (target.dataset.dup) {
+        duplicates[target.dataset.dup] = target.dataset.dup === 'threshold' ? Number(target.value) : target.value;
+        duplicates.result = null;
+        duplicates.keep = new Map();
+        renderDuplicates();
+        return;
+    }
+
+    const clusterId = Number(target.dataset.dupKeep !== undefined ? target.dataset.dupKeep : target.dataset.dupKeepAll);
+    const cluster = duplicates.result && duplicates.result.clusters.find(c => c.id === clusterId);
+    if (!cluster) return;
+    if (target.dataset.dupKeepAll !== undefined) {
+        // Keeping all covers the rows beyond the ones shown too
+        if (target.checked) duplicates.keep.set(cluster.id, { all: true, size: cluster.size });
+        else duplicates.keep.delete(cluster.id);
+    } else {
+        duplicates.keep.set(cluster.id, { all: false, rows: new Set([Number(target.value)]) });
+    }
+    renderDuplicates();
+}
+
+async function applyDuplicates() {
+    const duplicates = state.duplicates;
+    const keep = {};
+    duplicates.keep.forEach((choice, id) => {
+        keep[id] = choice.all ? 'all' : Array.from(choice.rows);
+    });
+
+    try {
+        showToast('Removing duplicates...', 'info');
+        const response = await fetch('/api/duplicates/apply', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...duplicateOptions(duplicates), keep })
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Removing duplicates failed');
+
+        showVersion(result);
+        loadVersions();
+        showToast(`Removed ${result.dedupe.removed} near-duplicate row(s); saved as a new version`, 'success');
+    } catch (error) {
+        console.error('Duplicates error:', error);
+        showToast(error.message, 'error');
+    }
+}
+
+function changeDiffPage(direction) {
+    const diff = state.diff;
+    if (!diff || !diff.result) return;
+    const offset = diff.offset + direction * PAGE_SIZE;
+    if (offset < 0 || offset >= diff.result.changeCount) return;
+    diff.offset = offset;
+    renderDiffView();
+}
+
+// Clicking a modified cell rejects (or restores) that single change
+function handleDiffClick(e) {
+    const cell = e.target.closest('[data-reject-cell]');
+    if (cell) {
+        const id = cellId(Number(cell.dataset.rejectCell), cell.dataset.column);
+        if (!state.diff.rejectedCells.delete(id)) state.diff.rejectedCells.add(id);
+        renderDiffTable();
+        return;
+    }
+    if (e.target.closest('[data-diff-action="apply"]')) applyDiffReview();
+}
+
+function handleDiffChange(e) {
+    const diff = state.diff;
+    const target = e.target;
+
+    if (target.dataset.diff) {
+        // A new comparison starts a new review
+        const compareWith = target.dataset.diff === 'compareWith' ? target.value : diff.compareWith;
+        const key = target.dataset.diff === 'key' ? target.value : diff.key;
+        state.diff = newDiffState(compareWith, key);
+        renderDiffView();
+        return;
+    }
+
+    if (target.dataset.rejectColumn !== undefined) {
+        const name = target.dataset.rejectColumn;
+        if (target.checked) diff.rejectedColumns.delete(name);
+        else diff.rejectedColumns.add(name);
+    } else if (target.dataset.rejectRow !== undefined) {
+        const id = Number(target.dataset.rejectRow);
+        const change = diff.result.changes.find(c => c.id === id);
+        if (change.type === 'modified') {
+            // The row box rejects or restores all its cells
+            change.cells.forEach(cell => {
+                if (target.checked) diff.rejectedCells.delete(cellId(id, cell.column));
+                else diff.rejectedCells.add(cellId(id, cell.column));
+            });
+        } else if (target.checked) {
+            diff.rejectedRows.delete(id);
+        } else {
+            diff.rejectedRows.add(id);
+        }
+    }
+    renderDiffTable();
+}
+
+// Save the processed data with the rejected changes undone as a new version
+async function applyDiffReview() {
+    const diff = state.diff;
+    try {
+        showToast('Applying review...', 'info');
+        const response = await fetch('/api/diff/apply', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                baseId: diffBaseId(),
+                targetId: state.processedDatasetId,
+                key: diff.key || null,
+                reject: {
+                    rows: Array.from(diff.rejectedRows),
+                    cells: Array.from(diff.rejectedCells).map(id => {
+                        const [row, column] = id.split('\u0000');
+                        return { row: Number(row), column };
+                    }),
+                    columns: Array.from(diff.rejectedColumns)
+                }
+            })
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Applying the review failed');
+
+        showVersion(result);
+        loadVersions();
+        showToast(`Review saved as a new version (${result.rejected} change(s) rejected)`, 'success');
+    } catch (error) {
+        console.error('Diff error:', error);
+        showToast(error.message, 'error');
+    }
+}
+
+// ==========================================
+// Personal Data
+// ==========================================
+
+const PII_POLICIES = {
+    none: 'Send as is',
+    mask: 'Mask',
+    hash: 'Hash',
+    pseudonymize: 'Pseudonymize (restored after AI)',
+    drop: 'Drop column'
+};
+
+async function scanPII() {
+    if (!state.datasetId) {
+        showToast('Please upload a file first', 'error');
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/pii/scan', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ datasetId: currentVersionId() })
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Scan failed');
+
+        // Text has no columns; one policy ("*") covers all of it
+        const columns = result.text.length > 0
+            ? [{ name: '*', types: result.text.map(t => ({ label: `${t.count} × ${t.label}` })), suggestedPolicy: 'pseudonymize' }]
+            : result.columns;
+        const policies = {};
+        columns.forEach(column => {
+            policies[column.name] = column.suggestedPolicy;
+        });
+        state.pii = { columns: columns, policies: policies };
+        renderPII();
+    } catch (error) {
+        console.error('PII scan error:', error);
+        showToast(error.message, 'error');
+    }
+}
+
+// Questions: the AI writes a query that runs locally on the selected version
+async function askQuestion() {
+    const question = elements.queryInput.value.trim();
+    if (!question) {
+        showToast('Please enter a question', 'error');
+        return;
+    }
+    if (!state.datasetId) {
+        showToast('Please upload a file first', 'error');
+        return;
+    }
+
+    const datasetId = currentVersionId();
+    elements.queryBtn.disabled = true;
+    try {
+        const response = await fetch('/api/query', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ datasetId: datasetId, question: question, llm: llmOptions(), pii: piiOptions() })
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'The question could not be answered');
+
+        state.query = { question: question, query: result.query, datasetId: datasetId };
+        renderQueryResult(result);
+    } catch (error) {
+        console.error('Query error:', error);
+        showToast(error.message, 'error');
+    } finally {
+        elements.queryBtn.disabled = false;
+    }
+}
+
+function renderQueryResult(result) {
+    if (!elements.queryResult) return;
+    if (!result) {
+        elements.queryResult.style.display = 'none';
+        elements.queryTable.innerHTML = '';
+        return;
+    }
+
+    const counts = `${result.rowCount} result row(s) from ${result.matchedRows} matching row(s)`;
+    elements.queryExplanation.textContent = result.explanation ? `${result.explanation} (${counts})` : counts;
+    elements.queryJson.textContent = JSON.stringify(result.query, null, 2);
+
+    if (result.rows.length === 0) {
+        elements.queryTable.innerHTML = '<p class="empty-state">No rows</p>';
+    } else {
+        const header = result.columns.map(name => `<th>${escapeHTML(name)}</th>`).join('');
+        const body = result.rows.map(row => `<tr>${result.columns.map(name => {
+            const value = formatCell(row[name]);
+            return `<td title="${escapeHTML(value)}">${escapeHTML(value)}</td>`;
+        }).join('')}</tr>`).join('');
+        const more = result.rowCount > result.rows.length
+            ? `<p class="empty-state">Showing the first ${result.rows.length} rows; save the result to see them all</p>`
+            : '';
+        elements.queryTable.innerHTML = `<table class="data-table"><thead><tr>${header}</tr></thead><tbody>${body}</tbody></table>${more}`;
+    }
+    elements.queryResult.style.display = 'block';
+}
+
+// Run the answered query again without the AI and keep its result
+async function saveQueryResult() {
+    if (!state.query) return;
+
+    elements.querySaveBtn.disabled = true;
+    try {
+        const response = await fetch('/api/query', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                datasetId: state.query.datasetId,
+                question: state.query.question,
+                query: state.query.query,
+                save: true
+            })
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Saving the result failed');
+
+        // A query is not a recipe step, so there are no steps to save
+        showProcessedResult(result.version);
+    } catch (error) {
+        console.error('Query save error:', error);
+        showToast(error.message, 'error');
+    } finally {
+        elements.querySaveBtn.disabled = false;
+    }
+}
+
+// Columns of the version the next step works on
+function currentColumns() {
+    const schema = state.processedSchema || state.schema;
+    if (schema && schema.columns) return schema.columns.map(column => column.name);
+    return getColumns(state.processedData || state.originalData || []);
+}
+
+// Column picker for AI rewrites; ticked columns that the selected version
+// lacks are dropped from the selection
+function renderColumnScope() {
+    if (!elements.columnScope) return;
+    const data = state.processedDatasetId ? state.processedData : state.originalData;
+    const columns = isTabular(data) ? currentColumns() : [];
+    state.scopeColumns = state.scopeColumns.filter(name => columns.includes(name));
+
+    if (columns.length === 0) {
+        elements.columnScope.style.display = 'none';
+        elements.columnScopeList.innerHTML = '';
+        return;
+    }
+
+    elements.columnScopeList.innerHTML = columns.map((name, index) => `
+        <label class="column-option">
+            <input type="checkbox" value="${index}"${state.scopeColumns.includes(name) ? ' checked' : ''}>
+            ${escapeHTML(name)}
+        </label>
+    `).join('');
+    updateColumnScopeLabel();
+    elements.columnScope.style.display = 'block';
+}
+
+function updateColumnScopeLabel() {
+    const count = state.scopeColumns.length;
+    elements.columnScopeLabel.textContent = count === 0
+        ? 'Apply to all columns'
+        : `Apply to ${count} column(s) only; the others stay unchanged`;
+    elements.columnScopeClear.style.display = count === 0 ? 'none' : '';
+}
+
+// The corpus tools apply to the selected version when it is plain text
+function renderCorpusPanel() {
+    if (!elements.corpusPanel) return;
+    const data = state.processedDatasetId ? state.processedData : state.originalData;
+    const isText = typeof data === 'string' || Boolean(data && typeof data.data === 'string');
+    elements.corpusPanel.style.display = isText ? 'block' : 'none';
+}
+
+function corpusOptions() {
+    const number = id => {
+        const value = parseInt(document.getElementById(id).value, 10);
+        return value >= 0 ? value : undefined;
+    };
+    const options = {
+        documentSeparator: document.getElementById('corpus-separator').value,
+        split: document.getElementById('corpus-split').value,
+        chunkBy: document.getElementById('corpus-chunk-by').value,
+        normalize: document.getElementById('corpus-normalize').value,
+        stripHTML: document.getElementById('corpus-strip-html').checked,
+        stripBoilerplate: document.getElementById('corpus-strip-boilerplate').checked,
+        minChars: number('corpus-min-chars') || undefined,
+        maxChars: number('corpus-max-chars') || undefined
+    };
+    if (options.chunkBy !== 'none') {
+        options.chunkSize = number('corpus-chunk-size') || undefined;
+        options.chunkOverlap = number('corpus-chunk-overlap');
+    }
+    return options;
+}
+
+async function prepareCorpus() {
+    const btn = document.getElementById('corpus-btn');
+    btn.disabled = true;
+    try {
+        const response = await fetch('/api/corpus', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ datasetId: currentVersionId(), corpus: corpusOptions() })
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Corpus preparation failed');
+
+        showVersion(result);
+        loadVersions();
+        const corpus = result.corpus;
+        const dropped = corpus.dropped.tooShort + corpus.dropped.tooLong;
+        showToast(`${corpus.rows} row(s) from ${corpus.documents} document(s)` +
+            (dropped > 0 ? `; ${dropped} outside the length limits dropped` : '') +
+            (corpus.boilerplateLines > 0 ? `; ${corpus.boilerplateLines} boilerplate line(s) removed` : ''), 'success');
+    } catch (error) {
+        console.error('Corpus error:', error);
+        showToast(error.message, 'error');
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+function renderPII() {
+    if (!elements.piiTable) return;
+    const scan = state.pii;
+
+    if (!scan) {
+        elements.piiSummary.textContent = 'Scan for names, emails, phone numbers, card numbers, IBANs, IP addresses and ID numbers, then choose how each column is protected before data is sent to the model.';
+        elements.piiTable.style.display = 'none';
+        return;
+    }
+
+    if (scan.columns.length === 0) {
+        elements.piiSummary.textContent = 'No personal data found.';
+        elements.piiTable.style.display = 'none';
+        return;
+    }
+    elements.piiSummary.textContent = scan.columns[0].name === '*'
+        ? 'Personal data found in the text. The policy applies to AI processing and to exports when anonymizing.'
+        : `${scan.columns.length} column(s) with personal data. Policies apply to AI processing, plans and recipes, and to exports when anonymizing.`;
+
+    const options = policy => Object.entries(PII_POLICIES)
+        .map(([value, label]) => `<option value="${value}" ${value === policy ? 'selected' : ''}>${label}</option>`)
+        .join('');
+    elements.piiTable.innerHTML = `
+        <tr><th>Column</th><th>Found</th><th>Policy</th></tr>
+        ${scan.columns.map(column => `
+            <tr>
+                <td>${column.name === '*' ? 'Text' : escapeHTML(column.name)}</td>
+                <td>${column.types.map(t => escapeHTML(t.label) + (t.rate !== undefined ? ` (${Math.round(t.rate * 100)}%)` : '')).join(', ')}</td>
+                <td><select class="select-input" data-pii-column="${escapeHTML(column.name)}">${options(scan.policies[column.name])}</select></td>
+            </tr>
+        `).join('')}
+    `;
+    elements.piiTable.style.display = 'table';
+}
 
-        // Render preview
-        renderData(state.originalData, state.fileType);
+// The chosen policies for a request, or undefined to use the server's default
+function piiOptions() {
+    return state.pii ? { policies: state.pii.policies } : undefined;
+}
 
-        showToast('File uploaded successfully!', 'success');
+// ==========================================
+// Recipes
+// ==========================================
 
+async function loadRecipes() {
+    if (!elements.recipeSelect) return;
+    try {
+        const response = await fetch('/api/recipes');
+        const result = await response.json();
+        state.recipes = result.recipes || [];
     } catch (error) {
-        console.error('Upload error:', error);
-        showToast(error.message, 'error');
+        console.error('Failed to load recipes:', error);
+        state.recipes = [];
     }
+    renderRecipeOptions();
 }
 
-function clearFile() {
-    state.originalData = null;
-    state.processedData = null;
-    state.fileType = null;
-    state.fileName = null;
-    state.selectedModel = null;
-    state.trainedModelId = null;
-    state.featureColumns = [];
-    state.targetColumn = null;
-
-    elements.fileInput.value = '';
-    elements.fileInfo.style.display = 'none';
-    elements.promptSection.style.display = 'none';
-    elements.dataSection.style.display = 'none';
-    elements.exportSection.style.display = 'none';
-    elements.promptInput.value = '';
-    elements.processedTab.disabled = true;
-
-    // Hide ML sections
-    if (elements.mlSection) elements.mlSection.style.display = 'none';
-    if (elements.resultsSection) elements.resultsSection.style.display = 'none';
-    if (elements.predictionSection) elements.predictionSection.style.display = 'none';
-    
-    // Reset model selection
-    document.querySelectorAll('.model-card').forEach(c => c.classList.remove('selected'));
+function renderRecipeOptions(selectedId = null) {
+    if (state.recipes.length === 0) {
+        elements.recipeSelect.innerHTML = '<option value="">No saved recipes</option>';
+        return;
+    }
+    elements.recipeSelect.innerHTML = state.recipes.map(recipe => `
+        <option value="${recipe.id}">${escapeHTML(recipe.name)} (${recipe.stepCount} step${recipe.stepCount === 1 ? '' : 's'})</option>
+    `).join('');
+    if (selectedId) elements.recipeSelect.value = selectedId;
 }
 
-// Data processing
-async function processData() {
-    const prompt = elements.promptInput.value.trim();
+function selectedRecipeId() {
+    const id = elements.recipeSelect.value;
+    if (!id) showToast('No recipe selected', 'error');
+    return id;
+}
 
-    if (!prompt) {
-        showToast('Please enter a preprocessing instruction', 'error');
+async function saveRecipe() {
+    if (state.lastSteps.length === 0) {
+        showToast('Process the data first, then save the steps', 'error');
         return;
     }
 
-    if (!state.originalData) {
+    const name = window.prompt('Recipe name:');
+    if (!name || !name.trim()) return;
+
+    try {
+        const response = await fetch('/api/recipes', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name: name.trim(), steps: state.lastSteps })
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Saving the recipe failed');
+
+        await loadRecipes();
+        renderRecipeOptions(result.recipe.id);
+        showToast(`Saved recipe "${result.recipe.name}"`, 'success');
+    } catch (error) {
+        console.error('Recipe error:', error);
+        showToast(error.message, 'error');
+    }
+}
+
+async function runRecipe() {
+    const id = selectedRecipeId();
+    if (!id) return;
+    if (!state.datasetId) {
         showToast('Please upload a file first', 'error');
         return;
     }
 
-    const btn = elements.processBtn;
-    const btnText = btn.querySelector('.btn-text');
-    const btnLoading = btn.querySelector('.btn-loading');
-
     try {
-        // Show loading state
-        btn.disabled = true;
-        btnText.style.display = 'none';
-        btnLoading.style.display = 'inline';
-        btnLoading.innerHTML = '<span class="loading"></span> Processing...';
-
-        showToast('Processing with AI...', 'info');
+        showToast('Running recipe...', 'info');
+        // Recipes run as a background job, like AI processing
+        const result = await runJob(`/api/recipes/${id}/run`, {
+            datasetId: currentVersionId(),
+            llm: llmOptions(),
+            pii: piiOptions(),
+            cache: cacheOption()
+        }, elements.recipeProgress);
+        renderRecipeLog(result.log);
+
+        const recipe = await fetch(`/api/recipes/${id}`).then(r => r.json());
+        showProcessedResult(result, recipe.recipe ? recipe.recipe.steps : []);
+    } catch (error) {
+        if (error.cancelled) {
+            showToast('Recipe cancelled', 'info');
+            return;
+        }
+        if (error.details && error.details.log) renderRecipeLog(error.details.log);
+        console.error('Recipe error:', error);
+        showToast(error.message, 'error');
+    }
+}
 
-        const response = await fetch('/api/process', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                data: state.originalData,
-                prompt: prompt,
-                type: state.fileType
-            })
-        });
+function renderRecipeLog(log) {
+    elements.recipeLog.innerHTML = log.map(entry => {
+        let outcome = entry.status;
+        if (entry.status === 'ok') {
+            outcome = `${entry.rowsBefore} → ${entry.rowsAfter} rows, ${entry.columnsBefore} → ${entry.columnsAfter} columns (${entry.durationMs} ms)`;
+        } else if (entry.status === 'failed') {
+            outcome = `failed: ${entry.error}`;
+        }
+        return `<li class="status-${entry.status}">${escapeHTML(entry.description)} - ${escapeHTML(outcome)}</li>`;
+    }).join('');
+    elements.recipeLog.style.display = 'block';
+}
 
-        const result = await response.json();
+async function exportRecipe() {
+    const id = selectedRecipeId();
+    if (!id) return;
 
+    try {
+        const response = await fetch(`/api/recipes/${id}/export`);
         if (!response.ok) {
-            throw new Error(result.error || 'Processing failed');
+            const result = await response.json();
+            throw new Error(result.error || 'Export failed');
         }
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const match = disposition.match(/filename="?([^";]+)"?/);
+        downloadBlob(await response.blob(), match ? match[1] : 'recipe.json');
+    } catch (error) {
+        console.error('Recipe error:', error);
+        showToast(error.message, 'error');
+    }
+}
 
-        // Update state
-        state.processedData = result.data;
+async function importRecipe(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
 
-        // Enable processed tab and switch to it
-        elements.processedTab.disabled = false;
-        switchTab('processed');
+    try {
+        let recipe;
+        try {
+            recipe = JSON.parse(await file.text());
+        } catch (parseError) {
+            throw new Error('Recipe file is not valid JSON');
+        }
 
-        // Show export section
-        elements.exportSection.style.display = 'block';
+        const response = await fetch('/api/recipes/import', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(recipe)
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Import failed');
 
-        // Show ML section if data is suitable
-        showMLSection();
+        await loadRecipes();
+        renderRecipeOptions(result.recipe.id);
+        showToast(`Imported recipe "${result.recipe.name}"`, 'success');
+    } catch (error) {
+        console.error('Recipe error:', error);
+        showToast(error.message, 'error');
+    }
+}
 
-        showToast('Data processed successfully!', 'success');
+async function deleteRecipe() {
+    const id = selectedRecipeId();
+    if (!id) return;
+    const recipe = state.recipes.find(r => r.id === id);
+    if (!window.confirm(`Delete recipe "${recipe ? recipe.name : id}"?`)) return;
 
+    try {
+        const response = await fetch(`/api/recipes/${id}`, { method: 'DELETE' });
+        if (!response.ok) {
+            const result = await response.json();
+            throw new Error(result.error || 'Delete failed');
+        }
+        await loadRecipes();
+        showToast('Recipe deleted', 'success');
     } catch (error) {
-        console.error('Processing error:', error);
+        console.error('Recipe error:', error);
         showToast(error.message, 'error');
-    } finally {
-        // Reset button
-        btn.disabled = false;
-        btnText.style.display = 'inline';
-        btnLoading.style.display = 'none';
     }
 }
 
@@ -312,16 +2246,109 @@ function switchTab(view) {
         tab.classList.toggle('active', tab.dataset.view === view);
     });
 
-    // Render appropriate data
-    if (view === 'original') {
-        renderData(state.originalData, state.fileType);
+    renderCurrentView();
+}
+
+function getViewSource(view) {
+    if (view === 'processed') {
+        return {
+            data: state.processedData,
+            datasetId: state.processedDatasetId,
+            rowCount: state.processedRowCount,
+            schema: state.processedSchema,
+            type: 'json'
+        };
+    }
+    return {
+        data: state.originalData,
+        datasetId: state.datasetId,
+        rowCount: state.rowCount,
+        schema: state.schema,
+        type: state.fileType
+    };
+}
+
+function isTabular(data) {
+    return Array.isArray(data) && data.length > 0 && typeof data[0] === 'object';
+}
+
+// Render the current tab, one page at a time. Pages beyond the rows held
+// in the browser are fetched from the server.
+async function renderCurrentView() {
+    const view = state.currentView;
+    if (view === 'diff') {
+        renderDiffView();
+        return;
+    }
+    if (view === 'profile') {
+        renderProfileView();
+        return;
+    }
+    if (view === 'duplicates') {
+        renderDuplicatesView();
+        return;
+    }
+
+    const source = getViewSource(view);
+
+    if (!isTabular(source.data)) {
+        renderData(source.data, source.type, source.schema);
+        return;
+    }
+
+    const total = source.rowCount || source.data.length;
+    const offset = state.pageOffset[view];
+    let rows;
+
+    if (offset + PAGE_SIZE <= source.data.length || source.data.length >= total) {
+        rows = source.data.slice(offset, offset + PAGE_SIZE);
     } else {
-        renderData(state.processedData, 'json');
+        try {
+            rows = await fetchRows(source.datasetId, offset, PAGE_SIZE);
+        } catch (error) {
+            showToast(error.message, 'error');
+            return;
+        }
+        // The user may have switched tabs while the page was loading
+        if (state.currentView !== view || state.pageOffset[view] !== offset) return;
+    }
+
+    renderTable(rows, source.schema, { offset, total });
+}
+
+async function fetchRows(datasetId, offset, limit) {
+    const response = await fetch(`/api/datasets/${datasetId}/rows?offset=${offset}&limit=${limit}`);
+    const result = await response.json();
+
+    if (!response.ok) {
+        throw new Error(result.error || 'Failed to load rows');
     }
+    return result.rows;
+}
+
+function changePage(direction) {
+    const view = state.currentView;
+    if (view === 'diff') {
+        changeDiffPage(direction);
+        return;
+    }
+    if (view === 'profile') return;
+    if (view === 'duplicates') {
+        changeDuplicatesPage(direction);
+        return;
+    }
+
+    const source = getViewSource(view);
+    const total = source.rowCount || (Array.isArray(source.data) ? source.data.length : 0);
+    const offset = state.pageOffset[view] + direction * PAGE_SIZE;
+
+    if (offset < 0 || offset >= total) return;
+    state.pageOffset[view] = offset;
+    renderCurrentView();
 }
 
 // Data rendering
-function renderData(data, type) {
+function renderData(data, type, schema = null) {
     if (!data) {
         elements.tableContainer.innerHTML = '<p class="empty-state">No data to display</p>';
         elements.dataStats.innerHTML = '';
@@ -330,7 +2357,7 @@ function renderData(data, type) {
 
     // Handle different data types
     if (Array.isArray(data) && data.length > 0 && typeof data[0] === 'object') {
-        renderTable(data);
+        renderTable(data, schema);
     } else if (typeof data === 'object' && data !== null) {
         // Check if it's a wrapper object with data inside
         if (data.data && typeof data.data === 'string') {
@@ -350,41 +2377,87 @@ function renderData(data, type) {
     }
 }
 
-function renderTable(data) {
+function renderTable(data, schema = null, paging = null) {
     if (!Array.isArray(data) || data.length === 0) {
         elements.tableContainer.innerHTML = '<p class="empty-state">No data to display</p>';
         elements.dataStats.innerHTML = '';
         return;
     }
 
-    const headers = Object.keys(data[0]);
+    // Prefer schema order so columns stay put between pages
+    const headers = schema && schema.columns ? schema.columns.map(col => col.name) : getColumns(data);
+    const columnTypes = {};
+    if (schema && schema.columns) {
+        schema.columns.forEach(col => {
+            columnTypes[col.name] = col;
+        });
+    }
 
     // Stats
+    const totalRows = paging ? paging.total : data.length;
     elements.dataStats.innerHTML = `
-        <span><strong>${data.length}</strong> rows</span>
+        <span><strong>${totalRows}</strong> rows</span>
         <span><strong>${headers.length}</strong> columns</span>
     `;
 
     // Table
     let html = '<table class="data-table"><thead><tr>';
     headers.forEach(h => {
-        html += `<th>${escapeHTML(h)}</th>`;
+        const col = columnTypes[h];
+        const badge = col
+            ? `<span class="type-badge" title="${col.type} (confidence ${Math.round(col.confidence * 100)}%)">${col.type}</span>`
+            : '';
+        html += `<th>${escapeHTML(h)}${badge}</th>`;
     });
     html += '</tr></thead><tbody>';
 
     data.forEach(row => {
         html += '<tr>';
         headers.forEach(h => {
-            const value = row[h] !== undefined ? String(row[h]) : '';
+            const value = formatCell(row[h]);
             html += `<td title="${escapeHTML(value)}">${escapeHTML(value)}</td>`;
         });
         html += '</tr>';
     });
 
     html += '</tbody></table>';
+
+    // Pager
+    if (paging && paging.total > PAGE_SIZE) {
+        const first = paging.offset + 1;
+        const last = Math.min(paging.offset + data.length, paging.total);
+        html += `
+            <div class="pager">
+                <button class="btn-link" data-page="prev" ${paging.offset === 0 ? 'disabled' : ''}>Previous</button>
+                <span>Rows ${first}–${last} of ${paging.total}</span>
+                <button class="btn-link" data-page="next" ${last >= paging.total ? 'disabled' : ''}>Next</button>
+            </div>
+        `;
+    }
+
     elements.tableContainer.innerHTML = html;
 }
 
+// Union of keys across all rows, since JSON Lines records may differ
+function getColumns(data) {
+    const columns = [];
+    const seen = new Set();
+    data.forEach(row => {
+        Object.keys(row || {}).forEach(key => {
+            if (!seen.has(key)) {
+                seen.add(key);
+                columns.push(key);
+            }
+        });
+    });
+    return columns;
+}
+
+function formatCell(value) {
+    if (value === undefined || value === null) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
 function renderText(text) {
     elements.dataStats.innerHTML = `<span><strong>${text.length}</strong> characters</span>`;
     elements.tableContainer.innerHTML = `<pre class="text-preview">${escapeHTML(text)}</pre>`;
@@ -396,6 +2469,28 @@ function renderJSON(data) {
     elements.tableContainer.innerHTML = `<pre class="text-preview">${escapeHTML(json)}</pre>`;
 }
 
+function renderParseErrors(errors, errorCount = errors ? errors.length : 0) {
+    if (!elements.parseErrors) return;
+
+    if (!errors || errors.length === 0) {
+        elements.parseErrors.style.display = 'none';
+        elements.parseErrors.innerHTML = '';
+        return;
+    }
+
+    let html = `<strong>${errorCount} problem(s) found while parsing</strong><ul>`;
+    errors.slice(0, 20).forEach(e => {
+        html += `<li>Line ${e.line}: ${escapeHTML(e.reason)}</li>`;
+    });
+    if (errorCount > 20) {
+        html += `<li>...and ${errorCount - 20} more</li>`;
+    }
+    html += '</ul>';
+
+    elements.parseErrors.innerHTML = html;
+    elements.parseErrors.style.display = 'block';
+}
+
 function objectToTable(obj) {
     const keys = Object.keys(obj);
     const maxLen = Math.max(...keys.map(k => Array.isArray(obj[k]) ? obj[k].length : 1));
@@ -414,11 +2509,16 @@ function objectToTable(obj) {
 
 // Export
 async function exportData(format) {
-    if (!state.processedData) {
+    if (!state.processedDatasetId) {
         showToast('No processed data to export', 'error');
         return;
     }
 
+    if (elements.exportAnonymize && elements.exportAnonymize.checked && !state.pii) {
+        showToast('Scan for personal data first to choose how it is anonymized', 'error');
+        return;
+    }
+
     try {
         const response = await fetch('/api/export', {
             method: 'POST',
@@ -426,21 +2526,184 @@ async function exportData(format) {
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify({
-                data: state.processedData,
-                format: format
+                datasetId: state.processedDatasetId,
+                format: format,
+                dialect: state.dialect,
+                flattening: state.flattening,
+                bom: elements.exportBom ? elements.exportBom.checked : false,
+                pii: elements.exportAnonymize && elements.exportAnonymize.checked ? piiOptions() : undefined,
+                download: true
             })
         });
 
-        const result = await response.json();
-
         if (!response.ok) {
+            const result = await response.json();
             throw new Error(result.error || 'Export failed');
         }
 
         // Download file
-        downloadFile(result.content, result.filename, result.contentType);
-        showToast(`Downloaded ${result.filename}`, 'success');
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const match = disposition.match(/filename="?([^";]+)"?/);
+        const filename = match ? match[1] : `processed_data.${format}`;
+        downloadBlob(await response.blob(), filename);
+        showToast(`Downloaded ${filename}`, 'success');
+
+    } catch (error) {
+        console.error('Export error:', error);
+        showToast(error.message, 'error');
+    }
+}
+
+// Fine-tuning export fields for the chosen format. Templates start out
+// filled from the first and last columns; column choices use the index.
+const FINETUNE_FIELDS = {
+    alpaca: ['instruction', 'input', 'output'],
+    openai_chat: ['user', 'assistant'],
+    prompt_completion: ['prompt', 'completion']
+};
+
+function renderFinetuneFields() {
+    if (!elements.finetuneFields) return;
+    const format = elements.finetuneFormat.value;
+    const messages = format === 'openai_chat' && elements.finetuneMode.value === 'messages';
+    const columns = isTabular(state.processedData) ? currentColumns() : [];
+    const first = columns.length > 0 ? `{{${columns[0]}}}` : '';
+    const last = columns.length > 1 ? `{{${columns[columns.length - 1]}}}` : '';
+    const defaults = {
+        instruction: first, output: last, user: first, assistant: last, prompt: first, completion: last,
+        input: columns.length > 2 ? `{{${columns[1]}}}` : ''
+    };
+
+    const template = name => {
+        const value = state.finetuneValues[name] !== undefined ? state.finetuneValues[name] : defaults[name];
+        return `<div class="config-group">
+            <label>${escapeHTML(name)}</label>
+            <input type="text" class="select-input" data-finetune="${name}" value="${escapeHTML(value).replace(/"/g, '&quot;')}">
+        </div>`;
+    };
+    const column = (name, label, optional) => {
+        const chosen = columns.indexOf(state.finetuneValues[name]);
+        const options = columns.map((col, index) =>
+            `<option value="${index}" ${index === chosen ? 'selected' : ''}>${escapeHTML(col)}</option>`).join('');
+        return `<div class="config-group">
+            <label>${label}</label>
+            <select class="select-input" data-finetune-column="${name}">
+                ${optional ? '<option value="">None</option>' : ''}${options}
+            </select>
+        </div>`;
+    };
+
+    elements.finetuneModeGroup.style.display = format === 'openai_chat' ? '' : 'none';
+    if (messages) {
+        const roleMap = state.finetuneValues.roleMap || '';
+        elements.finetuneFields.innerHTML = column('conversationColumn', 'Conversation column', false) +
+            column('roleColumn', 'Role column', false) +
+            column('contentColumn', 'Content column', false) +
+            `<div class="config-group">
+                <label>Role names (optional)</label>
+                <input type="text" class="select-input" data-finetune="roleMap" placeholder="customer=user, agent=assistant" value="${escapeHTML(roleMap).replace(/"/g, '&quot;')}">
+            </div>`;
+    } else {
+        elements.finetuneFields.innerHTML = FINETUNE_FIELDS[format].map(template).join('') +
+            (format === 'openai_chat' ? column('conversationColumn', 'Group into conversations by', true) : '');
+    }
+
+    elements.finetuneFields.querySelectorAll('[data-finetune-column]').forEach(select => {
+        // Remember the column by name so it survives switching versions
+        const remember = () => {
+            state.finetuneValues[select.dataset.finetuneColumn] = select.value === '' ? '' : columns[Number(select.value)];
+        };
+        select.addEventListener('change', remember);
+        remember();
+    });
+    elements.finetuneStats.textContent = '';
+}
+
+// "customer=user, agent=assistant" as { customer: 'user', agent: 'assistant' }
+function parseRoleMap(text) {
+    const map = {};
+    text.split(',').forEach(pair => {
+        const index = pair.lastIndexOf('=');
+        if (index > 0) map[pair.slice(0, index).trim()] = pair.slice(index + 1).trim();
+    });
+    return map;
+}
+
+function finetuneOptions() {
+    const format = elements.finetuneFormat.value;
+    const values = state.finetuneValues;
+    const options = {};
+    const system = elements.finetuneSystem.value.trim();
+    if (system) options.system = system;
+    const maxTokens = parseInt(elements.finetuneMaxTokens.value, 10);
+    if (maxTokens > 0) options.maxTokens = maxTokens;
+
+    if (format === 'openai_chat' && elements.finetuneMode.value === 'messages') {
+        options.conversationColumn = values.conversationColumn;
+        options.roleColumn = values.roleColumn;
+        options.contentColumn = values.contentColumn;
+        const roleMap = parseRoleMap(values.roleMap || '');
+        if (Object.keys(roleMap).length > 0) options.roleMap = roleMap;
+        return options;
+    }
+
+    elements.finetuneFields.querySelectorAll('[data-finetune]').forEach(input => {
+        if (input.value.trim()) options[input.dataset.finetune] = input.value;
+    });
+    if (format === 'openai_chat' && values.conversationColumn) options.conversationColumn = values.conversationColumn;
+    return options;
+}
+
+function describeFinetuneStats(stats) {
+    const parts = [`${stats.examples} example(s) from ${stats.rows} row(s)`];
+    if (stats.dropped.empty > 0) parts.push(`${stats.dropped.empty} skipped as empty`);
+    if (stats.dropped.tooLong > 0) parts.push(`${stats.dropped.tooLong} over ${stats.maxTokens} tokens dropped`);
+    if (stats.unknownRoles.length > 0) parts.push(`unknown roles: ${stats.unknownRoles.join(', ')}`);
+    const tokens = stats.tokens;
+    parts.push(`tokens per example: min ${tokens.min}, median ${tokens.median}, mean ${tokens.mean}, p95 ${tokens.p95}, max ${tokens.max}, total ${tokens.total}`);
+    return parts.join(' · ');
+}
+
+async function exportFinetune(download) {
+    if (!state.processedDatasetId) {
+        showToast('No processed data to export', 'error');
+        return;
+    }
+    if (elements.exportAnonymize && elements.exportAnonymize.checked && !state.pii) {
+        showToast('Scan for personal data first to choose how it is anonymized', 'error');
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/export', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                datasetId: state.processedDatasetId,
+                format: elements.finetuneFormat.value,
+                finetune: finetuneOptions(),
+                pii: elements.exportAnonymize && elements.exportAnonymize.checked ? piiOptions() : undefined,
+                download: download
+            })
+        });
+
+        if (!response.ok) {
+            const result = await response.json();
+            throw new Error(result.error || 'Export failed');
+        }
 
+        let stats;
+        if (download) {
+            stats = JSON.parse(response.headers.get('X-Export-Stats') || 'null');
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const match = disposition.match(/filename="?([^";]+)"?/);
+            const filename = match ? match[1] : 'finetune.jsonl';
+            downloadBlob(await response.blob(), filename);
+            showToast(`Downloaded ${filename}`, 'success');
+        } else {
+            stats = (await response.json()).stats;
+        }
+        if (stats) elements.finetuneStats.textContent = describeFinetuneStats(stats);
     } catch (error) {
         console.error('Export error:', error);
         showToast(error.message, 'error');
@@ -448,7 +2711,10 @@ async function exportData(format) {
 }
 
 function downloadFile(content, filename, contentType) {
-    const blob = new Blob([content], { type: contentType });
+    downloadBlob(new Blob([content], { type: contentType }), filename);
+}
+
+function downloadBlob(blob, filename) {
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
@@ -502,7 +2768,9 @@ function updateTrainButton() {
 function populateTargetColumns(data) {
     if (!elements.targetColumn || !Array.isArray(data) || data.length === 0) return;
     
-    const columns = Object.keys(data[0]);
+    const columns = state.processedSchema
+        ? state.processedSchema.columns.map(col => col.name)
+        : getColumns(data);
     
     // Clear existing options
     elements.targetColumn.innerHTML = '<option value="">Select target column...</option>';
@@ -524,7 +2792,7 @@ function showMLSection() {
 }
 
 async function trainModel() {
-    if (!state.processedData || !state.selectedModel || !elements.targetColumn.value) {
+    if (!state.processedDatasetId || !state.selectedModel || !elements.targetColumn.value) {
         showToast('Please select target column and model type', 'error');
         return;
     }
@@ -542,37 +2810,33 @@ async function trainModel() {
 
         showToast('Training model...', 'info');
 
-        const response = await fetch('/api/train', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                data: state.processedData,
-                targetColumn: elements.targetColumn.value,
-                modelType: state.selectedModel,
-                testSplit: parseFloat(elements.testSplit.value)
-            })
-        });
-
-        const result = await response.json();
-
-        if (!response.ok) {
-            throw new Error(result.error || 'Training failed');
-        }
+        const result = await runJob('/api/train', {
+            datasetId: state.processedDatasetId,
+            targetColumn: elements.targetColumn.value,
+            modelType: state.selectedModel,
+            testSplit: parseFloat(elements.testSplit.value),
+            llm: llmOptions(),
+            pii: piiOptions(),
+            cache: cacheOption()
+        }, elements.trainProgress);
 
         // Store model info
         state.trainedModelId = result.modelId;
         state.featureColumns = result.featureColumns;
+        state.featureSchema = result.featureSchema || [];
         state.targetColumn = elements.targetColumn.value;
         state.lastTrainingResult = result;
 
         // Display results
         displayTrainingResults(result);
 
-        showToast('Model trained successfully!', 'success');
+        showToast(result.cached ? 'Model trained (reused a cached answer)' : 'Model trained successfully!', 'success');
 
     } catch (error) {
+        if (error.cancelled) {
+            showToast('Training cancelled', 'info');
+            return;
+        }
         console.error('Training error:', error);
         showToast(error.message, 'error');
     } finally {
@@ -825,6 +3089,104 @@ function updatePromptFromChips() {
     } else {
         elements.promptInput.value = '';
     }
+    state.chipPrompt = elements.promptInput.value;
+}
+
+// Load the local operations behind the quick-action chips
+async function loadOperations() {
+    try {
+        const response = await fetch('/api/operations');
+        const result = await response.json();
+        state.operations = result.operations || [];
+    } catch (error) {
+        console.error('Failed to load operations:', error);
+    }
+}
+
+function getOperationSpec(op) {
+    return state.operations.find(operation => operation.op === op);
+}
+
+// Show the parameters of each selected chip's operation
+function renderOperationSettings() {
+    if (!elements.operationSettings) return;
+
+    const selected = Array.from(document.querySelectorAll('.chip.selected'))
+        .map(chip => getOperationSpec(chip.dataset.operation))
+        .filter(Boolean);
+
+    if (selected.length === 0) {
+        elements.operationSettings.style.display = 'none';
+        elements.operationSettings.innerHTML = '';
+        return;
+    }
+
+    const columns = state.schema ? state.schema.columns.map(c => c.name) : getColumns(state.originalData || []);
+
+    elements.operationSettings.innerHTML = selected.map(spec => `
+        <div class="operation-setting">
+            <span class="operation-name">${escapeHTML(spec.label)}</span>
+            <div class="operation-params">
+                ${spec.params.map(param => renderOperationParam(spec.op, param, columns)).join('')}
+            </div>
+        </div>
+    `).join('');
+    elements.operationSettings.style.display = 'block';
+}
+
+function renderOperationParam(op, param, columns) {
+    const id = `op-${op}-${param.name}`;
+    const attrs = `id="${id}" data-op="${op}" data-param="${param.name}"`;
+    const title = param.description ? ` title="${escapeHTML(param.description)}"` : '';
+    let control;
+
+    if (param.type === 'columns') {
+        control = `<select ${attrs} class="select-input" multiple size="3">
+            ${columns.map(c => `<option value="${escapeHTML(c)}">${escapeHTML(c)}</option>`).join('')}
+        </select>`;
+    } else if (param.type === 'select') {
+        control = `<select ${attrs} class="select-input">
+            ${param.options.map(o => `<option value="${o}"${o === param.default ? ' selected' : ''}>${o}</option>`).join('')}
+        </select>`;
+    } else if (param.type === 'boolean') {
+        control = `<input type="checkbox" ${attrs}${param.default ? ' checked' : ''}>`;
+    } else if (param.type === 'number') {
+        const min = param.min !== undefined ? ` min="${param.min}"` : '';
+        const max = param.max !== undefined ? ` max="${param.max}"` : '';
+        control = `<input type="number" step="any"${min}${max} ${attrs} class="select-input" value="${param.default}">`;
+    } else {
+        control = `<input type="text" ${attrs} class="select-input" value="${escapeHTML(String(param.default))}">`;
+    }
+
+    return `
+        <div class="config-group"${title}>
+            <label for="${id}">${escapeHTML(param.name)}</label>
+            ${control}
+        </div>
+    `;
+}
+
+// Read the selected chips and their parameters as operation steps
+function getSelectedOperations() {
+    return Array.from(document.querySelectorAll('.chip.selected'))
+        .filter(chip => getOperationSpec(chip.dataset.operation))
+        .map(chip => {
+            const op = chip.dataset.operation;
+            const params = {};
+            elements.operationSettings.querySelectorAll(`[data-op="${op}"]`).forEach(control => {
+                const spec = getOperationSpec(op).params.find(p => p.name === control.dataset.param);
+                if (spec.type === 'columns') {
+                    params[spec.name] = Array.from(control.selectedOptions).map(o => o.value);
+                } else if (spec.type === 'boolean') {
+                    params[spec.name] = control.checked;
+                } else if (spec.type === 'number') {
+                    params[spec.name] = control.value === '' ? spec.default : Number(control.value);
+                } else {
+                    params[spec.name] = control.value;
+                }
+            });
+            return { op, params };
+        });
 }
 
 // Helper function to create metric cards
@@ -843,13 +3205,21 @@ function showPredictionSection() {
 
     elements.predictionSection.style.display = 'block';
 
-    // Build input fields for each feature
+    // Build input fields for each feature, numeric inputs for numeric columns
+    const featureTypes = {};
+    state.featureSchema.forEach(col => {
+        featureTypes[col.name] = col.type;
+    });
+
     let inputsHTML = '';
     state.featureColumns.forEach(col => {
+        const type = featureTypes[col];
+        const inputType = type === 'integer' || type === 'float' ? 'number' : 'text';
+        const step = type === 'float' ? ' step="any"' : '';
         inputsHTML += `
             <div class="prediction-input-group">
                 <label for="pred-${col}">${col}</label>
-                <input type="text" id="pred-${col}" data-feature="${col}" placeholder="Enter ${col}">
+                <input type="${inputType}"${step} id="pred-${col}" data-feature="${col}" placeholder="Enter ${col}">
             </div>
         `;
     });
@@ -974,9 +3344,8 @@ async function makePrediction() {
     state.featureColumns.forEach(col => {
         const input = document.querySelector(`[data-feature="${col}"]`);
         if (input && input.value.trim()) {
-            // Try to convert to number if possible
-            const value = input.value.trim();
-            inputData[col] = isNaN(value) ? value : parseFloat(value);
+            // The server coerces values using the trained column types
+            inputData[col] = input.value.trim();
         } else {
             hasAllInputs = false;
         }
@@ -997,7 +3366,10 @@ async function makePrediction() {
             },
             body: JSON.stringify({
                 modelId: state.trainedModelId,
-                inputData: inputData
+                inputData: inputData,
+                llm: llmOptions(),
+                pii: piiOptions(),
+                cache: cacheOption()
             })
         });
 
@@ -1013,7 +3385,7 @@ async function makePrediction() {
             elements.resultValue.textContent = result.prediction;
         }
 
-        showToast('Prediction complete!', 'success');
+        showToast(result.cached ? 'Prediction complete (reused a cached answer)' : 'Prediction complete!', 'success');
 
     } catch (error) {
         console.error('Prediction error:', error);
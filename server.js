@@ -1,9 +1,33 @@
 const express = require('express');
 const multer = require('multer');
 const cors = require('cors');
-const path = require('path');
 const fs = require('fs');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const crypto = require('crypto');
+const { once } = require('events');
+const { formatCSVLine, stringifyCSV } = require('./lib/csv');
+const { applySchema, coerceRows, inferSchema } = require('./lib/schema');
+const { stringifyJSONL } = require('./lib/jsonl');
+const { unflattenRecords, createUnflattener } = require('./lib/flatten');
+const { ingestFile } = require('./lib/ingest');
+const { isSupportedEncoding } = require('./lib/encoding');
+const { writeWorkbook, streamWorkbook } = require('./lib/xlsx');
+const { listOperations, validateOperations, runOperations } = require('./lib/operations');
+const { PLAN_SAMPLE_ROWS, buildPlanPrompt, parsePlan } = require('./lib/plan');
+const { QUERY_SAMPLE_ROWS, validateQuery, runQuery, buildQueryPrompt, parseQuery } = require('./lib/query');
+const { ROW_KEY, processInChunks } = require('./lib/chunking');
+const recipes = require('./lib/recipes');
+const { diffRows, mergeDiff, countRejected, validateReject } = require('./lib/diff');
+const { expectsRowChanges, expectsRowSplits, validateOutput } = require('./lib/validation');
+const { scanData, validatePIIOptions, redactData, restorePII } = require('./lib/pii');
+const { validateColumns, projectColumns, mergeColumns } = require('./lib/scope');
+const { profileData, renderProfileHTML } = require('./lib/profile');
+const { isFinetuneFormat, validateFinetuneOptions, buildFinetuneExport } = require('./lib/finetune');
+const { validateDedupeOptions, findDuplicates, validateKeep, removeDuplicates } = require('./lib/dedupe');
+const { validateCorpusOptions, prepareCorpus, describeCorpus } = require('./lib/corpus');
+const llm = require('./lib/llm');
+const jobs = require('./lib/jobs');
+const cache = require('./lib/cache');
+const datasetStore = require('./lib/datasetStore');
 
 // Load environment variables
 require('dotenv').config();
@@ -11,108 +35,337 @@ require('dotenv').config();
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Initialize Gemini AI
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-
 // Middleware
 app.use(cors());
 app.use(express.json({ limit: '50mb' }));
 app.use(express.static('public'));
 
-// Multer configuration for file uploads
-const storage = multer.memoryStorage();
+// Ensure uploads directory exists
+if (!fs.existsSync('uploads/tmp')) {
+    fs.mkdirSync('uploads/tmp', { recursive: true });
+}
+
+// Multer configuration for file uploads: files stream to disk and are
+// parsed from there, so they never have to fit in memory
+const MAX_UPLOAD_MB = parseInt(process.env.MAX_UPLOAD_MB, 10) || 1024;
+const storage = multer.diskStorage({ destination: 'uploads/tmp' });
 const upload = multer({
     storage: storage,
-    limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
+    limits: { fileSize: MAX_UPLOAD_MB * 1024 * 1024 }
 });
 
-// Ensure uploads directory exists
-if (!fs.existsSync('uploads')) {
-    fs.mkdirSync('uploads');
+// Datasets up to this many rows are sent to the browser in full; larger
+// ones are only previewed and read page by page
+const INLINE_ROW_LIMIT = parseInt(process.env.INLINE_ROW_LIMIT, 10) || 5000;
+const PREVIEW_ROWS = 100;
+// Rows of a query result sent back; saving it as a version keeps them all
+const QUERY_RESULT_ROWS = 1000;
+const MAX_PAGE_SIZE = 1000;
+// Rows of one duplicate cluster sent for review
+const CLUSTER_ROWS = 50;
+
+// Rows are sent to the AI in chunks of about this many tokens, with at
+// most AI_CONCURRENCY requests in flight; chunks whose reply cannot be
+// used are retried (failed calls are retried by the LLM client instead)
+const AI_CHUNK_TOKENS = parseInt(process.env.AI_CHUNK_TOKENS, 10) || 8000;
+const AI_CONCURRENCY = parseInt(process.env.AI_CONCURRENCY, 10) || 3;
+const AI_CHUNK_RETRIES = parseInt(process.env.AI_CHUNK_RETRIES, 10) || 2;
+
+// Reject AI results that fail validation unless a request says otherwise
+const AI_STRICT_VALIDATION = process.env.AI_STRICT_VALIDATION === 'true';
+
+// Personal data is redacted with this policy before it reaches the model
+// unless a request sets its own; hashes are keyed with PII_HASH_SECRET
+// (random per run when unset, so hashes only match within one run)
+const PII_DEFAULT_POLICY = process.env.PII_DEFAULT_POLICY || 'none';
+const PII_HASH_SECRET = process.env.PII_HASH_SECRET || crypto.randomBytes(32).toString('hex');
+
+// Identical AI requests reuse the cached answer for CACHE_TTL_HOURS; the
+// cache is kept under CACHE_MAX_MB
+cache.configureCache({
+    enabled: process.env.CACHE_ENABLED !== 'false',
+    ttlMs: (parseFloat(process.env.CACHE_TTL_HOURS) || 168) * 60 * 60 * 1000,
+    maxBytes: (parseFloat(process.env.CACHE_MAX_MB) || 200) * 1024 * 1024
+});
+
+// Stored datasets are removed once they (and every version made from the
+// same upload) have not been used for this many hours
+const DATASET_TTL_HOURS = parseFloat(process.env.DATASET_TTL_HOURS) || 24;
+
+// AI processing and training run as background jobs, at most this many at
+// once; finished jobs and their results are kept for JOB_TTL_HOURS
+jobs.setConcurrency(parseInt(process.env.JOB_CONCURRENCY, 10) || 2);
+const JOB_TTL_HOURS = parseFloat(process.env.JOB_TTL_HOURS) || 1;
+
+// Read dialect overrides sent by the client; anything left out is sniffed
+function parseDialectOverrides(source) {
+    const dialect = {};
+    if (!source) return dialect;
+
+    const delimiter = source.delimiter === '\\t' ? '\t' : source.delimiter;
+    if (typeof delimiter === 'string' && delimiter.length === 1) {
+        dialect.delimiter = delimiter;
+    }
+    if (source.quote === '"' || source.quote === "'") {
+        dialect.quote = source.quote;
+    }
+    if (source.header !== undefined && source.header !== '') {
+        dialect.header = source.header === true || source.header === 'true';
+    }
+    return dialect;
 }
 
-// Parse different file types
-function parseFileContent(buffer, filename) {
-    const ext = path.extname(filename).toLowerCase();
-    const content = buffer.toString('utf-8');
+// Build the client payload for a stored dataset: metadata, a preview
+// page, and the full data when it is small enough to send inline
+async function datasetPayload(meta, data = null) {
+    const { index, ...publicMeta } = meta;
+    const payload = {
+        datasetId: meta.id,
+        filename: meta.filename,
+        type: meta.type,
+        rowCount: meta.rowCount,
+        schema: meta.schema || null,
+        errors: meta.errors || [],
+        errorCount: meta.errorCount || 0,
+        dialect: meta.dialect || null,
+        encoding: meta.encoding || null,
+        xlsx: meta.xlsx || null,
+        flattening: meta.flattening || null,
+        meta: publicMeta
+    };
+
+    if (!meta.tabular) {
+        const loaded = data !== null ? { data } : await datasetStore.loadDataset(meta.id);
+        payload.data = loaded.data;
+        payload.preview = loaded.data;
+        return payload;
+    }
 
+    if (meta.rowCount <= INLINE_ROW_LIMIT) {
+        payload.data = data || await datasetStore.readRows(meta.id);
+        payload.preview = payload.data.slice(0, PREVIEW_ROWS);
+    } else {
+        payload.preview = data ? data.slice(0, PREVIEW_ROWS) : await datasetStore.readRows(meta.id, { limit: PREVIEW_ROWS });
+    }
+    return payload;
+}
+
+// Ask the AI for a plan and validate it against the columns, retrying once
+// with the validation error. Returns { plan, error }.
+async function generatePlan(client, { prompt, schema, sample, rowCount }, signal = null) {
+    const columns = schema.columns.map(c => c.name);
+    let aiPrompt = buildPlanPrompt({ prompt, schema, sample, rowCount });
+
+    let parsed;
+    for (let attempt = 0; attempt < 2; attempt++) {
+        parsed = parsePlan(await client.generate(aiPrompt, signal), columns);
+        if (!parsed.error) break;
+        aiPrompt += `\n\nYour previous plan was invalid: ${parsed.error}\nReturn a corrected plan.`;
+    }
+    return parsed;
+}
+
+// Ask the AI to turn a question into a query and validate it against the
+// columns, retrying once with the validation error.
+// Returns { query, explanation, error }.
+async function generateQuery(client, { question, schema, sample, rowCount }) {
+    const columns = schema.columns.map(c => c.name);
+    let aiPrompt = buildQueryPrompt({ question, schema, sample, rowCount });
+
+    let parsed;
+    for (let attempt = 0; attempt < 2; attempt++) {
+        parsed = parseQuery(await client.generate(aiPrompt), columns);
+        if (!parsed.error) break;
+        aiPrompt += `\n\nYour previous query was invalid: ${parsed.error}\nReturn a corrected query.`;
+    }
+    return parsed;
+}
+
+// Rewrite rows with the AI in chunks. With a job, chunk progress is
+// reported to it and cancelling the job stops the run. keepRowKey leaves
+// each output row's position on it. Chunks must give back each of their
+// rows once unless the instruction removes or splits rows (never in a
+// column-scoped rewrite, which is merged back row by row).
+function rewriteRows(client, rows, prompt, job = null, { keepRowKey = false, scoped = false } = {}) {
+    return processInChunks(rows, prompt, {
+        keepRowKey,
+        rowChanges: scoped ? {} : { dropped: expectsRowChanges(prompt), repeated: expectsRowSplits(prompt) },
+        generate: text => client.generate(text, job ? job.signal : null),
+        maxTokens: AI_CHUNK_TOKENS,
+        concurrency: AI_CONCURRENCY,
+        retries: AI_CHUNK_RETRIES,
+        signal: job ? job.signal : null,
+        onProgress: job
+            ? ({ done, total, failed }) => job.progress(done, total, failed > 0 ? `${failed} chunk(s) failed` : null)
+            : null
+    });
+}
+
+// Resolve the dataset a request refers to: either a stored dataset ID or
+// data sent inline. Returns { data, meta } or null if the ID is unknown.
+async function resolveDataset(body) {
+    if (body.datasetId) {
+        return datasetStore.loadDataset(body.datasetId);
+    }
+    return { data: body.data, meta: null };
+}
+
+// Read the JSON in a model reply. Returns { data, parse } where parse says
+// whether the JSON had to be cut out of surrounding text (recovered), the
+// reply ended mid-JSON (truncated) or it was kept as text (wrapped).
+function readModelJSON(responseText) {
     try {
-        if (ext === '.json') {
-            return { type: 'json', data: JSON.parse(content), raw: content };
-        } else if (ext === '.csv') {
-            return { type: 'csv', data: parseCSV(content), raw: content };
-        } else {
-            // Treat as text/other
-            return { type: 'text', data: content, raw: content };
-        }
+        const { data, recovered, truncated } = llm.extractJSON(responseText);
+        return { data, parse: { recovered, truncated } };
     } catch (error) {
-        return { type: 'text', data: content, raw: content };
+        return { data: { data: responseText }, parse: { wrapped: true, truncated: Boolean(error.truncated) } };
     }
 }
 
-// Simple CSV parser
-function parseCSV(content) {
-    const lines = content.trim().split('\n');
-    if (lines.length === 0) return [];
+// The redaction a request asks for, falling back to PII_DEFAULT_POLICY for
+// every column with personal data. Returns options for redactData or null.
+function piiOptions(body) {
+    if (body.pii !== undefined) return body.pii;
+    return PII_DEFAULT_POLICY === 'none' ? null : { policies: { '*': PII_DEFAULT_POLICY } };
+}
 
-    const headers = parseCSVLine(lines[0]);
-    const data = [];
+// Names of the columns a redaction dropped
+function droppedColumns(redaction) {
+    return redaction ? redaction.columns.filter(column => column.policy === 'drop').map(column => column.name) : [];
+}
 
-    for (let i = 1; i < lines.length; i++) {
-        const values = parseCSVLine(lines[i]);
-        const row = {};
-        headers.forEach((header, index) => {
-            row[header.trim()] = values[index]?.trim() || '';
+// Dropped columns never reach the model; copy them back from the input rows
+// onto its answer (whose rows carry their input position), in their
+// original place, so the saved version does not lose them
+function restoreDroppedColumns(base, output, names) {
+    return output.map(row => {
+        const { [ROW_KEY]: position, ...rest } = row;
+        const original = base[position] || {};
+        const result = {};
+        Object.keys(original).forEach(name => {
+            if (names.includes(name) || name in rest) result[name] = original[name];
         });
-        data.push(row);
-    }
-
-    return data;
+        Object.assign(result, rest);
+        names.forEach(name => {
+            if (name in original) result[name] = original[name];
+        });
+        return result;
+    });
 }
 
-// Parse CSV line handling quoted values
-function parseCSVLine(line) {
-    const result = [];
-    let current = '';
-    let inQuotes = false;
+// Whether a request may reuse a cached answer. `cache: false` refreshes
+// the entry: the model is asked again and its answer replaces the cached one
+function readsCache(body) {
+    return body.cache !== false && body.cache !== 'false';
+}
 
-    for (let i = 0; i < line.length; i++) {
-        const char = line[i];
+// What a redacted answer depends on besides the data, for cache keys: the
+// policies, and the secret hashed values were made with (random per run
+// unless PII_HASH_SECRET is set), so answers never outlive the secret
+function piiCacheParts(pii) {
+    return pii ? { pii, piiSecret: cache.hashContent(PII_HASH_SECRET) } : {};
+}
 
-        if (char === '"') {
-            inQuotes = !inQuotes;
-        } else if (char === ',' && !inQuotes) {
-            result.push(current);
-            current = '';
-        } else {
-            current += char;
+// A model client for a request's `llm` overrides; retries are logged here
+function modelClient(body) {
+    return llm.createClient(body.llm, {
+        onRetry: ({ provider, error, delay, retriesLeft }) => {
+            console.log(`${provider}: ${error.message} - retrying in ${delay} ms (${retriesLeft} retries left)`);
         }
-    }
-    result.push(current);
+    });
+}
 
-    return result;
+// The model settings an answer depends on, for cache keys
+function modelParams(client) {
+    return { provider: client.provider, model: client.model, temperature: client.temperature };
 }
 
-// Convert data back to CSV
-function dataToCSV(data) {
-    if (!Array.isArray(data) || data.length === 0) return '';
+// Whether a request asks for strict validation of AI output
+function isStrict(body) {
+    return body.strict === undefined ? AI_STRICT_VALIDATION : body.strict === true || body.strict === 'true';
+}
 
-    const headers = Object.keys(data[0]);
-    const csvLines = [headers.join(',')];
+// Save processed data as a new version on top of the dataset it came from.
+// `step` records how it was made: { step, prompt, ... }.
+async function saveVersion(source, typed, step) {
+    const parent = source.meta;
+    return datasetStore.saveDataset(typed.data, {
+        filename: parent ? parent.filename : null,
+        type: 'json',
+        schema: typed.schema,
+        flattening: parent ? parent.flattening : null,
+        parentId: parent ? parent.id : null,
+        rootId: parent ? parent.rootId || parent.id : null,
+        ...step
+    });
+}
 
-    for (const row of data) {
-        const values = headers.map(h => {
-            const val = String(row[h] || '');
-            // Escape values with commas or quotes
-            if (val.includes(',') || val.includes('"') || val.includes('\n')) {
-                return `"${val.replace(/"/g, '""')}"`;
-            }
-            return val;
-        });
-        csvLines.push(values.join(','));
+// An error carrying the HTTP status and details a failed job reports
+function httpError(status, message, details = null) {
+    const error = new Error(message);
+    error.status = status;
+    error.details = details;
+    return error;
+}
+
+// Turn a failed model call into the message and status shown to the user
+function aiError(error, action) {
+    if (error.status) return error;
+    // Failures the client flagged itself come before any message sniffing
+    if (error.timeout) {
+        return httpError(504, `${action} failed: the model did not answer in time. Please try again`);
+    }
+    if (error.retryable) {
+        return /quota|rate limit|429/i.test(error.message)
+            ? httpError(429, 'API quota exceeded. Please try again later')
+            : httpError(503, `${action} failed: the model service is unavailable (${error.message})`);
+    }
+    if (error.cancelled) {
+        return httpError(409, `${action} cancelled`);
+    }
+    if (error.message.includes('API key')) {
+        return httpError(400, 'Invalid API key. Please check the API key in .env file');
+    }
+    if (error.message.includes('quota')) {
+        return httpError(429, 'API quota exceeded. Please try again later');
+    }
+    if (error.message.includes('model')) {
+        return httpError(400, 'Model not available. Please try again or contact support');
+    }
+    return httpError(500, `${action} failed: ${error.message}`);
+}
+
+// Run work({ signal, progress, throwIfCancelled }) as a background job and
+// answer 202 with its ID. A request with `wait: true` gets the job's result
+// (or error) instead, once it has finished.
+async function respondWithJob(req, res, type, info, work) {
+    const job = jobs.createJob(type, work, info);
+    if (req.body.wait !== true) {
+        return res.status(202).json({ success: true, jobId: job.id, status: job.status });
     }
 
-    return csvLines.join('\n');
+    const finished = await jobs.waitForJob(job.id);
+    if (finished.status === 'completed') {
+        return res.json(finished.result);
+    }
+    if (finished.status === 'cancelled') {
+        return res.status(409).json({ error: 'Job cancelled' });
+    }
+    res.status(finished.errorStatus).json({ error: finished.error, ...(finished.errorDetails || {}) });
+}
+
+// Summary of a version for the history view
+function versionSummary(meta) {
+    return {
+        id: meta.id,
+        parentId: meta.parentId || null,
+        step: meta.step || 'upload',
+        prompt: meta.prompt || null,
+        createdAt: meta.createdAt,
+        rowCount: meta.rowCount,
+        columnCount: meta.schema ? meta.schema.columns.length : null,
+        tabular: meta.tabular
+    };
 }
 
 // Upload and process endpoint
@@ -122,45 +375,815 @@ app.post('/api/upload', upload.single('file'), async (req, res) => {
             return res.status(400).json({ error: 'No file uploaded' });
         }
 
-        const parsed = parseFileContent(req.file.buffer, req.file.originalname);
+        const encoding = req.body.encoding || null;
+        if (encoding && !isSupportedEncoding(encoding)) {
+            return res.status(400).json({ error: `Unsupported encoding: ${encoding}` });
+        }
+
+        const meta = await ingestFile(req.file.path, req.file.originalname, {
+            encoding,
+            dialect: parseDialectOverrides(req.body),
+            arrays: req.body.arrays,
+            explodePath: req.body.explodePath,
+            separator: req.body.separator,
+            sheet: req.body.sheet,
+            headerRow: req.body.headerRow
+        });
 
         res.json({
             success: true,
-            filename: req.file.originalname,
-            type: parsed.type,
-            data: parsed.data,
-            preview: Array.isArray(parsed.data) ? parsed.data.slice(0, 10) : parsed.data
+            ...await datasetPayload(meta)
         });
     } catch (error) {
         console.error('Upload error:', error);
-        res.status(500).json({ error: 'Failed to process file: ' + error.message });
+        res.status(error.status || 500).json({ error: 'Failed to process file: ' + error.message });
+    } finally {
+        if (req.file) {
+            fs.promises.unlink(req.file.path).catch(() => {});
+        }
+    }
+});
+
+// Dataset metadata
+app.get('/api/datasets/:datasetId', (req, res) => {
+    const meta = datasetStore.getMeta(req.params.datasetId);
+    if (!meta) {
+        return res.status(404).json({ error: 'Dataset not found' });
+    }
+
+    const { index, ...publicMeta } = meta;
+    res.json({ success: true, ...publicMeta });
+});
+
+// Page through a stored dataset
+app.get('/api/datasets/:datasetId/rows', async (req, res) => {
+    try {
+        const meta = datasetStore.getMeta(req.params.datasetId);
+        if (!meta) {
+            return res.status(404).json({ error: 'Dataset not found' });
+        }
+
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || PREVIEW_ROWS, 1), MAX_PAGE_SIZE);
+        const rows = await datasetStore.readRows(meta.id, { offset, limit });
+
+        res.json({
+            success: true,
+            datasetId: meta.id,
+            offset,
+            limit,
+            rowCount: meta.rowCount,
+            rows
+        });
+    } catch (error) {
+        console.error('Dataset read error:', error);
+        res.status(500).json({ error: 'Failed to read dataset: ' + error.message });
+    }
+});
+
+// A dataset in full when small, otherwise its first page, in the same
+// shape as the upload and processing responses
+app.get('/api/datasets/:datasetId/preview', async (req, res) => {
+    try {
+        const meta = datasetStore.getMeta(req.params.datasetId);
+        if (!meta) {
+            return res.status(404).json({ error: 'Dataset not found' });
+        }
+        res.json({ success: true, ...await datasetPayload(meta) });
+    } catch (error) {
+        console.error('Dataset read error:', error);
+        res.status(500).json({ error: 'Failed to read dataset: ' + error.message });
+    }
+});
+
+// Version history: the upload a dataset came from and every version
+// processed from it. Each version's parentId points at the version it was
+// made from, so versions with the same parent are branches.
+app.get('/api/datasets/:datasetId/versions', (req, res) => {
+    const history = datasetStore.listVersions(req.params.datasetId);
+    if (!history) {
+        return res.status(404).json({ error: 'Dataset not found' });
+    }
+    res.json({
+        success: true,
+        rootId: history.rootId,
+        versions: history.versions.map(versionSummary)
+    });
+});
+
+// Delete a dataset together with all its versions
+app.delete('/api/datasets/:datasetId/versions', (req, res) => {
+    const history = datasetStore.listVersions(req.params.datasetId);
+    if (!history) {
+        return res.status(404).json({ error: 'Dataset not found' });
+    }
+    history.versions.forEach(version => datasetStore.deleteDataset(version.id));
+    res.json({ success: true, deleted: history.versions.length });
+});
+
+// Delete a stored dataset
+app.delete('/api/datasets/:datasetId', (req, res) => {
+    if (!datasetStore.deleteDataset(req.params.datasetId)) {
+        return res.status(404).json({ error: 'Dataset not found' });
+    }
+    res.json({ success: true });
+});
+
+// Available local operations and their parameters
+app.get('/api/operations', (req, res) => {
+    res.json({ operations: listOperations() });
+});
+
+// Run deterministic operations locally, without the AI
+app.post('/api/transform', async (req, res) => {
+    try {
+        const { operations } = req.body;
+
+        if (!req.body.data && !req.body.datasetId) {
+            return res.status(400).json({ error: 'Data is required' });
+        }
+
+        const shapeError = validateOperations(operations);
+        if (shapeError) {
+            return res.status(400).json({ error: shapeError });
+        }
+
+        const source = await resolveDataset(req.body);
+        if (!source) {
+            return res.status(404).json({ error: 'Dataset not found' });
+        }
+        if (!Array.isArray(source.data)) {
+            return res.status(400).json({ error: 'Operations need tabular data' });
+        }
+
+        const schema = (source.meta && source.meta.schema) || inferSchema(source.data);
+        const columnError = validateOperations(operations, schema.columns.map(c => c.name));
+        if (columnError) {
+            return res.status(400).json({ error: columnError });
+        }
+
+        const { data, log } = runOperations(source.data, operations);
+        const typed = applySchema(data);
+
+        const saved = await saveVersion(source, typed, {
+            step: 'operations',
+            prompt: typeof req.body.prompt === 'string' && req.body.prompt.trim()
+                ? req.body.prompt.trim()
+                : log.map(entry => entry.op).join(', '),
+            operations: log.map(entry => ({ op: entry.op, params: entry.params }))
+        });
+
+        res.json({
+            success: true,
+            ...await datasetPayload(saved, typed.data),
+            log
+        });
+    } catch (error) {
+        console.error('Transform error:', error);
+        res.status(500).json({ error: 'Transform failed: ' + error.message });
+    }
+});
+
+// Ask the AI for a transformation plan from the schema and a sample.
+// The plan is returned for review and applied with /api/transform.
+app.post('/api/plan', async (req, res) => {
+    try {
+        const { prompt } = req.body;
+
+        if ((!req.body.data && !req.body.datasetId) || !prompt) {
+            return res.status(400).json({ error: 'Data and prompt are required' });
+        }
+
+        const { client, error: llmError } = modelClient(req.body);
+        if (llmError) {
+            return res.status(400).json({ error: llmError });
+        }
+
+        let schema, sample, rowCount;
+        if (req.body.datasetId) {
+            const meta = datasetStore.getMeta(req.body.datasetId);
+            if (!meta) {
+                return res.status(404).json({ error: 'Dataset not found' });
+            }
+            schema = meta.schema;
+            sample = await datasetStore.readRows(meta.id, { limit: PLAN_SAMPLE_ROWS });
+            rowCount = meta.rowCount;
+        } else if (Array.isArray(req.body.data)) {
+            schema = inferSchema(req.body.data);
+            sample = req.body.data.slice(0, PLAN_SAMPLE_ROWS);
+            rowCount = req.body.data.length;
+        }
+        if (!schema) {
+            return res.status(400).json({ error: 'Plans need tabular data' });
+        }
+
+        // The sample rows are the only data the model sees
+        const pii = piiOptions(req.body);
+        const piiError = validatePIIOptions(pii);
+        if (piiError) {
+            return res.status(400).json({ error: piiError });
+        }
+        if (pii) {
+            sample = redactData(sample, pii, { secret: PII_HASH_SECRET }).data;
+        }
+
+        const parsed = await generatePlan(client, { prompt, schema, sample, rowCount });
+
+        if (parsed.error) {
+            return res.status(422).json({ error: 'The AI returned an invalid plan: ' + parsed.error, plan: parsed.plan });
+        }
+
+        res.json({
+            success: true,
+            plan: parsed.plan,
+            sampleRows: sample.length,
+            llm: { provider: client.provider, model: client.model }
+        });
+    } catch (error) {
+        console.error('Plan error:', error);
+        const failure = aiError(error, 'Planning');
+        res.status(failure.status).json({ error: failure.message });
+    }
+});
+
+// Answer a question about a table: the AI writes a query, which runs
+// locally over the full dataset. A `query` in the request runs as given,
+// without the AI; `save` stores the result as a new version.
+app.post('/api/query', async (req, res) => {
+    try {
+        const { question } = req.body;
+
+        if ((!req.body.data && !req.body.datasetId) || (!question && !req.body.query)) {
+            return res.status(400).json({ error: 'Data and a question are required' });
+        }
+
+        const source = await resolveDataset(req.body);
+        if (!source) {
+            return res.status(404).json({ error: 'Dataset not found' });
+        }
+        if (!Array.isArray(source.data) || !source.data.every(row => row && typeof row === 'object' && !Array.isArray(row))) {
+            return res.status(400).json({ error: 'Queries need tabular data' });
+        }
+        const schema = (source.meta && source.meta.schema) || inferSchema(source.data);
+        const columns = schema.columns.map(c => c.name);
+
+        let query = req.body.query;
+        let explanation = '';
+        let client = null;
+        if (query) {
+            const queryError = validateQuery(query, columns);
+            if (queryError) {
+                return res.status(400).json({ error: queryError });
+            }
+        } else {
+            const created = modelClient(req.body);
+            if (created.error) {
+                return res.status(400).json({ error: created.error });
+            }
+            client = created.client;
+
+            // The sample rows are the only data the model sees
+            const pii = piiOptions(req.body);
+            const piiError = validatePIIOptions(pii);
+            if (piiError) {
+                return res.status(400).json({ error: piiError });
+            }
+            let sample = source.data.slice(0, QUERY_SAMPLE_ROWS);
+            if (pii) {
+                sample = redactData(sample, pii, { secret: PII_HASH_SECRET }).data;
+            }
+
+            const parsed = await generateQuery(client, { question, schema, sample, rowCount: source.data.length });
+            if (parsed.error) {
+                return res.status(422).json({ error: 'The AI returned an invalid query: ' + parsed.error, query: parsed.query });
+            }
+            query = parsed.query;
+            explanation = parsed.explanation;
+        }
+
+        const result = runQuery(source.data, query, columns);
+
+        let version = null;
+        if (req.body.save) {
+            const typed = applySchema(result.rows);
+            const saved = await saveVersion(source, typed, {
+                step: 'query',
+                prompt: question || 'Query',
+                query
+            });
+            version = await datasetPayload(saved, typed.data);
+        }
+
+        res.json({
+            success: true,
+            question: question || null,
+            query,
+            explanation,
+            columns: result.columns,
+            rows: result.rows.slice(0, QUERY_RESULT_ROWS),
+            rowCount: result.rows.length,
+            matchedRows: result.matchedRows,
+            resultRows: result.resultRows,
+            llm: client ? { provider: client.provider, model: client.model } : null,
+            version
+        });
+    } catch (error) {
+        console.error('Query error:', error);
+        const failure = aiError(error, 'Query');
+        res.status(failure.status).json({ error: failure.message });
+    }
+});
+
+// Saved recipes
+app.get('/api/recipes', (req, res) => {
+    res.json({ recipes: recipes.listRecipes() });
+});
+
+app.post('/api/recipes', (req, res) => {
+    const problem = recipes.validateRecipe(req.body);
+    if (problem) {
+        return res.status(400).json({ error: problem });
+    }
+    res.status(201).json({ success: true, recipe: recipes.createRecipe(req.body) });
+});
+
+// Import a recipe exported with GET /api/recipes/:recipeId/export
+app.post('/api/recipes/import', (req, res) => {
+    const { recipe, error } = recipes.importRecipe(req.body);
+    if (error) {
+        return res.status(400).json({ error: error });
+    }
+    res.status(201).json({ success: true, recipe: recipe });
+});
+
+app.get('/api/recipes/:recipeId', (req, res) => {
+    const recipe = recipes.getRecipe(req.params.recipeId);
+    if (!recipe) {
+        return res.status(404).json({ error: 'Recipe not found' });
+    }
+    res.json({ recipe: recipe });
+});
+
+app.put('/api/recipes/:recipeId', (req, res) => {
+    const problem = recipes.validateRecipe(req.body);
+    if (problem) {
+        return res.status(400).json({ error: problem });
+    }
+    const recipe = recipes.updateRecipe(req.params.recipeId, req.body);
+    if (!recipe) {
+        return res.status(404).json({ error: 'Recipe not found' });
+    }
+    res.json({ success: true, recipe: recipe });
+});
+
+app.delete('/api/recipes/:recipeId', (req, res) => {
+    if (!recipes.deleteRecipe(req.params.recipeId)) {
+        return res.status(404).json({ error: 'Recipe not found' });
+    }
+    res.json({ success: true });
+});
+
+app.get('/api/recipes/:recipeId/export', (req, res) => {
+    const recipe = recipes.getRecipe(req.params.recipeId);
+    if (!recipe) {
+        return res.status(404).json({ error: 'Recipe not found' });
+    }
+    const slug = recipe.name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'recipe';
+    res.attachment(`recipe_${slug}.json`);
+    res.type('application/json');
+    res.send(JSON.stringify(recipes.exportRecipe(recipe), null, 2));
+});
+
+// Replay a recipe on a dataset, step by step
+app.post('/api/recipes/:recipeId/run', async (req, res) => {
+    try {
+        const recipe = recipes.getRecipe(req.params.recipeId);
+        if (!recipe) {
+            return res.status(404).json({ error: 'Recipe not found' });
+        }
+
+        const source = await resolveDataset(req.body);
+        if (!source) {
+            return res.status(404).json({ error: 'Dataset not found' });
+        }
+        if (!Array.isArray(source.data)) {
+            return res.status(400).json({ error: 'Recipes need tabular data' });
+        }
+
+        const usesAI = recipe.steps.some(step => step.kind === 'prompt');
+        const { client, error: llmError } = usesAI ? modelClient(req.body) : { client: null, error: null };
+        if (llmError) {
+            return res.status(400).json({ error: 'This recipe has AI steps. ' + llmError });
+        }
+
+        const pii = piiOptions(req.body);
+        const piiError = validatePIIOptions(pii);
+        if (piiError) {
+            return res.status(400).json({ error: piiError });
+        }
+        const redact = rows => (pii ? redactData(rows, pii, { secret: PII_HASH_SECRET }) : null);
+
+        const strict = isStrict(req.body);
+        const useCache = readsCache(req.body);
+        const datasetId = source.meta ? source.meta.id : null;
+
+        // AI steps run like /api/process: in a job that reports progress,
+        // can be cancelled and reuses cached answers
+        await respondWithJob(req, res, 'recipe', { recipeId: recipe.id, name: recipe.name, datasetId }, async job => {
+            let stepLabel = null;
+            const stepJob = {
+                signal: job.signal,
+                throwIfCancelled: job.throwIfCancelled,
+                progress: (done, total, message = null) => job.progress(done, total, message ? `${stepLabel} - ${message}` : stepLabel)
+            };
+
+            const ai = {
+                rewrite: async (rows, prompt, columns) => {
+                    const redaction = redact(rows);
+                    const redacted = redaction ? redaction.data : rows;
+                    const input = columns ? projectColumns(redacted, columns) : redacted;
+                    const dropped = columns ? [] : droppedColumns(redaction);
+                    const keepRowKey = Boolean(columns) || dropped.length > 0;
+                    const { output, hit } = await cachedRewrite(client, input, prompt, stepJob, { columns, keepRowKey, useCache, datasetId });
+                    const failedChunks = output.chunks.filter(chunk => chunk.status === 'failed').length;
+                    const returned = keepRowKey ? output.data.map(({ [ROW_KEY]: position, ...row }) => row) : output.data;
+                    const validation = validateOutput(input, returned, { prompt, parse: output.parse, chunks: output.chunks, strict });
+                    if (strict && !validation.passed) {
+                        throw new Error('AI output rejected: ' + validation.warnings.map(w => w.message).join('; '));
+                    }
+                    let data = redaction ? restorePII(output.data, redaction.vault).data : output.data;
+                    let scope;
+                    if (columns) {
+                        ({ data, report: scope } = mergeColumns(rows, data, columns));
+                    } else if (dropped.length > 0) {
+                        data = restoreDroppedColumns(rows, data, dropped);
+                    }
+                    return {
+                        data,
+                        details: { chunks: output.chunks.length, failedChunks, cached: Boolean(hit), warnings: validation.warnings, scope }
+                    };
+                },
+                plan: async (rows, prompt) => {
+                    const schema = inferSchema(rows);
+                    const sample = rows.slice(0, PLAN_SAMPLE_ROWS);
+                    const redaction = redact(sample);
+                    const parsed = await generatePlan(client, {
+                        prompt,
+                        schema,
+                        sample: redaction ? redaction.data : sample,
+                        rowCount: rows.length
+                    }, job.signal);
+                    if (parsed.error) {
+                        throw new Error('The AI returned an invalid plan: ' + parsed.error);
+                    }
+                    const result = runOperations(rows, parsed.plan.steps);
+                    return { data: result.data, details: { plan: parsed.plan } };
+                }
+            };
+
+            try {
+                const { data, log, completed } = await recipes.runRecipe(recipe, source.data, ai, {
+                    onStep: (index, total, description) => {
+                        job.throwIfCancelled();
+                        stepLabel = `Step ${index + 1} of ${total}: ${description}`;
+                        job.progress(0, null, stepLabel);
+                    }
+                });
+                // A step that failed because the job was cancelled is not a failed recipe
+                job.throwIfCancelled();
+                if (!completed) {
+                    throw httpError(422, 'Recipe stopped at a failing step', { log });
+                }
+
+                const typed = applySchema(data);
+                const saved = await saveVersion(source, typed, {
+                    step: 'recipe',
+                    prompt: `Recipe: ${recipe.name}`,
+                    recipeId: recipe.id
+                });
+
+                return {
+                    success: true,
+                    ...await datasetPayload(saved, typed.data),
+                    recipe: { id: recipe.id, name: recipe.name },
+                    log: log
+                };
+            } catch (error) {
+                if (error.status || error.cancelled) throw error;
+                console.error('Recipe error:', error);
+                throw httpError(500, 'Recipe failed: ' + error.message);
+            }
+        });
+    } catch (error) {
+        console.error('Recipe error:', error);
+        res.status(500).json({ error: 'Recipe failed: ' + error.message });
+    }
+});
+
+// Load the two versions of a diff request. Returns { base, target } or
+// { status, error }.
+async function loadDiffPair(body) {
+    if (!body.baseId || !body.targetId) {
+        return { status: 400, error: 'baseId and targetId are required' };
+    }
+    if (body.key !== undefined && body.key !== null && typeof body.key !== 'string') {
+        return { status: 400, error: 'key must be a column name' };
+    }
+    const base = await datasetStore.loadDataset(body.baseId);
+    const target = await datasetStore.loadDataset(body.targetId);
+    if (!base || !target) {
+        return { status: 404, error: 'Dataset not found' };
+    }
+    if (!base.meta.tabular || !target.meta.tabular) {
+        return { status: 400, error: 'Only tabular datasets can be compared' };
+    }
+    return { base, target };
+}
+
+// Cell-level differences between two versions, with the changed rows
+// paged by offset and limit
+app.post('/api/diff', async (req, res) => {
+    try {
+        const pair = await loadDiffPair(req.body);
+        if (pair.error) {
+            return res.status(pair.status).json({ error: pair.error });
+        }
+
+        let diff;
+        try {
+            diff = diffRows(pair.base.data, pair.target.data, { key: req.body.key || null });
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        const offset = Math.max(parseInt(req.body.offset, 10) || 0, 0);
+        const limit = Math.min(Math.max(parseInt(req.body.limit, 10) || PREVIEW_ROWS, 1), MAX_PAGE_SIZE);
+
+        res.json({
+            success: true,
+            baseId: pair.base.meta.id,
+            targetId: pair.target.meta.id,
+            key: diff.key,
+            columns: diff.columns,
+            summary: diff.summary,
+            changeCount: diff.changes.length,
+            offset,
+            limit,
+            changes: diff.changes.slice(offset, offset + limit)
+        });
+    } catch (error) {
+        console.error('Diff error:', error);
+        res.status(500).json({ error: 'Diff failed: ' + error.message });
+    }
+});
+
+// Save the target version with the rejected changes undone, as a new
+// version on top of it
+app.post('/api/diff/apply', async (req, res) => {
+    try {
+        const rejectError = validateReject(req.body.reject);
+        if (rejectError) {
+            return res.status(400).json({ error: rejectError });
+        }
+
+        const pair = await loadDiffPair(req.body);
+        if (pair.error) {
+            return res.status(pair.status).json({ error: pair.error });
+        }
+
+        let diff;
+        try {
+            diff = diffRows(pair.base.data, pair.target.data, { key: req.body.key || null });
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        const reject = req.body.reject || {};
+        const rejected = countRejected(diff, reject);
+        const typed = applySchema(mergeDiff(pair.base.data, pair.target.data, diff, reject));
+        const saved = await saveVersion(pair.target, typed, {
+            step: 'review',
+            prompt: `Reviewed changes (${rejected} rejected)`,
+            review: { baseId: pair.base.meta.id, key: diff.key, reject }
+        });
+
+        res.json({
+            success: true,
+            ...await datasetPayload(saved, typed.data),
+            rejected
+        });
+    } catch (error) {
+        console.error('Diff error:', error);
+        res.status(500).json({ error: 'Applying the review failed: ' + error.message });
+    }
+});
+
+// Find the near-duplicate clusters a request asks for. Returns
+// { source, clusters, summary } or { status, error }.
+async function loadDuplicates(body) {
+    if (!body.data && !body.datasetId) {
+        return { status: 400, error: 'Data is required' };
+    }
+    const source = await resolveDataset(body);
+    if (!source) {
+        return { status: 404, error: 'Dataset not found' };
+    }
+    if (!Array.isArray(source.data) || !source.data.every(row => row && typeof row === 'object' && !Array.isArray(row))) {
+        return { status: 400, error: 'Duplicate detection needs tabular data' };
+    }
+    const schema = (source.meta && source.meta.schema) || inferSchema(source.data);
+    const options = {
+        textColumns: body.textColumns,
+        keyColumns: body.keyColumns,
+        threshold: body.threshold,
+        keeper: body.keeper
+    };
+    const optionsError = validateDedupeOptions(options, schema.columns.map(c => c.name));
+    if (optionsError) {
+        return { status: 400, error: optionsError };
+    }
+    return { source, ...findDuplicates(source.data, options) };
+}
+
+// Near-duplicate clusters for review, paged by offset and limit
+app.post('/api/duplicates', async (req, res) => {
+    try {
+        const found = await loadDuplicates(req.body);
+        if (found.error) {
+            return res.status(found.status).json({ error: found.error });
+        }
+
+        const offset = Math.max(parseInt(req.body.offset, 10) || 0, 0);
+        const limit = Math.min(Math.max(parseInt(req.body.limit, 10) || 20, 1), MAX_PAGE_SIZE);
+        const rows = found.source.data;
+
+        res.json({
+            success: true,
+            summary: found.summary,
+            clusterCount: found.clusters.length,
+            offset,
+            limit,
+            clusters: found.clusters.slice(offset, offset + limit).map(cluster => ({
+                id: cluster.id,
+                keep: cluster.keep,
+                size: cluster.rows.length,
+                rows: cluster.rows.slice(0, CLUSTER_ROWS).map(member => ({ ...member, row: rows[member.index] }))
+            }))
+        });
+    } catch (error) {
+        console.error('Duplicates error:', error);
+        res.status(500).json({ error: 'Duplicate detection failed: ' + error.message });
+    }
+});
+
+// Remove near duplicates, keeping the rows chosen per cluster (or the
+// proposed one), as a new version
+app.post('/api/duplicates/apply', async (req, res) => {
+    try {
+        const found = await loadDuplicates(req.body);
+        if (found.error) {
+            return res.status(found.status).json({ error: found.error });
+        }
+        const keepError = validateKeep(req.body.keep, found.clusters);
+        if (keepError) {
+            return res.status(400).json({ error: keepError });
+        }
+
+        const { data, summary } = removeDuplicates(found.source.data, found.clusters, req.body.keep || {});
+        const typed = applySchema(data);
+        const saved = await saveVersion(found.source, typed, {
+            step: 'dedupe',
+            prompt: `Removed ${summary.removed} near-duplicate row(s) from ${summary.clusters} cluster(s)`,
+            dedupe: {
+                textColumns: found.summary.textColumns,
+                keyColumns: found.summary.keyColumns,
+                threshold: found.summary.threshold,
+                keeper: found.summary.keeper,
+                keep: req.body.keep || {},
+                removed: summary.removed
+            }
+        });
+
+        res.json({
+            success: true,
+            ...await datasetPayload(saved, typed.data),
+            dedupe: summary
+        });
+    } catch (error) {
+        console.error('Duplicates error:', error);
+        res.status(500).json({ error: 'Removing duplicates failed: ' + error.message });
+    }
+});
+
+// Turn a text upload into a table of passages (documents, paragraphs,
+// sentences or chunks) with IDs and offsets, saved as a new version
+app.post('/api/corpus', async (req, res) => {
+    try {
+        if (!req.body.data && !req.body.datasetId) {
+            return res.status(400).json({ error: 'Data is required' });
+        }
+        const options = req.body.corpus || {};
+        const optionsError = validateCorpusOptions(options);
+        if (optionsError) {
+            return res.status(400).json({ error: optionsError });
+        }
+
+        const source = await resolveDataset(req.body);
+        if (!source) {
+            return res.status(404).json({ error: 'Dataset not found' });
+        }
+        // Text kept by an AI step is wrapped as { data: text }
+        const text = typeof source.data === 'string'
+            ? source.data
+            : source.data && typeof source.data.data === 'string' ? source.data.data : null;
+        if (text === null) {
+            return res.status(400).json({ error: 'Corpus preparation needs plain text, such as a .txt upload' });
+        }
+
+        const { rows, summary } = prepareCorpus(text, options);
+        if (rows.length === 0) {
+            return res.status(422).json({ error: 'No text is left after cleaning and filtering', corpus: summary });
+        }
+        const typed = applySchema(rows);
+        const saved = await saveVersion(source, typed, {
+            step: 'corpus',
+            prompt: describeCorpus(summary),
+            corpus: options
+        });
+
+        res.json({
+            success: true,
+            ...await datasetPayload(saved, typed.data),
+            corpus: summary
+        });
+    } catch (error) {
+        console.error('Corpus error:', error);
+        res.status(500).json({ error: 'Corpus preparation failed: ' + error.message });
     }
 });
 
 // Process with AI endpoint
 app.post('/api/process', async (req, res) => {
     try {
-        const { data, prompt, type } = req.body;
+        const { prompt } = req.body;
 
-        if (!data || !prompt) {
+        if ((!req.body.data && !req.body.datasetId) || !prompt) {
             return res.status(400).json({ error: 'Data and prompt are required' });
         }
 
-        if (!process.env.GEMINI_API_KEY || process.env.GEMINI_API_KEY === 'your_gemini_api_key_here') {
-            return res.status(400).json({ error: 'Please configure your Gemini API key in .env file' });
+        const { client, error: llmError } = modelClient(req.body);
+        if (llmError) {
+            return res.status(400).json({ error: llmError });
         }
 
-        const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
+        const source = await resolveDataset(req.body);
+        if (!source) {
+            return res.status(404).json({ error: 'Dataset not found' });
+        }
+        const pii = piiOptions(req.body);
+        const piiError = validatePIIOptions(pii);
+        if (piiError) {
+            return res.status(400).json({ error: piiError });
+        }
+        const columnsError = validateColumns(req.body.columns, source.data);
+        if (columnsError) {
+            return res.status(400).json({ error: columnsError });
+        }
+        const columns = req.body.columns && req.body.columns.length > 0 ? req.body.columns : null;
+        const type = req.body.type || (source.meta && source.meta.type);
+        const strict = isStrict(req.body);
+
+        await respondWithJob(req, res, 'process', { prompt, columns, datasetId: req.body.datasetId || null }, async job => {
+            try {
+                return await processWithAI(client, source, { prompt, type, strict, pii, columns, useCache: readsCache(req.body) }, job);
+            } catch (error) {
+                if (!job.signal.aborted) console.error('Processing error:', error);
+                throw aiError(error, 'AI processing');
+            }
+        });
+
+    } catch (error) {
+        console.error('Processing error:', error);
+        res.status(500).json({ error: 'AI processing failed: ' + error.message });
+    }
+});
 
+// Send a dataset to the model: tables in chunks, anything else whole.
+// rowOptions ({ keepRowKey, scoped }) are passed on to rewriteRows.
+// Returns { data, chunks, parse }.
+async function rewriteWithAI(client, data, prompt, job, rowOptions = {}) {
+    let processedData;
+    let chunks = null;
+    let parse = {};
+
+    if (Array.isArray(data) && data.every(row => row && typeof row === 'object' && !Array.isArray(row))) {
+        // Rows go to the model in token-budgeted chunks
+        const result = await rewriteRows(client, data, prompt, job, rowOptions);
+        processedData = result.data;
+        chunks = result.chunks;
+    } else {
         // Prepare data string for AI
-        let dataString;
-        if (type === 'csv' || Array.isArray(data)) {
-            dataString = JSON.stringify(data, null, 2);
-        } else if (type === 'json') {
-            dataString = JSON.stringify(data, null, 2);
-        } else {
-            dataString = data;
-        }
+        const dataString = typeof data === 'string' ? data : JSON.stringify(data, null, 2);
 
         // Craft the AI prompt
         const aiPrompt = `You are a data preprocessing assistant. You will receive a dataset and a user instruction.
@@ -182,97 +1205,378 @@ ${dataString}
 
 RESPOND WITH ONLY THE PROCESSED JSON DATA, NO OTHER TEXT:`;
 
-        // Add retry logic for quota issues
-        let result, response, responseText;
-        let retries = 3;
-        
-        while (retries > 0) {
-            try {
-                result = await model.generateContent(aiPrompt);
-                response = await result.response;
-                responseText = response.text().trim();
-                break; // Success, exit retry loop
-            } catch (retryError) {
-                retries--;
-                if (retryError.message.includes('quota') && retries > 0) {
-                    console.log(`Quota exceeded, retrying in 2 seconds... (${retries} retries left)`);
-                    await new Promise(resolve => setTimeout(resolve, 2000));
-                } else {
-                    throw retryError; // Re-throw if not quota error or no retries left
-                }
-            }
-        }
+        job.progress(0, 1, 'Waiting for the model');
+        const responseText = await client.generate(aiPrompt, job.signal);
+        ({ data: processedData, parse } = readModelJSON(responseText));
+        job.progress(1, 1);
+    }
 
-        // Clean up response - remove markdown code blocks if present
-        responseText = responseText.replace(/```json\s*/gi, '').replace(/```\s*/g, '').trim();
+    return { data: processedData, chunks, parse };
+}
 
-        // Try to parse the response
-        let processedData;
-        try {
-            processedData = JSON.parse(responseText);
-        } catch (parseError) {
-            // If parsing fails, try to extract JSON from the response
-            const jsonMatch = responseText.match(/\[[\s\S]*\]|\{[\s\S]*\}/);
-            if (jsonMatch) {
-                processedData = JSON.parse(jsonMatch[0]);
-            } else {
-                // Return as text wrapper
-                processedData = { data: responseText };
-            }
+// rewriteWithAI() through the cache: the same data, instruction and model
+// give the cached answer, and complete answers are cached. Returns
+// { output, hit } where hit is the cache entry used, if any.
+async function cachedRewrite(client, data, prompt, job, { columns = null, keepRowKey = false, useCache = true, datasetId = null } = {}) {
+    const key = cache.cacheKey('process', {
+        data: cache.hashContent(data),
+        prompt,
+        columns: columns || undefined,
+        rowKeys: keepRowKey || undefined,
+        chunkTokens: AI_CHUNK_TOKENS,
+        ...modelParams(client)
+    });
+    const hit = useCache ? cache.getCached(key) : null;
+    if (hit) {
+        job.progress(1, 1, 'From cache');
+        return { output: hit.value, hit };
+    }
+
+    const output = await rewriteWithAI(client, data, prompt, job, { keepRowKey, scoped: Boolean(columns) });
+    // Only complete answers are worth repeating
+    const complete = !output.parse.wrapped && !output.parse.truncated &&
+        !(output.chunks || []).some(chunk => chunk.status === 'failed');
+    if (complete) {
+        cache.setCached(key, 'process', output, { prompt, columns, ...modelParams(client), datasetId });
+    }
+    return { output, hit: null };
+}
+
+// Rewrite a dataset with the AI, validate the result and save it as a new
+// version. With `columns`, only those columns go to the model and the rest
+// are kept as they are. Returns the response body for /api/process.
+async function processWithAI(client, source, { prompt, type, strict, pii, columns = null, useCache }, job) {
+    // Personal data is redacted before anything is sent to the model
+    const redaction = pii ? redactData(source.data, pii, { secret: PII_HASH_SECRET }) : null;
+    const redacted = redaction ? redaction.data : source.data;
+    const data = columns ? projectColumns(redacted, columns) : redacted;
+    // Rows keep their positions when the answer has columns merged back in
+    const dropped = columns ? [] : droppedColumns(redaction);
+    const keepRowKey = Boolean(columns) || dropped.length > 0;
+
+    const { output, hit } = await cachedRewrite(client, data, prompt, job, {
+        columns,
+        keepRowKey,
+        useCache,
+        datasetId: source.meta ? source.meta.id : null
+    });
+    let processedData = output.data;
+    const { chunks, parse } = output;
+
+    // Compare the result with the input before accepting it
+    const returned = keepRowKey ? processedData.map(({ [ROW_KEY]: position, ...row }) => row) : processedData;
+    const validation = validateOutput(data, returned, { prompt, parse, chunks: chunks || [], strict });
+    if (strict && !validation.passed) {
+        throw httpError(422, 'AI output rejected: ' + validation.warnings.map(w => w.message).join('; '), { validation });
+    }
+
+    // A cancelled job leaves no new version behind
+    job.throwIfCancelled();
+
+    // Pseudonymized values go back in now that the model has answered
+    let restored = null;
+    if (redaction) {
+        restored = restorePII(processedData, redaction.vault);
+        processedData = restored.data;
+    }
+
+    // Scoped answers are merged onto the original rows, so columns that were
+    // not selected (and any redaction of them) are left exactly as they were
+    let scope = null;
+    if (columns) {
+        const merged = mergeColumns(source.data, processedData, columns);
+        processedData = merged.data;
+        scope = merged.report;
+    } else if (dropped.length > 0) {
+        processedData = restoreDroppedColumns(source.data, processedData, dropped);
+    }
+
+    // Re-infer types, since the model may return numbers as strings
+    const typed = applySchema(processedData);
+
+    // Keep the result in the dataset store so export and training can refer to it
+    const saved = await saveVersion(source, typed, {
+        step: 'ai',
+        prompt: prompt,
+        columns: columns || undefined,
+        pii: redaction ? redaction.columns : undefined
+    });
+
+    return {
+        success: true,
+        ...await datasetPayload(saved, typed.data),
+        originalType: type,
+        llm: { provider: client.provider, model: client.model },
+        validation,
+        chunks: chunks,
+        failedChunks: chunks ? chunks.filter(chunk => chunk.status === 'failed').length : 0,
+        cached: Boolean(hit),
+        cachedAt: hit ? hit.createdAt : null,
+        scope,
+        pii: redaction ? {
+            columns: redaction.columns,
+            ...redaction.stats,
+            restored: restored.restored,
+            unrestored: restored.unknown
+        } : null
+    };
+}
+
+// Data quality profile of a table, computed locally. With `format` set to
+// json or html it is sent as a file to download.
+app.post('/api/profile', async (req, res) => {
+    try {
+        const { format } = req.body;
+        if (!req.body.data && !req.body.datasetId) {
+            return res.status(400).json({ error: 'Data is required' });
+        }
+        if (format !== undefined && !['json', 'html'].includes(format)) {
+            return res.status(400).json({ error: 'format must be json or html' });
+        }
+        const source = await resolveDataset(req.body);
+        if (!source) {
+            return res.status(404).json({ error: 'Dataset not found' });
+        }
+        if (!Array.isArray(source.data) || !source.data.every(row => row && typeof row === 'object' && !Array.isArray(row))) {
+            return res.status(400).json({ error: 'Profiling needs tabular data' });
         }
 
-        res.json({
-            success: true,
-            data: processedData,
-            originalType: type
-        });
+        const profile = profileData(source.data, source.meta && source.meta.schema);
+        if (!format) {
+            return res.json({ success: true, profile });
+        }
 
+        const name = source.meta && source.meta.filename
+            ? source.meta.filename.replace(/\.[^.]+$/, '')
+            : 'dataset';
+        res.attachment(`${name}_profile.${format}`);
+        if (format === 'html') {
+            res.type('text/html');
+            return res.send(renderProfileHTML(profile, `Data profile: ${source.meta && source.meta.filename ? source.meta.filename : 'dataset'}`));
+        }
+        res.type('application/json');
+        res.send(JSON.stringify(profile, null, 2));
     } catch (error) {
-        console.error('Processing error:', error);
+        console.error('Profile error:', error);
+        res.status(500).json({ error: 'Profiling failed: ' + error.message });
+    }
+});
 
-        // More specific error messages
-        if (error.message.includes('API key')) {
-            res.status(400).json({ error: 'Invalid API key. Please check your Gemini API key in .env file' });
-        } else if (error.message.includes('quota')) {
-            res.status(429).json({ error: 'API quota exceeded. Please try again later' });
-        } else if (error.message.includes('model')) {
-            res.status(400).json({ error: 'Model not available. Please try again or contact support' });
-        } else {
-            res.status(500).json({ error: 'AI processing failed: ' + error.message });
+// Scan a dataset for personal data and suggest a policy per column
+app.post('/api/pii/scan', async (req, res) => {
+    try {
+        if (!req.body.data && !req.body.datasetId) {
+            return res.status(400).json({ error: 'Data is required' });
+        }
+        const source = await resolveDataset(req.body);
+        if (!source) {
+            return res.status(404).json({ error: 'Dataset not found' });
         }
+        res.json({ success: true, ...scanData(source.data) });
+    } catch (error) {
+        console.error('PII scan error:', error);
+        res.status(500).json({ error: 'PII scan failed: ' + error.message });
     }
 });
 
+// Formats a stored table can be downloaded in without loading it whole
+const STREAMED_FORMATS = ['csv', 'tsv', 'json', 'jsonl', 'xlsx'];
+
+// Every column of a stored table: the schema's first, then any that only
+// rows beyond the schema sample have
+async function storedColumns(meta) {
+    const columns = meta.schema ? meta.schema.columns.map(c => c.name) : [];
+    const seen = new Set(columns);
+    for await (const rows of datasetStore.iterateRows(meta.id)) {
+        for (const row of rows) {
+            for (const name of Object.keys(row || {})) {
+                if (!seen.has(name)) {
+                    seen.add(name);
+                    columns.push(name);
+                }
+            }
+        }
+    }
+    return columns;
+}
+
+// Stream a stored table to a download straight from rows.jsonl, a batch of
+// rows at a time, so exports of large datasets never sit in memory whole
+async function streamExport(req, res, meta) {
+    const { format } = req.body;
+    const flattening = req.body.flattening || meta.flattening;
+    const write = async chunk => {
+        if (!res.write(chunk)) await once(res, 'drain');
+    };
+    // Stop reading once the client has gone
+    const batches = async function* () {
+        for await (const rows of datasetStore.iterateRows(meta.id)) {
+            if (res.destroyed) return;
+            yield rows;
+        }
+    };
+
+    if (format === 'xlsx') {
+        const columns = await storedColumns(meta);
+        res.attachment('processed_data.xlsx');
+        res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        await streamWorkbook(batches(), columns, meta.schema, res, { sheetName: 'Processed Data' });
+        return;
+    }
+
+    if (format === 'csv' || format === 'tsv') {
+        const dialect = parseDialectOverrides(req.body.dialect);
+        if (format === 'tsv') dialect.delimiter = '\t';
+        const tabs = dialect.delimiter === '\t';
+        const lineTerminator = dialect.lineTerminator || '\n';
+        const columns = await storedColumns(meta);
+
+        res.attachment(tabs ? 'processed_data.tsv' : 'processed_data.csv');
+        res.type(tabs ? 'text/tab-separated-values' : 'text/csv');
+        if (req.body.bom) await write('\uFEFF');
+        let first = true;
+        for await (const rows of batches()) {
+            const lines = rows.map(row => formatCSVLine(columns.map(name => (row ? row[name] : '')), dialect));
+            if (first && dialect.header !== false) lines.unshift(formatCSVLine(columns, dialect));
+            await write((first ? '' : lineTerminator) + lines.join(lineTerminator));
+            first = false;
+        }
+        res.end();
+        return;
+    }
+
+    // JSON formats get their nesting back when the upload was flattened
+    const unflattener = flattening ? createUnflattener(flattening) : null;
+    const json = format === 'json';
+    res.attachment(json ? 'processed_data.json' : 'processed_data.jsonl');
+    res.type(json ? 'application/json' : 'application/x-ndjson');
+    if (req.body.bom) await write('\uFEFF');
+
+    // Same layout as JSON.stringify(records, null, 2)
+    let written = 0;
+    const writeRecords = async records => {
+        if (records.length === 0) return;
+        const text = json
+            ? records.map(record => '  ' + JSON.stringify(record, null, 2).replace(/\n/g, '\n  ')).join(',\n')
+            : records.map(record => JSON.stringify(record) + '\n').join('');
+        await write(json ? (written === 0 ? '[\n' : ',\n') + text : text);
+        written += records.length;
+    };
+    for await (const rows of batches()) {
+        await writeRecords(unflattener ? unflattener.push(rows) : rows);
+    }
+    if (unflattener) await writeRecords(unflattener.end());
+    if (json) await write(written === 0 ? '[]' : '\n]');
+    res.end();
+}
+
 // Export endpoint
-app.post('/api/export', (req, res) => {
+app.post('/api/export', async (req, res) => {
     try {
-        const { data, format } = req.body;
+        const { format } = req.body;
+
+        const piiError = validatePIIOptions(req.body.pii);
+        if (piiError) {
+            return res.status(400).json({ error: piiError });
+        }
 
-        let content, contentType, filename;
+        // Stored tables are streamed to downloads; anonymized and
+        // fine-tuning exports need every row first and are built in memory
+        const stored = req.body.datasetId ? datasetStore.getMeta(req.body.datasetId) : null;
+        if (req.body.download && stored && stored.tabular && !req.body.pii && STREAMED_FORMATS.includes(format)) {
+            return await streamExport(req, res, stored);
+        }
+
+        const source = await resolveDataset(req.body);
+        if (!source) {
+            return res.status(404).json({ error: 'Dataset not found' });
+        }
+        // Anonymize on the way out when asked to
+        const data = req.body.pii
+            ? redactData(source.data, req.body.pii, { secret: PII_HASH_SECRET }).data
+            : source.data;
+        const flattening = req.body.flattening || (source.meta && source.meta.flattening);
+
+        // Restore nesting for JSON formats when the upload was flattened
+        const records = flattening && Array.isArray(data) ? unflattenRecords(data, flattening) : data;
 
-        if (format === 'csv') {
-            content = dataToCSV(Array.isArray(data) ? data : [data]);
-            contentType = 'text/csv';
-            filename = 'processed_data.csv';
+        let content, contentType, filename, stats;
+
+        if (isFinetuneFormat(format)) {
+            if (!Array.isArray(data) || !data.every(row => row && typeof row === 'object' && !Array.isArray(row))) {
+                return res.status(400).json({ error: 'Fine-tuning exports need tabular data' });
+            }
+            // Redaction may drop columns, so check templates against what is exported
+            const schema = (!req.body.pii && source.meta && source.meta.schema) || inferSchema(data);
+            const options = req.body.finetune || {};
+            const finetuneError = validateFinetuneOptions(format, options, schema.columns.map(c => c.name));
+            if (finetuneError) {
+                return res.status(400).json({ error: finetuneError });
+            }
+            ({ content, contentType, filename, stats } = buildFinetuneExport(format, data, options));
+        } else if (format === 'csv' || format === 'tsv') {
+            const dialect = parseDialectOverrides(req.body.dialect);
+            if (format === 'tsv') dialect.delimiter = '\t';
+            content = stringifyCSV(Array.isArray(data) ? data : [data], dialect);
+            if (dialect.delimiter === '\t') {
+                contentType = 'text/tab-separated-values';
+                filename = 'processed_data.tsv';
+            } else {
+                contentType = 'text/csv';
+                filename = 'processed_data.csv';
+            }
+        } else if (format === 'xlsx') {
+            const rows = Array.isArray(data) ? data : [data];
+            const schema = (source.meta && source.meta.schema) || inferSchema(rows);
+            content = await writeWorkbook(rows, schema, { sheetName: 'Processed Data' });
+            contentType = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+            filename = 'processed_data.xlsx';
         } else if (format === 'json') {
-            content = JSON.stringify(data, null, 2);
+            content = JSON.stringify(records, null, 2);
             contentType = 'application/json';
             filename = 'processed_data.json';
+        } else if (format === 'jsonl') {
+            content = stringifyJSONL(records);
+            contentType = 'application/x-ndjson';
+            filename = 'processed_data.jsonl';
         } else {
             content = typeof data === 'string' ? data : JSON.stringify(data, null, 2);
             contentType = 'text/plain';
             filename = 'processed_data.txt';
         }
 
+        // A byte order mark makes Excel read the file as UTF-8
+        if (req.body.bom && typeof content === 'string') {
+            content = '\uFEFF' + content;
+        }
+
+        // Large exports are sent as a file rather than wrapped in JSON
+        if (req.body.download) {
+            res.attachment(filename);
+            res.type(contentType);
+            if (stats) {
+                // Header values must be ASCII; \u escapes keep the JSON valid
+                const header = JSON.stringify(stats).replace(/[\u007f-\uffff]/g, c => '\\u' + c.charCodeAt(0).toString(16).padStart(4, '0'));
+                res.set('X-Export-Stats', header);
+            }
+            return res.send(content);
+        }
+
+        // Binary formats travel as base64 inside JSON
+        const binary = Buffer.isBuffer(content);
         res.json({
             success: true,
-            content: content,
+            content: binary ? content.toString('base64') : content,
+            contentEncoding: binary ? 'base64' : 'utf-8',
             contentType: contentType,
-            filename: filename
+            filename: filename,
+            ...(stats ? { stats } : {})
         });
 
     } catch (error) {
         console.error('Export error:', error);
+        // A stream that fails part-way can only be cut off
+        if (res.headersSent) return res.destroy(error);
         res.status(500).json({ error: 'Export failed: ' + error.message });
     }
 });
@@ -280,41 +1584,84 @@ app.post('/api/export', (req, res) => {
 // Store trained models in memory (for demo purposes)
 const trainedModels = new Map();
 
-// ML Training endpoint - uses Gemini to simulate ML training
+// ML Training endpoint - uses the language model to simulate ML training
 app.post('/api/train', async (req, res) => {
     try {
-        const { data, targetColumn, modelType, testSplit } = req.body;
+        const { targetColumn, modelType, testSplit } = req.body;
 
-        if (!data || !targetColumn || !modelType) {
+        if ((!req.body.data && !req.body.datasetId) || !targetColumn || !modelType) {
             return res.status(400).json({ error: 'Data, target column, and model type are required' });
         }
 
+        const source = await resolveDataset(req.body);
+        if (!source) {
+            return res.status(404).json({ error: 'Dataset not found' });
+        }
+        const data = source.data;
+
         if (!Array.isArray(data) || data.length < 10) {
             return res.status(400).json({ error: 'Need at least 10 rows of data for training' });
         }
 
-        const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
+        const { client, error: llmError } = modelClient(req.body);
+        if (llmError) {
+            return res.status(400).json({ error: llmError });
+        }
+        const pii = piiOptions(req.body);
+        const piiError = validatePIIOptions(pii);
+        if (piiError) {
+            return res.status(400).json({ error: piiError });
+        }
 
-        // Get feature columns (all except target)
-        const allColumns = Object.keys(data[0]);
-        const featureColumns = allColumns.filter(col => col !== targetColumn);
+        await respondWithJob(req, res, 'train', { targetColumn, modelType, datasetId: req.body.datasetId || null }, async job => {
+            try {
+                return await trainWithAI(client, source, { targetColumn, modelType, testSplit, pii, useCache: readsCache(req.body) }, job);
+            } catch (error) {
+                if (!job.signal.aborted) console.error('Training error:', error);
+                throw aiError(error, 'Model training');
+            }
+        });
 
-        // Prepare data summary for AI
-        const dataSample = JSON.stringify(data.slice(0, 20), null, 2);
-        const dataStats = {
-            totalRows: data.length,
-            columns: allColumns,
-            targetColumn: targetColumn,
-            featureColumns: featureColumns,
-            testSplit: testSplit || 0.2
-        };
+    } catch (error) {
+        console.error('Training error:', error);
+        res.status(500).json({ error: 'Model training failed: ' + error.message });
+    }
+});
 
-        // Craft the ML training prompt with comprehensive data science info
-        const aiPrompt = `You are a machine learning expert and data scientist. Analyze this dataset and simulate training a ${modelType} model with comprehensive analysis.
+// Simulate training a model with the AI and keep its description for
+// predictions. Returns the response body for /api/train.
+async function trainWithAI(client, source, { targetColumn, modelType, testSplit, pii, useCache }, job) {
+    const data = source.data;
+
+    // Work on typed values so numeric features are numbers
+    const { data: typedData, schema } = applySchema(data);
+
+    // Get feature columns (all except target)
+    const allColumns = schema.columns.map(col => col.name);
+    const featureColumns = allColumns.filter(col => col !== targetColumn);
+    const featureSchema = schema.columns.filter(col => col.name !== targetColumn);
+    const numericalFeatures = featureSchema.filter(col => col.type === 'integer' || col.type === 'float');
+    const columnTypes = schema.columns.map(col => `${col.name} (${col.type})`).join(', ');
+
+    // Prepare data summary for AI, with personal data redacted
+    const redaction = pii ? redactData(typedData.slice(0, 20), pii, { secret: PII_HASH_SECRET }) : null;
+    const dataSample = JSON.stringify(redaction ? redaction.data : typedData.slice(0, 20), null, 2);
+    const dataStats = {
+        totalRows: data.length,
+        columns: allColumns,
+        targetColumn: targetColumn,
+        featureColumns: featureColumns,
+        testSplit: testSplit || 0.2
+    };
+
+    // Craft the ML training prompt with comprehensive data science info
+    const aiPrompt = `You are a machine learning expert and data scientist. Analyze this dataset and simulate training a ${modelType} model with comprehensive analysis.
 
 DATASET STATISTICS:
 - Total rows: ${dataStats.totalRows}
 - Feature columns: ${featureColumns.join(', ')}
+- Column types: ${columnTypes}
+- Numerical features: ${numericalFeatures.length}, other features: ${featureColumns.length - numericalFeatures.length}
 - Target column: ${targetColumn}
 - Test split: ${(dataStats.testSplit * 100)}%
 - Model type: ${modelType}
@@ -366,9 +1713,9 @@ RESPOND WITH ONLY THIS JSON FORMAT (no other text):
     "dataAnalysis": {
         "totalFeatures": ${featureColumns.length},
         "totalSamples": ${dataStats.totalRows},
-        "missingValues": <number 0-5>,
-        "categoricalFeatures": <number>,
-        "numericalFeatures": <number>,
+        "missingValues": ${schema.columns.reduce((sum, col) => sum + col.missing, 0)},
+        "categoricalFeatures": ${featureColumns.length - numericalFeatures.length},
+        "numericalFeatures": ${numericalFeatures.length},
         "targetDistribution": "<balanced or imbalanced for classification, continuous for regression>"
     },
     "modelSummary": "<2-3 sentence detailed analysis of model performance, strengths, and potential improvements>",
@@ -377,63 +1724,59 @@ RESPOND WITH ONLY THIS JSON FORMAT (no other text):
 
 Make all metrics realistic based on the data quality, size, and model type. Ensure feature importance values sum close to 1.0.`;
 
-        let result, response, responseText;
-        let retries = 3;
-        
-        while (retries > 0) {
-            try {
-                result = await model.generateContent(aiPrompt);
-                response = await result.response;
-                responseText = response.text().trim();
-                break;
-            } catch (retryError) {
-                retries--;
-                if (retries > 0) {
-                    await new Promise(resolve => setTimeout(resolve, 2000));
-                } else {
-                    throw retryError;
-                }
-            }
-        }
-
-        // Clean up response
-        responseText = responseText.replace(/```json\s*/gi, '').replace(/```\s*/g, '').trim();
-
-        let trainingResult;
+    const key = cache.cacheKey('train', {
+        data: cache.hashContent(data),
+        targetColumn,
+        modelType,
+        testSplit: dataStats.testSplit,
+        ...piiCacheParts(pii),
+        ...modelParams(client)
+    });
+    const hit = useCache ? cache.getCached(key) : null;
+
+    let trainingResult;
+    if (hit) {
+        trainingResult = hit.value;
+    } else {
+        job.progress(0, 1, 'Training');
+        const responseText = await client.generate(aiPrompt, job.signal);
         try {
-            trainingResult = JSON.parse(responseText);
+            trainingResult = llm.extractJSON(responseText, 'object').data;
         } catch (parseError) {
-            const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                trainingResult = JSON.parse(jsonMatch[0]);
-            } else {
-                throw new Error('Failed to parse training results');
-            }
+            throw new Error('Failed to parse training results');
         }
-
-        // Generate a model ID and store model info
-        const modelId = `model_${Date.now()}`;
-        trainedModels.set(modelId, {
-            modelType,
-            targetColumn,
-            featureColumns,
-            metrics: trainingResult.metrics,
-            trainedAt: new Date().toISOString(),
-            dataShape: { rows: data.length, features: featureColumns.length }
-        });
-
-        res.json({
-            success: true,
-            modelId: modelId,
-            ...trainingResult,
-            featureColumns: featureColumns
-        });
-
-    } catch (error) {
-        console.error('Training error:', error);
-        res.status(500).json({ error: 'Model training failed: ' + error.message });
+        cache.setCached(key, 'train', trainingResult, { targetColumn, modelType, ...modelParams(client) });
     }
-});
+
+    job.throwIfCancelled();
+
+    // Pseudonyms the model repeated in its summary go back in
+    if (redaction) trainingResult = restorePII(trainingResult, redaction.vault).data;
+
+    // Generate a model ID and store model info
+    const modelId = `model_${Date.now()}`;
+    trainedModels.set(modelId, {
+        modelType,
+        targetColumn,
+        featureColumns,
+        featureSchema,
+        metrics: trainingResult.metrics,
+        trainedAt: new Date().toISOString(),
+        dataShape: { rows: data.length, features: featureColumns.length }
+    });
+
+    job.progress(1, 1);
+    return {
+        success: true,
+        modelId: modelId,
+        ...trainingResult,
+        featureColumns: featureColumns,
+        featureSchema: featureSchema,
+        cached: Boolean(hit),
+        cachedAt: hit ? hit.createdAt : null,
+        pii: redaction ? { columns: redaction.columns, ...redaction.stats } : null
+    };
+}
 
 // Download trained model endpoint
 app.get('/api/model/:modelId/download', (req, res) => {
@@ -482,7 +1825,21 @@ app.post('/api/predict', async (req, res) => {
             return res.status(404).json({ error: 'Model not found. Please train a model first.' });
         }
 
-        const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
+        const { client, error: llmError } = modelClient(req.body);
+        if (llmError) {
+            return res.status(400).json({ error: llmError });
+        }
+        const pii = piiOptions(req.body);
+        const piiError = validatePIIOptions(pii);
+        if (piiError) {
+            return res.status(400).json({ error: piiError });
+        }
+
+        // Coerce form input to the types the model was trained on
+        const [typedInput] = coerceRows([inputData], { columns: modelInfo.featureSchema || [] });
+        // The input is redacted before it goes to the model
+        const redaction = pii ? redactData([typedInput], pii, { secret: PII_HASH_SECRET }) : null;
+        const modelInput = redaction ? redaction.data[0] : typedInput;
 
         // Craft prediction prompt
         const aiPrompt = `You are a machine learning prediction system. Based on the trained ${modelInfo.modelType} model, predict the ${modelInfo.targetColumn} value.
@@ -494,7 +1851,7 @@ MODEL INFO:
 - Model Accuracy: ${modelInfo.metrics.accuracy || modelInfo.metrics.r2Score}
 
 INPUT DATA FOR PREDICTION:
-${JSON.stringify(inputData, null, 2)}
+${JSON.stringify(modelInput, null, 2)}
 
 TASK: Provide a realistic prediction for the target column "${modelInfo.targetColumn}" based on the input values.
 
@@ -505,43 +1862,38 @@ RESPOND WITH ONLY THIS JSON FORMAT (no other text):
     "explanation": "<brief explanation of the prediction>"
 }`;
 
-        let result, response, responseText;
-        let retries = 3;
-        
-        while (retries > 0) {
-            try {
-                result = await model.generateContent(aiPrompt);
-                response = await result.response;
-                responseText = response.text().trim();
-                break;
-            } catch (retryError) {
-                retries--;
-                if (retries > 0) {
-                    await new Promise(resolve => setTimeout(resolve, 2000));
-                } else {
-                    throw retryError;
-                }
-            }
-        }
-
-        // Clean up response
-        responseText = responseText.replace(/```json\s*/gi, '').replace(/```\s*/g, '').trim();
+        const key = cache.cacheKey('predict', {
+            model: {
+                modelType: modelInfo.modelType,
+                targetColumn: modelInfo.targetColumn,
+                featureColumns: modelInfo.featureColumns,
+                metrics: modelInfo.metrics
+            },
+            input: typedInput,
+            ...piiCacheParts(pii),
+            ...modelParams(client)
+        });
+        const hit = readsCache(req.body) ? cache.getCached(key) : null;
 
         let predictionResult;
-        try {
-            predictionResult = JSON.parse(responseText);
-        } catch (parseError) {
-            const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                predictionResult = JSON.parse(jsonMatch[0]);
-            } else {
+        if (hit) {
+            predictionResult = hit.value;
+        } else {
+            const responseText = await client.generate(aiPrompt);
+            try {
+                predictionResult = llm.extractJSON(responseText, 'object').data;
+            } catch (parseError) {
                 throw new Error('Failed to parse prediction');
             }
+            cache.setCached(key, 'predict', predictionResult, { modelType: modelInfo.modelType, ...modelParams(client) });
         }
+        if (redaction) predictionResult = restorePII(predictionResult, redaction.vault).data;
 
         res.json({
             success: true,
-            ...predictionResult
+            ...predictionResult,
+            cached: Boolean(hit),
+            cachedAt: hit ? hit.createdAt : null
         });
 
     } catch (error) {
@@ -550,13 +1902,113 @@ RESPOND WITH ONLY THIS JSON FORMAT (no other text):
     }
 });
 
+// Background jobs, newest first
+app.get('/api/jobs', (req, res) => {
+    res.json({ jobs: jobs.listJobs() });
+});
+
+// One job, with its result once it has completed
+app.get('/api/jobs/:jobId', (req, res) => {
+    const job = jobs.getJob(req.params.jobId);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json({ ...jobs.describeJob(job), result: job.result });
+});
+
+// Job progress as server-sent events: "progress" on every change and a
+// final "done" when the job completes, fails or is cancelled
+app.get('/api/jobs/:jobId/events', (req, res) => {
+    const job = jobs.getJob(req.params.jobId);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+    const send = current => {
+        const event = jobs.isFinished(current) ? 'done' : 'progress';
+        res.write(`event: ${event}\ndata: ${JSON.stringify(jobs.describeJob(current))}\n\n`);
+        if (event === 'done') res.end();
+    };
+
+    send(job);
+    if (jobs.isFinished(job)) return;
+    const unsubscribe = jobs.subscribe(job.id, current => {
+        send(current);
+        if (jobs.isFinished(current)) unsubscribe();
+    });
+    req.on('close', unsubscribe);
+});
+
+// Cancel a queued or running job
+app.post('/api/jobs/:jobId/cancel', (req, res) => {
+    const job = jobs.cancelJob(req.params.jobId);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json({ success: true, ...jobs.describeJob(job) });
+});
+
+// Cache settings, size and entries
+app.get('/api/cache', (req, res) => {
+    res.json(cache.describeCache());
+});
+
+// Clear the cache, or only the entries of one kind (process, train, predict)
+app.delete('/api/cache', (req, res) => {
+    const kind = req.query.kind || null;
+    if (kind && !['process', 'train', 'predict'].includes(kind)) {
+        return res.status(400).json({ error: 'kind must be process, train or predict' });
+    }
+    res.json({ success: true, removed: cache.clearCache(kind) });
+});
+
+// Remove one cached answer
+app.delete('/api/cache/:key', (req, res) => {
+    if (!cache.deleteCached(req.params.key)) {
+        return res.status(404).json({ error: 'Cache entry not found' });
+    }
+    res.json({ success: true });
+});
+
+// Language model providers, the .env defaults and which are configured
+app.get('/api/llm', (req, res) => {
+    res.json(llm.describeProviders());
+});
+
 // Health check
 app.get('/api/health', (req, res) => {
     res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
-app.listen(PORT, () => {
-    console.log(`🚀 Dataset Preprocessor running at http://localhost:${PORT}`);
-    console.log(`📁 Upload your dataset and use AI to preprocess it!`);
-    console.log(`🤖 ML Training feature enabled!`);
-});
+// Remove expired datasets and cache entries now and then every hour
+function pruneExpiredDatasets() {
+    const removed = datasetStore.pruneDatasets(DATASET_TTL_HOURS * 60 * 60 * 1000);
+    if (removed > 0) {
+        console.log(`Removed ${removed} expired dataset(s)`);
+    }
+    const evicted = cache.pruneCache();
+    if (evicted > 0) {
+        console.log(`Removed ${evicted} cache entries`);
+    }
+}
+pruneExpiredDatasets();
+setInterval(pruneExpiredDatasets, 60 * 60 * 1000).unref();
+
+// Forget finished jobs and their results every ten minutes
+setInterval(() => jobs.pruneJobs(JOB_TTL_HOURS * 60 * 60 * 1000), 10 * 60 * 1000).unref();
+
+// Tests load the app without starting a server
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`🚀 Dataset Preprocessor running at http://localhost:${PORT}`);
+        console.log(`📁 Upload your dataset and use AI to preprocess it!`);
+        console.log(`🤖 ML Training feature enabled!`);
+    });
+}
+
+module.exports = app;
@@ -0,0 +1,187 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The app keeps its datasets, cache and recipes under the working
+// directory, so the tests run it in a scratch directory
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'preprocessor-test-'));
+process.chdir(workDir);
+// Small chunks, so a few dozen rows already take several
+process.env.AI_CHUNK_TOKENS = '100';
+
+const app = require('../server');
+const { PROVIDERS } = require('../lib/llm');
+
+const MOCK = { provider: 'mock' };
+const rows = Array.from({ length: 30 }, (_, i) => ({ id: i + 1, name: ` name ${i + 1} `, score: (i % 3) * 1.5 }));
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+async function post(route, body) {
+    const response = await fetch(baseUrl + route, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+test('/api/process rewrites rows in chunks and saves a version', async () => {
+    const { status, body } = await post('/api/process', { data: rows, prompt: 'Tidy the names', llm: MOCK, wait: true });
+
+    assert.equal(status, 200);
+    assert.ok(body.chunks.length > 1);
+    assert.equal(body.failedChunks, 0);
+    assert.ok(body.chunks.every(chunk => chunk.status === 'ok'));
+    assert.deepEqual(body.data, rows);
+    assert.equal(body.validation.passed, true);
+    assert.match(body.datasetId, /^ds_/);
+    assert.deepEqual(body.llm, { provider: 'mock', model: 'mock' });
+});
+
+test('/api/process answers repeated requests from the cache', async () => {
+    const request = { data: rows.slice(0, 5), prompt: 'Cache me', llm: MOCK, wait: true };
+    assert.equal((await post('/api/process', request)).body.cached, false);
+    const { cachedAt } = (await post('/api/process', request)).body;
+    assert.ok(cachedAt);
+
+    // cache: false refreshes the entry
+    assert.equal((await post('/api/process', { ...request, cache: false })).body.cached, false);
+    const refreshed = (await post('/api/process', request)).body;
+    assert.equal(refreshed.cached, true);
+    assert.ok(refreshed.cachedAt > cachedAt);
+});
+
+test('/api/plan returns a validated plan', async () => {
+    const { status, body } = await post('/api/plan', { data: rows, prompt: 'Clean the text', llm: MOCK });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.plan.steps, [{ op: 'trim_whitespace', params: {} }]);
+    assert.equal(body.sampleRows, 20);
+});
+
+test('/api/query runs the model\'s query over every row', async () => {
+    const { status, body } = await post('/api/query', { data: rows, question: 'How many rows?', llm: MOCK });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.rows, [{ rows: 30 }]);
+    assert.equal(body.matchedRows, 30);
+});
+
+test('/api/train reports the simulated model', async () => {
+    const { status, body } = await post('/api/train', {
+        data: rows,
+        targetColumn: 'score',
+        modelType: 'random-forest',
+        llm: MOCK,
+        wait: true
+    });
+
+    assert.equal(status, 200);
+    assert.match(body.modelId, /^model_/);
+    assert.equal(body.taskType, 'regression');
+    assert.deepEqual(body.featureColumns, ['id', 'name']);
+});
+
+test('/api/train reuses redacted answers within a run', async () => {
+    const people = rows.map(row => ({ ...row, email: `user${row.id}@example.com` }));
+    const request = { data: people, targetColumn: 'score', modelType: 'knn', pii: { policies: { email: 'hash' } }, llm: MOCK, wait: true };
+    assert.equal((await post('/api/train', request)).body.cached, false);
+    assert.equal((await post('/api/train', request)).body.cached, true);
+});
+
+test('a model that does not answer in time is reported as 504', async () => {
+    PROVIDERS.stalled = {
+        label: 'Stalled',
+        defaultModel: 'stalled',
+        configError: () => null,
+        generate: () => new Promise(() => {})
+    };
+    const { status, body } = await post('/api/plan', {
+        data: rows,
+        prompt: 'Clean the text',
+        llm: { provider: 'stalled', timeoutMs: 1000, retries: 0 }
+    });
+
+    assert.equal(status, 504);
+    assert.match(body.error, /did not answer in time/);
+});
+
+test('/api/process keeps columns that redaction dropped', async () => {
+    const people = rows.slice(0, 6).map(row => ({ id: row.id, email: `user${row.id}@example.com`, name: row.name }));
+    const { status, body } = await post('/api/process', {
+        data: people,
+        prompt: 'Tidy the names',
+        pii: { policies: { email: 'drop' } },
+        llm: MOCK,
+        wait: true
+    });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.data, people);
+    assert.deepEqual(Object.keys(body.data[0]), ['id', 'email', 'name']);
+    assert.equal(body.pii.droppedColumns, 1);
+});
+
+test('/api/recipes/:recipeId/run replays AI steps as a job', async () => {
+    const created = await post('/api/recipes', {
+        name: 'Tidy',
+        steps: [
+            { kind: 'operation', op: 'trim_whitespace' },
+            { kind: 'prompt', prompt: 'Fix the names', columns: ['name'] }
+        ]
+    });
+    const route = `/api/recipes/${created.body.recipe.id}/run`;
+    const request = { data: rows, llm: MOCK };
+
+    const { status, body } = await post(route, { ...request, wait: true });
+    assert.equal(status, 200);
+    assert.deepEqual(body.data, rows.map(row => ({ ...row, name: row.name.trim() })));
+    assert.deepEqual(body.log.map(entry => entry.status), ['ok', 'ok']);
+    assert.ok(body.log[1].details.chunks > 1);
+    assert.equal(body.log[1].details.cached, false);
+
+    const again = await post(route, { ...request, wait: true });
+    assert.equal(again.body.log[1].details.cached, true);
+
+    const queued = await post(route, request);
+    assert.equal(queued.status, 202);
+    assert.match(queued.body.jobId, /^job_/);
+
+    const failing = await post('/api/recipes', { name: 'Broken', steps: [{ kind: 'prompt', prompt: 'Fix', columns: ['zip'] }] });
+    const failed = await post(`/api/recipes/${failing.body.recipe.id}/run`, { ...request, wait: true });
+    assert.equal(failed.status, 422);
+    assert.match(failed.body.log[0].error, /Unknown column/);
+});
+
+test('a recipe run can be cancelled', async () => {
+    PROVIDERS.waiting = {
+        label: 'Waiting',
+        defaultModel: 'waiting',
+        configError: () => null,
+        generate: () => new Promise(() => {})
+    };
+    const created = await post('/api/recipes', { name: 'Slow', steps: [{ kind: 'prompt', prompt: 'Fix the names' }] });
+    const { body: started } = await post(`/api/recipes/${created.body.recipe.id}/run`, { data: rows, llm: { provider: 'waiting' } });
+
+    await post(`/api/jobs/${started.jobId}/cancel`, {});
+    let job;
+    do {
+        job = await (await fetch(`${baseUrl}/api/jobs/${started.jobId}`)).json();
+    } while (!['completed', 'failed', 'cancelled'].includes(job.status));
+    assert.equal(job.status, 'cancelled');
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Entries are stored under the working directory
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'preprocessor-test-'));
+process.chdir(workDir);
+test.after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+const cache = require('../lib/cache');
+
+test.beforeEach(() => {
+    cache.configureCache({ enabled: true, ttlMs: 60 * 60 * 1000, maxBytes: 1024 * 1024 });
+    cache.clearCache();
+});
+
+test('keys ignore object key order and undefined parts', () => {
+    const key = cache.cacheKey('process', { prompt: 'Tidy', data: cache.hashContent([{ a: 1, b: 2 }]), columns: undefined });
+    assert.match(key, /^[a-f0-9]{64}$/);
+    assert.equal(key, cache.cacheKey('process', { data: cache.hashContent([{ b: 2, a: 1 }]), prompt: 'Tidy' }));
+    assert.notEqual(key, cache.cacheKey('train', { data: cache.hashContent([{ a: 1, b: 2 }]), prompt: 'Tidy' }));
+    assert.notEqual(key, cache.cacheKey('process', { data: cache.hashContent([{ a: 1, b: 2 }]), prompt: 'Tidy', model: 'other' }));
+});
+
+test('stores, returns and replaces entries', () => {
+    const key = cache.cacheKey('process', { prompt: 'Tidy' });
+    assert.equal(cache.getCached(key), null);
+
+    cache.setCached(key, 'process', { data: [1] }, { prompt: 'Tidy' });
+    const entry = cache.getCached(key);
+    assert.deepEqual([entry.kind, entry.value, entry.info], ['process', { data: [1] }, { prompt: 'Tidy' }]);
+
+    cache.setCached(key, 'process', { data: [2] });
+    assert.deepEqual(cache.getCached(key).value, { data: [2] });
+    assert.equal(cache.getCached('../../etc/passwd'), null);
+    assert.equal(cache.setCached('not-a-key', 'process', {}), null);
+});
+
+test('a disabled cache neither reads nor writes', () => {
+    const key = cache.cacheKey('process', { prompt: 'Off' });
+    cache.setCached(key, 'process', 1);
+    cache.configureCache({ enabled: false });
+    assert.equal(cache.getCached(key), null);
+    assert.equal(cache.setCached(cache.cacheKey('process', { prompt: 'Other' }), 'process', 2), null);
+
+    cache.configureCache({ enabled: true });
+    assert.equal(cache.describeCache().count, 1);
+});
+
+test('expired entries are not returned and are pruned', () => {
+    const key = cache.cacheKey('process', { prompt: 'Old' });
+    cache.setCached(key, 'process', 1);
+    cache.setCached(cache.cacheKey('train', { prompt: 'Old' }), 'train', 2);
+
+    cache.configureCache({ ttlMs: -1 });
+    assert.equal(cache.getCached(key), null);
+    assert.equal(cache.pruneCache(), 1);
+    assert.equal(cache.describeCache().count, 0);
+});
+
+test('evicts the least recently used entries past the size limit', () => {
+    const value = 'x'.repeat(400);
+    const keys = ['a', 'b', 'c'].map(prompt => cache.cacheKey('process', { prompt }));
+    const past = new Date(Date.now() - 60 * 1000);
+    cache.setCached(keys[0], 'process', value);
+    cache.setCached(keys[1], 'process', value);
+    fs.utimesSync(path.join('uploads', 'cache', `${keys[0]}.json`), past, past);
+    fs.utimesSync(path.join('uploads', 'cache', `${keys[1]}.json`), new Date(past.getTime() + 1000), new Date(past.getTime() + 1000));
+    // A hit counts as a use
+    cache.getCached(keys[0]);
+
+    cache.configureCache({ maxBytes: 1200 });
+    cache.setCached(keys[2], 'process', value);
+    assert.deepEqual(cache.describeCache().entries.map(entry => entry.key).sort(), [keys[0], keys[2]].sort());
+    assert.equal(cache.setCached(cache.cacheKey('process', { prompt: 'huge' }), 'process', 'x'.repeat(2000)), null);
+});
+
+test('describes and clears entries by kind', () => {
+    cache.setCached(cache.cacheKey('process', { prompt: 'p' }), 'process', 1, { prompt: 'p' });
+    cache.setCached(cache.cacheKey('train', { prompt: 't' }), 'train', 2);
+
+    const described = cache.describeCache();
+    assert.equal(described.count, 2);
+    assert.equal(described.ttlHours, 1);
+    assert.ok(described.entries.every(entry => entry.value === undefined && entry.bytes > 0));
+    assert.equal(cache.clearCache('train'), 1);
+    const [remaining] = cache.describeCache().entries;
+    assert.equal(remaining.kind, 'process');
+    assert.equal(cache.deleteCached(remaining.key), true);
+    assert.equal(cache.deleteCached(remaining.key), false);
+});
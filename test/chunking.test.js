@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ROW_KEY, createChunks, checkChunkRows, processInChunks } = require('../lib/chunking');
+
+const rows = Array.from({ length: 10 }, (_, i) => ({ n: i }));
+const chunk = { index: 1, start: 4, rows: rows.slice(4, 7) };
+const tagged = chunk.rows.map((row, offset) => ({ [ROW_KEY]: chunk.start + offset, ...row }));
+
+// The rows a chunk prompt asks the model to process
+function promptRows(prompt) {
+    return JSON.parse(prompt.split('ROWS TO PROCESS:\n')[1].split('\n\nRESPOND')[0]);
+}
+
+// A generate stub that answers each prompt with reply(rows, call)
+function stub(reply) {
+    const calls = [];
+    const generate = async prompt => {
+        calls.push(prompt);
+        return JSON.stringify(reply(promptRows(prompt), calls.length));
+    };
+    return { generate, calls };
+}
+
+const options = { maxRows: 3, retryDelayMs: 0 };
+
+test('createChunks respects the row and token limits', () => {
+    assert.deepEqual(createChunks(rows, { maxRows: 4 }).map(c => [c.start, c.rows.length]), [[0, 4], [4, 4], [8, 2]]);
+    assert.equal(createChunks(rows, { maxTokens: 5 }).length, rows.length);
+});
+
+test('checkChunkRows puts rows back in input order and removes the row key', () => {
+    const { data, rowsDropped } = checkChunkRows(chunk, [tagged[2], tagged[0], tagged[1]]);
+    assert.deepEqual(data, chunk.rows);
+    assert.equal(rowsDropped, 0);
+    assert.deepEqual(checkChunkRows(chunk, tagged, { keepRowKey: true }).data, tagged);
+});
+
+test('checkChunkRows rejects unknown, repeated and dropped rows', () => {
+    assert.throws(() => checkChunkRows(chunk, { rows: tagged }), /not a JSON array/);
+    assert.throws(() => checkChunkRows(chunk, [...tagged, { [ROW_KEY]: 7, n: 7 }]), /unknown __row \(7\)/);
+    assert.throws(() => checkChunkRows(chunk, [{ n: 4 }, ...tagged.slice(1)]), /missing or unknown __row/);
+    assert.throws(() => checkChunkRows(chunk, [{ ...tagged[0], [ROW_KEY]: '4' }, ...tagged.slice(1)]), /unknown __row \("4"\)/);
+    assert.throws(() => checkChunkRows(chunk, [...tagged, tagged[1]]), /more than once: __row 5/);
+    assert.throws(() => checkChunkRows(chunk, tagged.slice(1)), /1 row\(s\) missing/);
+});
+
+test('checkChunkRows allows the row changes the instruction asks for', () => {
+    const dropped = checkChunkRows(chunk, [tagged[0], tagged[2]], { rowChanges: { dropped: true } });
+    assert.deepEqual(dropped.data, [{ n: 4 }, { n: 6 }]);
+    assert.equal(dropped.rowsDropped, 1);
+
+    const split = checkChunkRows(chunk, [tagged[1], { ...tagged[0], part: 2 }, tagged[2], { ...tagged[0], part: 1 }],
+        { rowChanges: { repeated: true } });
+    // Rows split from one input row stay together, in the order returned
+    assert.deepEqual(split.data, [{ n: 4, part: 2 }, { n: 4, part: 1 }, { n: 5 }, { n: 6 }]);
+    assert.throws(() => checkChunkRows(chunk, tagged.slice(1), { rowChanges: { repeated: true } }), /missing/);
+    assert.throws(() => checkChunkRows(chunk, [...tagged, tagged[0]], { rowChanges: { dropped: true } }), /more than once/);
+});
+
+test('processInChunks runs every chunk and reassembles the rows in order', async () => {
+    const { generate, calls } = stub(input => input.map(row => ({ ...row, n: row.n * 2 })).reverse());
+    const progress = [];
+    const result = await processInChunks(rows, 'Double n', { ...options, generate, onProgress: p => progress.push(p) });
+
+    assert.deepEqual(result.data, rows.map(row => ({ n: row.n * 2 })));
+    assert.equal(calls.length, 4);
+    assert.ok(result.chunks.every(report => report.status === 'ok' && report.attempts === 1));
+    assert.deepEqual(progress.at(-1), { done: 4, total: 4, failed: 0 });
+});
+
+test('processInChunks retries an unusable answer', async () => {
+    const { generate, calls } = stub((input, call) => call === 1 ? input.slice(1) : input);
+    const result = await processInChunks(rows.slice(0, 3), 'Tidy', { ...options, generate });
+
+    assert.deepEqual(result.data, rows.slice(0, 3));
+    assert.equal(calls.length, 2);
+    assert.equal(result.chunks[0].attempts, 2);
+});
+
+test('processInChunks keeps the input rows of a chunk that keeps failing', async () => {
+    const { generate } = stub(input => input[0][ROW_KEY] === 3 ? input.concat(input) : input);
+    const progress = [];
+    const result = await processInChunks(rows, 'Tidy', { ...options, retries: 1, generate, keepRowKey: true, onProgress: p => progress.push(p) });
+
+    assert.deepEqual(result.data, rows.map((row, i) => ({ [ROW_KEY]: i, ...row })));
+    const failed = result.chunks[1];
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.attempts, 2);
+    assert.match(failed.error, /more than once/);
+    assert.deepEqual(progress.at(-1), { done: 4, total: 4, failed: 1 });
+});
+
+test('processInChunks tells the model whether rows may be left out', async () => {
+    const { generate, calls } = stub(input => input.filter(row => row.n % 2 === 0));
+    const result = await processInChunks(rows, 'Remove odd rows', { ...options, generate, rowChanges: { dropped: true } });
+
+    assert.deepEqual(result.data, rows.filter(row => row.n % 2 === 0));
+    assert.equal(result.chunks[0].rowsDropped, 1);
+    assert.match(calls[0], /Leave out rows the instruction removes/);
+    assert.doesNotMatch(calls[0], /Return every input row exactly once/);
+});
+
+test('processInChunks does not retry failed model calls', async () => {
+    let count = 0;
+    const generate = async () => {
+        count++;
+        throw Object.assign(new Error('rate limited'), { retryable: true });
+    };
+    await assert.rejects(processInChunks(rows.slice(0, 3), 'Tidy', { ...options, generate }), /All 1 chunk\(s\) failed: rate limited/);
+    assert.equal(count, 1);
+});
+
+test('processInChunks fails when every chunk fails', async () => {
+    const { generate } = stub(() => ({ not: 'an array' }));
+    await assert.rejects(processInChunks(rows, 'Tidy', { ...options, retries: 0, generate }), /All 4 chunk\(s\) failed/);
+});
+
+test('processInChunks stops when cancelled', async () => {
+    const controller = new AbortController();
+    const { generate, calls } = stub(input => {
+        controller.abort();
+        return input;
+    });
+    await assert.rejects(processInChunks(rows, 'Tidy', { ...options, concurrency: 1, generate, signal: controller.signal }), /cancelled/);
+    assert.equal(calls.length, 1);
+});
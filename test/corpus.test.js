@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateCorpusOptions, prepareCorpus, describeCorpus } = require('../lib/corpus');
+
+const text = [
+    'Café notes.  First sentence here. Second one follows!\r\n\r\nA new paragraph starts. It has\ttwo sentences.',
+    '---',
+    'Second document. Short.\n\n\n\nIts last paragraph is here. Another sentence closes it. And one more for luck.'
+].join('\n');
+
+// The cleaned text of each document, as the offsets refer to it
+function documents(source, options = {}) {
+    return prepareCorpus(source, { ...options, split: 'documents' }).rows.map(row => row.text);
+}
+
+function assertOffsets(rows, docs) {
+    rows.forEach(row => {
+        assert.equal(row.text, docs[row.document - 1].slice(row.start, row.end));
+        assert.equal(row.characters, row.text.length);
+    });
+}
+
+test('validates options', () => {
+    assert.equal(validateCorpusOptions({}), null);
+    assert.match(validateCorpusOptions({ split: 'words' }), /split must be one of/);
+    assert.match(validateCorpusOptions({ stripHTML: 'yes' }), /stripHTML must be true or false/);
+    assert.match(validateCorpusOptions({ language: 'not a language!' }), /Unknown language/);
+    assert.match(validateCorpusOptions({ chunkBy: 'tokens', chunkSize: 10, chunkOverlap: 10 }), /smaller than chunkSize/);
+    assert.match(validateCorpusOptions({ chunkBy: 'characters', chunkOverlap: -1 }), /chunkOverlap/);
+    assert.match(validateCorpusOptions({ minChars: 10, maxChars: 5 }), /minChars is above maxChars/);
+});
+
+test('cleans the text and splits it into documents and paragraphs', () => {
+    const docs = documents(text);
+    assert.equal(docs.length, 2);
+    assert.ok(docs[0].startsWith('Café notes. First sentence here.'));
+    assert.ok(docs[0].includes('It has two sentences.'));
+
+    const { rows, summary } = prepareCorpus(text);
+    assert.deepEqual(rows.map(row => row.chunk_id), ['d1-c1', 'd1-c2', 'd2-c1', 'd2-c2']);
+    assert.equal(rows[1].text, 'A new paragraph starts. It has two sentences.');
+    assert.deepEqual([summary.documents, summary.segments, summary.rows], [2, 4, 4]);
+    assertOffsets(rows, docs);
+});
+
+test('sentence rows point at their text in the document', () => {
+    const { rows } = prepareCorpus(text, { split: 'sentences' });
+    assert.deepEqual(rows.filter(row => row.document === 1).map(row => row.text), [
+        'Café notes.',
+        'First sentence here.',
+        'Second one follows!',
+        'A new paragraph starts.',
+        'It has two sentences.'
+    ]);
+    assertOffsets(rows, documents(text));
+});
+
+test('chunks repeat up to the overlap and always move forward', () => {
+    const options = { split: 'sentences', chunkBy: 'characters', chunkSize: 60, chunkOverlap: 25 };
+    const { rows, summary } = prepareCorpus(text, options);
+    assertOffsets(rows, documents(text));
+    assert.ok(rows.every(row => row.characters <= 60));
+
+    let overlapping = 0;
+    rows.forEach((row, i) => {
+        const previous = rows[i - 1];
+        if (!previous || previous.document !== row.document) return;
+        assert.ok(row.start > previous.start);
+        if (row.start < previous.end) {
+            overlapping++;
+            assert.ok(previous.end - row.start <= 25);
+        }
+    });
+    assert.ok(overlapping > 0);
+    assert.equal(describeCorpus(summary), `Split text into sentences, 60-character chunks (overlap 25): ${rows.length} rows from 2 document(s)`);
+});
+
+test('words longer than a chunk are cut, and rows outside the limits are dropped', () => {
+    const long = `${'x'.repeat(25)} tail`;
+    const { rows } = prepareCorpus(long, { split: 'documents', chunkBy: 'characters', chunkSize: 10 });
+    assert.deepEqual(rows.map(row => row.text), ['xxxxxxxxxx', 'xxxxxxxxxx', 'xxxxx tail']);
+    assertOffsets(rows, documents(long));
+
+    const limited = prepareCorpus(text, { split: 'sentences', minChars: 12, maxChars: 24 });
+    assert.ok(limited.rows.every(row => row.characters >= 12 && row.characters <= 24));
+    assert.ok(limited.summary.dropped.tooShort > 0 && limited.summary.dropped.tooLong > 0);
+});
+
+test('strips markup and boilerplate', () => {
+    const page = index => `<p>Menu</p><p>Story ${index} &amp; more.</p><script>track()</script><p>Page ${index} of 3</p>`;
+    const html = [1, 2, 3].map(page).join('\n---\n');
+    const { rows, summary } = prepareCorpus(html, { stripHTML: true, stripBoilerplate: true });
+
+    assert.deepEqual(rows.map(row => row.text), ['Story 1 & more.', 'Story 2 & more.', 'Story 3 & more.']);
+    assert.equal(summary.boilerplateLines, 6);
+});
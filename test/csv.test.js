@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCSV, createCSVParser, detectDialect, stringifyCSV } = require('../lib/csv');
+
+test('reads quoted fields with delimiters, escaped quotes and newlines', () => {
+    const { headers, data, errors } = parseCSV('name,quote\n"Smith, J","He said ""hi"""\n"multi\nline",x\r\n');
+
+    assert.deepEqual(headers, ['name', 'quote']);
+    assert.deepEqual(data, [
+        { name: 'Smith, J', quote: 'He said "hi"' },
+        { name: 'multi\nline', quote: 'x' }
+    ]);
+    assert.deepEqual(errors, []);
+});
+
+test('reports malformed rows against their source line', () => {
+    const { data, errors } = parseCSV('a,b\n1,2,3\n4\n"unterminated,5\n');
+
+    assert.deepEqual(data, [{ a: '4', b: '' }]);
+    assert.deepEqual(errors.map(error => [error.line, error.skipped]), [[2, true], [3, false], [4, true]]);
+    assert.match(errors[0].reason, /Expected 2 fields but found 3/);
+});
+
+test('gives the same rows however the text is split into chunks', () => {
+    const text = 'id,note\n1,"a, ""quoted""\nvalue"\n2,plain\n';
+    const rows = [];
+    const parser = createCSVParser({ delimiter: ',', quote: '"', header: true }, row => rows.push(row), () => {});
+    for (const char of text) parser.write(char);
+    parser.end();
+
+    assert.deepEqual(rows, parseCSV(text).data);
+    assert.equal(rows[0].note, 'a, "quoted"\nvalue');
+});
+
+test('writes fields that need quoting so they read back the same', () => {
+    const rows = [{ a: 'x,y', b: 'q"z' }, { a: 'l\nm', b: 'plain' }];
+    const text = stringifyCSV(rows);
+
+    assert.equal(text, 'a,b\n"x,y","q""z"\n"l\nm",plain');
+    assert.deepEqual(parseCSV(text).data, rows);
+});
+
+test('sniffs the delimiter, quote character and header row', () => {
+    assert.deepEqual(detectDialect('a;b;c\n1;2,5;3\n4;5;6\n'), { delimiter: ';', quote: '"', header: true });
+    assert.deepEqual(detectDialect('name\tage\nAnn\t31\nBo\t42\n'), { delimiter: '\t', quote: '"', header: true });
+    assert.deepEqual(detectDialect("'a'|'b'\n'1'|'2'\n"), { delimiter: '|', quote: "'", header: true });
+    assert.deepEqual(detectDialect('1,2\n3,4\n'), { delimiter: ',', quote: '"', header: false });
+});
+
+test('ignores delimiters inside quoted fields when sniffing', () => {
+    const dialect = detectDialect('id,comment\n1,"a; b; c"\n2,"d; e; f"\n3,"g; h; i"\n');
+    assert.equal(dialect.delimiter, ',');
+});
+
+test('files without a header get positional column names', () => {
+    const { headers, data } = parseCSV('1;2\n3;4\n', detectDialect('1;2\n3;4\n'));
+    assert.equal(headers.length, 2);
+    assert.deepEqual(data.map(row => Object.values(row)), [['1', '2'], ['3', '4']]);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Datasets are stored under the working directory
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'preprocessor-test-'));
+process.chdir(workDir);
+test.after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+const datasetStore = require('../lib/datasetStore');
+
+const HOUR = 60 * 60 * 1000;
+
+// Pretend a dataset was last used `hours` ago
+function age(id, hours) {
+    const then = new Date(Date.now() - hours * HOUR);
+    fs.utimesSync(path.join('uploads', 'datasets', id), then, then);
+}
+
+function usedAt(id) {
+    return fs.statSync(path.join('uploads', 'datasets', id)).mtimeMs;
+}
+
+test('stores rows and reads them back a page at a time', async () => {
+    const rows = Array.from({ length: 2500 }, (_, i) => ({ n: i }));
+    const meta = await datasetStore.saveDataset(rows, { type: 'json' });
+
+    assert.equal(meta.rowCount, 2500);
+    assert.equal(meta.index.length, 3);
+    assert.deepEqual(await datasetStore.readRows(meta.id, { offset: 1998, limit: 3 }), [{ n: 1998 }, { n: 1999 }, { n: 2000 }]);
+    assert.deepEqual((await datasetStore.loadDataset(meta.id)).data, rows);
+    assert.deepEqual(await datasetStore.readRows(meta.id, { offset: 3000 }), []);
+    assert.equal(datasetStore.getMeta('../secrets'), null);
+});
+
+test('coerces rows of text uploads to their schema and keeps documents whole', async () => {
+    const schema = { columns: [{ name: 'n', type: 'integer' }, { name: 'code', type: 'text' }] };
+    const csv = await datasetStore.saveDataset([{ n: '7', code: '007' }], { type: 'csv', schema });
+    const json = await datasetStore.saveDataset([{ n: '7', code: '007' }], { type: 'json', schema });
+    assert.deepEqual(await datasetStore.readRows(csv.id), [{ n: 7, code: '007' }]);
+    assert.deepEqual(await datasetStore.readRows(json.id), [{ n: '7', code: '007' }]);
+
+    const document = await datasetStore.saveDataset({ text: 'hello' });
+    assert.equal(document.tabular, false);
+    assert.deepEqual((await datasetStore.loadDataset(document.id)).data, { text: 'hello' });
+});
+
+test('lists the versions made from one upload', async () => {
+    const root = await datasetStore.saveDataset([{ a: 1 }]);
+    const child = await datasetStore.saveDataset([{ a: 2 }], { parentId: root.id, rootId: root.id });
+    await datasetStore.saveDataset([{ a: 3 }]);
+
+    const history = datasetStore.listVersions(child.id);
+    assert.equal(history.rootId, root.id);
+    assert.deepEqual(history.versions.map(version => version.id), [root.id, child.id]);
+    assert.equal(datasetStore.deleteDataset(child.id), true);
+    assert.equal(datasetStore.deleteDataset(child.id), false);
+});
+
+test('reading a dataset marks it as used', async () => {
+    const meta = await datasetStore.saveDataset([{ a: 1 }]);
+    age(meta.id, 48);
+    await datasetStore.readRows(meta.id, { limit: 1 });
+    assert.ok(usedAt(meta.id) > Date.now() - HOUR);
+
+    const document = await datasetStore.saveDataset('text');
+    age(document.id, 48);
+    await datasetStore.loadDataset(document.id);
+    assert.ok(usedAt(document.id) > Date.now() - HOUR);
+});
+
+test('prunes an upload and its versions together once none has been used', async () => {
+    for (const id of fs.readdirSync(path.join('uploads', 'datasets'))) datasetStore.deleteDataset(id);
+
+    const root = await datasetStore.saveDataset([{ a: 1 }]);
+    const child = await datasetStore.saveDataset([{ a: 2 }], { parentId: root.id, rootId: root.id });
+    const stale = await datasetStore.saveDataset([{ a: 3 }]);
+    age(root.id, 48);
+    age(stale.id, 48);
+
+    // The recent version keeps its old upload alive
+    assert.equal(datasetStore.pruneDatasets(24 * HOUR), 1);
+    assert.equal(datasetStore.getMeta(stale.id), null);
+    assert.ok(datasetStore.getMeta(root.id));
+
+    age(child.id, 30);
+    assert.equal(datasetStore.pruneDatasets(24 * HOUR), 2);
+    assert.equal(datasetStore.getMeta(root.id), null);
+    assert.equal(datasetStore.getMeta(child.id), null);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateDedupeOptions, findDuplicates, validateKeep, removeDuplicates } = require('../lib/dedupe');
+
+const rows = [
+    { id: 7, text: 'The quick brown fox jumps over the lazy dog', source: null },
+    { id: '007', text: 'Completely different sentence about cats and their naps', source: 'web' },
+    { id: ' 7 ', text: 'THE QUICK BROWN FOX JUMPS OVER THE LAZY DOG!!', source: 'book' },
+    { id: 8, text: 'the quick  brown fox    jumps over the lazy dog', source: null },
+    { id: null, text: '', source: 'web' }
+];
+const columns = ['id', 'text', 'source'];
+
+function members(result) {
+    return result.clusters.map(cluster => cluster.rows.map(row => row.index));
+}
+
+test('validates detection options', () => {
+    assert.equal(validateDedupeOptions({ textColumns: ['text'] }, columns), null);
+    assert.match(validateDedupeOptions({}, columns), /Choose text columns, key columns or both/);
+    assert.match(validateDedupeOptions({ keyColumns: ['zip'] }, columns), /Unknown column\(s\): zip/);
+    assert.match(validateDedupeOptions({ textColumns: 'text' }, columns), /textColumns must be a list/);
+    assert.match(validateDedupeOptions({ textColumns: ['text'], threshold: 0 }, columns), /threshold/);
+    assert.match(validateDedupeOptions({ textColumns: ['text'], keeper: 'best' }, columns), /keeper must be one of/);
+});
+
+test('clusters rows whose text matches after normalization', () => {
+    const result = findDuplicates(rows, { textColumns: ['text'] });
+
+    assert.deepEqual(members(result), [[0, 2, 3]]);
+    assert.ok(result.clusters[0].rows.every(row => row.similarity === 1));
+    assert.equal(result.summary.duplicateRows, 2);
+    assert.equal(result.summary.rowsInClusters, 3);
+    assert.ok(result.summary.bands > 0);
+});
+
+test('clusters rows by normalized keys, and by key and text together', () => {
+    assert.deepEqual(members(findDuplicates(rows, { keyColumns: ['id'] })), [[0, 1, 2]]);
+    // Row 1 has the key but other text; row 3 has the text but another key
+    assert.deepEqual(members(findDuplicates(rows, { keyColumns: ['id'], textColumns: ['text'] })), [[0, 2]]);
+});
+
+test('proposes a row to keep by the keeper rule', () => {
+    const keepers = rule => findDuplicates(rows, { textColumns: ['text'], keeper: rule }).clusters[0].keep;
+    // Only row 2 has every cell filled; row 3 has the longest text
+    assert.equal(keepers('most_complete'), 2);
+    assert.equal(keepers('first'), 0);
+    assert.equal(keepers('longest'), 3);
+});
+
+test('validateKeep accepts subsets of each cluster', () => {
+    const { clusters } = findDuplicates(rows, { textColumns: ['text'] });
+    assert.equal(validateKeep(undefined, clusters), null);
+    assert.equal(validateKeep({ 0: [0, 3] }, clusters), null);
+    assert.equal(validateKeep({ 0: 'all' }, clusters), null);
+    assert.match(validateKeep([], clusters), /must map cluster IDs/);
+    assert.match(validateKeep({ 1: [0] }, clusters), /Unknown cluster: 1/);
+    assert.match(validateKeep({ '00': [0] }, clusters), /Unknown cluster: 00/);
+    assert.match(validateKeep({ 0: [] }, clusters), /at least one row/);
+    assert.match(validateKeep({ 0: [0, 1] }, clusters), /Row\(s\) 1 are not in cluster 0/);
+});
+
+test('removeDuplicates drops the rows that are not kept', () => {
+    const { clusters } = findDuplicates(rows, { textColumns: ['text'] });
+
+    const proposed = removeDuplicates(rows, clusters);
+    assert.deepEqual(proposed.data, [rows[1], rows[2], rows[4]]);
+    assert.deepEqual(proposed.summary, { rowsBefore: 5, rowsAfter: 3, removed: 2, clusters: 1, clustersKeptWhole: 0 });
+
+    assert.deepEqual(removeDuplicates(rows, clusters, { 0: [0, 3] }).data, [rows[0], rows[1], rows[3], rows[4]]);
+    assert.equal(removeDuplicates(rows, clusters, { 0: 'all' }).summary.clustersKeptWhole, 1);
+});
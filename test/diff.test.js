@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { diffRows, mergeDiff, countRejected, validateReject } = require('../lib/diff');
+
+const base = [
+    { id: 1, v: 'a' },
+    { id: 2, v: 'b' },
+    { id: 2, v: 'c' },
+    { id: 3, v: 'd' },
+    { id: 4, v: 'e' }
+];
+const target = [
+    { id: 2, v: 'B' },
+    { id: 1, v: 'a' },
+    { id: 2, v: 'c' },
+    { id: 5, v: 'f' }
+];
+
+test('aligns repeated keys in order and places removed rows after the row they followed', () => {
+    const diff = diffRows(base, target, { key: 'id' });
+
+    assert.deepEqual(diff.pairs, [
+        { base: 1, target: 0 },
+        { base: 0, target: 1 },
+        { base: 2, target: 2 },
+        { base: 3, target: null },
+        { base: 4, target: null },
+        { base: null, target: 3 }
+    ]);
+    assert.deepEqual(diff.changes.map(change => [change.id, change.type, change.key]),
+        [[0, 'modified', '2'], [3, 'removed', '3'], [4, 'removed', '4'], [5, 'added', '5']]);
+    assert.deepEqual(diff.changes[0].cells, [{ column: 'v', before: 'b', after: 'B' }]);
+    assert.deepEqual(diff.summary, {
+        rowsAdded: 1,
+        rowsRemoved: 2,
+        rowsModified: 1,
+        rowsUnchanged: 2,
+        cellsModified: 1,
+        columnsAdded: 0,
+        columnsRemoved: 0
+    });
+});
+
+test('rows removed before any kept row come first', () => {
+    const diff = diffRows([{ id: 9 }, { id: 1 }], [{ id: 1 }], { key: 'id' });
+    assert.deepEqual(diff.pairs, [{ base: 0, target: null }, { base: 1, target: 0 }]);
+});
+
+test('values that print the same are unchanged and the key must exist', () => {
+    const diff = diffRows([{ n: 42, t: null }], [{ n: '42', t: '' }]);
+    assert.equal(diff.summary.rowsUnchanged, 1);
+    assert.throws(() => diffRows(base, target, { key: 'missing' }), /must exist in both versions/);
+});
+
+test('mergeDiff undoes rejected rows and cells', () => {
+    const diff = diffRows(base, target, { key: 'id' });
+
+    assert.deepEqual(mergeDiff(base, target, diff), target);
+    assert.deepEqual(mergeDiff(base, target, diff, { rows: [3, 5], cells: [{ row: 0, column: 'v' }] }), [
+        { id: 2, v: 'b' },
+        { id: 1, v: 'a' },
+        { id: 2, v: 'c' },
+        { id: 3, v: 'd' }
+    ]);
+    assert.deepEqual(mergeDiff(base, target, diff, { rows: [0] })[0], { id: 2, v: 'b' });
+});
+
+test('mergeDiff drops rejected added columns and restores rejected removed ones', () => {
+    const before = [{ id: 1, a: 1, old: 'x' }, { id: 2, a: 2, old: 'z' }];
+    const after = [{ id: 1, a: 5, added: 'y' }];
+    const diff = diffRows(before, after, { key: 'id' });
+    assert.deepEqual(diff.columns, { added: ['added'], removed: ['old'], common: ['id', 'a'] });
+
+    assert.deepEqual(mergeDiff(before, after, diff, { columns: ['old', 'added'] }), [{ id: 1, a: 5, old: 'x' }]);
+    // A restored row has no value for a column that was added
+    assert.deepEqual(mergeDiff(before, after, diff, { rows: [1] }), [
+        { id: 1, a: 5, added: 'y' },
+        { id: 2, a: 2, added: null }
+    ]);
+});
+
+test('countRejected counts only rejections that match a change', () => {
+    const diff = diffRows(base, target, { key: 'id' });
+    assert.equal(countRejected(diff, {
+        rows: [0, 3, 1, 99],
+        cells: [{ row: 0, column: 'v' }, { row: 0, column: 'id' }, { row: 1, column: 'v' }, { row: 3, column: 'v' }],
+        columns: ['v']
+    }), 3);
+
+    const columnDiff = diffRows([{ a: 1, old: 1 }], [{ a: 1, added: 2 }]);
+    assert.equal(countRejected(columnDiff, { columns: ['old', 'added', 'a'] }), 2);
+});
+
+test('validateReject checks the shape of a review', () => {
+    assert.equal(validateReject(undefined), null);
+    assert.equal(validateReject({ rows: [1], cells: [{ row: 0, column: 'v' }], columns: ['v'] }), null);
+    assert.match(validateReject([]), /must be an object/);
+    assert.match(validateReject({ rows: ['1'] }), /reject.rows/);
+    assert.match(validateReject({ cells: [{ row: 0 }] }), /reject.cells/);
+    assert.match(validateReject({ columns: [1] }), /reject.columns/);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { detectEncoding, detectFileEncoding, decodeBuffer, createDecodedStream, isSupportedEncoding } = require('../lib/encoding');
+
+const TEXT = 'name,city\nZoë,Málaga\nRené,Köln\n';
+
+function utf16be(text) {
+    return Buffer.from(text, 'utf16le').swap16();
+}
+
+test('reads byte order marks', () => {
+    assert.deepEqual(detectEncoding(Buffer.concat([Buffer.from([0xEF, 0xBB, 0xBF]), Buffer.from(TEXT)])), { encoding: 'utf-8', confidence: 1, bom: true });
+    assert.equal(detectEncoding(Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from(TEXT, 'utf16le')])).encoding, 'utf-16le');
+    assert.equal(detectEncoding(Buffer.concat([Buffer.from([0xFE, 0xFF]), utf16be(TEXT)])).encoding, 'utf-16be');
+});
+
+test('recognises UTF-16 without a byte order mark', () => {
+    assert.deepEqual(detectEncoding(Buffer.from(TEXT, 'utf16le')), { encoding: 'utf-16le', confidence: 0.8, bom: false });
+    assert.equal(detectEncoding(utf16be(TEXT)).encoding, 'utf-16be');
+    assert.equal(decodeBuffer(utf16be(TEXT), 'utf-16be'), TEXT);
+});
+
+test('falls back to Latin-1 or Windows-1252 when the bytes are not UTF-8', () => {
+    const latin1 = Buffer.from(TEXT, 'latin1');
+    assert.deepEqual(detectEncoding(latin1), { encoding: 'iso-8859-1', confidence: 0.6, bom: false });
+    assert.equal(decodeBuffer(latin1, 'latin1'), TEXT);
+
+    // 0x80 is the euro sign in Windows-1252 and a control code in Latin-1
+    const cp1252 = Buffer.concat([Buffer.from('price\n'), Buffer.from([0x80]), Buffer.from('5\n')]);
+    assert.equal(detectEncoding(cp1252).encoding, 'windows-1252');
+    assert.equal(decodeBuffer(cp1252, 'windows-1252'), 'price\n€5\n');
+});
+
+test('tells UTF-8 from plain ASCII', () => {
+    assert.deepEqual(detectEncoding(Buffer.from(TEXT)), { encoding: 'utf-8', confidence: 0.99, bom: false });
+    assert.equal(detectEncoding(Buffer.from('a,b\n1,2\n')).confidence, 0.9);
+    // A character cut off at the end of the sample is not an error
+    assert.equal(detectEncoding(Buffer.from('café').subarray(0, 4), true).encoding, 'utf-8');
+});
+
+test('decodes files to UTF-8 text while streaming', async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'preprocessor-encoding-')), 'data.csv');
+    fs.writeFileSync(file, Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from(TEXT, 'utf16le')]));
+    try {
+        const detected = detectFileEncoding(file);
+        assert.equal(detected.encoding, 'utf-16le');
+
+        let text = '';
+        for await (const chunk of createDecodedStream(file, detected.encoding, { highWaterMark: 7 })) text += chunk;
+        assert.equal(text, TEXT);
+    } finally {
+        fs.rmSync(path.dirname(file), { recursive: true, force: true });
+    }
+});
+
+test('accepts encodings by their common names', () => {
+    assert.equal(isSupportedEncoding('latin1'), true);
+    assert.equal(isSupportedEncoding('UTF8'), true);
+    assert.equal(isSupportedEncoding('klingon'), false);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isFinetuneFormat, validateFinetuneOptions, buildFinetuneExport } = require('../lib/finetune');
+
+const qa = [
+    { q: 'What is 2+2?', a: '4' },
+    { q: '  ', a: 'no question' },
+    { q: 'y'.repeat(400), a: 'z' }
+];
+
+test('validates options against the format and the columns', () => {
+    assert.equal(isFinetuneFormat('alpaca'), true);
+    assert.equal(isFinetuneFormat('toString'), false);
+
+    const columns = ['q', 'a', 'c', 'role', 'text'];
+    assert.equal(validateFinetuneOptions('alpaca', { instruction: '{{q}}', output: '{{a}}' }, columns), null);
+    assert.match(validateFinetuneOptions('alpaca', { instruction: '{{q}}' }, columns), /finetune.output is required/);
+    assert.match(validateFinetuneOptions('alpaca', { instruction: 1, output: '{{a}}' }, columns), /must be a template string/);
+    assert.match(validateFinetuneOptions('alpaca', { instruction: '{{ zip }}', output: '{{a}}' }, columns), /Unknown column\(s\): zip/);
+    assert.match(validateFinetuneOptions('alpaca', { instruction: '{{q}}', output: '{{a}}', conversationColumn: 'c' }, columns),
+        /only available for the chat format/);
+    assert.match(validateFinetuneOptions('alpaca', { instruction: '{{q}}', output: '{{a}}', maxTokens: 0 }, columns), /maxTokens/);
+    assert.match(validateFinetuneOptions('openai_chat', { user: '{{q}}' }, columns), /user and assistant templates/);
+    assert.match(validateFinetuneOptions('openai_chat', { roleColumn: 'role', contentColumn: 'text' }, columns), /conversationColumn/);
+    assert.match(validateFinetuneOptions('openai_chat', { roleColumn: 'role', conversationColumn: 'c' }, columns), /both/);
+    assert.match(validateFinetuneOptions('openai_chat', { user: '{{q}}', assistant: '{{a}}', roleMap: { bot: 'robot' } }, columns),
+        /Unknown role\(s\) in roleMap: robot/);
+});
+
+test('fills Alpaca templates and drops empty and overlong examples', () => {
+    const result = buildFinetuneExport('alpaca', qa, {
+        instruction: 'Answer: {{q}}',
+        output: '{{a}}',
+        system: 'Be brief',
+        maxTokens: 20
+    });
+
+    assert.deepEqual(JSON.parse(result.content), [{ instruction: 'Answer: What is 2+2?', input: '', output: '4', system: 'Be brief' }]);
+    assert.equal(result.filename, 'alpaca.json');
+    assert.deepEqual(result.stats.dropped, { empty: 1, tooLong: 1 });
+    assert.equal(result.stats.examples, 1);
+    assert.deepEqual(result.stats.tokens, { min: 8, max: 8, mean: 8, median: 8, p95: 8, total: 8 });
+    assert.equal(result.stats.tokensBeforeFilter.max, 105);
+});
+
+test('prompt / completion puts the system prompt first', () => {
+    const result = buildFinetuneExport('prompt_completion', qa.slice(0, 1), { prompt: 'Q: {{q}}', completion: '{{a}}', system: 'Be brief' });
+    assert.equal(result.content, '{"prompt":"Be brief\\n\\nQ: What is 2+2?","completion":"4"}\n');
+    assert.equal(result.contentType, 'application/x-ndjson');
+});
+
+test('chat exports group exchanges into conversations', () => {
+    const rows = [
+        { c: 1, q: 'Hi', a: 'Hello' },
+        { c: 2, q: 'Bye', a: '' },
+        { c: 1, q: 'How are you?', a: 'Fine' }
+    ];
+    const result = buildFinetuneExport('openai_chat', rows, { user: '{{q}}', assistant: '{{a}}', system: 'You help', conversationColumn: 'c' });
+    const lines = result.content.trim().split('\n').map(line => JSON.parse(line));
+
+    assert.deepEqual(lines, [{
+        messages: [
+            { role: 'system', content: 'You help' },
+            { role: 'user', content: 'Hi' },
+            { role: 'assistant', content: 'Hello' },
+            { role: 'user', content: 'How are you?' },
+            { role: 'assistant', content: 'Fine' }
+        ]
+    }]);
+    assert.deepEqual([result.stats.candidates, result.stats.dropped.empty], [2, 1]);
+});
+
+test('chat exports read one message per row with mapped roles', () => {
+    const rows = [
+        { c: 'a', role: 'System', text: 'From the data' },
+        { c: 'a', role: 'user', text: 'Hi' },
+        { c: 'a', role: 'narrator', text: 'aside' },
+        { c: 'a', role: 'bot', text: 'Hello' }
+    ];
+    const result = buildFinetuneExport('openai_chat', rows, {
+        conversationColumn: 'c',
+        roleColumn: 'role',
+        contentColumn: 'text',
+        roleMap: { bot: 'assistant' },
+        system: 'Configured'
+    });
+
+    // The data's own system message wins over the configured one
+    assert.deepEqual(JSON.parse(result.content).messages.map(m => [m.role, m.content]),
+        [['system', 'From the data'], ['user', 'Hi'], ['assistant', 'Hello']]);
+    assert.deepEqual(result.stats.unknownRoles, ['narrator']);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { hasNestedValues, flattenRecords, unflattenRecords, createUnflattener } = require('../lib/flatten');
+
+const orders = [
+    { id: 1, customer: { name: 'Ann', address: { city: 'Oslo' } }, tags: ['a', 'b'], items: [{ sku: 'x', qty: 2 }, { sku: 'y', qty: 1 }] },
+    { id: 2, customer: { name: 'Bo', address: { city: 'Rome' } }, tags: [], items: [] },
+    { id: 3, customer: { name: 'Cy', address: { city: 'Lima' } }, tags: ['c'], items: [{ sku: 'z', qty: 5 }] }
+];
+
+test('flattens nested objects into dotted columns and arrays into JSON', () => {
+    assert.equal(hasNestedValues(orders), true);
+    const { data, flattening } = flattenRecords(orders);
+
+    assert.deepEqual(data[0], {
+        id: 1,
+        'customer.name': 'Ann',
+        'customer.address.city': 'Oslo',
+        tags: '["a","b"]',
+        items: '[{"sku":"x","qty":2},{"sku":"y","qty":1}]'
+    });
+    assert.equal(flattening.explodePath, null);
+    assert.deepEqual(flattening.jsonColumns.sort(), ['items', 'tags']);
+    assert.deepEqual(unflattenRecords(data, flattening), orders);
+});
+
+test('explodes an array of objects into one row per element and back', () => {
+    const { data, flattening } = flattenRecords(orders, { arrays: 'explode' });
+
+    assert.equal(flattening.explodePath, 'items');
+    assert.equal(data.length, 4);
+    assert.deepEqual(data[1], {
+        __record: 0,
+        id: 1,
+        'customer.name': 'Ann',
+        'customer.address.city': 'Oslo',
+        tags: '["a","b"]',
+        'items.sku': 'y',
+        'items.qty': 1
+    });
+    assert.deepEqual(unflattenRecords(data, flattening), orders);
+});
+
+test('restores records the same way when rows arrive in batches', () => {
+    const { data, flattening } = flattenRecords(orders, { arrays: 'explode', separator: '/' });
+    const unflattener = createUnflattener(flattening);
+    const records = [
+        ...unflattener.push(data.slice(0, 1)),
+        ...unflattener.push(data.slice(1, 3)),
+        ...unflattener.push(data.slice(3)),
+        ...unflattener.end()
+    ];
+
+    assert.deepEqual(records, orders);
+});
+
+test('numbers records from indexOffset when flattening in batches', () => {
+    const { data } = flattenRecords(orders.slice(2), { arrays: 'explode', explodePath: 'items', indexOffset: 2 });
+    assert.equal(data[0].__record, 2);
+});
@@ -0,0 +1,77 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The dataset store lives under the working directory
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'preprocessor-ingest-'));
+process.chdir(workDir);
+
+const { ingestFile } = require('../lib/ingest');
+const { readRows } = require('../lib/datasetStore');
+
+after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+// Write a scratch file and ingest it under the given name
+async function ingest(filename, content, options = {}) {
+    const file = path.join(workDir, `upload-${Date.now()}-${Math.random().toString(16).slice(2)}`);
+    fs.writeFileSync(file, content);
+    try {
+        const meta = await ingestFile(file, filename, options);
+        return { meta, rows: meta.tabular ? await readRows(meta.id) : null };
+    } finally {
+        fs.unlinkSync(file);
+    }
+}
+
+test('JSON Lines values keep the types they were written with', async () => {
+    const records = [
+        { id: '123', code: '00123', note: '', n: 1 },
+        { id: '456', code: '00456', note: 'x', n: 2 },
+        { id: '789', code: '00789', note: '', n: 3 }
+    ];
+    const { meta, rows } = await ingest('data.jsonl', records.map(record => JSON.stringify(record)).join('\n'));
+
+    assert.equal(meta.schema.columns.find(column => column.name === 'id').type, 'integer');
+    assert.deepEqual(rows, records);
+});
+
+test('CSV values are converted to the inferred types', async () => {
+    const { rows } = await ingest('data.csv', 'id,zip,note\n1,02134,\n2,10001,hi\n');
+    assert.deepEqual(rows, [{ id: 1, zip: '02134', note: '' }, { id: 2, zip: '10001', note: 'hi' }]);
+});
+
+test('keeps the explode path chosen for the first nested batch', async () => {
+    // Enough records for several batches; arrays of objects only show up
+    // after the first batch has been written
+    const pad = 'x'.repeat(150);
+    const records = Array.from({ length: 1500 }, (_, i) => (i < 1000
+        ? { id: i, address: { city: `c${i}` }, pad }
+        : { id: i, address: { city: `c${i}` }, items: [{ sku: 'a' }, { sku: 'b' }], pad }));
+    const { meta, rows } = await ingest('nested.jsonl', records.map(record => JSON.stringify(record)).join('\n'), { arrays: 'explode' });
+
+    assert.equal(meta.flattening.explodePath, null);
+    assert.equal(rows.length, 1500);
+    assert.ok(rows.every(row => !('__record' in row)));
+    assert.equal(rows[1200].items, '[{"sku":"a"},{"sku":"b"}]');
+    assert.ok(meta.flattening.jsonColumns.includes('items'));
+});
+
+test('ingests UTF-16 and Latin-1 files as UTF-8 text', async () => {
+    const text = 'name,city\nZoë,Málaga\nRené,Köln\n';
+    const expected = [{ name: 'Zoë', city: 'Málaga' }, { name: 'René', city: 'Köln' }];
+
+    const utf16 = await ingest('utf16.csv', Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from(text, 'utf16le')]));
+    assert.equal(utf16.meta.encoding.encoding, 'utf-16le');
+    assert.deepEqual(utf16.rows, expected);
+
+    const latin1 = await ingest('latin1.csv', Buffer.from(text, 'latin1'));
+    assert.equal(latin1.meta.encoding.encoding, 'iso-8859-1');
+    assert.deepEqual(latin1.rows, expected);
+
+    // A forced encoding wins, and what was detected is still reported
+    const forced = await ingest('forced.csv', Buffer.from(text, 'latin1'), { encoding: 'windows-1252' });
+    assert.deepEqual(forced.meta.encoding, { ...latin1.meta.encoding, encoding: 'windows-1252', forced: true });
+    assert.deepEqual(forced.rows, expected);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jobs = require('../lib/jobs');
+
+// A promise with its resolve function, to hold a job at a known point
+function deferred() {
+    let resolve;
+    const promise = new Promise(done => {
+        resolve = done;
+    });
+    return { promise, resolve };
+}
+
+test('runs a job and keeps its result and progress', async () => {
+    const seen = [];
+    const job = jobs.createJob('test', async ({ progress }) => {
+        progress(1, 2, 'halfway');
+        return { answer: 42 };
+    }, { name: 'first' });
+    const unsubscribe = jobs.subscribe(job.id, current => seen.push(current.status));
+
+    const finished = await jobs.waitForJob(job.id);
+    unsubscribe();
+    assert.equal(finished.status, 'completed');
+    assert.deepEqual(finished.result, { answer: 42 });
+    assert.deepEqual(finished.progress, { done: 1, total: 2, message: 'halfway' });
+    assert.equal(seen.at(-1), 'completed');
+    assert.equal(jobs.describeJob(finished).result, undefined);
+    assert.equal(jobs.getJob('nope'), null);
+});
+
+test('a failed job keeps the error status and details', async () => {
+    const job = jobs.createJob('test', async () => {
+        throw Object.assign(new Error('Rejected'), { status: 422, details: { validation: 'x' } });
+    });
+    const finished = await jobs.waitForJob(job.id);
+    assert.deepEqual([finished.status, finished.error, finished.errorStatus, finished.errorDetails],
+        ['failed', 'Rejected', 422, { validation: 'x' }]);
+
+    const plain = await jobs.waitForJob(jobs.createJob('test', async () => {
+        throw new Error('Broken');
+    }).id);
+    assert.equal(plain.errorStatus, 500);
+});
+
+test('queues jobs beyond the concurrency limit and cancels queued ones at once', async () => {
+    jobs.setConcurrency(1);
+    const gate = deferred();
+    const first = jobs.createJob('test', () => gate.promise);
+    const second = jobs.createJob('test', async () => 'second');
+    const third = jobs.createJob('test', async () => 'third');
+    assert.deepEqual([first.status, second.status, third.status], ['running', 'queued', 'queued']);
+
+    jobs.cancelJob(second.id);
+    assert.equal(second.status, 'cancelled');
+
+    gate.resolve('first');
+    assert.equal((await jobs.waitForJob(third.id)).result, 'third');
+    assert.equal(first.status, 'completed');
+    jobs.setConcurrency(2);
+});
+
+test('cancelling a running job aborts its signal', async () => {
+    const job = jobs.createJob('test', ({ signal, throwIfCancelled }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => {
+            try {
+                throwIfCancelled();
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }));
+    jobs.cancelJob(job.id);
+
+    const finished = await jobs.waitForJob(job.id);
+    assert.equal(finished.status, 'cancelled');
+    assert.equal(finished.error, null);
+    // Finished jobs are left alone
+    assert.equal(jobs.cancelJob(job.id).status, 'cancelled');
+});
+
+test('lists jobs newest first and prunes finished ones', async () => {
+    const listed = jobs.listJobs();
+    assert.ok(listed.length >= 6);
+    assert.ok(listed.every((job, i) => i === 0 || listed[i - 1].createdAt >= job.createdAt));
+
+    assert.equal(jobs.pruneJobs(60 * 60 * 1000), 0);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    assert.equal(jobs.pruneJobs(0), listed.length);
+    assert.deepEqual(jobs.listJobs(), []);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createJSONLParser, createJSONArrayParser, parseJSONL, looksLikeJSONL, stringifyJSONL } = require('../lib/jsonl');
+
+test('skips bad lines and reports them by line number', () => {
+    const { data, errors } = parseJSONL('\uFEFF{"a":1}\n\nnot json\n[1,2]\n{"a":2}\r\n{"a":');
+
+    assert.deepEqual(data, [{ a: 1 }, { value: [1, 2] }, { a: 2 }]);
+    assert.deepEqual(errors.map(error => [error.line, error.skipped]), [[3, true], [6, true]]);
+    assert.match(errors[0].reason, /^Invalid JSON/);
+});
+
+test('joins lines and CRLF pairs split across chunks', () => {
+    const rows = [];
+    const errors = [];
+    const parser = createJSONLParser(row => rows.push(row), error => errors.push(error));
+    ['{"a":', '1}\r', '\n{"b', '":2}'].forEach(chunk => parser.write(chunk));
+    parser.end();
+
+    assert.deepEqual(rows, [{ a: 1 }, { b: 2 }]);
+    assert.deepEqual(errors, []);
+});
+
+test('streams the elements of a top-level JSON array', () => {
+    const rows = [];
+    const parser = createJSONArrayParser(row => rows.push(row), () => {});
+    ['[{"a":1},', ' {"a":"x]"}', ',{"a":[3]}]'].forEach(chunk => parser.write(chunk));
+
+    assert.deepEqual(parser.end(), { isArray: true });
+    assert.deepEqual(rows, [{ a: 1 }, { a: 'x]' }, { a: [3] }]);
+});
+
+test('tells JSON Lines from a JSON document', () => {
+    assert.equal(looksLikeJSONL('{"a":1}\n{"a":2}\n{"a":3}'), true);
+    assert.equal(looksLikeJSONL('[{"a":1},\n{"a":2}]'), false);
+});
+
+test('writes one value per line and reads it back', () => {
+    const rows = [{ a: 1, text: 'line\nbreak' }, { a: 2, text: null }];
+    const text = stringifyJSONL(rows);
+
+    assert.equal(text.split('\n').length, 3);
+    assert.deepEqual(parseJSONL(text).data, rows);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PROVIDERS, createClient, extractJSON } = require('../lib/llm');
+
+// A provider that fails `failures` times with the given error before
+// answering; calls are counted so the tests can see how often it ran
+function fakeProvider(name, { failures = 0, error = () => Object.assign(new Error('overloaded'), { retryable: true }), delayMs = 0 } = {}) {
+    const calls = { count: 0, signals: [] };
+    PROVIDERS[name] = {
+        label: name,
+        defaultModel: 'fake',
+        configError: () => null,
+        generate: async (prompt, config, signal) => {
+            calls.count++;
+            calls.signals.push(signal);
+            if (delayMs) await new Promise(resolve => setTimeout(resolve, delayMs));
+            if (calls.count <= failures) throw error();
+            return `  reply to ${prompt}  `;
+        }
+    };
+    return calls;
+}
+
+test('retries retryable failures and reports each retry', async () => {
+    const calls = fakeProvider('flaky', { failures: 2 });
+    const retries = [];
+    const { client, error } = createClient({ provider: 'flaky', retries: 3, retryDelayMs: 0 }, { onRetry: retry => retries.push(retry) });
+    assert.equal(error, null);
+
+    assert.equal(await client.generate('hi'), 'reply to hi');
+    assert.equal(calls.count, 3);
+    assert.deepEqual(retries.map(retry => retry.retriesLeft), [3, 2]);
+    assert.equal(retries[0].provider, 'flaky');
+});
+
+test('gives up after the configured retries', async () => {
+    const calls = fakeProvider('down', { failures: 10 });
+    const { client } = createClient({ provider: 'down', retries: 2, retryDelayMs: 0 });
+
+    await assert.rejects(client.generate('hi'), error => error.retryable && error.message === 'overloaded');
+    assert.equal(calls.count, 3);
+});
+
+test('does not retry other errors', async () => {
+    const calls = fakeProvider('broken', { failures: 1, error: () => new Error('Invalid API key') });
+    const { client } = createClient({ provider: 'broken', retries: 3, retryDelayMs: 0 });
+
+    await assert.rejects(client.generate('hi'), /Invalid API key/);
+    assert.equal(calls.count, 1);
+});
+
+test('times out slow calls and aborts their signal', async () => {
+    const calls = fakeProvider('slow', { delayMs: 1500 });
+    const { client } = createClient({ provider: 'slow', timeoutMs: 1000, retries: 0 });
+
+    await assert.rejects(client.generate('hi'), error => error.timeout === true && error.retryable === true);
+    assert.equal(calls.signals[0].aborted, true);
+});
+
+test('stops when the caller cancels', async () => {
+    fakeProvider('cancelled', { delayMs: 200 });
+    const { client } = createClient({ provider: 'cancelled', retries: 3, retryDelayMs: 0 });
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 20);
+
+    await assert.rejects(client.generate('hi', controller.signal), error => error.cancelled === true);
+});
+
+test('rejects bad overrides', () => {
+    assert.match(createClient({ provider: 'nope' }).error, /Unknown provider/);
+    assert.match(createClient({ retries: 99 }).error, /llm.retries/);
+});
+
+test('the mock provider answers offline', async () => {
+    const { client } = createClient({ provider: 'mock' });
+    const reply = await client.generate('ROWS TO PROCESS:\n[{"__row":0,"a":1}]\n\nRESPOND WITH ONLY THE JSON ARRAY:');
+    assert.deepEqual(extractJSON(reply, 'array').data, [{ __row: 0, a: 1 }]);
+});
+
+test('extractJSON recovers JSON from surrounding text and flags truncation', () => {
+    assert.deepEqual(extractJSON('```json\n[1, 2]\n```').data, [1, 2]);
+    const recovered = extractJSON('Here you go: {"a": 1} hope it helps', 'object');
+    assert.deepEqual(recovered.data, { a: 1 });
+    assert.equal(recovered.recovered, true);
+    assert.throws(() => extractJSON('[{"a": 1}, {"a"', 'array'), error => error.truncated === true);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateOperations, runOperations } = require('../lib/operations');
+
+const rename = mapping => [{ op: 'rename_columns', params: { mapping } }];
+
+test('rejects renames onto a column that keeps its name', () => {
+    assert.match(validateOperations(rename({ a: 'b' }), ['a', 'b']), /Column "b" already exists/);
+    assert.equal(validateOperations(rename({ a: 'c' }), ['a', 'b']), null);
+});
+
+test('rejects renaming several columns to one name', () => {
+    assert.match(validateOperations(rename({ a: 'c', b: 'c' })), /Several columns would be renamed to "c"/);
+    assert.match(validateOperations(rename({ a: '' }), ['a']), /non-empty text/);
+});
+
+test('allows swapping column names', () => {
+    const steps = rename({ a: 'b', b: 'a' });
+    assert.equal(validateOperations(steps, ['a', 'b']), null);
+    assert.deepEqual(runOperations([{ a: 1, b: 2 }], steps).data, [{ b: 1, a: 2 }]);
+});
+
+test('checks renames against the columns earlier steps leave', () => {
+    const steps = [
+        { op: 'drop_columns', params: { columns: ['b'] } },
+        { op: 'rename_columns', params: { mapping: { a: 'b' } } }
+    ];
+    assert.equal(validateOperations(steps, ['a', 'b']), null);
+});
+
+test('prefix and suffix need a value', () => {
+    const step = fn => [{ op: 'map_column', params: { column: 'a', function: fn } }];
+    assert.match(validateOperations(step('prefix'), ['a']), /"prefix" needs a value/);
+    assert.match(validateOperations(step('suffix'), ['a']), /"suffix" needs a value/);
+
+    const steps = [{ op: 'map_column', params: { column: 'a', function: 'prefix', value: '#' } }];
+    assert.deepEqual(runOperations([{ a: 'x' }, { a: '' }], steps).data, [{ a: '#x' }, { a: '' }]);
+});
+
+test('rejects patterns that could backtrack without end, up front', () => {
+    const filter = value => [{ op: 'filter', params: { conditions: [{ column: 'a', operator: 'matches', value }] } }];
+    assert.match(validateOperations(filter('(a+)+$'), ['a']), /repeats a group/);
+    assert.match(validateOperations(filter('x'.repeat(201)), ['a']), /longer than 200/);
+    assert.match(validateOperations(filter('('), ['a']), /Invalid pattern/);
+    assert.equal(validateOperations(filter('^[a-z]+@\\w+\\.com$'), ['a']), null);
+
+    const replace = pattern => [{ op: 'map_column', params: { column: 'a', function: 'replace', pattern, regex: true } }];
+    assert.match(validateOperations(replace('(\\w*)*'), ['a']), /repeats a group/);
+    assert.equal(validateOperations([{ op: 'map_column', params: { column: 'a', function: 'replace', pattern: '(\\w*)*' } }], ['a']), null);
+});
+
+test('refuses unchecked patterns at run time too', () => {
+    const steps = [{ op: 'filter', params: { conditions: [{ column: 'a', operator: 'matches', value: '(a+)+$' }] } }];
+    assert.throws(() => runOperations([{ a: 'aaa' }], steps), /repeats a group/);
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scanData, redactData, restorePII } = require('../lib/pii');
+
+test('does not take coordinates for phone numbers', () => {
+    const rows = [
+        { lat: 37.7749295, lng: -122.4194155, where: '37.7749295', phone: '+1 415 555 0100' },
+        { lat: 40.7127753, lng: -74.0059728, where: '-74.0059728', phone: '(415) 555-0199' }
+    ];
+    const { columns } = scanData(rows);
+    assert.deepEqual(columns.map(column => column.name), ['phone']);
+    assert.deepEqual(redactData(rows, { policies: { '*': 'mask' } }).data.map(row => row.lat), [37.7749295, 40.7127753]);
+});
+
+test('finds personal data anywhere in a column when redacting', () => {
+    const rows = Array.from({ length: 1500 }, (_, i) => ({ note: i === 1400 ? 'mail ann@example.com' : `row ${i}` }));
+    assert.equal(scanData(rows).columns.length, 0);
+
+    const { data, columns } = redactData(rows, { policies: { '*': 'pseudonymize' } });
+    assert.deepEqual(columns.map(column => column.name), ['note']);
+    assert.equal(data[1400].note, 'mail [[EMAIL_1]]');
+});
+
+test('pseudonyms are restored after the model answers', () => {
+    const rows = [{ name: 'Ann Lee', email: 'ann@example.com' }, { name: 'Bo Chan', email: 'bo@example.com' }];
+    const redaction = redactData(rows, { policies: { '*': 'pseudonymize' } });
+    assert.equal(redaction.data[0].email, '[[EMAIL_1]]');
+    assert.equal(redaction.data[1].name, '[[PERSON_NAME_2]]');
+
+    const answer = redaction.data.map(row => ({ ...row, greeting: `Hi ${row.name}` }));
+    const restored = restorePII(answer, redaction.vault);
+    assert.deepEqual(restored.data[1], { name: 'Bo Chan', email: 'bo@example.com', greeting: 'Hi Bo Chan' });
+    assert.equal(restored.unknown, 0);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { profileData, renderProfileHTML } = require('../lib/profile');
+
+// Column a has one far outlier (row 20); column b has a milder one (row 0)
+// that is outside the IQR fences but under three standard deviations
+const rows = Array.from({ length: 21 }, (_, i) => ({
+    a: i < 20 ? i + 1 : 100,
+    b: i === 0 ? 34 : i,
+    name: i % 2 ? ' padded ' : 'plain',
+    note: i < 15 ? null : 'x'
+}));
+
+test('counts IQR and z-score outliers per column and by row', () => {
+    const profile = profileData(rows);
+    const [a, b] = profile.columns;
+
+    assert.deepEqual(a.numeric, { min: 1, max: 100, mean: 14.7619, median: 11, std: 20.364, q1: 6, q3: 16 });
+    assert.deepEqual(a.outliers, { iqr: { count: 1, lower: -9, upper: 31 }, zscore: { count: 1, threshold: 3 } });
+    assert.equal(b.outliers.iqr.count, 1);
+    assert.equal(b.outliers.zscore.count, 0);
+    assert.deepEqual(profile.outliers, { iqr: { rows: 2, multiplier: 1.5 }, zscore: { rows: 1, threshold: 3 } });
+});
+
+test('too few values or no spread give no outliers', () => {
+    const profile = profileData([{ n: 1 }, { n: 2 }, { n: 1000 }, { c: 5 }].map(row => ({ n: null, c: 5, ...row })));
+    const [n, c] = profile.columns;
+    assert.equal(n.outliers.iqr.count, 0);
+    assert.equal(c.outliers.zscore.count, 0);
+});
+
+test('profiles text columns and reports issues with their quick actions', () => {
+    const profile = profileData([...rows, rows[2]]);
+    const name = profile.columns.find(column => column.name === 'name');
+
+    assert.equal(name.whitespace, 10);
+    assert.equal(name.distinct, 2);
+    assert.deepEqual(name.topValues[0], { value: 'plain', count: 12, rate: 0.5455 });
+    assert.deepEqual(profile.duplicates.examples, [{ row: 2, repeatedAt: [21], values: rows[2] }]);
+    assert.deepEqual(profile.issues.map(issue => [issue.code, issue.column, issue.operation]), [
+        ['duplicates', undefined, 'remove_duplicates'],
+        ['outliers', 'a', 'remove_outliers'],
+        ['outliers', 'b', 'remove_outliers'],
+        ['whitespace', 'name', 'trim_whitespace'],
+        ['sparse_column', 'note', 'drop_sparse_columns'],
+        ['constant_column', 'note', null]
+    ]);
+});
+
+test('renders an HTML report that escapes values', () => {
+    const html = renderProfileHTML(profileData([{ tag: '<script>' }]), 'Report & more');
+    assert.match(html, /Report &amp; more/);
+    assert.doesNotMatch(html, /<script>/);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateQuery, runQuery, parseQuery } = require('../lib/query');
+
+const rows = [
+    { name: 'Ann', city: 'Oslo', salary: 50, email: 'a@x.io' },
+    { name: 'Bo', city: 'Rome', salary: 70, email: null },
+    { name: 'Cy', city: 'Oslo', salary: 60, email: 'c@x.io' },
+    { name: 'Di', city: 'Rome', salary: '90', email: '' },
+    { name: 'Ed', city: null, salary: null, email: 'e@x.io' }
+];
+const columns = ['name', 'city', 'salary', 'email'];
+
+test('validateQuery rejects what cannot run', () => {
+    assert.equal(validateQuery({}, columns), null);
+    assert.match(validateQuery([], columns), /must be an object/);
+    assert.match(validateQuery({ where: [] }, columns), /Unknown query field\(s\): where/);
+    assert.match(validateQuery({ filter: [{ column: 'zip', operator: 'eq', value: 1 }] }, columns), /^filter: .*zip/);
+    assert.match(validateQuery({ groupBy: ['zip'] }, columns), /groupBy: Unknown column\(s\): zip/);
+    assert.match(validateQuery({ aggregates: [{ function: 'mode', column: 'salary' }] }, columns), /Unknown aggregate "mode"/);
+    assert.match(validateQuery({ aggregates: [{ function: 'sum' }] }, columns), /"sum" needs a column/);
+    assert.match(validateQuery({ aggregates: [{ function: 'count', as: '' }] }, columns), /alias/);
+    assert.match(validateQuery({ select: ['name'], groupBy: ['city'] }, columns), /cannot be combined/);
+    assert.match(validateQuery({ aggregates: [{ function: 'count' }, { function: 'count' }] }, columns), /duplicate column names/);
+    assert.match(validateQuery({ groupBy: ['city'], sort: [{ column: 'salary' }] }, columns), /salary is not a column of the result/);
+    assert.match(validateQuery({ sort: [{ column: 'name', direction: 'up' }] }, columns), /direction must be one of/);
+    assert.match(validateQuery({ limit: 0 }, columns), /positive whole number/);
+});
+
+test('aggregates every filtered row into one row', () => {
+    const query = {
+        filter: [{ column: 'city', operator: 'not_missing' }],
+        aggregates: [
+            { function: 'count', as: 'rows' },
+            { function: 'count', column: 'email' },
+            { function: 'count_distinct', column: 'city' },
+            { function: 'sum', column: 'salary' },
+            { function: 'mean', column: 'salary' },
+            { function: 'median', column: 'salary' },
+            { function: 'min', column: 'name' },
+            { function: 'max', column: 'salary' }
+        ]
+    };
+    assert.equal(validateQuery(query, columns), null);
+    const result = runQuery(rows, query, columns);
+
+    assert.deepEqual(result.rows, [{
+        rows: 4,
+        count_email: 2,
+        count_distinct_city: 2,
+        sum_salary: 270,
+        mean_salary: 67.5,
+        median_salary: 65,
+        min_name: 'Ann',
+        max_salary: '90'
+    }]);
+    assert.equal(result.matchedRows, 4);
+    assert.deepEqual(result.columns, ['rows', 'count_email', 'count_distinct_city', 'sum_salary', 'mean_salary', 'median_salary', 'min_name', 'max_salary']);
+});
+
+test('an aggregate over no rows still gives one row', () => {
+    const query = { filter: [{ column: 'city', operator: 'eq', value: 'Paris' }], aggregates: [{ function: 'count' }, { function: 'mean', column: 'salary' }] };
+    assert.deepEqual(runQuery(rows, query, columns).rows, [{ count: 0, mean_salary: null }]);
+});
+
+test('groups, sorts and limits', () => {
+    const query = {
+        groupBy: ['city'],
+        aggregates: [{ function: 'mean', column: 'salary', as: 'average' }],
+        sort: [{ column: 'average', direction: 'desc' }],
+        limit: 2
+    };
+    const result = runQuery(rows, query, columns);
+    assert.deepEqual(result.rows, [{ city: 'Rome', average: 80 }, { city: 'Oslo', average: 55 }]);
+    assert.equal(result.resultRows, 3);
+
+    // A grouping without aggregates counts rows; missing values sort last
+    const counted = runQuery(rows, { groupBy: ['city'], sort: [{ column: 'city', direction: 'desc' }] }, columns);
+    assert.deepEqual(counted.rows, [{ city: 'Rome', count: 2 }, { city: 'Oslo', count: 2 }, { city: null, count: 1 }]);
+});
+
+test('selects columns of the matching rows', () => {
+    const result = runQuery(rows, { filter: [{ column: 'email', operator: 'is_missing' }], select: ['name'] }, columns);
+    assert.deepEqual(result.rows, [{ name: 'Bo' }, { name: 'Di' }]);
+    assert.deepEqual(result.columns, ['name']);
+});
+
+test('parseQuery reads wrapped and bare queries', () => {
+    const wrapped = parseQuery('{"explanation": "Counts rows", "query": {"aggregates": [{"function": "count"}]}}', columns);
+    assert.deepEqual(wrapped, { query: { aggregates: [{ function: 'count' }] }, explanation: 'Counts rows', error: null });
+
+    const bare = parseQuery('```json\n{"groupBy": ["city"]}\n```', columns);
+    assert.deepEqual(bare.query, { groupBy: ['city'] });
+    assert.equal(bare.explanation, '');
+
+    assert.match(parseQuery('{"groupBy": ["zip"]}', columns).error, /zip/);
+    assert.equal(parseQuery('no query here', columns).error, 'The model did not return a query');
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Recipes are saved under the working directory
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'preprocessor-test-'));
+process.chdir(workDir);
+test.after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+const recipes = require('../lib/recipes');
+
+const steps = [
+    { kind: 'operation', op: 'trim_whitespace', extra: true },
+    { kind: 'prompt', prompt: '  Fix the spelling  ', columns: ['name'] }
+];
+
+test('validateRecipe names the failing step', () => {
+    assert.equal(recipes.validateRecipe({ name: 'Tidy', steps }), null);
+    assert.match(recipes.validateRecipe({ name: ' ', steps }), /name is required/);
+    assert.match(recipes.validateRecipe({ name: 'Tidy', steps: [] }), /at least one step/);
+    assert.match(recipes.validateRecipe({ name: 'Tidy', steps: [steps[0], { kind: 'shell' }] }), /^Step 2: kind must be/);
+    assert.match(recipes.validateRecipe({ name: 'Tidy', steps: [{ kind: 'operation', op: 'nope' }] }), /^Step 1/);
+    assert.match(recipes.validateRecipe({ name: 'Tidy', steps: [{ kind: 'prompt', prompt: 'x', mode: 'guess' }] }), /mode must be one of/);
+    assert.match(recipes.validateRecipe({ name: 'Tidy', steps: [{ kind: 'prompt', prompt: 'x', mode: 'plan', columns: ['a'] }] }),
+        /only be set on rewrite steps/);
+});
+
+test('saves, lists, updates and deletes recipes', () => {
+    const recipe = recipes.createRecipe({ name: ' Tidy ', steps });
+    assert.match(recipe.id, /^rc_\d+_[a-f0-9]{8}$/);
+    assert.equal(recipe.name, 'Tidy');
+    assert.deepEqual(recipe.steps, [
+        { kind: 'operation', op: 'trim_whitespace', params: {} },
+        { kind: 'prompt', prompt: 'Fix the spelling', mode: 'rewrite', columns: ['name'] }
+    ]);
+    assert.deepEqual(recipes.getRecipe(recipe.id), recipe);
+    assert.equal(recipes.getRecipe('../../etc/passwd'), null);
+
+    const updated = recipes.updateRecipe(recipe.id, { name: 'Tidier', steps: steps.slice(0, 1) });
+    assert.equal(updated.createdAt, recipe.createdAt);
+    assert.deepEqual(recipes.listRecipes().map(summary => [summary.name, summary.stepCount]), [['Tidier', 1]]);
+    assert.equal(recipes.updateRecipe('rc_1_00000000', { name: 'x', steps }), null);
+
+    assert.equal(recipes.deleteRecipe(recipe.id), true);
+    assert.equal(recipes.deleteRecipe(recipe.id), false);
+    assert.deepEqual(recipes.listRecipes(), []);
+});
+
+test('an exported recipe imports as a new one', () => {
+    const recipe = recipes.createRecipe({ name: 'Tidy', description: 'Clean up', steps });
+    const exported = recipes.exportRecipe(recipe);
+    assert.equal(exported.id, undefined);
+
+    const { recipe: imported, error } = recipes.importRecipe(JSON.parse(JSON.stringify(exported)));
+    assert.equal(error, null);
+    assert.notEqual(imported.id, recipe.id);
+    assert.deepEqual(imported.steps, recipe.steps);
+
+    assert.match(recipes.importRecipe({ ...exported, format: 'other' }).error, /Not a recipe file/);
+    assert.match(recipes.importRecipe({ ...exported, version: 2 }).error, /Unsupported recipe version 2/);
+    assert.match(recipes.importRecipe({ ...exported, steps: [] }).error, /at least one step/);
+});
+
+// AI stand-ins that record what they were asked
+function stubAI() {
+    const calls = [];
+    return {
+        calls,
+        rewrite: async (rows, prompt, columns) => {
+            calls.push({ mode: 'rewrite', prompt, columns });
+            return { data: rows.map(row => ({ ...row, name: row.name.toUpperCase() })), details: { chunks: 1 } };
+        },
+        plan: async (rows, prompt) => {
+            calls.push({ mode: 'plan', prompt });
+            throw new Error('The AI returned an invalid plan');
+        }
+    };
+}
+
+const rows = [{ name: ' ann ', city: 'Oslo' }, { name: 'bo', city: null }];
+
+test('runRecipe replays operations and AI steps in order', async () => {
+    const ai = stubAI();
+    const recipe = { steps: [...steps, { kind: 'operation', op: 'drop_columns', params: { columns: ['city'] } }] };
+    const { data, log, completed } = await recipes.runRecipe(recipe, rows, ai);
+
+    assert.equal(completed, true);
+    assert.deepEqual(data, [{ name: 'ANN' }, { name: 'BO' }]);
+    assert.deepEqual(ai.calls, [{ mode: 'rewrite', prompt: '  Fix the spelling  ', columns: ['name'] }]);
+    assert.deepEqual(log.map(entry => [entry.status, entry.columnsBefore, entry.columnsAfter]), [['ok', 2, 2], ['ok', 2, 2], ['ok', 2, 1]]);
+    assert.deepEqual(log[1].details, { chunks: 1 });
+});
+
+test('runRecipe stops at the first failing step and skips the rest', async () => {
+    const ai = stubAI();
+    const recipe = {
+        steps: [
+            { kind: 'operation', op: 'drop_columns', params: { columns: ['zip'] } },
+            { kind: 'prompt', prompt: 'Fix', mode: 'rewrite' }
+        ]
+    };
+    const { data, log, completed } = await recipes.runRecipe(recipe, rows, ai);
+
+    assert.equal(completed, false);
+    assert.equal(data, rows);
+    assert.equal(log[0].status, 'failed');
+    assert.match(log[0].error, /zip/);
+    assert.equal(log[1].status, 'skipped');
+    assert.deepEqual(ai.calls, []);
+
+    const missing = await recipes.runRecipe({ steps: [{ kind: 'prompt', prompt: 'Fix', mode: 'rewrite', columns: ['zip'] }] }, rows, ai);
+    assert.match(missing.log[0].error, /Unknown column\(s\): zip/);
+    const planned = await recipes.runRecipe({ steps: [{ kind: 'prompt', prompt: 'Plan', mode: 'plan' }] }, rows, ai);
+    assert.match(planned.log[0].error, /invalid plan/);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { applySchema, coerceValue, inferSchema, parseDateTime } = require('../lib/schema');
+
+test('keeps values with leading zeros as strings', () => {
+    assert.equal(coerceValue('02134', { type: 'integer' }), '02134');
+    assert.equal(coerceValue('007.5', { type: 'float' }), '007.5');
+    assert.equal(coerceValue('0.5', { type: 'float' }), 0.5);
+    assert.equal(coerceValue('0', { type: 'integer' }), 0);
+
+    const { data, schema } = applySchema([{ zip: '02134' }, { zip: '10001' }, { zip: '02138' }]);
+    assert.equal(schema.columns[0].type, 'text');
+    assert.deepEqual(data.map(row => row.zip), ['02134', '10001', '02138']);
+});
+
+test('keeps integers beyond Number.MAX_SAFE_INTEGER as strings', () => {
+    assert.equal(coerceValue('12345678901234567891', { type: 'integer' }), '12345678901234567891');
+    assert.equal(coerceValue('9007199254740991', { type: 'integer' }), 9007199254740991);
+    assert.equal(coerceValue('9007199254740993', { type: 'integer' }), '9007199254740993');
+    assert.equal(coerceValue('3.14159265358979323846', { type: 'float' }), '3.14159265358979323846');
+
+    const ids = ['12345678901234567891', '12345678901234567892', '12345678901234567893'];
+    const schema = inferSchema(ids.map(id => ({ id })));
+    assert.equal(schema.columns[0].type, 'text');
+    assert.deepEqual(applySchema(ids.map(id => ({ id }))).data.map(row => row.id), ids);
+});
+
+test('still converts ordinary numbers', () => {
+    const { data, schema } = applySchema([{ n: '42', x: '1.5' }, { n: '-7', x: '2e3' }]);
+    assert.deepEqual(schema.columns.map(column => column.type), ['integer', 'float']);
+    assert.deepEqual(data, [{ n: 42, x: 1.5 }, { n: -7, x: 2000 }]);
+});
+
+test('keeps datetimes without a zone as written, whatever the server time zone', () => {
+    const zone = process.env.TZ;
+    process.env.TZ = 'America/New_York';
+    try {
+        assert.equal(parseDateTime('2024-01-01 10:00'), '2024-01-01T10:00:00');
+        assert.equal(parseDateTime('2024-07-01T23:59:30.25'), '2024-07-01T23:59:30.25');
+        assert.equal(parseDateTime('2024-01-01T10:00:00+02:00'), '2024-01-01T08:00:00.000Z');
+        assert.equal(parseDateTime('2024-02-30 10:00'), null);
+        assert.equal(parseDateTime('2024-01-01 25:00'), null);
+
+        const { data, schema } = applySchema([{ at: '2024-01-01 10:00' }, { at: '2024-03-10 02:30' }]);
+        assert.equal(schema.columns[0].type, 'datetime');
+        assert.deepEqual(data.map(row => row.at), ['2024-01-01T10:00:00', '2024-03-10T02:30:00']);
+    } finally {
+        if (zone === undefined) delete process.env.TZ;
+        else process.env.TZ = zone;
+    }
+});
+
+test('leaves blanks in text columns alone', () => {
+    assert.equal(coerceValue('', { type: 'text' }), '');
+    assert.equal(coerceValue('N/A', { type: 'categorical' }), 'N/A');
+    assert.equal(coerceValue('', { type: 'integer' }), null);
+    assert.equal(coerceValue('n/a', { type: 'float' }), null);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ROW_KEY } = require('../lib/chunking');
+const { validateColumns, projectColumns, mergeColumns } = require('../lib/scope');
+
+const rows = [
+    { id: 1, name: 'ann', city: 'Oslo' },
+    { id: 2, name: 'bo' },
+    { id: 3, name: 'cy', city: 'Rome' }
+];
+
+test('validateColumns checks the selection against the data', () => {
+    assert.equal(validateColumns(undefined, rows), null);
+    assert.equal(validateColumns([], 'text'), null);
+    assert.equal(validateColumns(['name', 'city'], rows), null);
+    assert.match(validateColumns('name', rows), /list of column names/);
+    assert.match(validateColumns(['name'], { text: 'x' }), /needs tabular data/);
+    assert.match(validateColumns(['name', 'zip'], rows), /Unknown column\(s\): zip/);
+});
+
+test('projectColumns keeps the selected columns in selection order', () => {
+    assert.deepEqual(projectColumns(rows, ['city', 'id']), [
+        { city: 'Oslo', id: 1 },
+        { city: null, id: 2 },
+        { city: 'Rome', id: 3 }
+    ]);
+});
+
+test('mergeColumns takes only selected and new columns from the answer', () => {
+    const output = [
+        { [ROW_KEY]: 2, name: 'Cy', id: 99, initial: 'C' },
+        { [ROW_KEY]: 0, name: 'Ann', initial: 'A' },
+        { [ROW_KEY]: 1, name: 'bo' }
+    ];
+    const { data, report } = mergeColumns(rows, output, ['name']);
+
+    assert.deepEqual(data, [
+        { id: 1, name: 'Ann', city: 'Oslo', initial: 'A' },
+        { id: 2, name: 'bo', initial: null },
+        { id: 3, name: 'Cy', city: 'Rome', initial: 'C' }
+    ]);
+    assert.deepEqual(report, {
+        columns: ['name'],
+        rowsChanged: 2,
+        cellsChanged: 2,
+        rowsMissing: 0,
+        extraRows: 0,
+        addedColumns: ['initial'],
+        ignoredColumns: ['id']
+    });
+});
+
+test('mergeColumns keeps rows the model left out and ignores extra ones', () => {
+    const output = [
+        { [ROW_KEY]: 0, name: 'Ann' },
+        { [ROW_KEY]: 0, name: 'Again' },
+        { [ROW_KEY]: 7, name: 'New' },
+        { name: 'No key' }
+    ];
+    const { data, report } = mergeColumns(rows, output, ['name']);
+
+    assert.deepEqual(data.map(row => row.name), ['Ann', 'bo', 'cy']);
+    assert.equal(report.rowsMissing, 2);
+    assert.equal(report.extraRows, 3);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { expectsRowChanges, expectsRowSplits, validateOutput } = require('../lib/validation');
+
+const input = [
+    { id: 1, name: 'Ann', age: 31 },
+    { id: 2, name: 'Bo', age: 45 },
+    { id: 3, name: 'Cy', age: 27 }
+];
+
+function codes(result) {
+    return result.warnings.map(warning => warning.code);
+}
+
+test('an unchanged table passes', () => {
+    assert.deepEqual(validateOutput(input, input, { prompt: 'Capitalize names' }), { passed: true, strict: false, warnings: [] });
+});
+
+test('reads row changes from the instruction', () => {
+    assert.equal(expectsRowChanges('Remove duplicates'), true);
+    assert.equal(expectsRowChanges('Capitalize names'), false);
+    assert.equal(expectsRowChanges(undefined), false);
+    assert.equal(expectsRowSplits('Split the address into rows'), true);
+    assert.equal(expectsRowSplits('Remove duplicates'), false);
+});
+
+test('flags lost rows and columns the instruction did not ask for', () => {
+    const output = input.slice(0, 2).map(({ age, ...row }) => row);
+    const result = validateOutput(input, output, { prompt: 'Capitalize names' });
+
+    assert.equal(result.passed, false);
+    assert.deepEqual(codes(result), ['column_loss', 'row_count']);
+    assert.deepEqual(result.warnings[0].columns, ['age']);
+    assert.equal(result.warnings[1].rowsAfter, 2);
+
+    assert.deepEqual(codes(validateOutput(input, output, { prompt: 'Drop the age column and remove the last row' })), []);
+});
+
+test('flags type changes unless the column is converted', () => {
+    const output = input.map(row => ({ ...row, age: `${row.age} years` }));
+    const result = validateOutput(input, output, { prompt: 'Capitalize names' });
+    assert.deepEqual(result.warnings.map(w => [w.code, w.from, w.to]), [['type_change', 'integer', 'text']]);
+
+    assert.deepEqual(codes(validateOutput(input, output, { prompt: 'Format age as text' })), []);
+    // Integers and floats are the same kind of value
+    assert.deepEqual(codes(validateOutput(input, input.map(row => ({ ...row, age: row.age + 0.5 })))), []);
+});
+
+test('flags invented key values as errors', () => {
+    const output = input.map(row => (row.id === 3 ? { ...row, id: 99 } : row));
+    const [warning] = validateOutput(input, output).warnings;
+    assert.deepEqual([warning.code, warning.severity, warning.column, warning.examples], ['invented_keys', 'error', 'id', ['99']]);
+});
+
+test('reports how the reply was read and failed chunks', () => {
+    assert.deepEqual(codes(validateOutput(input, input, { parse: { wrapped: true } })), ['unparsed_output']);
+    assert.deepEqual(codes(validateOutput(input, input, { parse: { truncated: true, recovered: true } })), ['truncated_output']);
+    assert.deepEqual(codes(validateOutput(input, input, { parse: { recovered: true } })), ['recovered_output']);
+
+    const chunks = [{ index: 0, status: 'ok' }, { index: 1, status: 'failed' }];
+    const [failed] = validateOutput(input, input, { chunks }).warnings;
+    assert.deepEqual([failed.code, failed.chunks], ['failed_chunks', [1]]);
+
+    assert.deepEqual(codes(validateOutput(input, { data: 'text' })), ['shape_change']);
+    assert.equal(validateOutput(input, input, { strict: true }).strict, true);
+});
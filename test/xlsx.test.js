@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('stream');
+const ExcelJS = require('exceljs');
+const { parseWorkbook, writeWorkbook, streamWorkbook } = require('../lib/xlsx');
+const { inferSchema } = require('../lib/schema');
+
+const rows = [
+    { id: 1, name: 'Ann', score: 9.5, joined: '2024-01-31', seen: '2024-02-01T10:30:00', zip: '02134', active: true },
+    { id: 2, name: 'Bo', score: null, joined: '2023-12-01', seen: '2024-02-02T08:00:00', zip: '10001', active: false }
+];
+
+async function load(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    return workbook;
+}
+
+test('writes typed cells and reads the same rows back', async () => {
+    const workbook = await load(await writeWorkbook(rows, inferSchema(rows), { sheetName: 'People' }));
+    const sheet = workbook.getWorksheet('People');
+
+    assert.equal(typeof sheet.getCell('A2').value, 'number');
+    assert.ok(sheet.getCell('D2').value instanceof Date);
+    assert.equal(sheet.getCell('D2').numFmt, 'yyyy-mm-dd');
+    assert.equal(sheet.getCell('F2').value, '02134');
+
+    const parsed = parseWorkbook(workbook);
+    assert.deepEqual(parsed.headers, Object.keys(rows[0]));
+    assert.deepEqual(parsed.data, rows);
+    assert.equal(parsed.xlsx.headerRow, 1);
+});
+
+test('a streamed workbook reads back like a written one', async () => {
+    const stream = new PassThrough();
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    const batches = async function* () {
+        yield rows.slice(0, 1);
+        yield rows.slice(1);
+    };
+    await streamWorkbook(batches(), Object.keys(rows[0]), inferSchema(rows), stream);
+
+    assert.deepEqual(parseWorkbook(await load(Buffer.concat(chunks))).data, rows);
+});
+
+test('skips titles and joins two-level headers from merged group cells', async () => {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Sales');
+    sheet.addRow(['Quarterly sales']);
+    sheet.addRow([]);
+    sheet.addRow(['Region', 'Q1', null, 'Q2', null]);
+    sheet.addRow([null, 'Jan', 'Feb', 'Apr', 'May']);
+    sheet.addRow(['North', 1, 2, 3, 4]);
+    sheet.addRow(['South', 5, 6, 7, 8]);
+    sheet.mergeCells('B3:C3');
+    sheet.mergeCells('D3:E3');
+
+    const parsed = parseWorkbook(await load(await workbook.xlsx.writeBuffer()));
+    assert.deepEqual(parsed.headers, ['Region', 'Q1 Jan', 'Q1 Feb', 'Q2 Apr', 'Q2 May']);
+    assert.deepEqual(parsed.data, [
+        { Region: 'North', 'Q1 Jan': 1, 'Q1 Feb': 2, 'Q2 Apr': 3, 'Q2 May': 4 },
+        { Region: 'South', 'Q1 Jan': 5, 'Q1 Feb': 6, 'Q2 Apr': 7, 'Q2 May': 8 }
+    ]);
+    assert.equal(parsed.xlsx.headerRow, 3);
+    assert.deepEqual(parsed.xlsx.mergedCells, ['B3:C3', 'D3:E3']);
+});
+
+test('picks a sheet by name or position and honours a forced header row', async () => {
+    const workbook = new ExcelJS.Workbook();
+    workbook.addWorksheet('First').addRow(['a']);
+    const second = workbook.addWorksheet('Second');
+    second.addRow(['x', 'y']);
+    second.addRow([1, 2]);
+    const loaded = await load(await workbook.xlsx.writeBuffer());
+
+    assert.deepEqual(parseWorkbook(loaded, { sheet: 'Second' }).data, [{ x: 1, y: 2 }]);
+    assert.equal(parseWorkbook(loaded, { sheet: 1, headerRow: 0 }).data.length, 2);
+    assert.throws(() => parseWorkbook(loaded, { sheet: 'Missing' }), /Sheet not found/);
+});